@@ -1,6 +1,9 @@
 import { createReadStream, existsSync, statSync } from 'node:fs';
-import { extname, join, normalize, resolve } from 'node:path';
+import { mkdir, rename, writeFile } from 'node:fs/promises';
+import { dirname, extname, join, normalize, resolve } from 'node:path';
 import { createServer } from 'node:http';
+import { parseSceneManifest } from '../../shared/scene-manifest.mjs';
+
 function parseRootArg(argv) {
   const idx = argv.indexOf('--root');
   if (idx === -1) return null;
@@ -11,6 +14,9 @@ const root = resolve(parseRootArg(process.argv) || process.cwd());
 const host = process.env.SERVER_HOST || '127.0.0.1';
 const initialPort = Number.parseInt(process.env.SERVER_PORT || '4173', 10);
 const maxPort = Number.parseInt(process.env.SERVER_PORT_MAX || String(initialPort + 20), 10);
+// Scene manifests saved from the home editor ("Save Scene Manifest") land here.
+const manifestDir = join(root, 'scenes');
+const maxManifestBytes = 5 * 1024 * 1024;
 
 const mimeTypes = {
   '.css': 'text/css; charset=utf-8',
@@ -38,6 +44,56 @@ function send500(res, error) {
   res.end(`Server error\n${error.message}`);
 }
 
+function sendText(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+function readBody(req, limit) {
+  return new Promise((resolveBody, rejectBody) => {
+    let chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      if (!chunks) return;
+      size += chunk.length;
+      if (size > limit) {
+        // Keep reading (and dropping) the rest so the client gets the 413 rather than a reset socket.
+        chunks = null;
+        rejectBody(Object.assign(new Error(`Body larger than ${limit} bytes.`), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks) resolveBody(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', rejectBody);
+  });
+}
+
+// PUT /scenes/<name>.json: validates the body as a scene manifest and writes it
+// in place (via a temp file, so a failed write never leaves half a manifest).
+async function handleManifestPut(req, res, filePath) {
+  if (dirname(filePath) !== manifestDir || extname(filePath).toLowerCase() !== '.json') {
+    sendText(res, 403, 'Only scenes/*.json can be written.');
+    return;
+  }
+  let manifest;
+  try {
+    manifest = parseSceneManifest(await readBody(req, maxManifestBytes));
+  } catch (error) {
+    sendText(res, error.status || 400, error.message);
+    return;
+  }
+  await mkdir(manifestDir, { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  await writeFile(tempPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  await rename(tempPath, filePath);
+  console.log(`Saved scene manifest ${filePath}`);
+  res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ ok: true, savedAt: manifest.savedAt }));
+}
+
 
 function resolvePath(urlPath) {
   const pathname = decodeURIComponent(urlPath.split('?')[0]);
@@ -55,6 +111,11 @@ function createAppServer() {
         return;
       }
 
+      if (req.method === 'PUT') {
+        handleManifestPut(req, res, filePath).catch((error) => send500(res, error));
+        return;
+      }
+
       if (!existsSync(filePath) || !statSync(filePath).isFile()) {
         send404(res);
         return;
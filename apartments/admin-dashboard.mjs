@@ -1,6 +1,36 @@
+import { Object3D, Vector3 } from 'three';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { mountUnitMarkers } from './unit-markers.mjs';
-import { getPositions, replaceAllPositions } from './unit-positions.mjs';
+import { createCameraFlight } from './camera-flight.mjs';
+import { createSplatSurfacePicker } from './splat-surface.mjs';
+import { getUnitFloor, listUnitFloors } from './unit-filters.mjs';
+import { DEFAULT_STATUS_PALETTE, getUnitStatus } from './unit-status.mjs';
+import { DEFAULT_PROPERTY_ID } from './units-data.mjs';
+import { checkPositionCoverage, diffPositions, parsePositionsFile, serializePositions } from './positions-io.mjs';
+import {
+  createPlacementHistory,
+  estimateFloorHeight,
+  layoutRowPositions,
+  snapPosition,
+  stackFloorPositions,
+  translatePositions,
+} from './placement-ops.mjs';
+import {
+  clearSavedPositions,
+  exportPositionsJSON,
+  getDefaultPositions,
+  loadDraftPositions,
+  PositionsConflictError,
+  publishDraftPositions,
+  saveDraftPositions,
+  snapshotPositions,
+} from './unit-positions.mjs';
+
+/** Stack offset when no two floors of the same stack are placed yet. */
+const DEFAULT_FLOOR_HEIGHT = 0.14;
+const CLICK_SLOP_PX = 8;
+/** Unit numbers listed inline in the import preview before "and N more". */
+const PREVIEW_LIST_MAX = 12;
 
 /**
  * @param {object} ctx
@@ -8,13 +38,30 @@ import { getPositions, replaceAllPositions } from './unit-positions.mjs';
  * @param {import('three').PerspectiveCamera} ctx.camera
  * @param {import('three').OrbitControls} ctx.controls
  * @param {import('three').WebGLRenderer} ctx.renderer
+ * @param {object} [ctx.splat] Luma splat; enables "Snap to surface".
+ * @param {string} [ctx.propertyId] Used in exported file names and metadata.
  * @param {import('./units-data.mjs').Unit[]} ctx.units
+ * @param {import('./unit-positions.mjs').PositionStore} ctx.positionStore
+ * @param {import('./unit-positions.mjs').PositionsSnapshot} ctx.draft
+ * @param {import('./unit-positions.mjs').PositionsSnapshot} ctx.published
+ * @param {Error | null} [ctx.loadError] Why the saved positions could not be loaded; the editor then starts from the defaults.
  */
 export function initAdminDashboard(ctx) {
-  const { scene, camera, controls, renderer, units } = ctx;
+  const { scene, camera, controls, renderer, units, positionStore } = ctx;
+  const propertyId = ctx.propertyId || DEFAULT_PROPERTY_ID;
 
-  let positions = getPositions();
+  let positions = ctx.draft.positions;
+  let draftRevision = ctx.draft.revision;
+  let publishedRevision = ctx.published.revision;
   const panel = ensurePanel();
+  const history = createPlacementHistory();
+  const picker = ctx.splat ? createSplatSurfacePicker({ splat: ctx.splat, camera, renderer }) : null;
+
+  /** Modifier state of the last canvas press, read when a marker click lands. */
+  let pointerAdditive = false;
+  let downX = 0;
+  let downY = 0;
+  let snapArmed = false;
 
   const markers = mountUnitMarkers({
     scene,
@@ -24,65 +71,201 @@ export function initAdminDashboard(ctx) {
     units,
     getPositionsMap: () => positions,
     getOnlyAvailable: () => false,
-    onMarkerSelect: (unitNumber) => selectUnit(unitNumber),
+    onMarkerSelect: (unitNumber) => {
+      if (!snapArmed) selectUnit(unitNumber, { additive: pointerAdditive });
+    },
   });
 
+  // The gizmo drives a pivot at the selection's centre; every selected marker
+  // follows the pivot's offset from where the drag started.
+  const pivot = new Object3D();
+  scene.add(pivot);
   const transform = new TransformControls(camera, renderer.domElement);
   transform.setMode('translate');
   transform.setSize(0.65);
   transform.visible = false;
   scene.add(transform);
+
+  /** @type {{ pivot: Vector3, map: Record<string, import('./position-stores.mjs').UnitPosition> } | null} */
+  let drag = null;
+
   transform.addEventListener('dragging-changed', (ev) => {
     controls.enabled = !ev.value;
+    if (ev.value) {
+      drag = { pivot: pivot.position.clone(), map: positions };
+      return;
+    }
+    if (!drag) return;
+    const before = drag.map;
+    drag = null;
+    if (history.commit(moveLabel(), before, positions)) syncTools();
+  });
+
+  transform.addEventListener('objectChange', () => {
+    if (!drag) return;
+    const delta = new Vector3().subVectors(pivot.position, drag.pivot);
+    positions = translatePositions(drag.map, selection, delta);
+    for (const n of selection) if (positions[n]) markers.setWorldPosition(n, positions[n]);
+    syncInputs();
   });
 
+  const flight = createCameraFlight({ camera, controls });
+
+  /** Primary unit: drives the inputs, camera view and surface snap. */
   /** @type {string | null} */
   let selected = null;
+  /** Every selected unit in the order it was picked (row layout uses this order). */
+  /** @type {string[]} */
+  let selection = [];
 
-  function floatOffsetY() {
-    return 0.04;
+  function moveLabel() {
+    return selection.length === 1 ? `Move unit ${selection[0]}` : `Move ${selection.length} units`;
   }
 
-  function applyGroupPositionToMap(unitNumber) {
-    const g = markers.getGroup(unitNumber);
-    if (!g) return;
-    positions[unitNumber] = {
-      x: g.position.x,
-      y: g.position.y - floatOffsetY(),
-      z: g.position.z,
-    };
+  /**
+   * Swap in a new positions map, record it for undo and bring the markers
+   * along. Rebuilds only when a unit gains or loses its marker.
+   */
+  function commitPositions(label, next) {
+    const prev = positions;
+    positions = next;
+    history.commit(label, prev, next);
+    refreshMarkers(prev);
   }
 
-  transform.addEventListener('change', () => {
-    if (selected) applyGroupPositionToMap(selected);
+  function refreshMarkers(prev) {
+    const gainedOrLost = units.some((u) => !prev[u.unitNumber] !== !positions[u.unitNumber]);
+    if (gainedOrLost) {
+      markers.rebuild();
+    } else {
+      for (const u of units) {
+        const n = u.unitNumber;
+        if (positions[n] && prev[n] !== positions[n]) markers.setWorldPosition(n, positions[n]);
+      }
+    }
+    attachPivot();
     syncInputs();
-  });
+    syncView();
+    syncTools();
+    renderList();
+    renderCoverage();
+  }
+
+  /** Load a map that did not come from editing (other manager's draft, discarded draft); clears undo. */
+  function replaceAllPositions(map) {
+    positions = map;
+    // Undo steps were recorded against the old map.
+    history.clear();
+    markers.rebuild();
+    if (selected) selectUnit(selected);
+    else syncSelection();
+    renderCoverage();
+  }
 
-  function selectUnit(unitNumber) {
-    selected = unitNumber;
-    markers.setSelected(unitNumber);
-    const g = markers.getGroup(unitNumber);
-    if (g) {
-      transform.attach(g);
-      transform.visible = true;
+  function attachPivot() {
+    const placed = selection.filter((n) => positions[n] && markers.getGroup(n));
+    if (!placed.length) {
+      transform.detach();
+      transform.visible = false;
+      return;
     }
+    pivot.position.set(0, 0, 0);
+    for (const n of placed) pivot.position.add(markers.getGroup(n).position);
+    pivot.position.divideScalar(placed.length);
+    transform.attach(pivot);
+    transform.visible = true;
+  }
+
+  /**
+   * @param {string} unitNumber
+   * @param {{ additive?: boolean, range?: boolean }} [opts]
+   *   additive toggles the unit in the selection; range adds every unit between
+   *   the current primary and this one in list order.
+   */
+  function selectUnit(unitNumber, opts = {}) {
+    if (opts.range && selected) {
+      const order = units.map((u) => u.unitNumber);
+      const a = order.indexOf(selected);
+      const b = order.indexOf(unitNumber);
+      const span = a <= b ? order.slice(a, b + 1) : order.slice(b, a + 1).reverse();
+      selection = [...selection.filter((n) => !span.includes(n)), ...span];
+      selected = unitNumber;
+    } else if (opts.additive && selection.includes(unitNumber)) {
+      selection = selection.filter((n) => n !== unitNumber);
+      selected = selection.length ? selection[selection.length - 1] : null;
+    } else if (opts.additive) {
+      selection = [...selection, unitNumber];
+      selected = unitNumber;
+    } else {
+      selection = [unitNumber];
+      selected = unitNumber;
+    }
+    syncSelection();
+  }
+
+  function syncSelection() {
+    markers.setSelected(selected);
+    markers.setHighlighted(selection.filter((n) => n !== selected));
+    attachPivot();
     syncInputs();
+    syncView();
+    syncTools();
     renderList();
   }
 
+  function syncView() {
+    const view = selected ? positions[selected]?.view : null;
+    panel.querySelector('#admin-view-state').textContent = !selected
+      ? 'Select a unit to set its camera view.'
+      : view
+        ? `Unit ${selected}: saved camera view.`
+        : `Unit ${selected}: automatic framing (no saved view).`;
+    panel.querySelector('#admin-view-preview').disabled = !view;
+    panel.querySelector('#admin-view-clear').disabled = !view;
+    panel.querySelector('#admin-view-capture').disabled = !selected;
+  }
+
+  function captureView() {
+    if (!selected || !positions[selected]) return;
+    commitPositions(`Capture view for unit ${selected}`, {
+      ...positions,
+      [selected]: {
+        ...positions[selected],
+        view: {
+          position: { x: round4(camera.position.x), y: round4(camera.position.y), z: round4(camera.position.z) },
+          target: { x: round4(controls.target.x), y: round4(controls.target.y), z: round4(controls.target.z) },
+        },
+      },
+    });
+    setStatus(`Captured camera view for unit ${selected}. Save draft to keep it.`);
+  }
+
+  function clearView() {
+    if (!selected || !positions[selected]) return;
+    const { view: _view, ...rest } = positions[selected];
+    commitPositions(`Clear view for unit ${selected}`, { ...positions, [selected]: rest });
+    setStatus(`Unit ${selected} will use automatic framing.`);
+  }
+
+  function previewView() {
+    const view = selected ? positions[selected]?.view : null;
+    if (view) flight.flyTo(view);
+  }
+
   function syncInputs() {
-    const g = selected ? markers.getGroup(selected) : null;
+    const p = selected ? positions[selected] : null;
     const ix = panel.querySelector('#admin-pos-x');
     const iy = panel.querySelector('#admin-pos-y');
     const iz = panel.querySelector('#admin-pos-z');
-    if (!g || !ix || !iy || !iz) return;
-    ix.value = String(round4(g.position.x));
-    iy.value = String(round4(g.position.y - floatOffsetY()));
-    iz.value = String(round4(g.position.z));
+    if (!p || !ix || !iy || !iz) return;
+    ix.value = String(round4(p.x));
+    iy.value = String(round4(p.y));
+    iz.value = String(round4(p.z));
   }
 
+  /** Moves the primary unit to the typed point; the rest of the selection keeps its offset. */
   function applyInputs() {
-    if (!selected) return;
+    if (!selected || !positions[selected]) return;
     const ix = panel.querySelector('#admin-pos-x');
     const iy = panel.querySelector('#admin-pos-y');
     const iz = panel.querySelector('#admin-pos-z');
@@ -90,73 +273,437 @@ export function initAdminDashboard(ctx) {
     const y = Number(iy?.value);
     const z = Number(iz?.value);
     if (![x, y, z].every(Number.isFinite)) return;
-    markers.setWorldPosition(selected, { x, y, z });
-    applyGroupPositionToMap(selected);
-    syncInputs();
+    const p = positions[selected];
+    commitPositions(moveLabel(), translatePositions(positions, selection, { x: x - p.x, y: y - p.y, z: z - p.z }));
   }
 
-  function getCurrentPositionsMap() {
-    const next = { ...getPositions() };
-    for (const u of units) {
-      const g = markers.getGroup(u.unitNumber);
-      if (g) {
-        next[u.unitNumber] = {
-          x: g.position.x,
-          y: g.position.y - floatOffsetY(),
-          z: g.position.z,
-        };
-      }
+  function renderFloorOptions() {
+    const select = panel.querySelector('#admin-stack-floor');
+    const floors = listUnitFloors(units);
+    select.innerHTML = floors.map((f) => `<option value="${f}">${f}</option>`).join('');
+    const firstPlaced = floors.find((f) => units.some((u) => getUnitFloor(u) === f && positions[u.unitNumber]));
+    if (firstPlaced !== undefined) select.value = String(firstPlaced);
+    const estimate = estimateFloorHeight(positions, units);
+    panel.querySelector('#admin-stack-height').value = String(estimate ?? DEFAULT_FLOOR_HEIGHT);
+  }
+
+  function selectFloor() {
+    const floor = Number(panel.querySelector('#admin-stack-floor').value);
+    const onFloor = units.filter((u) => getUnitFloor(u) === floor).map((u) => u.unitNumber);
+    if (!onFloor.length) return;
+    selection = onFloor;
+    selected = onFloor[onFloor.length - 1];
+    syncSelection();
+    setStatus(`Selected ${onFloor.length} units on floor ${floor}. Drag the gizmo to move them together.`);
+  }
+
+  function stackFloors() {
+    const fromFloor = Number(panel.querySelector('#admin-stack-floor').value);
+    const copies = Math.max(1, Math.floor(Number(panel.querySelector('#admin-stack-count').value) || 1));
+    const heightOffset = Number(panel.querySelector('#admin-stack-height').value);
+    if (!Number.isFinite(fromFloor) || !Number.isFinite(heightOffset)) return;
+    const { map, written, missing } = stackFloorPositions(positions, units, { fromFloor, copies, heightOffset });
+    if (!written.length) {
+      setStatus(`Nothing to copy: place units on floor ${fromFloor} first.`);
+      return;
+    }
+    commitPositions(`Stack floor ${fromFloor} up ${copies}`, map);
+    setStatus(
+      `Placed ${written.length} units from floor ${fromFloor}.` +
+        (missing.length ? ` Not in the unit list: ${missing.join(', ')}.` : '')
+    );
+  }
+
+  function layoutRow() {
+    try {
+      commitPositions(`Row of ${selection.length} units`, layoutRowPositions(positions, selection));
+      setStatus(`Spaced ${selection.length} units between ${selection[0]} and ${selection[selection.length - 1]}.`);
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  function setSnapArmed(on) {
+    snapArmed = on && !!picker && !!selected;
+    panel.querySelector('#admin-snap').classList.toggle('active', snapArmed);
+    renderer.domElement.style.cursor = snapArmed ? 'crosshair' : '';
+    if (snapArmed) setStatus(`Click the splat where unit ${selected} belongs (Esc cancels).`);
+  }
+
+  function onCanvasPointerDown(ev) {
+    pointerAdditive = ev.shiftKey || ev.ctrlKey || ev.metaKey;
+    downX = ev.clientX;
+    downY = ev.clientY;
+  }
+
+  function onCanvasPointerUp(ev) {
+    if (!snapArmed || Math.hypot(ev.clientX - downX, ev.clientY - downY) > CLICK_SLOP_PX) return;
+    const hit = picker.pick(ev.clientX, ev.clientY);
+    if (!hit) {
+      setStatus('No splat surface under the cursor yet — try again, or press Esc.');
+      return;
+    }
+    const unitNumber = selected;
+    setSnapArmed(false);
+    commitPositions(`Snap unit ${unitNumber}`, snapPosition(positions, unitNumber, hit));
+    setStatus(`Snapped unit ${unitNumber} to the surface.`);
+  }
+
+  function undo() {
+    const step = history.undo(positions);
+    if (!step) return;
+    const prev = positions;
+    positions = step.map;
+    refreshMarkers(prev);
+    setStatus(`Undid: ${step.label}.`);
+  }
+
+  function redo() {
+    const step = history.redo(positions);
+    if (!step) return;
+    const prev = positions;
+    positions = step.map;
+    refreshMarkers(prev);
+    setStatus(`Redid: ${step.label}.`);
+  }
+
+  function onKeyDown(ev) {
+    if (ev.target instanceof Element && ev.target.closest('input, select, textarea')) return;
+    if (ev.key === 'Escape' && snapArmed) {
+      setSnapArmed(false);
+      setStatus('Snap cancelled.');
+      return;
     }
-    return next;
+    if (!(ev.ctrlKey || ev.metaKey) || drag) return;
+    const key = ev.key.toLowerCase();
+    if (key === 'z' && !ev.shiftKey) undo();
+    else if ((key === 'z' && ev.shiftKey) || key === 'y') redo();
+    else return;
+    ev.preventDefault();
   }
 
-  function saveAll() {
-    positions = getCurrentPositionsMap();
-    replaceAllPositions(positions);
-    panel.querySelector('#admin-status').textContent = 'Saved to localStorage.';
+  function syncTools() {
+    panel.querySelector('#admin-row').disabled = selection.length < 3;
+    panel.querySelector('#admin-snap').disabled = !picker || !selected;
+    const undoBtn = panel.querySelector('#admin-undo');
+    const redoBtn = panel.querySelector('#admin-redo');
+    undoBtn.disabled = !history.canUndo();
+    redoBtn.disabled = !history.canRedo();
+    undoBtn.title = history.canUndo() ? `Undo ${history.peekUndo()} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = history.canRedo() ? `Redo ${history.peekRedo()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    panel.querySelector('#admin-selection').textContent =
+      selection.length > 1 ? `${selection.length} units selected` : '';
+  }
+
+  function setStatus(msg) {
+    panel.querySelector('#admin-status').textContent = msg;
+  }
+
+  function renderRevisions() {
+    panel.querySelector('#admin-revision').textContent =
+      `Draft rev ${draftRevision} · Published rev ${publishedRevision} (${positionStore.kind})`;
+  }
+
+  function describeRemote(remote) {
+    if (!remote) return 'Another manager cleared it';
+    const when = remote.savedAt ? new Date(remote.savedAt).toLocaleString() : 'just now';
+    return `Another manager saved revision ${remote.revision} (${when})`;
+  }
+
+  /** Draft conflict: overwrite with ours (returns true) or load theirs into the scene. */
+  function resolveDraftConflict(err) {
+    const remote = err.remote;
+    const overwrite = confirm(
+      `${describeRemote(remote)} while you were editing.\n\nOK — overwrite it with your positions.\nCancel — discard yours and load theirs.`
+    );
+    if (overwrite) {
+      draftRevision = remote ? remote.revision : 0;
+      return true;
+    }
+    draftRevision = remote ? remote.revision : 0;
+    replaceAllPositions(snapshotPositions(remote));
+    renderRevisions();
+    setStatus(`Loaded draft revision ${draftRevision} from the other manager.`);
+    return false;
+  }
+
+  async function saveDraft() {
+    try {
+      const snap = await saveDraftPositions(positionStore, positions, { baseRevision: draftRevision });
+      draftRevision = snap.revision;
+      renderRevisions();
+      setStatus(`Draft saved (rev ${draftRevision}). Visitors still see published rev ${publishedRevision}.`);
+      return true;
+    } catch (err) {
+      if (err instanceof PositionsConflictError && resolveDraftConflict(err)) return saveDraft();
+      if (!(err instanceof PositionsConflictError)) setStatus(`Save failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  async function publish() {
+    if (!(await saveDraft())) return;
+    try {
+      const snap = await publishDraftPositions(positionStore, { draftRevision, publishedRevision });
+      publishedRevision = snap.revision;
+      renderRevisions();
+      setStatus(`Published draft rev ${draftRevision} as revision ${publishedRevision}.`);
+    } catch (err) {
+      if (!(err instanceof PositionsConflictError)) {
+        setStatus(`Publish failed: ${err.message}`);
+        return;
+      }
+      if (err.channel === 'draft') {
+        if (resolveDraftConflict(err)) publish();
+        return;
+      }
+      publishedRevision = err.remote ? err.remote.revision : 0;
+      if (confirm(`${describeRemote(err.remote)} to the public viewer.\n\nOK — publish your draft over it.\nCancel — keep theirs.`)) {
+        publish();
+      } else {
+        renderRevisions();
+        setStatus('Publish cancelled; the public viewer keeps the other manager’s positions.');
+      }
+    }
   }
 
   function copyJson() {
-    const json = JSON.stringify(getCurrentPositionsMap(), null, 2);
+    const json = JSON.stringify(positions, null, 2);
     navigator.clipboard.writeText(json).then(
       () => {
-        panel.querySelector('#admin-status').textContent = 'JSON copied to clipboard.';
+        setStatus('JSON copied to clipboard.');
       },
       () => {
-        panel.querySelector('#admin-status').textContent = 'Copy failed.';
+        setStatus('Copy failed.');
       }
     );
   }
 
+  function downloadFile(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function exportFile(format) {
+    const name = `${propertyId}-positions-draft-r${draftRevision}.${format}`;
+    if (format === 'csv') downloadFile(serializePositions(positions, 'csv'), name, 'text/csv');
+    else downloadFile(exportPositionsJSON(positions, { propertyId }), name, 'application/json');
+    setStatus(`Exported ${Object.keys(positions).length} positions to ${name}.`);
+  }
+
+  /** @type {{ name: string, file: ReturnType<typeof parsePositionsFile> } | null} */
+  let pendingImport = null;
+
+  async function readImportFile(ev) {
+    const input = ev.target;
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+    try {
+      pendingImport = { name: file.name, file: parsePositionsFile(await file.text()) };
+    } catch (err) {
+      pendingImport = null;
+      renderImportPreview();
+      setStatus(`Import failed: ${err.message}`);
+      return;
+    }
+    renderImportPreview();
+    setStatus(`Review ${file.name} below, then apply or cancel.`);
+  }
+
+  /** The file replaces the whole map unless "Keep units that are not in the file" is ticked. */
+  function importedMap() {
+    const keep = panel.querySelector('#admin-import-keep').checked;
+    return keep ? { ...positions, ...pendingImport.file.positions } : { ...pendingImport.file.positions };
+  }
+
+  function summarize(list) {
+    const shown = list.slice(0, PREVIEW_LIST_MAX).join(', ');
+    return list.length > PREVIEW_LIST_MAX ? `${shown} and ${list.length - PREVIEW_LIST_MAX} more` : shown;
+  }
+
+  function renderImportPreview() {
+    const box = panel.querySelector('#admin-import-preview');
+    box.hidden = !pendingImport;
+    if (!pendingImport) return;
+    const { name, file } = pendingImport;
+    const diff = diffPositions(positions, importedMap());
+    box.querySelector('.admin-import-title').textContent =
+      `${name} · ${file.format.toUpperCase()} ${file.version ? `v${file.version}` : '(unversioned)'}` +
+      (file.propertyId && file.propertyId !== propertyId ? ` · exported for ${file.propertyId}` : '');
+    const ul = box.querySelector('.admin-import-diff');
+    ul.innerHTML = '';
+    const lines = [
+      ['added', `${diff.added.length} added`, diff.added],
+      ['moved', `${diff.moved.length} moved`, diff.moved.map((m) => `${m.unitNumber} (${round4(m.distance)})`)],
+      ['removed', `${diff.removed.length} removed`, diff.removed],
+      ['', `${diff.viewChanged.length} camera views changed`, diff.viewChanged],
+      ['', `${diff.unchanged} unchanged`, []],
+    ];
+    for (const [cls, label, list] of lines) {
+      const li = document.createElement('li');
+      li.className = cls;
+      // Unit numbers come from the file, so they go in as text.
+      li.textContent = list.length ? `${label}: ${summarize(list)}` : label;
+      ul.appendChild(li);
+    }
+    const rejected = box.querySelector('.admin-import-rejected');
+    rejected.hidden = !file.rejected.length;
+    rejected.textContent = `Skipped ${file.rejected.length}: ${summarize(
+      file.rejected.map((r) => `${r.row ? `row ${r.row}` : `unit ${r.unitNumber}`} (${r.reason})`)
+    )}`;
+    box.querySelector('#admin-import-apply').disabled =
+      !diff.added.length && !diff.moved.length && !diff.removed.length && !diff.viewChanged.length;
+  }
+
+  function applyImport() {
+    if (!pendingImport) return;
+    const { name } = pendingImport;
+    commitPositions(`Import ${name}`, importedMap());
+    pendingImport = null;
+    renderImportPreview();
+    setStatus(`Imported ${name}. Save draft to keep it; Undo reverts the import.`);
+  }
+
+  function cancelImport() {
+    pendingImport = null;
+    renderImportPreview();
+    setStatus('Import cancelled.');
+  }
+
+  function resetToDefaults() {
+    const defaults = getDefaultPositions();
+    const diff = diffPositions(positions, defaults);
+    if (!diff.added.length && !diff.moved.length && !diff.removed.length && !diff.viewChanged.length) {
+      setStatus('Positions already match the defaults.');
+      return;
+    }
+    const summary = `${diff.moved.length} moved, ${diff.removed.length} removed, ${diff.added.length} added`;
+    if (!confirm(`Reset every marker to the built-in defaults?\n\n${summary}. You can undo this.`)) return;
+    commitPositions('Reset to defaults', defaults);
+    setStatus('Reset to default positions. Save draft to keep it.');
+  }
+
+  async function discardDraft() {
+    if (!confirm('Delete the saved draft and reload the published positions? Unsaved changes are lost.')) return;
+    try {
+      await clearSavedPositions(positionStore);
+      const snap = await loadDraftPositions(positionStore);
+      draftRevision = snap.revision;
+      replaceAllPositions(snap.positions);
+      renderRevisions();
+      setStatus(`Draft discarded; editing published rev ${publishedRevision}.`);
+    } catch (err) {
+      setStatus(`Discard failed: ${err.message}`);
+    }
+  }
+
+  /** Feed units still missing a marker (click one to select it), plus positions for units no longer listed. */
+  function renderCoverage() {
+    const box = panel.querySelector('#admin-coverage');
+    const { missing, orphaned } = checkPositionCoverage(units, positions);
+    box.innerHTML = '';
+    box.classList.toggle('ok', !missing.length && !orphaned.length);
+    if (!missing.length && !orphaned.length) {
+      box.textContent = `All ${units.length} units have a position.`;
+      return;
+    }
+    if (missing.length) {
+      const p = document.createElement('p');
+      p.textContent = `${missing.length} of ${units.length} units have no position: `;
+      missing.forEach((n, i) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'admin-coverage-unit';
+        btn.textContent = n;
+        btn.title = 'Select it, then use Snap to surface to place it';
+        btn.addEventListener('click', () => selectUnit(n));
+        if (i) p.append(', ');
+        p.appendChild(btn);
+      });
+      box.appendChild(p);
+    }
+    if (orphaned.length) {
+      const p = document.createElement('p');
+      p.textContent = `Positions for units not in the feed: ${summarize(orphaned)}.`;
+      box.appendChild(p);
+    }
+  }
+
   function renderList() {
     const ul = panel.querySelector('#admin-unit-list');
     ul.innerHTML = '';
     for (const u of units) {
       const li = document.createElement('button');
       li.type = 'button';
-      li.className = 'admin-unit-row' + (selected === u.unitNumber ? ' active' : '');
-      li.innerHTML = `<span class="admin-unit-num">Unit ${u.unitNumber}</span><span class="admin-unit-meta">${u.beds}bd · $${u.price}${u.available ? '' : ' · Leased'}</span>`;
-      li.addEventListener('click', () => selectUnit(u.unitNumber));
+      li.className = 'admin-unit-row' + (selection.includes(u.unitNumber) ? ' active' : '');
+      li.innerHTML = `<span class="admin-unit-num">Unit ${u.unitNumber}</span><span class="admin-unit-meta">${u.beds}bd · $${u.price}${u.available ? '' : ` · ${DEFAULT_STATUS_PALETTE[getUnitStatus(u)].label}`}${positions[u.unitNumber] ? '' : ' · <span class="admin-unit-unplaced">no position</span>'}</span>`;
+      li.addEventListener('click', (ev) =>
+        selectUnit(u.unitNumber, { range: ev.shiftKey, additive: ev.ctrlKey || ev.metaKey })
+      );
       ul.appendChild(li);
     }
   }
 
-  panel.querySelector('#admin-save').addEventListener('click', saveAll);
+  panel.querySelector('#admin-save').addEventListener('click', saveDraft);
+  panel.querySelector('#admin-publish').addEventListener('click', publish);
   panel.querySelector('#admin-copy').addEventListener('click', copyJson);
   panel.querySelector('#admin-apply-pos').addEventListener('click', applyInputs);
+  panel.querySelector('#admin-view-capture').addEventListener('click', captureView);
+  panel.querySelector('#admin-view-preview').addEventListener('click', previewView);
+  panel.querySelector('#admin-view-clear').addEventListener('click', clearView);
+  panel.querySelector('#admin-stack-select').addEventListener('click', selectFloor);
+  panel.querySelector('#admin-stack-apply').addEventListener('click', stackFloors);
+  panel.querySelector('#admin-row').addEventListener('click', layoutRow);
+  panel.querySelector('#admin-snap').addEventListener('click', () => setSnapArmed(!snapArmed));
+  panel.querySelector('#admin-undo').addEventListener('click', undo);
+  panel.querySelector('#admin-export-json').addEventListener('click', () => exportFile('json'));
+  panel.querySelector('#admin-export-csv').addEventListener('click', () => exportFile('csv'));
+  panel.querySelector('#admin-import').addEventListener('click', () => panel.querySelector('#admin-import-file').click());
+  panel.querySelector('#admin-import-file').addEventListener('change', readImportFile);
+  panel.querySelector('#admin-import-keep').addEventListener('change', renderImportPreview);
+  panel.querySelector('#admin-import-apply').addEventListener('click', applyImport);
+  panel.querySelector('#admin-import-cancel').addEventListener('click', cancelImport);
+  panel.querySelector('#admin-reset-defaults').addEventListener('click', resetToDefaults);
+  panel.querySelector('#admin-discard-draft').addEventListener('click', discardDraft);
+  panel.querySelector('#admin-redo').addEventListener('click', redo);
   panel.querySelector('#back-to-viewer').addEventListener('click', () => {
     window.location.href = 'index.html';
   });
+  renderer.domElement.addEventListener('pointerdown', onCanvasPointerDown);
+  renderer.domElement.addEventListener('pointerup', onCanvasPointerUp);
+  window.addEventListener('keydown', onKeyDown);
 
   renderList();
+  renderRevisions();
+  renderFloorOptions();
+  renderCoverage();
+  syncView();
+  syncTools();
+
+  if (ctx.loadError) {
+    setStatus(`Could not load the saved positions (${ctx.loadError.message}). Showing the defaults; reload to try again.`);
+  }
 
   return {
     frame() {
+      flight.update();
       markers.update();
     },
     dispose() {
+      flight.dispose();
       transform.dispose();
       scene.remove(transform);
+      scene.remove(pivot);
+      renderer.domElement.removeEventListener('pointerdown', onCanvasPointerDown);
+      renderer.domElement.removeEventListener('pointerup', onCanvasPointerUp);
+      window.removeEventListener('keydown', onKeyDown);
       markers.dispose();
     },
   };
@@ -177,16 +724,69 @@ function ensurePanel() {
       <h1>Unit placement</h1>
       <button type="button" id="back-to-viewer" class="admin-link-btn">← Public viewer</button>
     </div>
-    <p id="admin-status" class="admin-status">Click a unit below or tap a marker in the 3D view — then drag the gizmo arrows to reposition it.</p>
+    <p id="admin-revision" class="admin-status"></p>
+    <p id="admin-status" class="admin-status">Click a unit below or tap a marker in the 3D view — then drag the gizmo arrows to reposition it. Shift/Ctrl-click to select several.</p>
     <div id="admin-unit-list" class="admin-unit-list"></div>
+    <p id="admin-selection" class="admin-status"></p>
     <div class="admin-pos-grid">
       <label>X <input id="admin-pos-x" type="number" step="0.001" /></label>
       <label>Y <input id="admin-pos-y" type="number" step="0.001" /></label>
       <label>Z <input id="admin-pos-z" type="number" step="0.001" /></label>
     </div>
     <button type="button" id="admin-apply-pos" class="admin-primary">Apply numbers</button>
+    <div class="admin-view">
+      <p id="admin-view-state" class="admin-status"></p>
+      <div class="admin-view-actions">
+        <button type="button" id="admin-view-capture" class="admin-secondary" title="Use the current camera as this unit's fly-to view">Capture view</button>
+        <button type="button" id="admin-view-preview" class="admin-secondary">Preview</button>
+        <button type="button" id="admin-view-clear" class="admin-secondary">Clear</button>
+      </div>
+    </div>
+    <div class="admin-bulk">
+      <div class="admin-pos-grid">
+        <label>Floor <select id="admin-stack-floor"></select></label>
+        <label>Floors up <input id="admin-stack-count" type="number" min="1" step="1" value="1" /></label>
+        <label>Height <input id="admin-stack-height" type="number" step="0.001" /></label>
+      </div>
+      <div class="admin-view-actions">
+        <button type="button" id="admin-stack-select" class="admin-secondary">Select floor</button>
+        <button type="button" id="admin-stack-apply" class="admin-secondary" title="Copy this floor's positions to the floors above, raised by Height per floor">Copy up</button>
+      </div>
+      <div class="admin-view-actions">
+        <button type="button" id="admin-row" class="admin-secondary" title="Space the selected units evenly between the first and last selected">Row</button>
+        <button type="button" id="admin-snap" class="admin-secondary" title="Click the splat to drop the selected unit on its surface">Snap to surface</button>
+      </div>
+      <div class="admin-view-actions">
+        <button type="button" id="admin-undo" class="admin-secondary">Undo</button>
+        <button type="button" id="admin-redo" class="admin-secondary">Redo</button>
+      </div>
+    </div>
+    <div class="admin-file">
+      <div class="admin-view-actions">
+        <button type="button" id="admin-export-json" class="admin-secondary">Export JSON</button>
+        <button type="button" id="admin-export-csv" class="admin-secondary">Export CSV</button>
+        <button type="button" id="admin-import" class="admin-secondary">Import…</button>
+      </div>
+      <input id="admin-import-file" type="file" accept=".json,.csv,application/json,text/csv" hidden />
+      <div id="admin-import-preview" class="admin-import-preview" hidden>
+        <p class="admin-import-title"></p>
+        <ul class="admin-import-diff"></ul>
+        <p class="admin-import-rejected"></p>
+        <label class="admin-import-keep"><input id="admin-import-keep" type="checkbox" /> Keep units that are not in the file</label>
+        <div class="admin-view-actions">
+          <button type="button" id="admin-import-apply" class="admin-primary">Apply import</button>
+          <button type="button" id="admin-import-cancel" class="admin-secondary">Cancel</button>
+        </div>
+      </div>
+      <div class="admin-view-actions">
+        <button type="button" id="admin-reset-defaults" class="admin-secondary">Reset to defaults</button>
+        <button type="button" id="admin-discard-draft" class="admin-secondary" title="Delete the saved draft and reload from published">Discard draft</button>
+      </div>
+      <div id="admin-coverage" class="admin-coverage"></div>
+    </div>
     <div class="admin-actions">
-      <button type="button" id="admin-save" class="admin-primary">Save positions</button>
+      <button type="button" id="admin-save" class="admin-secondary">Save draft</button>
+      <button type="button" id="admin-publish" class="admin-primary">Publish to viewer</button>
       <button type="button" id="admin-copy" class="admin-secondary">Copy positions JSON</button>
     </div>
   `;
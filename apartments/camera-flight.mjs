@@ -0,0 +1,72 @@
+import { Vector3 } from 'three';
+
+const DEFAULT_DURATION_MS = 900;
+
+/** Same curve as Copper-Rock's tap-focus transition. */
+export function easeOutCubic(t) {
+  return 1 - Math.pow(1 - t, 3);
+}
+
+/**
+ * Animated camera + OrbitControls target moves. Call `update()` every frame;
+ * any user drag on the controls cancels the flight in progress.
+ * @param {{ camera: import('three').PerspectiveCamera, controls: import('three').OrbitControls }} opts
+ */
+export function createCameraFlight({ camera, controls }) {
+  const flight = {
+    active: false,
+    startedAt: 0,
+    durationMs: DEFAULT_DURATION_MS,
+    startPosition: new Vector3(),
+    endPosition: new Vector3(),
+    startTarget: new Vector3(),
+    endTarget: new Vector3(),
+    onDone: /** @type {(() => void) | null} */ (null),
+  };
+
+  function cancel() {
+    flight.active = false;
+    flight.onDone = null;
+  }
+
+  controls.addEventListener('start', cancel);
+
+  return {
+    /**
+     * @param {{ position: { x: number, y: number, z: number }, target: { x: number, y: number, z: number } }} pose
+     * @param {{ durationMs?: number, onDone?: () => void }} [opts]
+     */
+    flyTo(pose, opts = {}) {
+      flight.active = true;
+      flight.startedAt = performance.now();
+      flight.durationMs = Number.isFinite(opts.durationMs) ? Math.max(1, opts.durationMs) : DEFAULT_DURATION_MS;
+      flight.startPosition.copy(camera.position);
+      flight.startTarget.copy(controls.target);
+      flight.endPosition.set(pose.position.x, pose.position.y, pose.position.z);
+      flight.endTarget.set(pose.target.x, pose.target.y, pose.target.z);
+      flight.onDone = opts.onDone || null;
+    },
+    /** @returns {boolean} true while a flight is moving the camera */
+    update(now = performance.now()) {
+      if (!flight.active) return false;
+      const progress = Math.min(Math.max(0, now - flight.startedAt) / flight.durationMs, 1);
+      const eased = easeOutCubic(progress);
+      camera.position.lerpVectors(flight.startPosition, flight.endPosition, eased);
+      controls.target.lerpVectors(flight.startTarget, flight.endTarget, eased);
+      if (progress >= 1) {
+        const done = flight.onDone;
+        cancel();
+        if (done) done();
+      }
+      return true;
+    },
+    cancel,
+    isActive() {
+      return flight.active;
+    },
+    dispose() {
+      cancel();
+      controls.removeEventListener('start', cancel);
+    },
+  };
+}
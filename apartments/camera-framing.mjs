@@ -0,0 +1,105 @@
+/**
+ * Where the viewer's camera flies to when a unit is selected: the framing pose
+ * and how far to slide it so the unit is not hidden behind the card or the
+ * search panel. Plain { x, y, z } math with no DOM or Three.js, so it can be
+ * tested in Node; camera-flight.mjs animates the result.
+ */
+
+const FRAME_DISTANCE = 0.9;
+const MIN_ELEVATION = 0.25;
+
+/** @typedef {{ x: number, y: number, z: number }} Vec3 */
+/** @typedef {{ position: Vec3, target: Vec3 }} CameraPose */
+
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const scale = (a, s) => ({ x: a.x * s, y: a.y * s, z: a.z * s });
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const length = (a) => Math.hypot(a.x, a.y, a.z);
+
+function normalize(a) {
+  const len = length(a);
+  return len > 0 ? { x: a.x / len, y: a.y / len, z: a.z / len } : { x: 0, y: 0, z: 0 };
+}
+
+/**
+ * Camera pose that frames `point` from the direction the camera is already
+ * looking, pulled in to `distance` and kept at least MIN_ELEVATION above it.
+ * @param {Vec3} point
+ * @param {Vec3} fromPosition
+ * @param {number} [distance]
+ * @returns {CameraPose}
+ */
+export function framePoint(point, fromPosition, distance = FRAME_DISTANCE) {
+  const target = { x: point.x, y: point.y, z: point.z };
+  let dir = sub(fromPosition, target);
+  if (length(dir) < 1e-4) dir = { x: 0, y: 1, z: 1 };
+  dir = normalize(dir);
+  if (dir.y < MIN_ELEVATION) dir = normalize({ ...dir, y: MIN_ELEVATION });
+  return { position: add(target, scale(dir, distance)), target };
+}
+
+/**
+ * Centre of the part of the viewport not covered by overlay panels, in NDC.
+ * Narrow panels push the free area sideways; near-full-width sheets (the unit
+ * card on phones) push it up or down. Falls back to the screen centre when
+ * the overlays leave less than a fifth of the screen, or the viewport has no
+ * size yet.
+ * @param {Array<{ left: number, right: number, top: number, bottom: number, width: number, height: number } | null>} rects
+ * @param {number} width
+ * @param {number} height
+ */
+export function freeAreaNdc(rects, width, height) {
+  if (!(width > 0 && height > 0)) return { x: 0, y: 0 };
+  let left = 0;
+  let right = width;
+  let top = 0;
+  let bottom = height;
+  for (const r of rects) {
+    if (!r || r.width <= 0 || r.height <= 0) continue;
+    if (r.width >= width * 0.7) {
+      if (r.top + r.height / 2 < height / 2) top = Math.max(top, r.bottom);
+      else bottom = Math.min(bottom, r.top);
+    } else if (r.left + r.width / 2 < width / 2) {
+      left = Math.max(left, r.right);
+    } else {
+      right = Math.min(right, r.left);
+    }
+  }
+  if (right - left < width * 0.2) {
+    left = 0;
+    right = width;
+  }
+  if (bottom - top < height * 0.2) {
+    top = 0;
+    bottom = height;
+  }
+  return {
+    x: (left + right) / width - 1,
+    y: 1 - (top + bottom) / height,
+  };
+}
+
+/**
+ * Slide a pose sideways so its target lands at `ndc` on screen instead of the
+ * centre (camera and target move together; the viewing angle is unchanged).
+ * @param {CameraPose} pose
+ * @param {{ up: Vec3, fov: number, aspect: number }} camera
+ * @param {{ x: number, y: number }} ndc
+ * @returns {CameraPose}
+ */
+export function offsetPoseForOverlay(pose, camera, ndc) {
+  const position = { x: pose.position.x, y: pose.position.y, z: pose.position.z };
+  const target = { x: pose.target.x, y: pose.target.y, z: pose.target.z };
+  if (Math.abs(ndc.x) < 1e-3 && Math.abs(ndc.y) < 1e-3) return { position, target };
+  const toTarget = sub(target, position);
+  const dist = length(toTarget);
+  if (dist < 1e-6) return { position, target };
+  const forward = normalize(toTarget);
+  const right = normalize(cross(forward, camera.up));
+  const up = normalize(cross(right, forward));
+  const halfH = dist * Math.tan((camera.fov * Math.PI) / 360);
+  const halfW = halfH * camera.aspect;
+  const shift = add(scale(right, -ndc.x * halfW), scale(up, -ndc.y * halfH));
+  return { position: add(position, shift), target: add(target, shift) };
+}
@@ -0,0 +1,212 @@
+/**
+ * Bulk marker placement for the admin dashboard. Every operation takes a
+ * positions map and returns a new one (the input is never mutated), so the
+ * dashboard can hand the before/after pair to createPlacementHistory() for
+ * undo/redo.
+ */
+
+import { getUnitFloor } from './unit-filters.mjs';
+
+/** @typedef {import('./position-stores.mjs').Vec3} Vec3 */
+/** @typedef {import('./position-stores.mjs').UnitPosition} UnitPosition */
+/** @typedef {Record<string, UnitPosition>} PositionsMap */
+/** @typedef {import('./units-data.mjs').Unit} Unit */
+
+const HISTORY_LIMIT = 100;
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+/** Keeps any saved camera view; only the marker point moves. */
+function withPoint(entry, x, y, z) {
+  return { ...(entry || {}), x: round4(x), y: round4(y), z: round4(z) };
+}
+
+/**
+ * @param {PositionsMap} map
+ * @param {string[]} unitNumbers
+ * @param {Vec3} delta
+ * @returns {PositionsMap}
+ */
+export function translatePositions(map, unitNumbers, delta) {
+  const next = { ...map };
+  for (const n of unitNumbers) {
+    const p = map[n];
+    if (p) next[n] = withPoint(p, p.x + delta.x, p.y + delta.y, p.z + delta.z);
+  }
+  return next;
+}
+
+/**
+ * @param {PositionsMap} map
+ * @param {string} unitNumber
+ * @param {Vec3} point
+ * @returns {PositionsMap}
+ */
+export function snapPosition(map, unitNumber, point) {
+  return { ...map, [unitNumber]: withPoint(map[unitNumber], point.x, point.y, point.z) };
+}
+
+/** "305" on floor 3 → "05"; null when the number does not start with its floor. */
+export function unitStackKey(unit) {
+  const floor = getUnitFloor(unit);
+  if (floor === null) return null;
+  const prefix = String(floor);
+  return unit.unitNumber.startsWith(prefix) && unit.unitNumber.length > prefix.length
+    ? unit.unitNumber.slice(prefix.length)
+    : null;
+}
+
+/**
+ * Copy every placed unit on `fromFloor` to the same stack position on the next
+ * `copies` floors, raised by `heightOffset` per floor (305 → 405, 505, …).
+ * @param {PositionsMap} map
+ * @param {Unit[]} units
+ * @param {{ fromFloor: number, copies?: number, heightOffset: number }} opts
+ * @returns {{ map: PositionsMap, written: string[], missing: string[] }}
+ *   `missing` lists target numbers (e.g. "509") that are not in the unit feed.
+ */
+export function stackFloorPositions(map, units, { fromFloor, copies = 1, heightOffset }) {
+  const byFloorAndKey = new Map();
+  for (const u of units) {
+    const key = unitStackKey(u);
+    if (key !== null) byFloorAndKey.set(`${getUnitFloor(u)}:${key}`, u.unitNumber);
+  }
+  const next = { ...map };
+  const written = [];
+  const missing = [];
+  for (const u of units) {
+    if (getUnitFloor(u) !== fromFloor || !map[u.unitNumber]) continue;
+    const key = unitStackKey(u);
+    if (key === null) continue;
+    const src = map[u.unitNumber];
+    for (let i = 1; i <= copies; i++) {
+      const target = byFloorAndKey.get(`${fromFloor + i}:${key}`);
+      if (!target) {
+        missing.push(`${fromFloor + i}${key}`);
+        continue;
+      }
+      next[target] = withPoint(map[target], src.x, src.y + heightOffset * i, src.z);
+      written.push(target);
+    }
+  }
+  return { map: next, written, missing };
+}
+
+/**
+ * Median height between vertically adjacent placed units of the same stack
+ * (e.g. 305 → 405), used as the default stack offset. Null when no pair exists.
+ * @param {PositionsMap} map
+ * @param {Unit[]} units
+ * @returns {number | null}
+ */
+export function estimateFloorHeight(map, units) {
+  const yByFloorAndKey = new Map();
+  for (const u of units) {
+    const key = unitStackKey(u);
+    if (key !== null && map[u.unitNumber]) yByFloorAndKey.set(`${getUnitFloor(u)}:${key}`, map[u.unitNumber].y);
+  }
+  const gaps = [];
+  for (const u of units) {
+    const key = unitStackKey(u);
+    if (key === null || !map[u.unitNumber]) continue;
+    const above = yByFloorAndKey.get(`${getUnitFloor(u) + 1}:${key}`);
+    if (above !== undefined) gaps.push(above - map[u.unitNumber].y);
+  }
+  if (!gaps.length) return null;
+  gaps.sort((a, b) => a - b);
+  return round4(gaps[Math.floor(gaps.length / 2)]);
+}
+
+/**
+ * Space `unitNumbers` evenly on the line between the first and last unit's
+ * current positions (both endpoints must already be placed).
+ * @param {PositionsMap} map
+ * @param {string[]} unitNumbers In row order.
+ * @returns {PositionsMap}
+ */
+export function layoutRowPositions(map, unitNumbers) {
+  if (unitNumbers.length < 3) throw new Error('Select at least three units to lay out a row');
+  const first = unitNumbers[0];
+  const last = unitNumbers[unitNumbers.length - 1];
+  const start = map[first];
+  const end = map[last];
+  if (!start || !end) throw new Error(`Place units ${first} and ${last} first; they are the row's endpoints`);
+  const next = { ...map };
+  const steps = unitNumbers.length - 1;
+  unitNumbers.forEach((n, i) => {
+    if (i === 0 || i === steps) return;
+    const t = i / steps;
+    next[n] = withPoint(map[n], start.x + (end.x - start.x) * t, start.y + (end.y - start.y) * t, start.z + (end.z - start.z) * t);
+  });
+  return next;
+}
+
+/**
+ * Undo/redo over positions maps. `commit()` stores only the units that
+ * changed, so a 200-unit stack costs 200 entries, not 200 maps.
+ * @param {{ limit?: number }} [opts]
+ */
+export function createPlacementHistory(opts = {}) {
+  const limit = opts.limit || HISTORY_LIMIT;
+  /** @type {{ label: string, before: Record<string, UnitPosition | null>, after: Record<string, UnitPosition | null> }[]} */
+  const undoStack = [];
+  const redoStack = [];
+
+  function apply(map, entries) {
+    const next = { ...map };
+    for (const [n, value] of Object.entries(entries)) {
+      if (value) next[n] = JSON.parse(JSON.stringify(value));
+      else delete next[n];
+    }
+    return next;
+  }
+
+  return {
+    /**
+     * @param {string} label
+     * @param {PositionsMap} prev
+     * @param {PositionsMap} next
+     * @returns {boolean} false when nothing changed (no entry is recorded)
+     */
+    commit(label, prev, next) {
+      const before = {};
+      const after = {};
+      for (const n of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+        const a = prev[n] ? JSON.stringify(prev[n]) : null;
+        const b = next[n] ? JSON.stringify(next[n]) : null;
+        if (a === b) continue;
+        before[n] = a && JSON.parse(a);
+        after[n] = b && JSON.parse(b);
+      }
+      if (!Object.keys(after).length) return false;
+      undoStack.push({ label, before, after });
+      if (undoStack.length > limit) undoStack.shift();
+      redoStack.length = 0;
+      return true;
+    },
+    /** @returns {{ map: PositionsMap, label: string, units: string[] } | null} */
+    undo(map) {
+      const step = undoStack.pop();
+      if (!step) return null;
+      redoStack.push(step);
+      return { map: apply(map, step.before), label: step.label, units: Object.keys(step.before) };
+    },
+    /** @returns {{ map: PositionsMap, label: string, units: string[] } | null} */
+    redo(map) {
+      const step = redoStack.pop();
+      if (!step) return null;
+      undoStack.push(step);
+      return { map: apply(map, step.after), label: step.label, units: Object.keys(step.after) };
+    },
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    peekUndo: () => (undoStack.length ? undoStack[undoStack.length - 1].label : null),
+    peekRedo: () => (redoStack.length ? redoStack[redoStack.length - 1].label : null),
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+    },
+  };
+}
@@ -0,0 +1,276 @@
+/**
+ * Marker-position storage backends.
+ *
+ * Every backend keeps two channels per property — `draft` (what managers edit
+ * in admin.html) and `published` (what index.html visitors see) — and exposes
+ * the same async interface:
+ *
+ *   load(channel)                               → PositionsSnapshot | null
+ *   save(channel, positions, { baseRevision })  → PositionsSnapshot
+ *   clear(channel)                              → void
+ *
+ * Saves are versioned: each one bumps `revision`. Passing `baseRevision` makes
+ * the save conditional — if someone else saved in the meantime the backend
+ * throws PositionsConflictError carrying their snapshot instead of clobbering it.
+ */
+
+/** @typedef {{ x: number, y: number, z: number }} Vec3 */
+/** @typedef {{ position: Vec3, target: Vec3 }} UnitViewpoint */
+/** @typedef {Vec3 & { view?: UnitViewpoint }} UnitPosition */
+/** @typedef {'draft' | 'published'} PositionsChannel */
+/**
+ * @typedef {object} PositionsSnapshot
+ * @property {number} revision
+ * @property {Record<string, UnitPosition>} positions
+ * @property {string | null} savedAt
+ * @property {number | null} sourceRevision  Draft revision a published snapshot was made from.
+ */
+/**
+ * @typedef {object} PositionStore
+ * @property {string} kind
+ * @property {(channel: PositionsChannel) => Promise<PositionsSnapshot | null>} load
+ * @property {(channel: PositionsChannel, positions: Record<string, Vec3>, opts?: { baseRevision?: number, sourceRevision?: number }) => Promise<PositionsSnapshot>} save
+ * @property {(channel: PositionsChannel) => Promise<void>} clear
+ */
+
+export class PositionsConflictError extends Error {
+  /**
+   * @param {PositionsChannel} channel
+   * @param {PositionsSnapshot | null} remote
+   */
+  constructor(channel, remote) {
+    super(`Positions ${channel} changed remotely (now revision ${remote ? remote.revision : 0})`);
+    this.name = 'PositionsConflictError';
+    this.channel = channel;
+    this.remote = remote;
+  }
+}
+
+function isVec3(v) {
+  return !!v && Number.isFinite(v.x) && Number.isFinite(v.y) && Number.isFinite(v.z);
+}
+
+/** @returns {Record<string, UnitPosition>} */
+export function sanitizePositionsMap(map) {
+  const out = {};
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return out;
+  for (const [k, v] of Object.entries(map)) {
+    if (!isVec3(v)) continue;
+    out[k] = { x: v.x, y: v.y, z: v.z };
+    if (v.view && isVec3(v.view.position) && isVec3(v.view.target)) {
+      out[k].view = {
+        position: { x: v.view.position.x, y: v.view.position.y, z: v.view.position.z },
+        target: { x: v.view.target.x, y: v.view.target.y, z: v.view.target.z },
+      };
+    }
+  }
+  return out;
+}
+
+/**
+ * Accepts `{ revision, positions, savedAt }`, the legacy `{ v: 1, positions, savedAt }`
+ * localStorage body, or a bare unit → Vec3 map.
+ * @returns {PositionsSnapshot | null}
+ */
+function toSnapshot(body) {
+  if (!body || typeof body !== 'object') return null;
+  const hasEnvelope = body.positions && typeof body.positions === 'object';
+  const positions = sanitizePositionsMap(hasEnvelope ? body.positions : body);
+  const revision = Number.isInteger(body.revision) ? body.revision : 1;
+  const savedAt = hasEnvelope && typeof body.savedAt === 'string' ? body.savedAt : null;
+  const sourceRevision = Number.isInteger(body.sourceRevision) ? body.sourceRevision : null;
+  return { revision, positions, savedAt, sourceRevision };
+}
+
+function checkBase(channel, current, baseRevision) {
+  if (baseRevision === undefined) return;
+  const currentRevision = current ? current.revision : 0;
+  if (currentRevision !== baseRevision) throw new PositionsConflictError(channel, current);
+}
+
+/**
+ * Browser-local backend. The draft channel keeps the original
+ * `apartments:positions:v1` key so placements saved before channels existed
+ * are picked up as the first draft.
+ * @param {{ storage?: Storage, keys?: Record<PositionsChannel, string> }} [opts]
+ * @returns {PositionStore}
+ */
+export function createLocalPositionStore(opts = {}) {
+  const storage = opts.storage || globalThis.localStorage;
+  const keys = opts.keys || {
+    draft: 'apartments:positions:v1',
+    published: 'apartments:positions:published:v1',
+  };
+
+  async function load(channel) {
+    try {
+      const raw = storage.getItem(keys[channel]);
+      return raw ? toSnapshot(JSON.parse(raw)) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  return {
+    kind: 'local',
+    load,
+    async save(channel, positions, { baseRevision, sourceRevision } = {}) {
+      const current = await load(channel);
+      checkBase(channel, current, baseRevision);
+      const snapshot = {
+        revision: (current ? current.revision : 0) + 1,
+        positions: sanitizePositionsMap(positions),
+        savedAt: new Date().toISOString(),
+        sourceRevision: Number.isInteger(sourceRevision) ? sourceRevision : null,
+      };
+      storage.setItem(keys[channel], JSON.stringify({ v: 1, ...snapshot }));
+      return snapshot;
+    },
+    async clear(channel) {
+      try {
+        storage.removeItem(keys[channel]);
+      } catch (_) {
+        /* ignore */
+      }
+    },
+  };
+}
+
+/**
+ * Generic REST backend.
+ *
+ *   GET    {baseUrl}/{channel}  → 200 PositionsSnapshot | 404
+ *   PUT    {baseUrl}/{channel}  ← { positions, baseRevision, sourceRevision }
+ *                               → 200 PositionsSnapshot | 409 current PositionsSnapshot
+ *   DELETE {baseUrl}/{channel}
+ * @param {{ baseUrl: string, headers?: Record<string, string>, fetchImpl?: typeof fetch }} opts
+ * @returns {PositionStore}
+ */
+export function createRestPositionStore(opts) {
+  const { baseUrl, headers = {} } = opts;
+  const fetchImpl = opts.fetchImpl || fetch;
+  const url = (channel) => `${String(baseUrl).replace(/\/+$/, '')}/${channel}`;
+
+  return {
+    kind: 'rest',
+    async load(channel) {
+      const res = await fetchImpl(url(channel), { headers: { Accept: 'application/json', ...headers } });
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`Positions ${channel} ${res.status}`);
+      return toSnapshot(await res.json());
+    },
+    async save(channel, positions, { baseRevision, sourceRevision } = {}) {
+      const res = await fetchImpl(url(channel), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+        body: JSON.stringify({ positions: sanitizePositionsMap(positions), baseRevision, sourceRevision }),
+      });
+      if (res.status === 409) {
+        let remote = null;
+        try {
+          remote = toSnapshot(await res.json());
+        } catch (_) {
+          /* conflict without body */
+        }
+        throw new PositionsConflictError(channel, remote);
+      }
+      if (!res.ok) throw new Error(`Positions ${channel} ${res.status}`);
+      return toSnapshot(await res.json());
+    },
+    async clear(channel) {
+      const res = await fetchImpl(url(channel), { method: 'DELETE', headers });
+      if (!res.ok && res.status !== 404) throw new Error(`Positions ${channel} ${res.status}`);
+    },
+  };
+}
+
+/**
+ * Supabase backend over PostgREST (no client library needed). Expected table:
+ *
+ *   create table apartment_unit_positions (
+ *     property_id     text        not null,
+ *     channel         text        not null check (channel in ('draft', 'published')),
+ *     revision        integer     not null,
+ *     positions       jsonb       not null,
+ *     saved_at        timestamptz not null default now(),
+ *     source_revision integer,
+ *     primary key (property_id, channel)
+ *   );
+ *
+ * Conditional saves PATCH with `revision=eq.<base>`; an empty result means
+ * another manager got there first.
+ * @param {{ url: string, anonKey: string, accessToken?: string, propertyId: string, table?: string, fetchImpl?: typeof fetch }} opts
+ * @returns {PositionStore}
+ */
+export function createSupabasePositionStore(opts) {
+  const { url, anonKey, accessToken, propertyId, table = 'apartment_unit_positions' } = opts;
+  const fetchImpl = opts.fetchImpl || fetch;
+  const endpoint = `${String(url).replace(/\/+$/, '')}/rest/v1/${table}`;
+  const headers = {
+    apikey: anonKey,
+    Authorization: `Bearer ${accessToken || anonKey}`,
+    'Content-Type': 'application/json',
+    Accept: 'application/json',
+  };
+  const filter = (channel) =>
+    `property_id=eq.${encodeURIComponent(propertyId)}&channel=eq.${encodeURIComponent(channel)}`;
+
+  function fromRow(row) {
+    if (!row) return null;
+    return toSnapshot({
+      revision: row.revision,
+      positions: row.positions,
+      savedAt: row.saved_at,
+      sourceRevision: row.source_revision,
+    });
+  }
+
+  async function load(channel) {
+    const res = await fetchImpl(`${endpoint}?${filter(channel)}&select=revision,positions,saved_at,source_revision`, {
+      headers,
+    });
+    if (!res.ok) throw new Error(`Supabase positions ${channel} ${res.status}`);
+    const rows = await res.json();
+    return fromRow(rows[0]);
+  }
+
+  return {
+    kind: 'supabase',
+    load,
+    async save(channel, positions, { baseRevision, sourceRevision } = {}) {
+      let base = baseRevision;
+      if (base === undefined) {
+        const current = await load(channel);
+        base = current ? current.revision : 0;
+      }
+      const row = {
+        revision: base + 1,
+        positions: sanitizePositionsMap(positions),
+        saved_at: new Date().toISOString(),
+        source_revision: Number.isInteger(sourceRevision) ? sourceRevision : null,
+      };
+      const prefer = { ...headers, Prefer: 'return=representation' };
+      const res =
+        base === 0
+          ? await fetchImpl(endpoint, {
+              method: 'POST',
+              headers: prefer,
+              body: JSON.stringify({ property_id: propertyId, channel, ...row }),
+            })
+          : await fetchImpl(`${endpoint}?${filter(channel)}&revision=eq.${base}`, {
+              method: 'PATCH',
+              headers: prefer,
+              body: JSON.stringify(row),
+            });
+      if (res.status === 409) throw new PositionsConflictError(channel, await load(channel));
+      if (!res.ok) throw new Error(`Supabase positions ${channel} ${res.status}`);
+      const rows = await res.json();
+      if (!rows.length) throw new PositionsConflictError(channel, await load(channel));
+      return fromRow(rows[0]);
+    },
+    async clear(channel) {
+      const res = await fetchImpl(`${endpoint}?${filter(channel)}`, { method: 'DELETE', headers });
+      if (!res.ok) throw new Error(`Supabase positions ${channel} ${res.status}`);
+    },
+  };
+}
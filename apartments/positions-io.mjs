@@ -0,0 +1,211 @@
+/**
+ * File import/export for marker positions (admin "Export JSON/CSV" and
+ * "Import file"). Both formats carry a schema version so a file written by a
+ * newer dashboard is refused instead of half-read:
+ *
+ *   JSON  { "format": "apartments-positions", "version": 1, "propertyId": "canyon-vista",
+ *           "exportedAt": "…", "positions": { "305": { "x": …, "view": { … } } } }
+ *   CSV   # apartments-positions v1
+ *         unit,x,y,z,view_x,view_y,view_z,target_x,target_y,target_z
+ *
+ * A bare `{ "305": { x, y, z } }` map (the old "Copy positions JSON" output)
+ * and a CSV without the version line are read as unversioned v1 files.
+ */
+
+import { sanitizePositionsMap } from './position-stores.mjs';
+import { parseCsv } from './unit-feed-adapters.mjs';
+
+/** @typedef {import('./position-stores.mjs').UnitPosition} UnitPosition */
+/** @typedef {Record<string, UnitPosition>} PositionsMap */
+
+export const POSITIONS_FILE_FORMAT = 'apartments-positions';
+export const POSITIONS_FILE_VERSION = 1;
+
+const CSV_COLUMNS = ['unit', 'x', 'y', 'z', 'view_x', 'view_y', 'view_z', 'target_x', 'target_y', 'target_z'];
+const VIEW_COLUMNS = CSV_COLUMNS.slice(4);
+const CSV_VERSION_RE = /^#\s*apartments-positions\s+v(\d+)\s*$/i;
+/** Moves smaller than this (splat units) are rounding noise, not edits. */
+const MOVE_EPSILON = 1e-4;
+
+const byUnitNumber = (a, b) => a.localeCompare(b, 'en', { numeric: true });
+
+function csvCell(value) {
+  const s = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * @param {PositionsMap} map
+ * @param {'json' | 'csv'} format
+ * @param {{ propertyId?: string, exportedAt?: string }} [meta]
+ * @returns {string}
+ */
+export function serializePositions(map, format, meta = {}) {
+  const positions = sanitizePositionsMap(map);
+  const units = Object.keys(positions).sort(byUnitNumber);
+  if (format === 'csv') {
+    const lines = [`# ${POSITIONS_FILE_FORMAT} v${POSITIONS_FILE_VERSION}`, CSV_COLUMNS.join(',')];
+    for (const n of units) {
+      const p = positions[n];
+      const v = p.view;
+      const cells = [n, p.x, p.y, p.z];
+      cells.push(...(v ? [v.position.x, v.position.y, v.position.z, v.target.x, v.target.y, v.target.z] : ['', '', '', '', '', '']));
+      lines.push(cells.map(csvCell).join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+  if (format !== 'json') throw new Error(`Unknown positions format "${format}"`);
+  const sorted = {};
+  for (const n of units) sorted[n] = positions[n];
+  return JSON.stringify(
+    {
+      format: POSITIONS_FILE_FORMAT,
+      version: POSITIONS_FILE_VERSION,
+      propertyId: meta.propertyId || null,
+      exportedAt: meta.exportedAt || new Date().toISOString(),
+      positions: sorted,
+    },
+    null,
+    2
+  );
+}
+
+function checkVersion(version) {
+  if (version > POSITIONS_FILE_VERSION) {
+    throw new Error(`Positions file is version ${version}; this dashboard reads up to v${POSITIONS_FILE_VERSION}`);
+  }
+}
+
+function parseJsonFile(text) {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Positions file is not valid JSON (${err.message})`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('Positions JSON must be an object');
+  const hasEnvelope = body.format === POSITIONS_FILE_FORMAT || (body.positions && typeof body.positions === 'object');
+  const version = hasEnvelope && Number.isInteger(body.version) ? body.version : null;
+  if (version !== null) checkVersion(version);
+  const raw = hasEnvelope ? body.positions || {} : body;
+  const positions = {};
+  const rejected = [];
+  for (const [unitNumber, value] of Object.entries(raw)) {
+    const clean = sanitizePositionsMap({ [unitNumber]: value })[unitNumber];
+    if (clean) positions[unitNumber] = clean;
+    else rejected.push({ row: null, unitNumber, reason: 'invalid position' });
+  }
+  const propertyId = hasEnvelope && typeof body.propertyId === 'string' ? body.propertyId : null;
+  return { format: 'json', version, propertyId, positions, rejected };
+}
+
+function parseCsvFile(text) {
+  const rows = parseCsv(text);
+  let version = null;
+  let i = 0;
+  const versionMatch = rows.length ? CSV_VERSION_RE.exec(rows[0].join(',').trim()) : null;
+  if (versionMatch) {
+    version = Number(versionMatch[1]);
+    checkVersion(version);
+    i = 1;
+  }
+  const header = (rows[i] || []).map((h) => h.trim().toLowerCase());
+  const col = Object.fromEntries(CSV_COLUMNS.map((name) => [name, header.indexOf(name)]));
+  if (['unit', 'x', 'y', 'z'].some((name) => col[name] < 0)) {
+    throw new Error('Positions CSV needs unit, x, y and z columns');
+  }
+  const positions = {};
+  const rejected = [];
+  for (let r = i + 1; r < rows.length; r++) {
+    const cells = rows[r];
+    if (cells.every((c) => !c.trim())) continue;
+    const cell = (name) => (col[name] < 0 ? '' : (cells[col[name]] || '').trim());
+    const num = (name) => (cell(name) === '' ? NaN : Number(cell(name)));
+    const row = r + 1;
+    const unitNumber = cell('unit');
+    const reasons = [];
+    if (!unitNumber) reasons.push('missing unit');
+    else if (positions[unitNumber]) reasons.push('duplicate unit');
+    for (const axis of ['x', 'y', 'z']) if (!Number.isFinite(num(axis))) reasons.push(`invalid ${axis}`);
+    const filled = VIEW_COLUMNS.filter((name) => cell(name) !== '');
+    if (filled.length && (filled.length < VIEW_COLUMNS.length || !VIEW_COLUMNS.every((name) => Number.isFinite(num(name))))) {
+      reasons.push('incomplete view');
+    }
+    if (reasons.length) {
+      rejected.push({ row, unitNumber: unitNumber || null, reason: reasons.join(', ') });
+      continue;
+    }
+    positions[unitNumber] = { x: num('x'), y: num('y'), z: num('z') };
+    if (filled.length) {
+      positions[unitNumber].view = {
+        position: { x: num('view_x'), y: num('view_y'), z: num('view_z') },
+        target: { x: num('target_x'), y: num('target_y'), z: num('target_z') },
+      };
+    }
+  }
+  return { format: 'csv', version, propertyId: null, positions, rejected };
+}
+
+/**
+ * Reads either format (sniffed from the content, not the file name). Throws
+ * for unreadable files or a newer schema; bad rows are skipped and listed in
+ * `rejected` so the preview can show them. CSV `row` counts records from 1
+ * including the version and header lines (blank lines are not counted).
+ * @param {string} text
+ * @returns {{ format: 'json' | 'csv', version: number | null, propertyId: string | null,
+ *   positions: PositionsMap, rejected: { row: number | null, unitNumber: string | null, reason: string }[] }}
+ */
+export function parsePositionsFile(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  if (!src.trim()) throw new Error('Positions file is empty');
+  return /^\s*[{[]/.test(src) ? parseJsonFile(src) : parseCsvFile(src);
+}
+
+function sameView(a, b) {
+  return JSON.stringify(a || null) === JSON.stringify(b || null);
+}
+
+/**
+ * What applying `next` over `current` would do, for the import preview.
+ * @param {PositionsMap} current
+ * @param {PositionsMap} next
+ */
+export function diffPositions(current, next) {
+  const added = [];
+  const removed = [];
+  const moved = [];
+  const viewChanged = [];
+  let unchanged = 0;
+  for (const n of new Set([...Object.keys(current), ...Object.keys(next)])) {
+    const a = current[n];
+    const b = next[n];
+    if (!a || !b) {
+      (a ? removed : added).push(n);
+      continue;
+    }
+    const distance = Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+    const viewSame = sameView(a.view, b.view);
+    if (distance > MOVE_EPSILON) moved.push({ unitNumber: n, distance });
+    if (!viewSame) viewChanged.push(n);
+    if (distance <= MOVE_EPSILON && viewSame) unchanged++;
+  }
+  added.sort(byUnitNumber);
+  removed.sort(byUnitNumber);
+  moved.sort((a, b) => byUnitNumber(a.unitNumber, b.unitNumber));
+  viewChanged.sort(byUnitNumber);
+  return { added, removed, moved, viewChanged, unchanged };
+}
+
+/**
+ * Feed units without a marker (`missing`) and positions for units that are no
+ * longer in the feed (`orphaned`).
+ * @param {import('./units-data.mjs').Unit[]} units
+ * @param {PositionsMap} map
+ */
+export function checkPositionCoverage(units, map) {
+  const known = new Set(units.map((u) => u.unitNumber));
+  return {
+    missing: units.map((u) => u.unitNumber).filter((n) => !map[n]).sort(byUnitNumber),
+    orphaned: Object.keys(map).filter((n) => !known.has(n)).sort(byUnitNumber),
+  };
+}
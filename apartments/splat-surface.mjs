@@ -0,0 +1,83 @@
+import { Matrix4, Raycaster, Vector2, Vector3 } from 'three';
+import {
+  computeScreenDistancePx,
+  findClosestSampleToRay,
+  sampleCpuPointsForFocus,
+} from '../shared/splat-points.mjs';
+
+/** Same thresholds as the Copper-Rock / Canyon-Vista tap-to-focus picker. */
+const TARGET_SAMPLE_COUNT = 18000;
+const MAX_RAY_DISTANCE_SQ = 0.0055;
+const MAX_SCREEN_DISTANCE_PX = 120;
+
+/**
+ * Picks the splat point under a screen position by sampling the Luma loader's
+ * CPU point buffer and taking the sample closest to the pointer ray. Returns
+ * null until the splat has streamed its points, or when nothing is near.
+ * @param {{ splat: object, camera: import('three').PerspectiveCamera, renderer: import('three').WebGLRenderer }} opts
+ */
+export function createSplatSurfacePicker({ splat, camera, renderer }) {
+  const raycaster = new Raycaster();
+  const ndc = new Vector2();
+  const inverse = new Matrix4();
+  const origin = new Vector3();
+  const direction = new Vector3();
+  const world = new Vector3();
+  let cache = null;
+
+  function samples() {
+    const loader = splat && splat.lumaSplatsWebGL && splat.lumaSplatsWebGL.loader;
+    const cpuPoints = loader && loader.cpuPoints;
+    if (!cpuPoints || !cpuPoints.length) return null;
+    const available = Math.floor(cpuPoints.length / 3);
+    const loaded = Number.isFinite(loader.cpuPtsCount)
+      ? Math.floor(loader.cpuPtsCount)
+      : Number.isFinite(loader.numSplats)
+        ? Math.floor(loader.numSplats)
+        : available;
+    const pointCount = Math.max(0, Math.min(available, loaded));
+    if (!pointCount) return null;
+    if (cache && cache.sourcePointCount === pointCount) return cache.samples;
+    const sampled = sampleCpuPointsForFocus({ cpuPoints, pointCount, targetSampleCount: TARGET_SAMPLE_COUNT });
+    cache = sampled ? { sourcePointCount: pointCount, samples: sampled.samples } : null;
+    return cache && cache.samples;
+  }
+
+  return {
+    /**
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{ x: number, y: number, z: number } | null}
+     */
+    pick(clientX, clientY) {
+      const pts = samples();
+      if (!pts) return null;
+      const rect = renderer.domElement.getBoundingClientRect();
+      ndc.set(((clientX - rect.left) / rect.width) * 2 - 1, -((clientY - rect.top) / rect.height) * 2 + 1);
+      raycaster.setFromCamera(ndc, camera);
+      splat.updateMatrixWorld(true);
+      inverse.copy(splat.matrixWorld).invert();
+      origin.copy(raycaster.ray.origin).applyMatrix4(inverse);
+      direction.copy(raycaster.ray.direction).transformDirection(inverse);
+      const hit = findClosestSampleToRay({
+        samples: pts,
+        rayOrigin: origin,
+        rayDirection: direction,
+        maxDistanceSq: MAX_RAY_DISTANCE_SQ,
+      });
+      if (!hit) return null;
+      world.set(hit.x, hit.y, hit.z).applyMatrix4(splat.matrixWorld);
+      const projected = world.clone().project(camera);
+      const px = computeScreenDistancePx({
+        ndcX: projected.x,
+        ndcY: projected.y,
+        viewportWidth: rect.width,
+        viewportHeight: rect.height,
+        pointerX: clientX - rect.left,
+        pointerY: clientY - rect.top,
+      });
+      if (px > MAX_SCREEN_DISTANCE_PX) return null;
+      return { x: world.x, y: world.y, z: world.z };
+    },
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * Canvas-drawn status icons shared by the 3D marker sprites and the legend.
+ * Icons are a white disc with a dark glyph so a sprite material's colour tints
+ * the disc while the glyph stays readable.
+ */
+
+/** @type {Map<string, HTMLCanvasElement>} */
+const cache = new Map();
+const SIZE = 64;
+
+/**
+ * @param {import('./unit-status.mjs').StatusIcon} icon
+ * @returns {HTMLCanvasElement}
+ */
+export function getStatusIconCanvas(icon) {
+  let canvas = cache.get(icon);
+  if (canvas) return canvas;
+  canvas = document.createElement('canvas');
+  canvas.width = SIZE;
+  canvas.height = SIZE;
+  const ctx = canvas.getContext('2d');
+  const c = SIZE / 2;
+
+  ctx.beginPath();
+  ctx.arc(c, c, c - 3, 0, Math.PI * 2);
+  ctx.fillStyle = '#ffffff';
+  ctx.fill();
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = 'rgba(0,0,0,0.35)';
+  ctx.stroke();
+
+  ctx.fillStyle = 'rgba(10,10,10,0.82)';
+  ctx.strokeStyle = 'rgba(10,10,10,0.82)';
+  ctx.lineWidth = 5;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  (GLYPHS[icon] || GLYPHS.dot)(ctx, c);
+  cache.set(icon, canvas);
+  return canvas;
+}
+
+/** @type {Record<string, (ctx: CanvasRenderingContext2D, c: number) => void>} */
+const GLYPHS = {
+  dot(ctx, c) {
+    ctx.beginPath();
+    ctx.arc(c, c, 8, 0, Math.PI * 2);
+    ctx.fill();
+  },
+  star(ctx, c) {
+    ctx.beginPath();
+    for (let i = 0; i < 10; i++) {
+      const r = i % 2 ? 7 : 17;
+      const a = -Math.PI / 2 + (i * Math.PI) / 5;
+      ctx.lineTo(c + Math.cos(a) * r, c + Math.sin(a) * r);
+    }
+    ctx.closePath();
+    ctx.fill();
+  },
+  clock(ctx, c) {
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(c, c, 16, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(c, c - 10);
+    ctx.lineTo(c, c);
+    ctx.lineTo(c + 8, c + 5);
+    ctx.stroke();
+  },
+  home(ctx, c) {
+    ctx.beginPath();
+    ctx.moveTo(c - 16, c - 1);
+    ctx.lineTo(c, c - 16);
+    ctx.lineTo(c + 16, c - 1);
+    ctx.lineTo(c + 11, c - 1);
+    ctx.lineTo(c + 11, c + 15);
+    ctx.lineTo(c - 11, c + 15);
+    ctx.lineTo(c - 11, c - 1);
+    ctx.closePath();
+    ctx.fill();
+  },
+  wrench(ctx, c) {
+    ctx.lineWidth = 7;
+    ctx.beginPath();
+    ctx.moveTo(c - 12, c + 12);
+    ctx.lineTo(c + 5, c - 5);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(c + 8, c - 8, 9, Math.PI * 0.95, Math.PI * 2.55);
+    ctx.stroke();
+  },
+  lock(ctx, c) {
+    ctx.fillRect(c - 13, c - 3, 26, 19);
+    ctx.lineWidth = 5;
+    ctx.beginPath();
+    ctx.arc(c, c - 5, 9, Math.PI, Math.PI * 2);
+    ctx.lineTo(c + 9, c - 2);
+    ctx.moveTo(c - 9, c - 5);
+    ctx.lineTo(c - 9, c - 2);
+    ctx.stroke();
+  },
+};
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { framePoint, freeAreaNdc, offsetPoseForOverlay } from '../camera-framing.mjs';
+
+const close = (actual, expected, eps = 1e-9) => assert.ok(Math.abs(actual - expected) < eps, `${actual} != ${expected}`);
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+test('framePoint pulls the camera in to the framing distance along its current bearing', () => {
+  const point = { x: 1, y: 0, z: 0 };
+  const pose = framePoint(point, { x: 1, y: 3, z: 4 });
+  assert.deepEqual(pose.target, point);
+  close(dist(pose.position, point), 0.9);
+  close(pose.position.y / pose.position.z, 3 / 4);
+
+  const custom = framePoint(point, { x: 1, y: 3, z: 4 }, 2);
+  close(dist(custom.position, point), 2);
+});
+
+test('framePoint keeps the camera above the point and copes with standing on it', () => {
+  const level = framePoint({ x: 0, y: 0, z: 0 }, { x: 10, y: 0, z: 0 });
+  close(dist(level.position, level.target), 0.9);
+  assert.ok(level.position.y > 0);
+  close(level.position.y / level.position.x, 0.25);
+
+  const onTop = framePoint({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0 });
+  close(onTop.position.y, onTop.position.z);
+  close(dist(onTop.position, onTop.target), 0.9);
+});
+
+test('freeAreaNdc centres on what the panels leave uncovered', () => {
+  assert.deepEqual(freeAreaNdc([], 1000, 800), { x: 0, y: 0 });
+  const card = { left: 600, right: 1000, top: 0, bottom: 800, width: 400, height: 800 };
+  close(freeAreaNdc([card], 1000, 800).x, -0.4);
+  const search = { left: 0, right: 200, top: 0, bottom: 800, width: 200, height: 800 };
+  close(freeAreaNdc([card, search], 1000, 800).x, -0.2);
+  const sheet = { left: 0, right: 1000, top: 400, bottom: 800, width: 1000, height: 400 };
+  close(freeAreaNdc([sheet], 1000, 800).y, 0.5);
+});
+
+test('freeAreaNdc ignores zero-size panels and falls back to the centre when little is left', () => {
+  const hidden = { left: 0, right: 0, top: 0, bottom: 0, width: 0, height: 0 };
+  assert.deepEqual(freeAreaNdc([hidden, null], 1000, 800), { x: 0, y: 0 });
+  const wide = { left: 50, right: 900, top: 0, bottom: 800, width: 600, height: 800 };
+  close(freeAreaNdc([wide], 1000, 800).x, 0);
+  assert.deepEqual(freeAreaNdc([hidden], 0, 0), { x: 0, y: 0 });
+});
+
+test('offsetPoseForOverlay slides camera and target together so the target lands at the ndc', () => {
+  const camera = { up: { x: 0, y: 1, z: 0 }, fov: 90, aspect: 2 };
+  const pose = { position: { x: 0, y: 0, z: 2 }, target: { x: 0, y: 0, z: 0 } };
+  const moved = offsetPoseForOverlay(pose, camera, { x: -0.5, y: 0 });
+  // Half width at distance 2 with a 90° fov and aspect 2 is 4; a quarter-screen shift is 2.
+  close(moved.target.x, 2);
+  close(moved.position.x, 2);
+  close(moved.target.z - moved.position.z, -2);
+
+  const lifted = offsetPoseForOverlay(pose, camera, { x: 0, y: 0.5 });
+  close(lifted.target.y, -1);
+
+  const same = offsetPoseForOverlay(pose, camera, { x: 0, y: 0 });
+  assert.deepEqual(same, pose);
+  assert.notEqual(same.position, pose.position);
+});
@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createPlacementHistory,
+  estimateFloorHeight,
+  layoutRowPositions,
+  snapPosition,
+  stackFloorPositions,
+  translatePositions,
+  unitStackKey,
+} from '../placement-ops.mjs';
+
+const UNITS = ['302', '305', '308', '402', '405', '408', '505', '1201'].map((unitNumber) => ({ unitNumber }));
+
+const VIEW = { position: { x: 1, y: 1, z: 1 }, target: { x: 0, y: 0, z: 0 } };
+
+function floor3() {
+  return {
+    '302': { x: -0.4, y: 0.22, z: -0.15 },
+    '305': { x: -0.05, y: 0.22, z: -0.28, view: VIEW },
+    '308': { x: 0.32, y: 0.22, z: -0.12 },
+  };
+}
+
+test('translatePositions moves only the listed placed units and keeps their views', () => {
+  const map = floor3();
+  const next = translatePositions(map, ['305', '308', '999'], { x: 0.1, y: 0, z: -0.02 });
+  assert.deepEqual(next['305'], { x: 0.05, y: 0.22, z: -0.3, view: VIEW });
+  assert.deepEqual(next['308'], { x: 0.42, y: 0.22, z: -0.14 });
+  assert.equal(next['302'], map['302']);
+  assert.equal(next['999'], undefined);
+  assert.equal(map['305'].x, -0.05);
+});
+
+test('unitStackKey strips the floor prefix', () => {
+  assert.equal(unitStackKey({ unitNumber: '305' }), '05');
+  assert.equal(unitStackKey({ unitNumber: '1201' }), '01');
+  assert.equal(unitStackKey({ unitNumber: 'PH1' }), null);
+});
+
+test('stackFloorPositions copies a floor upward by the height offset', () => {
+  const { map, written, missing } = stackFloorPositions(floor3(), UNITS, { fromFloor: 3, copies: 2, heightOffset: 0.14 });
+  assert.deepEqual(written, ['402', '405', '505', '408']);
+  assert.deepEqual(missing, ['502', '508']);
+  assert.deepEqual(map['402'], { x: -0.4, y: 0.36, z: -0.15 });
+  assert.deepEqual(map['505'], { x: -0.05, y: 0.5, z: -0.28 });
+  assert.equal(map['405'].view, undefined, 'source views are not copied to other units');
+});
+
+test('stackFloorPositions keeps an existing view on the target unit', () => {
+  const start = { ...floor3(), '405': { x: 9, y: 9, z: 9, view: VIEW } };
+  const { map } = stackFloorPositions(start, UNITS, { fromFloor: 3, heightOffset: 0.1 });
+  assert.deepEqual(map['405'], { x: -0.05, y: 0.32, z: -0.28, view: VIEW });
+});
+
+test('estimateFloorHeight takes the median gap between stacked placements', () => {
+  const map = {
+    ...floor3(),
+    '402': { x: 0, y: 0.36, z: 0 },
+    '405': { x: 0, y: 0.37, z: 0 },
+    '505': { x: 0, y: 0.6, z: 0 },
+  };
+  assert.equal(estimateFloorHeight(map, UNITS), 0.15);
+  assert.equal(estimateFloorHeight(floor3(), UNITS), null);
+});
+
+test('layoutRowPositions spaces units evenly between the endpoints', () => {
+  const map = { '302': { x: 0, y: 0.2, z: 0 }, '308': { x: 0.3, y: 0.2, z: -0.6 } };
+  const next = layoutRowPositions(map, ['302', '305', '306', '308']);
+  assert.deepEqual(next['305'], { x: 0.1, y: 0.2, z: -0.2 });
+  assert.deepEqual(next['306'], { x: 0.2, y: 0.2, z: -0.4 });
+  assert.equal(next['302'], map['302']);
+  assert.throws(() => layoutRowPositions(map, ['302', '308']), /at least three/);
+  assert.throws(() => layoutRowPositions(map, ['302', '305', '405']), /Place units 302 and 405 first/);
+});
+
+test('snapPosition places an unplaced unit', () => {
+  assert.deepEqual(snapPosition({}, '405', { x: 0.123456, y: 0.3, z: -0.1 })['405'], { x: 0.1235, y: 0.3, z: -0.1 });
+});
+
+test('history undoes and redoes only the changed units', () => {
+  const history = createPlacementHistory();
+  const a = floor3();
+  const b = stackFloorPositions(a, UNITS, { fromFloor: 3, heightOffset: 0.14 }).map;
+  assert.equal(history.commit('Stack floor 3', a, b), true);
+  assert.equal(history.commit('No-op', b, { ...b }), false);
+  const c = translatePositions(b, ['302'], { x: 1, y: 0, z: 0 });
+  history.commit('Move unit 302', b, c);
+
+  const undone = history.undo(c);
+  assert.equal(undone.label, 'Move unit 302');
+  assert.deepEqual(undone.units, ['302']);
+  assert.deepEqual(undone.map, b);
+
+  const undoneStack = history.undo(undone.map);
+  assert.deepEqual(undoneStack.map, a);
+  assert.equal(history.canUndo(), false);
+  assert.equal(history.undo(a), null);
+
+  assert.deepEqual(history.redo(a).map, b);
+  assert.equal(history.peekRedo(), 'Move unit 302');
+  history.commit('Move unit 308', b, translatePositions(b, ['308'], { x: 0, y: 1, z: 0 }));
+  assert.equal(history.canRedo(), false, 'a new edit drops the redo stack');
+});
+
+test('history is capped at its limit', () => {
+  const history = createPlacementHistory({ limit: 2 });
+  let map = { '302': { x: 0, y: 0, z: 0 } };
+  for (let i = 1; i <= 3; i++) {
+    const next = translatePositions(map, ['302'], { x: 1, y: 0, z: 0 });
+    history.commit(`step ${i}`, map, next);
+    map = next;
+  }
+  assert.equal(history.undo(map).label, 'step 3');
+  assert.equal(history.peekUndo(), 'step 2');
+  history.undo(map);
+  assert.equal(history.canUndo(), false);
+});
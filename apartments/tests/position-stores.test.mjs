@@ -0,0 +1,192 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createLocalPositionStore,
+  createRestPositionStore,
+  createSupabasePositionStore,
+  PositionsConflictError,
+} from '../position-stores.mjs';
+import {
+  createPositionStore,
+  getDefaultPositions,
+  loadDraftPositions,
+  loadPublishedPositions,
+  publishDraftPositions,
+  saveDraftPositions,
+} from '../unit-positions.mjs';
+
+class MemoryStorage {
+  constructor(entries = {}) {
+    this.map = new Map(Object.entries(entries));
+  }
+
+  getItem(key) {
+    return this.map.has(key) ? this.map.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.map.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.map.delete(key);
+  }
+}
+
+function jsonResponse(status, body) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+function scriptedFetch(responses) {
+  const calls = [];
+  const impl = async (url, init = {}) => {
+    calls.push({ url, method: init.method || 'GET', headers: init.headers, body: init.body && JSON.parse(init.body) });
+    return responses.shift();
+  };
+  impl.calls = calls;
+  return impl;
+}
+
+const A = { '204': { x: 1, y: 2, z: 3 } };
+const B = { '204': { x: 4, y: 5, z: 6 } };
+
+test('local store versions saves and rejects stale base revisions', async () => {
+  const store = createLocalPositionStore({ storage: new MemoryStorage() });
+  assert.equal(await store.load('draft'), null);
+
+  const first = await store.save('draft', A, { baseRevision: 0 });
+  assert.equal(first.revision, 1);
+  const second = await store.save('draft', B, { baseRevision: 1 });
+  assert.equal(second.revision, 2);
+
+  await assert.rejects(store.save('draft', A, { baseRevision: 1 }), (err) => {
+    assert.ok(err instanceof PositionsConflictError);
+    assert.equal(err.channel, 'draft');
+    assert.equal(err.remote.revision, 2);
+    assert.deepEqual(err.remote.positions, B);
+    return true;
+  });
+});
+
+test('local store reads the legacy single-key body as the first draft', async () => {
+  const storage = new MemoryStorage({
+    'apartments:positions:v1': JSON.stringify({ v: 1, positions: A, savedAt: '2026-01-01T00:00:00.000Z' }),
+  });
+  const store = createLocalPositionStore({ storage });
+  const draft = await store.load('draft');
+  assert.equal(draft.revision, 1);
+  assert.deepEqual(draft.positions, A);
+  assert.equal(await store.load('published'), null);
+});
+
+test('drafts stay separate from published until publish', async () => {
+  const store = createPositionStore({ type: 'local', storage: new MemoryStorage() });
+
+  const seeded = await loadDraftPositions(store);
+  assert.equal(seeded.revision, 0);
+  assert.ok(seeded.positions['412'], 'seeded from defaults');
+
+  const saved = await saveDraftPositions(store, { ...seeded.positions, ...B }, { baseRevision: 0 });
+  const visitor = await loadPublishedPositions(store);
+  assert.equal(visitor.revision, 0);
+  assert.notDeepEqual(visitor.positions['204'], B['204']);
+
+  const published = await publishDraftPositions(store, { draftRevision: saved.revision, publishedRevision: 0 });
+  assert.equal(published.sourceRevision, saved.revision);
+  assert.deepEqual((await loadPublishedPositions(store)).positions['204'], B['204']);
+
+  await saveDraftPositions(store, A, { baseRevision: saved.revision });
+  await assert.rejects(
+    publishDraftPositions(store, { draftRevision: saved.revision, publishedRevision: published.revision }),
+    (err) => err instanceof PositionsConflictError && err.channel === 'draft'
+  );
+});
+
+test('rest store maps 409 to a conflict with the remote snapshot', async () => {
+  const fetchImpl = scriptedFetch([
+    jsonResponse(409, { revision: 7, positions: B, savedAt: '2026-02-02T00:00:00.000Z' }),
+    jsonResponse(404, null),
+  ]);
+  const store = createRestPositionStore({ baseUrl: 'https://api.example.com/positions/', fetchImpl });
+
+  await assert.rejects(store.save('draft', A, { baseRevision: 3 }), (err) => {
+    assert.ok(err instanceof PositionsConflictError);
+    assert.equal(err.remote.revision, 7);
+    return true;
+  });
+  assert.equal(fetchImpl.calls[0].url, 'https://api.example.com/positions/draft');
+  assert.equal(fetchImpl.calls[0].method, 'PUT');
+  assert.deepEqual(fetchImpl.calls[0].body, { positions: A, baseRevision: 3 });
+  assert.equal(await store.load('published'), null);
+});
+
+test('supabase store patches conditionally on revision and detects lost updates', async () => {
+  const fetchImpl = scriptedFetch([
+    jsonResponse(200, [{ revision: 5, positions: A, saved_at: '2026-03-03T00:00:00Z', source_revision: null }]),
+    jsonResponse(200, []),
+    jsonResponse(200, [{ revision: 6, positions: B, saved_at: '2026-03-03T00:01:00Z', source_revision: null }]),
+  ]);
+  const store = createSupabasePositionStore({
+    url: 'https://proj.supabase.co',
+    anonKey: 'anon',
+    propertyId: 'canyon-vista',
+    fetchImpl,
+  });
+
+  const saved = await store.save('draft', A, { baseRevision: 4 });
+  assert.equal(saved.revision, 5);
+  assert.equal(
+    fetchImpl.calls[0].url,
+    'https://proj.supabase.co/rest/v1/apartment_unit_positions?property_id=eq.canyon-vista&channel=eq.draft&revision=eq.4'
+  );
+  assert.equal(fetchImpl.calls[0].method, 'PATCH');
+  assert.equal(fetchImpl.calls[0].headers.Prefer, 'return=representation');
+  assert.equal(fetchImpl.calls[0].body.revision, 5);
+
+  await assert.rejects(store.save('draft', A, { baseRevision: 5 }), (err) => {
+    assert.ok(err instanceof PositionsConflictError);
+    assert.equal(err.remote.revision, 6);
+    assert.deepEqual(err.remote.positions, B);
+    return true;
+  });
+});
+
+test('supabase store inserts the first revision with POST', async () => {
+  const fetchImpl = scriptedFetch([
+    jsonResponse(201, [{ revision: 1, positions: A, saved_at: '2026-03-03T00:00:00Z', source_revision: 3 }]),
+  ]);
+  const store = createSupabasePositionStore({ url: 'https://proj.supabase.co', anonKey: 'anon', propertyId: 'cv', fetchImpl });
+  const snap = await store.save('published', A, { baseRevision: 0, sourceRevision: 3 });
+  assert.equal(snap.sourceRevision, 3);
+  assert.equal(fetchImpl.calls[0].method, 'POST');
+  assert.equal(fetchImpl.calls[0].body.property_id, 'cv');
+  assert.equal(fetchImpl.calls[0].body.channel, 'published');
+});
+
+test('units removed before a save stay removed after a reload', async () => {
+  const storage = new MemoryStorage();
+  const store = createPositionStore({ type: 'local', storage });
+  const seeded = await loadDraftPositions(store);
+  const kept = { ...seeded.positions };
+  delete kept['204'];
+  delete kept['412'];
+
+  const saved = await saveDraftPositions(store, kept, { baseRevision: 0 });
+  await publishDraftPositions(store, { draftRevision: saved.revision, publishedRevision: 0 });
+
+  const reloaded = createPositionStore({ type: 'local', storage });
+  assert.deepEqual((await loadDraftPositions(reloaded)).positions, kept);
+  assert.equal((await loadPublishedPositions(reloaded)).positions['204'], undefined);
+
+  const fresh = await loadPublishedPositions(createPositionStore({ type: 'local', storage: new MemoryStorage() }));
+  assert.deepEqual(fresh.positions, getDefaultPositions(), 'a store never written shows the defaults');
+});
+
+test('saved camera viewpoints travel with the marker position', async () => {
+  const store = createLocalPositionStore({ storage: new MemoryStorage() });
+  const view = { position: { x: 0.1, y: 0.9, z: 1.2 }, target: { x: 0, y: 0.2, z: 0 } };
+  await store.save('draft', { '305': { x: 1, y: 2, z: 3, view }, '308': { x: 1, y: 2, z: 3, view: { position: view.position } } });
+  const { positions } = await store.load('draft');
+  assert.deepEqual(positions['305'].view, view);
+  assert.equal(positions['308'].view, undefined, 'incomplete views are dropped');
+});
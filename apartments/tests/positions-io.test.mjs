@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkPositionCoverage,
+  diffPositions,
+  parsePositionsFile,
+  POSITIONS_FILE_VERSION,
+  serializePositions,
+} from '../positions-io.mjs';
+import { exportPositionsJSON } from '../unit-positions.mjs';
+
+const VIEW = { position: { x: 0.5, y: 0.6, z: 1.2 }, target: { x: -0.05, y: 0.22, z: -0.28 } };
+
+const MAP = {
+  '1201': { x: 0.1, y: 1, z: 0 },
+  '305': { x: -0.05, y: 0.22, z: -0.28, view: VIEW },
+  '204': { x: -0.35, y: 0.08, z: 0.25 },
+};
+
+test('json export is versioned, sorted by unit and round-trips', () => {
+  const text = serializePositions(MAP, 'json', { propertyId: 'canyon-vista', exportedAt: '2026-05-01T00:00:00.000Z' });
+  const body = JSON.parse(text);
+  assert.equal(body.format, 'apartments-positions');
+  assert.equal(body.version, POSITIONS_FILE_VERSION);
+  assert.equal(body.propertyId, 'canyon-vista');
+  assert.deepEqual(Object.keys(body.positions), ['204', '305', '1201']);
+
+  const parsed = parsePositionsFile(text);
+  assert.equal(parsed.format, 'json');
+  assert.equal(parsed.version, 1);
+  assert.deepEqual(parsed.positions, MAP);
+  assert.deepEqual(parsed.rejected, []);
+});
+
+test('exportPositionsJSON writes the versioned file for the default property', () => {
+  const parsed = parsePositionsFile(exportPositionsJSON(MAP));
+  assert.equal(parsed.propertyId, 'canyon-vista');
+  assert.deepEqual(parsed.positions, MAP);
+});
+
+test('csv export carries a version line and views, and round-trips', () => {
+  const text = serializePositions(MAP, 'csv');
+  const lines = text.trim().split('\n');
+  assert.equal(lines[0], '# apartments-positions v1');
+  assert.equal(lines[1], 'unit,x,y,z,view_x,view_y,view_z,target_x,target_y,target_z');
+  assert.equal(lines[2], '204,-0.35,0.08,0.25,,,,,,');
+  assert.equal(lines[3], '305,-0.05,0.22,-0.28,0.5,0.6,1.2,-0.05,0.22,-0.28');
+
+  const parsed = parsePositionsFile(text);
+  assert.equal(parsed.format, 'csv');
+  assert.equal(parsed.version, 1);
+  assert.deepEqual(parsed.positions, MAP);
+});
+
+test('csv import reports bad rows by row number and keeps the good ones', () => {
+  const csv = [
+    'Unit,X,Y,Z,View_X',
+    '204,-0.35,0.08,0.25,',
+    ',1,2,3,',
+    '305,abc,0.22,-0.28,',
+    '204,0,0,0,',
+    '408,0.42,0.36,0.18,1.5',
+    '',
+  ].join('\r\n');
+  const parsed = parsePositionsFile(csv);
+  assert.equal(parsed.version, null);
+  assert.deepEqual(Object.keys(parsed.positions), ['204']);
+  assert.deepEqual(parsed.rejected, [
+    { row: 3, unitNumber: null, reason: 'missing unit' },
+    { row: 4, unitNumber: '305', reason: 'invalid x' },
+    { row: 5, unitNumber: '204', reason: 'duplicate unit' },
+    { row: 6, unitNumber: '408', reason: 'incomplete view' },
+  ]);
+});
+
+test('legacy bare maps import as unversioned and drop malformed entries', () => {
+  const parsed = parsePositionsFile(JSON.stringify({ '204': { x: 1, y: 2, z: 3 }, '305': { x: 'a' } }));
+  assert.equal(parsed.version, null);
+  assert.deepEqual(parsed.positions, { '204': { x: 1, y: 2, z: 3 } });
+  assert.deepEqual(parsed.rejected, [{ row: null, unitNumber: '305', reason: 'invalid position' }]);
+});
+
+test('unreadable and newer files are refused', () => {
+  assert.throws(() => parsePositionsFile('   '), /empty/);
+  assert.throws(() => parsePositionsFile('{ nope'), /not valid JSON/);
+  assert.throws(() => parsePositionsFile('[]'), /must be an object/);
+  assert.throws(() => parsePositionsFile('unit,x,y\n204,1,2'), /needs unit, x, y and z/);
+  assert.throws(
+    () => parsePositionsFile(JSON.stringify({ format: 'apartments-positions', version: 2, positions: {} })),
+    /version 2; this dashboard reads up to v1/
+  );
+  assert.throws(() => parsePositionsFile('# apartments-positions v3\nunit,x,y,z\n'), /version 3/);
+});
+
+test('diffPositions separates added, moved, removed and view-only changes', () => {
+  const next = {
+    '204': { x: -0.35, y: 0.08, z: 0.25 },
+    '305': { x: -0.05, y: 0.22, z: -0.28 },
+    '1201': { x: 0.1, y: 1.3, z: 0.4 },
+    '408': { x: 0, y: 0, z: 0 },
+  };
+  const diff = diffPositions({ ...MAP, '212': { x: 0, y: 0, z: 0 } }, next);
+  assert.deepEqual(diff.added, ['408']);
+  assert.deepEqual(diff.removed, ['212']);
+  assert.deepEqual(diff.moved.map((m) => m.unitNumber), ['1201']);
+  assert.equal(Math.round(diff.moved[0].distance * 100) / 100, 0.5);
+  assert.deepEqual(diff.viewChanged, ['305']);
+  assert.equal(diff.unchanged, 1);
+});
+
+test('checkPositionCoverage lists unplaced feed units and orphaned positions', () => {
+  const units = ['204', '212', '305', '1008'].map((unitNumber) => ({ unitNumber }));
+  assert.deepEqual(checkPositionCoverage(units, MAP), { missing: ['212', '1008'], orphaned: ['1201'] });
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComparisonRows, COMPARE_LIMIT, createCompareTray } from '../unit-compare.mjs';
+
+class MemoryStorage {
+  constructor(entries = {}) {
+    this.map = new Map(Object.entries(entries));
+  }
+
+  getItem(key) {
+    return this.map.has(key) ? this.map.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.map.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.map.delete(key);
+  }
+}
+
+test('tray holds up to four units and persists them', () => {
+  const storage = new MemoryStorage();
+  const changes = [];
+  const tray = createCompareTray({ storage, onChange: (list) => changes.push(list) });
+
+  for (const n of ['204', '305', '408', '412']) assert.equal(tray.add(n), true);
+  assert.equal(tray.isFull(), true);
+  assert.equal(tray.add('208'), false, 'a fifth unit is refused');
+  assert.equal(tray.add('305'), false, 'duplicates are refused');
+  assert.equal(tray.list().length, COMPARE_LIMIT);
+
+  assert.equal(tray.toggle('305'), false);
+  assert.deepEqual(createCompareTray({ storage }).list(), ['204', '408', '412']);
+  assert.equal(changes.length, 5);
+
+  tray.clear();
+  assert.equal(storage.getItem('apartments:compare:v1'), null);
+});
+
+test('saved tray drops garbage and units no longer in the feed', () => {
+  const storage = new MemoryStorage({ 'apartments:compare:v1': JSON.stringify(['204', 7, '999', '204', '305']) });
+  assert.deepEqual(createCompareTray({ storage, knownUnits: ['204', '305'] }).list(), ['204', '305']);
+  storage.setItem('apartments:compare:v1', '{not json');
+  assert.deepEqual(createCompareTray({ storage }).list(), []);
+});
+
+test('comparison rows cover price per sqft, floor and exposure and mark the cheapest', () => {
+  const rows = buildComparisonRows([
+    { unitNumber: '305', price: 1549, available: true, beds: 2, baths: 2, sqft: 905, applyUrl: '', exposure: 'SW' },
+    { unitNumber: '412', price: 1895, available: true, beds: 3, baths: 2, sqft: 1156, applyUrl: '', floor: 5 },
+  ]);
+  const byId = Object.fromEntries(rows.map((r) => [r.id, r]));
+
+  assert.deepEqual(rows.map((r) => r.id), ['price', 'pricePerSqft', 'beds', 'baths', 'sqft', 'floor', 'exposure']);
+  assert.deepEqual(byId.price.values, ['$1,549/mo', '$1,895/mo']);
+  assert.deepEqual(byId.price.best, [0]);
+  assert.deepEqual(byId.pricePerSqft.values, ['$1.71', '$1.64']);
+  assert.deepEqual(byId.pricePerSqft.best, [1]);
+  assert.deepEqual(byId.floor.values, ['3', '5']);
+  assert.deepEqual(byId.exposure.values, ['SW', '—']);
+});
@@ -0,0 +1,184 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+  loadUnitFeed,
+  parseCsv,
+  parseUnitFeed,
+  toIsoDate,
+  validateUnits,
+} from '../unit-feed-adapters.mjs';
+import { fetchUnitsData, fetchUnitsFeed } from '../units-data.mjs';
+
+function fixture(name) {
+  return readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+function fakeFetch(body, { status = 200 } = {}) {
+  const calls = [];
+  const impl = async (url, init) => {
+    calls.push({ url, init });
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => JSON.parse(body),
+      text: async () => body,
+    };
+  };
+  impl.calls = calls;
+  return impl;
+}
+
+test('rentcafe adapter maps availability payload and reports malformed units', async () => {
+  const payload = JSON.parse(await fixture('rentcafe-availability.json'));
+  const { units, report } = parseUnitFeed('rentcafe', payload);
+
+  assert.deepEqual(units.map((u) => u.unitNumber), ['204', '305']);
+  assert.deepEqual(units[0], {
+    unitNumber: '204',
+    price: 1199,
+    available: true,
+    beds: 1,
+    baths: 1,
+    sqft: 512,
+    applyUrl: 'https://canyonvista.securecafe.com/onlineleasing/canyon-vista/oleapplication.aspx?UnitCode=204',
+    availableFrom: '2026-03-01',
+  });
+  assert.equal(report.total, 4);
+  assert.equal(report.accepted, 2);
+  assert.deepEqual(report.dropped, [
+    { index: 2, unitNumber: null, reasons: ['missing unitNumber'] },
+    { index: 3, unitNumber: '412', reasons: ['invalid sqft'] },
+  ]);
+});
+
+test('yardi-style payload derives availability from UnitStatus and drops duplicates', async () => {
+  const payload = JSON.parse(await fixture('yardi-units.json'));
+  const { units, report } = parseUnitFeed('yardi', payload);
+
+  assert.deepEqual(
+    units.map((u) => [u.unitNumber, u.available, u.price]),
+    [
+      ['208', true, 1249],
+      ['212', false, 1395],
+    ]
+  );
+  assert.deepEqual(report.dropped, [{ index: 2, unitNumber: '208', reasons: ['duplicate unitNumber'] }]);
+});
+
+test('entrata adapter unwraps ILS_Units attributes', async () => {
+  const payload = JSON.parse(await fixture('entrata-units.json'));
+  const { units, report } = parseUnitFeed('entrata', payload);
+
+  assert.deepEqual(
+    units.map((u) => [u.unitNumber, u.available, u.price, u.sqft]),
+    [
+      ['302', true, 1295, 512],
+      ['308', false, 1599, 921],
+    ]
+  );
+  assert.equal(units[0].applyUrl, 'https://canyonvista.prospectportal.com/apply?unit=302');
+  assert.deepEqual(report.dropped, [{ index: 2, unitNumber: '309', reasons: ['invalid price'] }]);
+});
+
+test('csv adapter reads a Google Sheet export with quoted currency and blank rows', async () => {
+  const text = await fixture('units-sheet.csv');
+  const { units, report } = parseUnitFeed('csv', text);
+
+  assert.deepEqual(
+    units.map((u) => [u.unitNumber, u.price, u.available]),
+    [
+      ['401', 1329, true],
+      ['405', 1629, false],
+      ['408', 1679, true],
+    ]
+  );
+  assert.equal(units[2].applyUrl, 'https://example.com/apply?unit=408&src="sheet"');
+  assert.equal(units[1].applyUrl, '');
+  assert.deepEqual(report.dropped, [{ index: 3, unitNumber: '410', reasons: ['invalid price'] }]);
+});
+
+test('parseCsv handles embedded newlines and a trailing row without newline', () => {
+  assert.deepEqual(parseCsv('a,b\n"1\n2",3\n4,5'), [
+    ['a', 'b'],
+    ['1\n2', '3'],
+    ['4', '5'],
+  ]);
+});
+
+test('validateUnits collects every reason for a record', () => {
+  const { units, dropped } = validateUnits([{ unitNumber: '  ', price: 'abc', beds: -1, baths: 1, sqft: 0 }]);
+  assert.equal(units.length, 0);
+  assert.deepEqual(dropped[0].reasons, ['missing unitNumber', 'invalid price', 'invalid beds', 'invalid sqft']);
+});
+
+test('toIsoDate accepts real dates and refuses out-of-range months and days', () => {
+  assert.equal(toIsoDate('2026-03-01T00:00:00'), '2026-03-01');
+  assert.equal(toIsoDate('2026-03-01T00:00:00Z'), '2026-03-01');
+  assert.equal(toIsoDate('3/1/2026'), '2026-03-01');
+  assert.equal(toIsoDate('2028-02-29'), '2028-02-29');
+  assert.equal(toIsoDate('2025-13-01'), undefined);
+  assert.equal(toIsoDate('2025-13-45'), undefined);
+  assert.equal(toIsoDate('2025-04-31'), undefined);
+  assert.equal(toIsoDate('2025-02-29'), undefined);
+  assert.equal(toIsoDate('2025-00-10'), undefined);
+  assert.equal(toIsoDate('2025-02-10garbage'), undefined);
+  assert.equal(toIsoDate('2025-02-10 garbage'), undefined);
+  assert.equal(toIsoDate('13/1/2026'), undefined);
+  assert.equal(toIsoDate('2/30/2026'), undefined);
+});
+
+test('rentcafe detail fields become floorplan, photos, amenities, special and deposit', async () => {
+  const { units } = parseUnitFeed('rentcafe', JSON.parse(await fixture('rentcafe-availability.json')));
+  const unit = units.find((u) => u.unitNumber === '305');
+  assert.equal(unit.floorplanUrl, 'https://cdn.securecafe.com/floorplans/b2.png');
+  assert.deepEqual(unit.photos, [
+    'https://cdn.securecafe.com/units/305-living.jpg',
+    'https://cdn.securecafe.com/units/305-kitchen.jpg',
+  ]);
+  assert.deepEqual(unit.amenities, ['Corner unit', 'Pool view', 'Walk-in closet']);
+  assert.equal(unit.special, '6 weeks free on a 13-month lease');
+  assert.equal(unit.deposit, 500);
+});
+
+test('malformed optional detail fields are dropped without dropping the unit', () => {
+  const csv = 'Unit,Rent,Available,Beds,Baths,Sq Ft,Photos,Amenities,Deposit\n' +
+    '501,1400,yes,1,1,600,"https://x.test/a.jpg, https://x.test/b.jpg","Balcony, Dishwasher",TBD\n' +
+    '502,1450,yes,1,1,610,,,';
+  const { units, report } = parseUnitFeed('csv', csv);
+  assert.equal(report.dropped.length, 0);
+  assert.deepEqual(units[0].photos, ['https://x.test/a.jpg', 'https://x.test/b.jpg']);
+  assert.deepEqual(units[0].amenities, ['Balcony', 'Dishwasher']);
+  assert.equal(units[0].deposit, undefined);
+  assert.deepEqual(Object.keys(units[1]), ['unitNumber', 'price', 'available', 'beds', 'baths', 'sqft', 'applyUrl']);
+});
+
+test('loadUnitFeed fetches the configured url with adapter headers', async () => {
+  const fetchImpl = fakeFetch(await fixture('yardi-units.json'));
+  const { units } = await loadUnitFeed(
+    { adapter: 'yardi', url: 'https://feeds.example.com/units', headers: { Authorization: 'Bearer k' } },
+    { fetchImpl }
+  );
+
+  assert.equal(units.length, 2);
+  assert.equal(fetchImpl.calls[0].url, 'https://feeds.example.com/units');
+  assert.deepEqual(fetchImpl.calls[0].init.headers, { Accept: 'application/json', Authorization: 'Bearer k' });
+});
+
+test('loadUnitFeed surfaces HTTP and configuration errors', async () => {
+  await assert.rejects(
+    loadUnitFeed({ adapter: 'csv', url: 'https://feeds.example.com/u.csv' }, { fetchImpl: fakeFetch('', { status: 503 }) }),
+    /Unit feed csv 503/
+  );
+  await assert.rejects(loadUnitFeed({ adapter: 'realpage', url: 'x' }), /Unknown unit feed adapter/);
+  await assert.rejects(loadUnitFeed({ adapter: 'json' }), /has no url/);
+});
+
+test('default canyon-vista feed serves the mock units without a network call', async () => {
+  const { units, report } = await fetchUnitsFeed();
+  assert.equal(report.adapter, 'json');
+  assert.equal(report.dropped.length, 0);
+  assert.equal(units.length, 10);
+  assert.deepEqual(await fetchUnitsData(), units);
+  await assert.rejects(fetchUnitsData({ propertyId: 'nowhere' }), /No unit feed configured/);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  filterAndSortUnits,
+  getDefaultFilters,
+  getUnitFloor,
+  listUnitFloors,
+  parseUnitFilters,
+  serializeUnitFilters,
+  unitMatchesFilters,
+} from '../unit-filters.mjs';
+
+const UNITS = [
+  { unitNumber: '204', price: 1199, available: true, beds: 1, baths: 1, sqft: 512, applyUrl: '', availableFrom: '2026-03-01' },
+  { unitNumber: '212', price: 1395, available: false, beds: 2, baths: 2, sqft: 892, applyUrl: '' },
+  { unitNumber: '305', price: 1549, available: true, beds: 2, baths: 2, sqft: 905, applyUrl: '', availableFrom: '2026-04-15' },
+  { unitNumber: '1008', price: 1549, available: true, beds: 2, baths: 2, sqft: 933, applyUrl: '' },
+  { unitNumber: '412', price: 1895, available: true, beds: 3, baths: 2, sqft: 1156, applyUrl: '' },
+];
+
+const numbers = (units) => units.map((u) => u.unitNumber);
+
+test('a shared link round-trips through the query string', () => {
+  const filters = parseUnitFilters('?beds=2&maxPrice=1600&avail=0&sort=-sqft&moveIn=2026-04-01');
+  assert.equal(filters.beds, 2);
+  assert.equal(filters.maxPrice, 1600);
+  assert.equal(filters.onlyAvailable, false);
+  assert.equal(filters.sort, '-sqft');
+  assert.equal(filters.moveIn, '2026-04-01');
+  assert.equal(serializeUnitFilters(filters), 'beds=2&maxPrice=1600&moveIn=2026-04-01&avail=0&sort=-sqft');
+});
+
+test('defaults serialize to an empty query and bad values are ignored', () => {
+  assert.equal(serializeUnitFilters(getDefaultFilters()), '');
+  const filters = parseUnitFilters('beds=two&minPrice=-5&moveIn=April&sort=random');
+  assert.deepEqual(filters, getDefaultFilters());
+});
+
+test('beds match exactly, baths as a minimum, ranges inclusive', () => {
+  const filters = { ...getDefaultFilters(), beds: 2, baths: 2, minPrice: 1549, maxSqft: 905 };
+  assert.deepEqual(numbers(filterAndSortUnits(UNITS, filters)), ['305']);
+});
+
+test('leased units only appear when only-available is off', () => {
+  const unit = UNITS[1];
+  assert.equal(unitMatchesFilters(unit, getDefaultFilters()), false);
+  assert.equal(unitMatchesFilters(unit, { ...getDefaultFilters(), onlyAvailable: false }), true);
+});
+
+test('move-in date keeps units free by that day', () => {
+  const filters = { ...getDefaultFilters(), moveIn: '2026-04-01' };
+  assert.deepEqual(numbers(filterAndSortUnits(UNITS, filters)), ['204', '1008', '412']);
+});
+
+test('sorting breaks ties by natural unit number order', () => {
+  const byPrice = filterAndSortUnits(UNITS, getDefaultFilters());
+  assert.deepEqual(numbers(byPrice), ['204', '305', '1008', '412']);
+  const byUnit = filterAndSortUnits(UNITS, { ...getDefaultFilters(), sort: 'unit', onlyAvailable: false });
+  assert.deepEqual(numbers(byUnit), ['204', '212', '305', '412', '1008']);
+  const byMoveIn = filterAndSortUnits(UNITS, { ...getDefaultFilters(), sort: 'moveIn' });
+  assert.deepEqual(numbers(byMoveIn), ['412', '1008', '204', '305']);
+});
+
+test('unit search matches substrings of the unit number', () => {
+  assert.deepEqual(numbers(filterAndSortUnits(UNITS, { ...getDefaultFilters(), q: '0' })), ['204', '305', '1008']);
+});
+
+test('floor comes from the feed or the unit number hundreds', () => {
+  assert.equal(getUnitFloor({ unitNumber: '305' }), 3);
+  assert.equal(getUnitFloor({ unitNumber: '1204' }), 12);
+  assert.equal(getUnitFloor({ unitNumber: '305', floor: 4 }), 4);
+  assert.equal(getUnitFloor({ unitNumber: 'PH-A' }), null);
+  assert.equal(getUnitFloor({ unitNumber: '12' }), null);
+});
+
+test('floors are listed once each in ascending order', () => {
+  assert.deepEqual(listUnitFloors(UNITS), [2, 3, 4, 10]);
+});
@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUnitHash, safeHttpUrl, unitHash } from '../unit-info-card.mjs';
+
+test('unit deep-link hashes round-trip', () => {
+  assert.equal(unitHash('305'), '#unit-305');
+  assert.equal(parseUnitHash('#unit-305'), '305');
+  assert.equal(parseUnitHash(unitHash('B 12')), 'B 12');
+  assert.equal(parseUnitHash('#unit-'), null);
+  assert.equal(parseUnitHash('#gallery'), null);
+  assert.equal(parseUnitHash(''), null);
+});
+
+test('only http(s) feed links reach href and src', () => {
+  const base = 'https://example.com/apartments/index.html';
+  assert.equal(safeHttpUrl('https://apply.example.com/305', base), 'https://apply.example.com/305');
+  assert.equal(safeHttpUrl('http://cdn.example.com/a.jpg', base), 'http://cdn.example.com/a.jpg');
+  assert.equal(safeHttpUrl('photos/305-1.jpg', base), 'https://example.com/apartments/photos/305-1.jpg');
+  assert.equal(safeHttpUrl('javascript:alert(1)', base), null);
+  assert.equal(safeHttpUrl(' JavaScript:alert(1)', base), null);
+  assert.equal(safeHttpUrl('data:text/html,<b>hi</b>', base), null);
+  assert.equal(safeHttpUrl('photos/305-1.jpg'), null);
+  assert.equal(safeHttpUrl('', base), null);
+  assert.equal(safeHttpUrl(undefined, base), null);
+});
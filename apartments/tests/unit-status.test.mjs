@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUnitFeed } from '../unit-feed-adapters.mjs';
+import {
+  canApply,
+  DEFAULT_STATUS_PALETTE,
+  getStatusPalette,
+  getUnitStatus,
+  listUnitStatuses,
+  toUnitStatus,
+} from '../unit-status.mjs';
+
+const unit = (extra) => ({ unitNumber: '101', price: 1000, available: true, beds: 1, baths: 1, sqft: 500, applyUrl: '', ...extra });
+
+test('vendor status strings map to the extra states', () => {
+  assert.equal(toUnitStatus('Notice Unrented'), 'notice');
+  assert.equal(toUnitStatus('NTV'), 'notice');
+  assert.equal(toUnitStatus('Notice Rented'), undefined);
+  assert.equal(toUnitStatus('Occupied No Notice'), undefined);
+  assert.equal(toUnitStatus('Model'), 'model');
+  assert.equal(toUnitStatus('Down'), 'down');
+  assert.equal(toUnitStatus('Admin'), 'down');
+  assert.equal(toUnitStatus('Vacant Unrented Ready'), undefined);
+  assert.equal(toUnitStatus(3), undefined);
+});
+
+test('unit status combines the feed state, availability and specials', () => {
+  assert.equal(getUnitStatus(unit()), 'available');
+  assert.equal(getUnitStatus(unit({ special: '1 month free' })), 'special');
+  assert.equal(getUnitStatus(unit({ available: false })), 'leased');
+  assert.equal(getUnitStatus(unit({ available: false, status: 'notice', special: 'x' })), 'notice');
+  assert.equal(canApply(unit({ special: 'x' })), true);
+  assert.equal(canApply(unit({ available: false, status: 'model' })), false);
+  assert.deepEqual(
+    listUnitStatuses([unit({ available: false }), unit(), unit({ available: false, status: 'down' })]),
+    ['available', 'down', 'leased']
+  );
+});
+
+test('palette overrides apply per property and ignore bad values', () => {
+  const palettes = { cv: { special: { label: 'Move-in special', color: '#e11d48' }, leased: { color: 'grey', icon: 'rocket' } } };
+  const palette = getStatusPalette('cv', palettes);
+  assert.deepEqual(palette.special, { label: 'Move-in special', color: '#e11d48', icon: 'star' });
+  assert.deepEqual(palette.leased, DEFAULT_STATUS_PALETTE.leased);
+  assert.deepEqual(getStatusPalette('other', palettes), DEFAULT_STATUS_PALETTE);
+});
+
+test('yardi unit status becomes unit.status', () => {
+  const { units } = parseUnitFeed('yardi', {
+    Units: [
+      { UnitNumber: '212', MarketRent: 1395, Bedrooms: 2, Bathrooms: 2, SquareFeet: 892, UnitStatus: 'Notice Unrented', AvailableDate: '2026-06-15' },
+      { UnitNumber: '214', MarketRent: 1395, Bedrooms: 2, Bathrooms: 2, SquareFeet: 892, UnitStatus: 'Occupied No Notice' },
+    ],
+  });
+  assert.equal(units[0].status, 'notice');
+  assert.equal(units[0].available, false);
+  assert.equal(units[0].availableFrom, '2026-06-15');
+  assert.equal(units[1].status, undefined);
+});
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getWaitlistBackend, submitWaitlistEntry, validateWaitlistEntry } from '../waitlist.mjs';
+
+test('waitlist entries need a name and a plausible email', () => {
+  assert.deepEqual(validateWaitlistEntry({ unitNumber: '212', name: ' ', email: 'nope' }).errors, [
+    'Enter your name',
+    'Enter a valid email',
+  ]);
+  assert.deepEqual(validateWaitlistEntry({ unitNumber: '212', name: ' Ana ', email: 'ana@example.com' }).entry, {
+    unitNumber: '212',
+    name: 'Ana',
+    email: 'ana@example.com',
+    phone: '',
+  });
+});
+
+test('no waitlist without a configured backend', async () => {
+  assert.equal(getWaitlistBackend('nowhere'), null);
+  let called = false;
+  const fetchImpl = async () => {
+    called = true;
+    return { ok: true, status: 201 };
+  };
+  await assert.rejects(
+    submitWaitlistEntry({ unitNumber: '212', name: 'Ana', email: 'ana@example.com' }, { propertyId: 'nowhere', fetchImpl }),
+    /No waitlist backend for "nowhere"/
+  );
+  await assert.rejects(
+    submitWaitlistEntry({ unitNumber: '212', name: 'Ana', email: 'ana@example.com' }, { backend: { type: 'local' }, fetchImpl }),
+    /Unknown waitlist backend "local"/
+  );
+  assert.equal(called, false);
+});
+
+test('rest waitlist posts the entry and surfaces HTTP errors', async () => {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    return { ok: calls.length === 1, status: calls.length === 1 ? 201 : 500 };
+  };
+  const backend = { type: 'rest', url: 'https://api.example.com/waitlist' };
+  const entry = await submitWaitlistEntry({ unitNumber: '405', name: 'Bo', email: 'bo@example.com' }, { propertyId: 'cv', backend, fetchImpl });
+  assert.equal(calls[0].init.method, 'POST');
+  assert.deepEqual(JSON.parse(calls[0].init.body), entry);
+  await assert.rejects(
+    submitWaitlistEntry({ unitNumber: '405', name: 'Bo', email: 'bo@example.com' }, { backend, fetchImpl }),
+    /Waitlist 500/
+  );
+});
+
+test('supabase waitlist inserts a row and ignores repeat sign-ups', async () => {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    return { ok: true, status: 201 };
+  };
+  const backend = { type: 'supabase', url: 'https://abc.supabase.co/', anonKey: 'anon' };
+  const entry = await submitWaitlistEntry(
+    { unitNumber: '308', name: 'Cy', email: 'cy@example.com', phone: '555' },
+    { propertyId: 'cv', backend, fetchImpl }
+  );
+  assert.equal(calls[0].url, 'https://abc.supabase.co/rest/v1/apartment_waitlist');
+  assert.equal(calls[0].init.headers.apikey, 'anon');
+  assert.match(calls[0].init.headers.Prefer, /resolution=ignore-duplicates/);
+  assert.deepEqual(JSON.parse(calls[0].init.body), {
+    property_id: 'cv',
+    unit_number: '308',
+    name: 'Cy',
+    email: 'cy@example.com',
+    phone: '555',
+    created_at: entry.createdAt,
+  });
+});
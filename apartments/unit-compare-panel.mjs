@@ -0,0 +1,173 @@
+import { buildComparisonRows, COMPARE_LIMIT } from './unit-compare.mjs';
+
+/**
+ * Compare tray (bottom bar of unit chips) and the side-by-side comparison
+ * sheet it opens. Reads the tray, never writes it except through the remove /
+ * clear buttons, and re-renders when the page calls `render()`.
+ * @param {object} opts
+ * @param {import('./units-data.mjs').Unit[]} opts.units
+ * @param {import('./unit-compare.mjs').CompareTray} opts.tray
+ * @param {(unit: import('./units-data.mjs').Unit) => void} opts.onUnitSelect
+ */
+export function mountUnitComparePanel({ units, tray, onUnitSelect }) {
+  const byNumber = new Map(units.map((u) => [u.unitNumber, u]));
+  const bar = ensureTray();
+  const sheet = ensureSheet();
+  const chips = bar.querySelector('.apartments-compare-chips');
+  const openButton = bar.querySelector('.apartments-compare-open');
+  /** @type {HTMLElement | null} */
+  let returnFocus = null;
+
+  function trayUnits() {
+    return tray.list().map((n) => byNumber.get(n)).filter(Boolean);
+  }
+
+  function render() {
+    const list = trayUnits();
+    bar.classList.toggle('visible', list.length > 0);
+    chips.innerHTML = '';
+    for (const u of list) {
+      const chip = document.createElement('span');
+      chip.className = 'apartments-compare-chip';
+      const unitButton = document.createElement('button');
+      unitButton.type = 'button';
+      unitButton.className = 'apartments-compare-chip-unit';
+      unitButton.textContent = `Unit ${u.unitNumber}`;
+      unitButton.addEventListener('click', () => onUnitSelect(u));
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'apartments-compare-chip-remove';
+      removeButton.setAttribute('aria-label', `Remove unit ${u.unitNumber} from compare`);
+      removeButton.textContent = '\u00d7';
+      removeButton.addEventListener('click', () => tray.remove(u.unitNumber));
+      chip.append(unitButton, removeButton);
+      chips.appendChild(chip);
+    }
+    bar.querySelector('.apartments-compare-count').textContent = `${list.length}/${COMPARE_LIMIT}`;
+    openButton.disabled = list.length < 2;
+    if (sheet.classList.contains('visible')) {
+      if (list.length < 2) setSheetOpen(false);
+      else renderSheet(list);
+    }
+  }
+
+  function renderSheet(list) {
+    const table = sheet.querySelector('.apartments-compare-table');
+    const rows = buildComparisonRows(list);
+    const headRow = document.createElement('tr');
+    headRow.appendChild(document.createElement('td'));
+    for (const u of list) {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      const goto = document.createElement('button');
+      goto.type = 'button';
+      goto.className = 'apartments-compare-goto';
+      goto.dataset.unit = u.unitNumber;
+      goto.textContent = `Unit ${u.unitNumber}`;
+      th.appendChild(goto);
+      headRow.appendChild(th);
+    }
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    const tbody = document.createElement('tbody');
+    for (const row of rows) {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = row.label;
+      tr.appendChild(th);
+      row.values.forEach((v, i) => {
+        const td = document.createElement('td');
+        if (row.best.includes(i)) td.className = 'best';
+        td.textContent = v;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    }
+    table.replaceChildren(thead, tbody);
+  }
+
+  function setSheetOpen(open) {
+    if (open) {
+      const list = trayUnits();
+      if (list.length < 2) return;
+      renderSheet(list);
+      const active = document.activeElement;
+      returnFocus = active instanceof HTMLElement ? active : null;
+      sheet.classList.add('visible');
+      sheet.querySelector('.apartments-compare-close').focus({ preventScroll: true });
+    } else if (sheet.classList.contains('visible')) {
+      sheet.classList.remove('visible');
+      if (returnFocus && returnFocus.isConnected) returnFocus.focus({ preventScroll: true });
+      returnFocus = null;
+    }
+  }
+
+  openButton.addEventListener('click', () => setSheetOpen(true));
+  bar.querySelector('.apartments-compare-clear').addEventListener('click', () => tray.clear());
+  sheet.querySelector('.apartments-compare-close').addEventListener('click', () => setSheetOpen(false));
+  sheet.addEventListener('click', (e) => {
+    if (e.target === sheet) {
+      setSheetOpen(false);
+      return;
+    }
+    const goto = e.target.closest('.apartments-compare-goto');
+    if (!goto) return;
+    const unit = byNumber.get(goto.dataset.unit);
+    setSheetOpen(false);
+    if (unit) onUnitSelect(unit);
+  });
+  sheet.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      setSheetOpen(false);
+    }
+  });
+
+  render();
+
+  return {
+    render,
+    isSheetOpen: () => sheet.classList.contains('visible'),
+    setSheetOpen,
+  };
+}
+
+function ensureTray() {
+  let el = document.getElementById('apartments-compare-tray');
+  if (el) return el;
+  el = document.createElement('div');
+  el.id = 'apartments-compare-tray';
+  el.className = 'apartments-compare-tray';
+  el.setAttribute('role', 'region');
+  el.setAttribute('aria-label', 'Compare units');
+  el.innerHTML = `
+    <span class="apartments-compare-count"></span>
+    <div class="apartments-compare-chips"></div>
+    <button type="button" class="apartments-compare-open">Compare</button>
+    <button type="button" class="apartments-compare-clear">Clear</button>
+  `;
+  document.body.appendChild(el);
+  return el;
+}
+
+function ensureSheet() {
+  let el = document.getElementById('apartments-compare-sheet');
+  if (el) return el;
+  el = document.createElement('div');
+  el.id = 'apartments-compare-sheet';
+  el.className = 'apartments-compare-sheet';
+  el.innerHTML = `
+    <div class="apartments-compare-sheet-inner" role="dialog" aria-modal="true" aria-labelledby="apartments-compare-title">
+      <div class="apartments-compare-sheet-header">
+        <h2 id="apartments-compare-title">Compare units</h2>
+        <button type="button" class="apartments-compare-close" aria-label="Close">&times;</button>
+      </div>
+      <div class="apartments-compare-scroll">
+        <table class="apartments-compare-table"></table>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(el);
+  return el;
+}
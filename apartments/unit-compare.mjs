@@ -0,0 +1,125 @@
+/**
+ * Compare tray state: up to COMPARE_LIMIT unit numbers kept in sessionStorage
+ * so the tray survives reloads and deep links within the visit but not across
+ * visits. The comparison sheet rows are built here too so they can be tested
+ * without a DOM.
+ */
+
+import { getUnitFloor } from './unit-filters.mjs';
+
+/** @typedef {import('./units-data.mjs').Unit} Unit */
+/**
+ * @typedef {object} CompareTray
+ * @property {() => string[]} list
+ * @property {(unitNumber: string) => boolean} has
+ * @property {() => boolean} isFull
+ * @property {(unitNumber: string) => boolean} add     false when already present or the tray is full
+ * @property {(unitNumber: string) => void} remove
+ * @property {(unitNumber: string) => boolean} toggle  true when the unit ends up in the tray
+ * @property {() => void} clear
+ */
+/** @typedef {{ id: string, label: string, values: string[], best: number[] }} ComparisonRow */
+
+export const COMPARE_LIMIT = 4;
+const STORAGE_KEY = 'apartments:compare:v1';
+
+/**
+ * @param {{ storage?: Storage, key?: string, knownUnits?: string[], onChange?: (list: string[]) => void }} [opts]
+ *   `knownUnits` drops saved entries that are no longer in the feed.
+ * @returns {CompareTray}
+ */
+export function createCompareTray(opts = {}) {
+  const storage = opts.storage || globalThis.sessionStorage;
+  const key = opts.key || STORAGE_KEY;
+  const known = opts.knownUnits ? new Set(opts.knownUnits) : null;
+  let items = read();
+
+  function read() {
+    try {
+      const parsed = JSON.parse(storage.getItem(key) || '[]');
+      if (!Array.isArray(parsed)) return [];
+      const list = [...new Set(parsed.filter((v) => typeof v === 'string'))];
+      return (known ? list.filter((v) => known.has(v)) : list).slice(0, COMPARE_LIMIT);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function commit(next) {
+    items = next;
+    try {
+      if (items.length) storage.setItem(key, JSON.stringify(items));
+      else storage.removeItem(key);
+    } catch (_) {
+      /* private mode / quota — keep the in-memory tray */
+    }
+    if (opts.onChange) opts.onChange(items.slice());
+  }
+
+  const tray = {
+    list: () => items.slice(),
+    has: (unitNumber) => items.includes(unitNumber),
+    isFull: () => items.length >= COMPARE_LIMIT,
+    add(unitNumber) {
+      if (items.includes(unitNumber) || items.length >= COMPARE_LIMIT) return false;
+      commit([...items, unitNumber]);
+      return true;
+    },
+    remove(unitNumber) {
+      if (items.includes(unitNumber)) commit(items.filter((v) => v !== unitNumber));
+    },
+    toggle(unitNumber) {
+      if (items.includes(unitNumber)) {
+        tray.remove(unitNumber);
+        return false;
+      }
+      return tray.add(unitNumber);
+    },
+    clear() {
+      if (items.length) commit([]);
+    },
+  };
+  return tray;
+}
+
+const money = (n) => `$${Math.round(n).toLocaleString('en-US')}`;
+
+/** Indexes of the smallest values (ties all win); nothing when fewer than two are comparable. */
+function lowest(nums) {
+  const finite = nums.filter(Number.isFinite);
+  if (finite.length < 2) return [];
+  const min = Math.min(...finite);
+  return nums.flatMap((n, i) => (n === min ? [i] : []));
+}
+
+/**
+ * Rows for the comparison sheet, one value per unit in tray order. `best`
+ * marks the cheapest price and price per sq ft.
+ * @param {Unit[]} units
+ * @returns {ComparisonRow[]}
+ */
+export function buildComparisonRows(units) {
+  const perSqft = units.map((u) => (u.sqft > 0 ? u.price / u.sqft : NaN));
+  return [
+    { id: 'price', label: 'Price', values: units.map((u) => `${money(u.price)}/mo`), best: lowest(units.map((u) => u.price)) },
+    {
+      id: 'pricePerSqft',
+      label: 'Price / sq ft',
+      values: perSqft.map((n) => (Number.isFinite(n) ? `$${n.toFixed(2)}` : '—')),
+      best: lowest(perSqft),
+    },
+    { id: 'beds', label: 'Beds', values: units.map((u) => (u.beds === 0 ? 'Studio' : String(u.beds))), best: [] },
+    { id: 'baths', label: 'Baths', values: units.map((u) => String(u.baths)), best: [] },
+    { id: 'sqft', label: 'Sq ft', values: units.map((u) => u.sqft.toLocaleString('en-US')), best: [] },
+    {
+      id: 'floor',
+      label: 'Floor',
+      values: units.map((u) => {
+        const floor = getUnitFloor(u);
+        return floor === null ? '—' : String(floor);
+      }),
+      best: [],
+    },
+    { id: 'exposure', label: 'Exposure', values: units.map((u) => u.exposure || '—'), best: [] },
+  ];
+}
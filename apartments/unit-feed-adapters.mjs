@@ -0,0 +1,347 @@
+/**
+ * Unit-feed adapters — map vendor payloads into the `Unit` typedef from
+ * units-data.mjs.
+ *
+ * Adapters: `rentcafe`/`yardi`, `entrata`, `csv` (Google Sheet export) and
+ * `json` (static file already in `Unit` shape). Each declares how its payload
+ * is read (`json` or `text`) and a `map(payload)` that returns loose records. `loadUnitFeed()` fetches the
+ * configured URL, runs the adapter, then `validateUnits()` coerces every record
+ * and drops the ones that cannot be rendered, reporting why.
+ */
+
+import { toUnitStatus } from './unit-status.mjs';
+
+/** @typedef {import('./units-data.mjs').Unit} Unit */
+/** @typedef {{ index: number, unitNumber: string | null, reasons: string[] }} DroppedUnit */
+/** @typedef {{ adapter: string, total: number, accepted: number, dropped: DroppedUnit[] }} UnitFeedReport */
+/** @typedef {{ adapter: string, url?: string, headers?: Record<string, string>, units?: object[] }} UnitFeedConfig */
+
+const AVAILABLE_STATUS_RE = /^(available|vacant|ready|yes|y|true|1)\b/i;
+
+function pick(record, keys) {
+  for (const k of keys) {
+    if (record[k] !== undefined && record[k] !== null && record[k] !== '') return record[k];
+  }
+  return undefined;
+}
+
+/** Parse "$1,199.00", "1199", 1199 → 1199; anything else → NaN. */
+export function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+  const cleaned = value.replace(/[$,\s]/g, '');
+  if (!cleaned) return NaN;
+  return Number(cleaned);
+}
+
+/** "YYYY-MM-DD" for a real calendar date; undefined for 2025-13-45, 2025-02-30 and the like. */
+function calendarDate(year, month, day) {
+  const d = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  const iso = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  return d.toISOString().slice(0, 10) === iso ? iso : undefined;
+}
+
+/** "2026-03-01", "2026-03-01T00:00:00", "3/1/2026" → "2026-03-01"; anything else (including impossible dates) → undefined. */
+export function toIsoDate(value) {
+  if (typeof value !== 'string') return undefined;
+  const v = value.trim();
+  let m = /^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/.exec(v);
+  if (m) return calendarDate(m[1], m[2], m[3]);
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(v);
+  if (m) return calendarDate(m[3], m[1], m[2]);
+  return undefined;
+}
+
+/**
+ * Arrays pass through; strings split on `|`, `;`, `^` (Yardi amenity lists) or,
+ * for plain lists, commas. URLs are split on `|`, whitespace and commas only.
+ * @param {unknown} value
+ * @param {{ urls?: boolean }} [opts]
+ * @returns {string[]}
+ */
+export function toList(value, opts = {}) {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(opts.urls ? /[|\s,]+/ : /[|;^,]/) : [];
+  return items
+    .map((v) => (v && typeof v === 'object' && typeof v.url === 'string' ? v.url : v))
+    .filter((v) => typeof v === 'string' || typeof v === 'number')
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+}
+
+/** @returns {boolean | undefined} */
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value !== 'string' || !value.trim()) return undefined;
+  return AVAILABLE_STATUS_RE.test(value.trim());
+}
+
+function listFrom(payload, keys) {
+  if (Array.isArray(payload)) return payload;
+  if (payload && typeof payload === 'object') {
+    for (const k of keys) {
+      if (Array.isArray(payload[k])) return payload[k];
+    }
+  }
+  throw new Error('Unit feed payload has no unit list');
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF). Google
+ * Sheets "Download as CSV" output parses cleanly with this.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+function normalizeHeader(h) {
+  return String(h).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/** RentCafe availability API and Yardi Voyager-style exports. */
+const rentCafeAdapter = {
+  responseType: 'json',
+  map(payload) {
+    return listFrom(payload, ['units', 'Units', 'apartments', 'Apartments', 'data']).map((u) => {
+      const status = pick(u, ['status', 'Status', 'UnitStatus']);
+      let available = toBoolean(pick(u, ['available', 'Available', 'IsAvailable']));
+      if (available === undefined && status !== undefined) available = toBoolean(status);
+      if (available === undefined) available = pick(u, ['AvailableDate', 'availableDate']) !== undefined;
+      return {
+        unitNumber: pick(u, ['unitNumber', 'UnitNumber', 'ApartmentName', 'UnitCode']),
+        price: pick(u, ['rent', 'MarketRent', 'MinimumRent', 'Rent', 'price']),
+        available,
+        beds: pick(u, ['beds', 'Beds', 'Bedrooms']),
+        baths: pick(u, ['baths', 'Baths', 'Bathrooms']),
+        sqft: pick(u, ['sqft', 'SQFT', 'SquareFeet', 'SqFt']),
+        applyUrl: pick(u, ['applyUrl', 'ApplyNowUrl', 'ApplyOnlineURL']),
+        availableFrom: pick(u, ['availableFrom', 'AvailableDate', 'availableDate', 'MadeReadyDate']),
+        floorplanUrl: pick(u, ['floorplanUrl', 'FloorplanImageURL', 'FloorPlanImageURL', 'FloorplanImage']),
+        photos: pick(u, ['photos', 'UnitImageURLs', 'UnitImages', 'ImageURLs']),
+        amenities: pick(u, ['amenities', 'Amenities', 'UnitAmenities']),
+        special: pick(u, ['special', 'Specials', 'Concession', 'SpecialsDescription']),
+        deposit: pick(u, ['deposit', 'Deposit', 'MinimumDeposit']),
+        floor: pick(u, ['floor', 'Floor', 'FloorNumber']),
+        exposure: pick(u, ['exposure', 'Exposure', 'Orientation']),
+        status,
+      };
+    });
+  },
+};
+
+/** Entrata getUnitsAvailabilityAndPricing (JSON): units under response.result.ILS_Units.Unit. */
+const entrataAdapter = {
+  responseType: 'json',
+  map(payload) {
+    const list = payload?.response?.result?.ILS_Units?.Unit;
+    const units = Array.isArray(list) ? list : list ? [list] : listFrom(payload, ['units', 'Units']);
+    return units.map((raw) => {
+      const u = raw && raw['@attributes'] ? { ...raw, ...raw['@attributes'] } : raw || {};
+      return {
+        unitNumber: pick(u, ['UnitNumber', 'MarketingName', 'unitNumber']),
+        price: pick(u, ['MarketRent', 'BaseRent', 'MinRent', 'rent']),
+        available: toBoolean(pick(u, ['Availability', 'Status', 'available']) ?? ''),
+        beds: pick(u, ['Bedrooms', 'NumberOfBedrooms', 'beds']),
+        baths: pick(u, ['Bathrooms', 'NumberOfBathrooms', 'baths']),
+        sqft: pick(u, ['SquareFeet', 'MaxSquareFeet', 'MinSquareFeet', 'sqft']),
+        applyUrl: pick(u, ['ApplyOnlineUrl', 'ApplyNowUrl', 'applyUrl']),
+        availableFrom: pick(u, ['AvailableOn', 'AvailableDate', 'availableFrom']),
+        floorplanUrl: pick(u, ['FloorplanImageUrl', 'FloorPlanImage', 'floorplanUrl']),
+        photos: pick(u, ['UnitImages', 'Images', 'photos']),
+        amenities: pick(u, ['Amenities', 'amenities']),
+        special: pick(u, ['Concession', 'Special', 'special']),
+        deposit: pick(u, ['DepositAmount', 'Deposit', 'deposit']),
+        floor: pick(u, ['FloorNumber', 'Floor', 'floor']),
+        exposure: pick(u, ['Exposure', 'Orientation', 'exposure']),
+        status: pick(u, ['Status', 'UnitStatus', 'Availability', 'status']),
+      };
+    });
+  },
+};
+
+/** CSV / Google Sheet export with a header row. */
+const csvAdapter = {
+  responseType: 'text',
+  map(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const keys = header.map(normalizeHeader);
+    return rows.map((cells) => {
+      const r = {};
+      keys.forEach((k, i) => {
+        r[k] = cells[i] !== undefined ? cells[i].trim() : undefined;
+      });
+      return {
+        unitNumber: pick(r, ['unitnumber', 'unit', 'unitno', 'apartment']),
+        price: pick(r, ['price', 'rent', 'marketrent']),
+        available: toBoolean(pick(r, ['available', 'status']) ?? ''),
+        beds: pick(r, ['beds', 'bedrooms', 'bd']),
+        baths: pick(r, ['baths', 'bathrooms', 'ba']),
+        sqft: pick(r, ['sqft', 'squarefeet', 'sf']),
+        applyUrl: pick(r, ['applyurl', 'apply', 'applynowurl']),
+        availableFrom: pick(r, ['availablefrom', 'availabledate', 'moveindate', 'availableon']),
+        floorplanUrl: pick(r, ['floorplanurl', 'floorplan', 'floorplanimage']),
+        photos: pick(r, ['photos', 'photourls', 'images']),
+        amenities: pick(r, ['amenities', 'features']),
+        special: pick(r, ['special', 'specials', 'concession']),
+        deposit: pick(r, ['deposit', 'securitydeposit']),
+        floor: pick(r, ['floor', 'level']),
+        exposure: pick(r, ['exposure', 'facing', 'orientation']),
+        status: pick(r, ['status', 'unitstatus']),
+      };
+    });
+  },
+};
+
+/** JSON already in `Unit` shape (array or `{ units: [...] }`). */
+const staticJsonAdapter = {
+  responseType: 'json',
+  map(payload) {
+    return listFrom(payload, ['units']).map((u) => ({ ...u }));
+  },
+};
+
+export const UNIT_FEED_ADAPTERS = {
+  rentcafe: rentCafeAdapter,
+  yardi: rentCafeAdapter,
+  entrata: entrataAdapter,
+  csv: csvAdapter,
+  json: staticJsonAdapter,
+};
+
+/**
+ * Coerce loose adapter records into `Unit`s. Records missing a unit number or
+ * with non-numeric price/beds/baths/sqft are dropped; duplicate unit numbers
+ * keep the first occurrence. Optional detail fields (dates, media, amenities,
+ * special, deposit, floor, exposure, status) are kept only when they parse — a bad one never drops the unit.
+ * @param {object[]} records
+ * @returns {{ units: Unit[], dropped: DroppedUnit[] }}
+ */
+export function validateUnits(records) {
+  const units = [];
+  const dropped = [];
+  const seen = new Set();
+  records.forEach((raw, index) => {
+    const reasons = [];
+    const r = raw && typeof raw === 'object' ? raw : {};
+    const unitNumber = r.unitNumber === undefined || r.unitNumber === null ? '' : String(r.unitNumber).trim();
+    if (!unitNumber) reasons.push('missing unitNumber');
+    else if (seen.has(unitNumber)) reasons.push('duplicate unitNumber');
+
+    const price = toNumber(r.price);
+    const beds = toNumber(r.beds);
+    const baths = toNumber(r.baths);
+    const sqft = toNumber(r.sqft);
+    if (!Number.isFinite(price) || price < 0) reasons.push('invalid price');
+    if (!Number.isFinite(beds) || beds < 0) reasons.push('invalid beds');
+    if (!Number.isFinite(baths) || baths < 0) reasons.push('invalid baths');
+    if (!Number.isFinite(sqft) || sqft <= 0) reasons.push('invalid sqft');
+
+    if (reasons.length) {
+      dropped.push({ index, unitNumber: unitNumber || null, reasons });
+      return;
+    }
+    seen.add(unitNumber);
+    const unit = {
+      unitNumber,
+      price,
+      available: toBoolean(r.available) === true,
+      beds,
+      baths,
+      sqft,
+      applyUrl: r.applyUrl ? String(r.applyUrl) : '',
+    };
+    const availableFrom = toIsoDate(r.availableFrom);
+    if (availableFrom) unit.availableFrom = availableFrom;
+    if (typeof r.floorplanUrl === 'string' && r.floorplanUrl.trim()) unit.floorplanUrl = r.floorplanUrl.trim();
+    const photos = toList(r.photos, { urls: true });
+    if (photos.length) unit.photos = photos;
+    const amenities = toList(r.amenities);
+    if (amenities.length) unit.amenities = amenities;
+    if (typeof r.special === 'string' && r.special.trim()) unit.special = r.special.trim();
+    const deposit = toNumber(r.deposit);
+    if (Number.isFinite(deposit) && deposit >= 0) unit.deposit = deposit;
+    const floor = toNumber(r.floor);
+    if (Number.isInteger(floor)) unit.floor = floor;
+    if (typeof r.exposure === 'string' && r.exposure.trim()) unit.exposure = r.exposure.trim();
+    const status = toUnitStatus(r.status);
+    if (status) unit.status = status;
+    units.push(unit);
+  });
+  return { units, dropped };
+}
+
+/**
+ * Run an adapter over an already-loaded payload.
+ * @param {string} adapterId
+ * @param {unknown} payload
+ * @returns {{ units: Unit[], report: UnitFeedReport }}
+ */
+export function parseUnitFeed(adapterId, payload) {
+  const adapter = UNIT_FEED_ADAPTERS[adapterId];
+  if (!adapter) throw new Error(`Unknown unit feed adapter "${adapterId}"`);
+  const records = adapter.map(payload);
+  const { units, dropped } = validateUnits(records);
+  return {
+    units,
+    report: { adapter: adapterId, total: records.length, accepted: units.length, dropped },
+  };
+}
+
+/**
+ * Fetch and parse one configured feed.
+ * @param {UnitFeedConfig} config
+ * @param {{ fetchImpl?: typeof fetch }} [opts]
+ */
+export async function loadUnitFeed(config, opts = {}) {
+  const adapter = UNIT_FEED_ADAPTERS[config.adapter];
+  if (!adapter) throw new Error(`Unknown unit feed adapter "${config.adapter}"`);
+  if (Array.isArray(config.units)) return parseUnitFeed(config.adapter, config.units);
+  if (!config.url) throw new Error(`Unit feed "${config.adapter}" has no url`);
+  const fetchImpl = opts.fetchImpl || fetch;
+  const res = await fetchImpl(config.url, {
+    headers: { Accept: adapter.responseType === 'json' ? 'application/json' : 'text/csv', ...(config.headers || {}) },
+  });
+  if (!res.ok) throw new Error(`Unit feed ${config.adapter} ${res.status}`);
+  const payload = adapter.responseType === 'json' ? await res.json() : await res.text();
+  return parseUnitFeed(config.adapter, payload);
+}
@@ -0,0 +1,164 @@
+/**
+ * Viewer search state: filters, sort order, and their URL query form so a
+ * leasing agent can share a pre-filtered link (e.g. `?beds=2&maxPrice=1600`).
+ *
+ * Query keys: q, beds (exact; 0 = studio), baths (minimum), minPrice, maxPrice,
+ * minSqft, maxSqft, moveIn (YYYY-MM-DD), avail=0 (include leased), sort.
+ */
+
+/** @typedef {import('./units-data.mjs').Unit} Unit */
+/**
+ * @typedef {object} UnitFilters
+ * @property {string} q
+ * @property {number | null} beds
+ * @property {number | null} baths
+ * @property {number | null} minPrice
+ * @property {number | null} maxPrice
+ * @property {number | null} minSqft
+ * @property {number | null} maxSqft
+ * @property {string | null} moveIn
+ * @property {boolean} onlyAvailable
+ * @property {string} sort
+ */
+
+export const SORT_OPTIONS = [
+  { id: 'price', label: 'Price: low to high' },
+  { id: '-price', label: 'Price: high to low' },
+  { id: 'sqft', label: 'Size: small to large' },
+  { id: '-sqft', label: 'Size: large to small' },
+  { id: 'moveIn', label: 'Move-in: soonest' },
+  { id: 'unit', label: 'Unit number' },
+];
+
+const NUMERIC_KEYS = ['beds', 'baths', 'minPrice', 'maxPrice', 'minSqft', 'maxSqft'];
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** @returns {UnitFilters} */
+export function getDefaultFilters() {
+  return {
+    q: '',
+    beds: null,
+    baths: null,
+    minPrice: null,
+    maxPrice: null,
+    minSqft: null,
+    maxSqft: null,
+    moveIn: null,
+    onlyAvailable: true,
+    sort: 'price',
+  };
+}
+
+function toFilterNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * @param {string | URLSearchParams} search
+ * @returns {UnitFilters}
+ */
+export function parseUnitFilters(search) {
+  const params = search instanceof URLSearchParams ? search : new URLSearchParams(search || '');
+  const filters = getDefaultFilters();
+  filters.q = (params.get('q') || '').trim();
+  for (const key of NUMERIC_KEYS) filters[key] = toFilterNumber(params.get(key));
+  const moveIn = params.get('moveIn');
+  filters.moveIn = moveIn && ISO_DATE_RE.test(moveIn) ? moveIn : null;
+  filters.onlyAvailable = params.get('avail') !== '0';
+  const sort = params.get('sort');
+  if (sort && SORT_OPTIONS.some((o) => o.id === sort)) filters.sort = sort;
+  return filters;
+}
+
+/**
+ * Only non-default values are written, so an unfiltered view has an empty query.
+ * @param {UnitFilters} filters
+ * @returns {string} Query string without the leading `?`.
+ */
+export function serializeUnitFilters(filters) {
+  const params = new URLSearchParams();
+  if (filters.q) params.set('q', filters.q);
+  for (const key of NUMERIC_KEYS) {
+    if (filters[key] !== null && filters[key] !== undefined) params.set(key, String(filters[key]));
+  }
+  if (filters.moveIn) params.set('moveIn', filters.moveIn);
+  if (!filters.onlyAvailable) params.set('avail', '0');
+  if (filters.sort && filters.sort !== 'price') params.set('sort', filters.sort);
+  return params.toString();
+}
+
+/**
+ * @param {Unit} unit
+ * @param {UnitFilters} filters
+ */
+export function unitMatchesFilters(unit, filters) {
+  if (filters.onlyAvailable && !unit.available) return false;
+  if (filters.q && !unit.unitNumber.toLowerCase().includes(filters.q.toLowerCase())) return false;
+  if (filters.beds !== null && unit.beds !== filters.beds) return false;
+  if (filters.baths !== null && unit.baths < filters.baths) return false;
+  if (filters.minPrice !== null && unit.price < filters.minPrice) return false;
+  if (filters.maxPrice !== null && unit.price > filters.maxPrice) return false;
+  if (filters.minSqft !== null && unit.sqft < filters.minSqft) return false;
+  if (filters.maxSqft !== null && unit.sqft > filters.maxSqft) return false;
+  if (filters.moveIn) {
+    // A dated unit must free up by the move-in day; an undated one only counts if it is available now.
+    if (unit.availableFrom ? unit.availableFrom > filters.moveIn : !unit.available) return false;
+  }
+  return true;
+}
+
+/**
+ * Explicit `floor` from the feed, else the unit number's leading digits
+ * (305 → 3, 1204 → 12). Null when neither gives an answer.
+ * @param {Unit} unit
+ * @returns {number | null}
+ */
+export function getUnitFloor(unit) {
+  if (Number.isInteger(unit.floor)) return unit.floor;
+  const m = /^(\d+)\d{2}$/.exec(unit.unitNumber);
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Distinct floors in ascending order; units without one are left out.
+ * @param {Unit[]} units
+ * @returns {number[]}
+ */
+export function listUnitFloors(units) {
+  const floors = new Set();
+  for (const u of units) {
+    const floor = getUnitFloor(u);
+    if (floor !== null) floors.add(floor);
+  }
+  return [...floors].sort((a, b) => a - b);
+}
+
+const compareUnitNumber = (a, b) => a.unitNumber.localeCompare(b.unitNumber, 'en', { numeric: true });
+
+const SORTERS = {
+  price: (a, b) => a.price - b.price,
+  '-price': (a, b) => b.price - a.price,
+  sqft: (a, b) => a.sqft - b.sqft,
+  '-sqft': (a, b) => b.sqft - a.sqft,
+  moveIn: (a, b) => {
+    const da = a.availableFrom || (a.available ? '' : '\uffff');
+    const db = b.availableFrom || (b.available ? '' : '\uffff');
+    return da < db ? -1 : da > db ? 1 : 0;
+  },
+  unit: compareUnitNumber,
+};
+
+/**
+ * Matching units in the requested order (ties broken by unit number).
+ * @param {Unit[]} units
+ * @param {UnitFilters} filters
+ * @returns {Unit[]}
+ */
+export function filterAndSortUnits(units, filters) {
+  const sorter = SORTERS[filters.sort] || SORTERS.price;
+  return units
+    .filter((u) => unitMatchesFilters(u, filters))
+    .sort((a, b) => sorter(a, b) || compareUnitNumber(a, b));
+}
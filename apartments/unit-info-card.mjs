@@ -1,46 +1,396 @@
+/**
+ * Unit detail card for the apartments viewer: status badge, photo carousel,
+ * price, special, key facts, amenities, floorplan and the Apply / compare /
+ * share actions. Every detail section hides itself when the feed leaves that
+ * field out. Units that cannot be applied to (leased, on notice, model, down)
+ * get a waitlist form in place of Apply.
+ *
+ * The carousel follows the Canyon-Vista tap-dot popup (arrows, dots, tap the
+ * photo to advance, 50px swipe, preload then fade). While the card is open Tab
+ * stays inside it; focus goes back to whatever opened it when it closes. Feed
+ * links and images are only used when they are http(s).
+ */
+
+import { canApply, DEFAULT_STATUS_PALETTE, getUnitStatus } from './unit-status.mjs';
+
+const SWIPE_THRESHOLD = 50;
+const FOCUSABLE = 'a[href]:not([aria-disabled]), button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/** @type {(() => void) | null} */
+let onCloseHandler = null;
+/** @type {HTMLElement | null} */
+let returnFocus = null;
+/** @type {UnitCardCompare | null} */
+let compareOpts = null;
+/** @type {((unit: import('./units-data.mjs').Unit, contact: { name: string, email: string }) => Promise<void>) | null} */
+let waitlistHandler = null;
+/** @type {import('./units-data.mjs').Unit | null} */
+let currentUnit = null;
+const carousel = { photos: /** @type {string[]} */ ([]), index: 0, loadToken: 0 };
+
+/**
+ * @typedef {object} UnitCardCompare
+ * @property {(unitNumber: string) => { added: boolean, full: boolean }} getState
+ * @property {(unit: import('./units-data.mjs').Unit) => void} onToggle
+ */
+
+/** `#unit-305` → '305'; anything else → null. */
+export function parseUnitHash(hash) {
+  const m = /^#unit-(.+)$/.exec(hash || '');
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+/** @param {string} unitNumber */
+export function unitHash(unitNumber) {
+  return `#unit-${encodeURIComponent(unitNumber)}`;
+}
+
+/**
+ * `value` as an absolute http(s) URL (relative ones resolve against the page),
+ * or null for anything else — `javascript:`, `data:`, malformed.
+ * @param {unknown} value
+ * @param {string} [base]
+ */
+export function safeHttpUrl(value, base = globalThis.location && globalThis.location.href) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    const url = new URL(value.trim(), base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
 /**
  * @param {import('./units-data.mjs').Unit} unit
+ * @param {object} [opts]
+ * @param {() => void} [opts.onClose] Called once when the card is dismissed (close button, Escape, hideUnitCard()).
+ * @param {UnitCardCompare} [opts.compare]
+ * @param {import('./unit-status.mjs').StatusPalette} [opts.palette]
+ * @param {(unit: import('./units-data.mjs').Unit, contact: { name: string, email: string }) => Promise<void>} [opts.onWaitlist]
+ *   Rejects with a user-facing message when the sign-up fails.
  */
-export function showUnitCard(unit) {
-  let root = document.getElementById('apartments-unit-card');
-  if (!root) {
-    root = document.createElement('div');
-    root.id = 'apartments-unit-card';
-    root.innerHTML = `
-      <div class="apartments-unit-card-inner">
-        <button type="button" class="apartments-unit-card-close" aria-label="Close">&times;</button>
-        <div class="apartments-unit-badge">Available</div>
-        <h2 class="apartments-unit-number"></h2>
-        <p class="apartments-unit-price"></p>
-        <dl class="apartments-unit-dl">
-          <div><dt>Beds</dt><dd data-field="beds"></dd></div>
-          <div><dt>Baths</dt><dd data-field="baths"></dd></div>
-          <div><dt>Sq ft</dt><dd data-field="sqft"></dd></div>
-        </dl>
-        <a class="apartments-unit-apply" href="#" target="_blank" rel="noopener">Apply Now</a>
-      </div>
-    `;
-    document.body.appendChild(root);
-    root.querySelector('.apartments-unit-card-close').addEventListener('click', () => hideUnitCard());
+export function showUnitCard(unit, opts = {}) {
+  const root = ensureCard();
+  const wasOpen = root.classList.contains('visible');
+  if (!wasOpen) {
+    const active = document.activeElement;
+    returnFocus = active instanceof HTMLElement && active !== document.body ? active : null;
   }
 
+  onCloseHandler = opts.onClose || null;
+  compareOpts = opts.compare || null;
+  waitlistHandler = opts.onWaitlist || null;
+  currentUnit = unit;
+  const style = (opts.palette || DEFAULT_STATUS_PALETTE)[getUnitStatus(unit)];
+  const badge = root.querySelector('.apartments-unit-badge');
+  badge.textContent = style.label;
+  badge.style.background = style.color;
   root.classList.add('visible');
+  root.dataset.unit = unit.unitNumber;
   root.querySelector('.apartments-unit-number').textContent = `Unit ${unit.unitNumber}`;
   root.querySelector('.apartments-unit-price').textContent = formatPrice(unit.price);
-  root.querySelector('[data-field="beds"]').textContent = String(unit.beds);
+  root.querySelector('[data-field="beds"]').textContent = unit.beds === 0 ? 'Studio' : String(unit.beds);
   root.querySelector('[data-field="baths"]').textContent = String(unit.baths);
   root.querySelector('[data-field="sqft"]').textContent = String(unit.sqft);
+
+  setSection(root, 'special', unit.special, (el) => {
+    el.textContent = unit.special;
+  });
+  setSection(root, 'availableFrom', unit.available || unit.availableFrom, (el) => {
+    el.querySelector('dd').textContent = unit.availableFrom ? formatDate(unit.availableFrom) : 'Now';
+  });
+  setSection(root, 'deposit', Number.isFinite(unit.deposit), (el) => {
+    el.querySelector('dd').textContent = `$${Math.round(unit.deposit).toLocaleString('en-US')}`;
+  });
+  setSection(root, 'amenities', unit.amenities && unit.amenities.length, (el) => {
+    el.innerHTML = '';
+    for (const name of unit.amenities) {
+      const li = document.createElement('li');
+      li.textContent = name;
+      el.appendChild(li);
+    }
+  });
+  const floorplanUrl = safeHttpUrl(unit.floorplanUrl);
+  setSection(root, 'floorplan', floorplanUrl, (el) => {
+    el.querySelector('a').href = floorplanUrl;
+    const img = el.querySelector('img');
+    img.src = floorplanUrl;
+    img.alt = `Floorplan for unit ${unit.unitNumber}`;
+  });
+  renderCarousel(root, unit);
+
+  const leasable = canApply(unit);
   const apply = root.querySelector('.apartments-unit-apply');
-  apply.href = unit.applyUrl || '#';
-  apply.toggleAttribute('aria-disabled', !unit.applyUrl);
+  apply.hidden = !leasable;
+  const applyUrl = safeHttpUrl(unit.applyUrl);
+  apply.href = applyUrl || '#';
+  apply.toggleAttribute('aria-disabled', !applyUrl);
+  setSection(root, 'waitlist', !leasable && waitlistHandler, (form) => {
+    form.reset();
+    form.querySelector('button').disabled = false;
+    form.querySelector('.apartments-unit-waitlist-status').textContent = '';
+  });
+  const share = root.querySelector('.apartments-unit-share');
+  share.textContent = 'Copy link';
+  refreshUnitCardCompare();
+
+  if (!wasOpen) root.querySelector('.apartments-unit-card-close').focus({ preventScroll: true });
+}
+
+/** @param {{ silent?: boolean }} [opts] `silent` hides without firing onClose (e.g. when switching units). */
+export function hideUnitCard(opts = {}) {
+  const root = document.getElementById('apartments-unit-card');
+  if (root) {
+    const hadFocus = root.contains(document.activeElement);
+    root.classList.remove('visible');
+    delete root.dataset.unit;
+    currentUnit = null;
+    waitlistHandler = null;
+    carousel.loadToken++;
+    if (hadFocus && returnFocus && returnFocus.isConnected) returnFocus.focus({ preventScroll: true });
+  }
+  returnFocus = null;
+  const handler = onCloseHandler;
+  onCloseHandler = null;
+  if (handler && !opts.silent) handler();
+}
+
+/** Re-read the compare state for the open card (e.g. after the tray changed elsewhere). */
+export function refreshUnitCardCompare() {
+  const root = document.getElementById('apartments-unit-card');
+  if (!root) return;
+  const button = root.querySelector('.apartments-unit-compare');
+  button.hidden = !compareOpts || !currentUnit;
+  if (button.hidden) return;
+  const { added, full } = compareOpts.getState(currentUnit.unitNumber);
+  button.textContent = added ? 'Remove from compare' : full ? 'Compare tray full' : 'Add to compare';
+  button.disabled = !added && full;
+  button.setAttribute('aria-pressed', String(added));
 }
 
-export function hideUnitCard() {
+/** Screen rect the open card covers, or null when hidden. */
+export function getUnitCardRect() {
   const root = document.getElementById('apartments-unit-card');
-  if (root) root.classList.remove('visible');
+  if (!root || !root.classList.contains('visible')) return null;
+  return root.querySelector('.apartments-unit-card-inner').getBoundingClientRect();
+}
+
+function setSection(root, name, show, fill) {
+  const el = root.querySelector(`[data-section="${name}"]`);
+  el.hidden = !show;
+  if (show) fill(el);
+}
+
+function renderCarousel(root, unit) {
+  const photos = (unit.photos || []).map((src) => safeHttpUrl(src)).filter(Boolean);
+  const wrap = root.querySelector('.apartments-unit-carousel');
+  const photoEl = wrap.querySelector('.apartments-unit-photo');
+  const nav = wrap.querySelector('.apartments-unit-carousel-nav');
+  const dots = wrap.querySelector('.apartments-unit-carousel-dots');
+  carousel.photos = photos;
+  carousel.index = 0;
+  carousel.loadToken++;
+  wrap.hidden = photos.length === 0;
+  nav.hidden = photos.length < 2;
+  dots.innerHTML = '';
+  photos.forEach((_, i) => {
+    const dot = document.createElement('button');
+    dot.type = 'button';
+    dot.className = 'apartments-unit-carousel-dot' + (i === 0 ? ' active' : '');
+    dot.dataset.index = String(i);
+    dot.setAttribute('aria-label', `Photo ${i + 1} of ${photos.length}`);
+    dots.appendChild(dot);
+  });
+  if (!photos.length) {
+    photoEl.removeAttribute('src');
+    return;
+  }
+  photoEl.alt = `Unit ${unit.unitNumber}, photo 1 of ${photos.length}`;
+  photoEl.src = photos[0];
+  photoEl.classList.remove('fade');
+  if (photos[1]) new Image().src = photos[1];
+}
+
+function carouselGoTo(idx) {
+  const { photos } = carousel;
+  if (photos.length < 2 || idx < 0 || idx >= photos.length) return;
+  carousel.index = idx;
+  const root = document.getElementById('apartments-unit-card');
+  const photoEl = root.querySelector('.apartments-unit-photo');
+  root.querySelectorAll('.apartments-unit-carousel-dot').forEach((d, i) => d.classList.toggle('active', i === idx));
+  photoEl.classList.add('fade');
+  const token = ++carousel.loadToken;
+  const src = photos[idx];
+  const img = new Image();
+  const show = () => {
+    if (token !== carousel.loadToken) return;
+    photoEl.src = src;
+    photoEl.alt = photoEl.alt.replace(/photo \d+ of/, `photo ${idx + 1} of`);
+    requestAnimationFrame(() => photoEl.classList.remove('fade'));
+    const next = photos[(idx + 1) % photos.length];
+    if (next !== src) new Image().src = next;
+  };
+  img.onload = show;
+  img.onerror = show;
+  img.src = src;
+  if (img.complete) show();
+}
+
+function carouselNav(direction) {
+  const n = carousel.photos.length;
+  if (n < 2) return;
+  carouselGoTo((carousel.index + direction + n) % n);
+}
+
+async function copyUnitLink(button) {
+  const unitNumber = button.closest('#apartments-unit-card').dataset.unit;
+  if (!unitNumber) return;
+  const url = new URL(location.href);
+  url.hash = unitHash(unitNumber);
+  try {
+    await navigator.clipboard.writeText(url.href);
+    button.textContent = 'Link copied';
+  } catch (_) {
+    window.prompt('Copy this link', url.href);
+  }
+}
+
+async function joinWaitlist(form) {
+  const unit = currentUnit;
+  if (!unit || !waitlistHandler) return;
+  const button = form.querySelector('button');
+  const status = form.querySelector('.apartments-unit-waitlist-status');
+  button.disabled = true;
+  status.textContent = 'Sending…';
+  try {
+    await waitlistHandler(unit, { name: form.elements.namedItem('name').value, email: form.elements.namedItem('email').value });
+    if (currentUnit !== unit) return;
+    status.textContent = `You're on the list for unit ${unit.unitNumber}. We'll email you when it opens up.`;
+  } catch (err) {
+    if (currentUnit !== unit) return;
+    button.disabled = false;
+    status.textContent = err && err.message ? err.message : 'Could not join the waitlist. Try again.';
+  }
+}
+
+/** Listens on the document so Tab also comes back when focus has left the card (e.g. a canvas click). */
+function trapFocus(root, e) {
+  const focusable = [...root.querySelectorAll(FOCUSABLE)].filter((el) => el.offsetParent !== null);
+  if (!focusable.length) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const inside = root.contains(document.activeElement);
+  if (e.shiftKey && (document.activeElement === first || !inside)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+function ensureCard() {
+  let root = document.getElementById('apartments-unit-card');
+  if (root) return root;
+  root = document.createElement('div');
+  root.id = 'apartments-unit-card';
+  root.innerHTML = `
+    <div class="apartments-unit-card-inner" role="dialog" aria-modal="true" aria-labelledby="apartments-unit-number">
+      <button type="button" class="apartments-unit-card-close" aria-label="Close">&times;</button>
+      <div class="apartments-unit-carousel" hidden>
+        <img class="apartments-unit-photo" alt="" draggable="false" />
+        <div class="apartments-unit-carousel-nav" hidden>
+          <button type="button" class="apartments-unit-carousel-arrow" data-dir="-1" aria-label="Previous photo">
+            <svg viewBox="0 0 24 24" width="22" height="22" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M15 18l-6-6 6-6"/></svg>
+          </button>
+          <button type="button" class="apartments-unit-carousel-arrow" data-dir="1" aria-label="Next photo">
+            <svg viewBox="0 0 24 24" width="22" height="22" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M9 18l6-6-6-6"/></svg>
+          </button>
+        </div>
+        <div class="apartments-unit-carousel-dots"></div>
+      </div>
+      <div class="apartments-unit-badge"></div>
+      <h2 class="apartments-unit-number" id="apartments-unit-number"></h2>
+      <p class="apartments-unit-price"></p>
+      <p class="apartments-unit-special" data-section="special" hidden></p>
+      <dl class="apartments-unit-dl">
+        <div><dt>Beds</dt><dd data-field="beds"></dd></div>
+        <div><dt>Baths</dt><dd data-field="baths"></dd></div>
+        <div><dt>Sq ft</dt><dd data-field="sqft"></dd></div>
+        <div data-section="availableFrom"><dt>Available</dt><dd></dd></div>
+        <div data-section="deposit" hidden><dt>Deposit</dt><dd></dd></div>
+      </dl>
+      <ul class="apartments-unit-amenities" data-section="amenities" aria-label="Amenities" hidden></ul>
+      <figure class="apartments-unit-floorplan" data-section="floorplan" hidden>
+        <a href="#" target="_blank" rel="noopener"><img alt="" loading="lazy" /></a>
+        <figcaption>Floorplan</figcaption>
+      </figure>
+      <a class="apartments-unit-apply" href="#" target="_blank" rel="noopener">Apply Now</a>
+      <form class="apartments-unit-waitlist" data-section="waitlist" novalidate hidden>
+        <p>Not available to lease right now. Join the waitlist and we'll email you when it opens up.</p>
+        <input name="name" autocomplete="name" placeholder="Name" aria-label="Name" required />
+        <input name="email" type="email" autocomplete="email" placeholder="Email" aria-label="Email" required />
+        <button type="submit">Join waitlist</button>
+        <p class="apartments-unit-waitlist-status" aria-live="polite"></p>
+      </form>
+      <div class="apartments-unit-secondary">
+        <button type="button" class="apartments-unit-compare" hidden>Add to compare</button>
+        <button type="button" class="apartments-unit-share">Copy link</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(root);
+
+  root.querySelector('.apartments-unit-card-close').addEventListener('click', () => hideUnitCard());
+  root.querySelector('.apartments-unit-share').addEventListener('click', (e) => copyUnitLink(e.currentTarget));
+  root.querySelector('.apartments-unit-waitlist').addEventListener('submit', (e) => {
+    e.preventDefault();
+    joinWaitlist(e.currentTarget);
+  });
+  root.querySelector('.apartments-unit-compare').addEventListener('click', () => {
+    if (compareOpts && currentUnit) compareOpts.onToggle(currentUnit);
+    refreshUnitCardCompare();
+  });
+  for (const arrow of root.querySelectorAll('.apartments-unit-carousel-arrow')) {
+    arrow.addEventListener('click', () => carouselNav(Number(arrow.dataset.dir)));
+  }
+  root.querySelector('.apartments-unit-photo').addEventListener('click', () => carouselNav(1));
+  root.querySelector('.apartments-unit-carousel-dots').addEventListener('click', (e) => {
+    const dot = e.target.closest('.apartments-unit-carousel-dot');
+    if (dot) carouselGoTo(parseInt(dot.dataset.index, 10));
+  });
+
+  const wrap = root.querySelector('.apartments-unit-carousel');
+  let swipeStartX = 0;
+  wrap.addEventListener('touchstart', (e) => {
+    if (e.touches.length === 1) swipeStartX = e.touches[0].clientX;
+  }, { passive: true });
+  wrap.addEventListener('touchend', (e) => {
+    if (e.changedTouches.length !== 1) return;
+    const delta = e.changedTouches[0].clientX - swipeStartX;
+    if (delta < -SWIPE_THRESHOLD) carouselNav(1);
+    else if (delta > SWIPE_THRESHOLD) carouselNav(-1);
+  }, { passive: true });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Tab' && root.classList.contains('visible')) trapFocus(root, e);
+  });
+  root.addEventListener('keydown', (e) => {
+    if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && e.target.closest('.apartments-unit-carousel')) {
+      e.preventDefault();
+      carouselNav(e.key === 'ArrowLeft' ? -1 : 1);
+    }
+  });
+  return root;
 }
 
 function formatPrice(n) {
   if (!Number.isFinite(n)) return '—';
   return `$${Math.round(n).toLocaleString('en-US')}/mo`;
 }
+
+function formatDate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
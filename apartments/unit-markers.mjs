@@ -1,14 +1,48 @@
-import { Raycaster, SphereGeometry, MeshBasicMaterial, Mesh, Group, Vector2 } from 'three';
+import {
+  BufferGeometry,
+  CanvasTexture,
+  Color,
+  Float32BufferAttribute,
+  Group,
+  Line,
+  LineBasicMaterial,
+  Raycaster,
+  SRGBColorSpace,
+  Sprite,
+  SpriteMaterial,
+  Vector2,
+  Vector3,
+} from 'three';
+import { getStatusIconCanvas } from './status-icons.mjs';
+import { DEFAULT_STATUS_PALETTE, getUnitStatus } from './unit-status.mjs';
 
 const FLOAT_Y = 0.04;
-const BASE_RADIUS = 0.055;
+const SPRITE_SIZE = 0.12;
 const HOVER_SCALE = 1.18;
 const SELECTED_SCALE = 1.3;
+const HIGHLIGHT_SCALE = 1.15;
 const DIST_SCALE_K = 0.028;
-const COLOR_AVAILABLE = 0x22c55e;
-const COLOR_AVAILABLE_HOVER = 0x4ade80;
-const COLOR_UNAVAILABLE = 0x6b7280;
+const HOVER_LIGHTEN = 0.35;
 const COLOR_SELECTED = 0xffffff;
+const COLOR_HIGHLIGHT = 0x38bdf8;
+const DIMMED_OPACITY = 0.22;
+/** World-space height added per stack level when floors are fanned out. */
+export const STACK_FLOOR_GAP = 0.14;
+const STACK_EASE = 0.18;
+const WHITE = new Color(0xffffff);
+
+/** One texture per icon, shared by every marker and never disposed. */
+const iconTextures = new Map();
+
+function iconTexture(icon) {
+  let tex = iconTextures.get(icon);
+  if (!tex) {
+    tex = new CanvasTexture(getStatusIconCanvas(icon));
+    tex.colorSpace = SRGBColorSpace;
+    iconTextures.set(icon, tex);
+  }
+  return tex;
+}
 
 /**
  * @param {object} opts
@@ -19,6 +53,10 @@ const COLOR_SELECTED = 0xffffff;
  * @param {import('./units-data.mjs').Unit[]} opts.units
  * @param {() => Record<string, { x: number, y: number, z: number }>} opts.getPositionsMap
  * @param {() => boolean} opts.getOnlyAvailable
+ * @param {(unit: import('./units-data.mjs').Unit) => boolean} [opts.isUnitVisible] Viewer filter; replaces the only-available check when given.
+ * @param {import('./unit-status.mjs').StatusPalette} [opts.palette] Colour and icon per status (defaults to DEFAULT_STATUS_PALETTE).
+ * @param {(unit: import('./units-data.mjs').Unit) => boolean} [opts.isUnitDimmed] Faded and not clickable (other floors when one is focused).
+ * @param {(unit: import('./units-data.mjs').Unit) => number} [opts.getStackLevel] Lift by level × STACK_FLOOR_GAP, with a leader line back to the real spot.
  * @param {(unit: import('./units-data.mjs').Unit) => void} [opts.onUnitClick]
  * @param {(unitNumber: string) => void} [opts.onMarkerSelect]
  */
@@ -31,44 +69,64 @@ export function mountUnitMarkers(opts) {
     units,
     getPositionsMap,
     getOnlyAvailable,
+    isUnitVisible,
+    isUnitDimmed,
+    getStackLevel,
+    palette = DEFAULT_STATUS_PALETTE,
     onUnitClick,
     onMarkerSelect,
   } = opts;
 
-  /** @type {Map<string, { group: Group, mesh: Mesh, unit: import('./units-data.mjs').Unit }>} */
+  /** @type {Map<string, { group: Group, mesh: Sprite, leader: Line, base: Vector3, lift: number, color: Color, hoverColor: Color, unit: import('./units-data.mjs').Unit }>} */
   const registry = new Map();
   const raycaster = new Raycaster();
 
   let hoveredKey = null;
   let selectedKey = null;
+  /** Units in the viewer's compare tray. */
+  let highlighted = new Set();
   let pointerDown = false;
   let downX = 0;
   let downY = 0;
 
   function visibleForUnit(unit) {
     if (mode === 'admin') return true;
+    if (isUnitVisible) return isUnitVisible(unit);
     if (getOnlyAvailable()) return unit.available;
     return true;
   }
 
-  function baseColorFor(unit) {
-    if (mode === 'admin' && !unit.available) return COLOR_UNAVAILABLE;
-    if (!unit.available) return COLOR_UNAVAILABLE;
-    return COLOR_AVAILABLE;
+  function styleFor(unit) {
+    return palette[getUnitStatus(unit)] || DEFAULT_STATUS_PALETTE[getUnitStatus(unit)];
   }
 
+  function dimmedForUnit(unit) {
+    return mode === 'viewer' && !!isUnitDimmed && isUnitDimmed(unit);
+  }
+
+  /** Every status is clickable in the viewer — leased and on-notice units open the waitlist. */
   function showAsInteractive(unit) {
     if (mode === 'admin') return true;
-    return unit.available;
+    return !dimmedForUnit(unit);
+  }
+
+  function targetLift(unit) {
+    if (mode !== 'viewer' || !getStackLevel) return 0;
+    const level = getStackLevel(unit);
+    return Number.isFinite(level) ? level * STACK_FLOOR_GAP : 0;
   }
 
   function clearMarkers() {
-    for (const { group } of registry.values()) {
+    for (const { group, leader } of registry.values()) {
       scene.remove(group);
-      group.traverse((o) => {
-        if (o.geometry) o.geometry.dispose();
-        if (o.material) o.material.dispose();
-      });
+      scene.remove(leader);
+      for (const root of [group, leader]) {
+        root.traverse((o) => {
+          // Sprites share one geometry across the whole app; leave it alone.
+          if (o.geometry && !o.isSprite) o.geometry.dispose();
+          if (o.material) o.material.dispose();
+        });
+      }
     }
     registry.clear();
   }
@@ -81,23 +139,55 @@ export function mountUnitMarkers(opts) {
       const pos = positions[unit.unitNumber];
       if (!pos) continue;
 
+      const base = new Vector3(pos.x, pos.y, pos.z);
+      const lift = targetLift(unit);
       const group = new Group();
-      group.position.set(pos.x, pos.y + FLOAT_Y, pos.z);
+      group.position.set(pos.x, pos.y + FLOAT_Y + lift, pos.z);
       group.userData.unitNumber = unit.unitNumber;
 
-      const geo = new SphereGeometry(BASE_RADIUS, 24, 16);
-      const mat = new MeshBasicMaterial({ color: baseColorFor(unit) });
-      const mesh = new Mesh(geo, mat);
+      const style = styleFor(unit);
+      const color = new Color(style.color);
+      const mesh = new Sprite(new SpriteMaterial({ map: iconTexture(style.icon), color, transparent: true }));
+      mesh.scale.setScalar(SPRITE_SIZE);
       mesh.userData.unitNumber = unit.unitNumber;
       group.add(mesh);
 
+      const leaderGeo = new BufferGeometry();
+      leaderGeo.setAttribute('position', new Float32BufferAttribute(new Float32Array(6), 3));
+      const leader = new Line(leaderGeo, new LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.45 }));
+      leader.frustumCulled = false;
+
       scene.add(group);
-      registry.set(unit.unitNumber, { group, mesh, unit });
+      scene.add(leader);
+      const entry = { group, mesh, leader, base, lift, color, hoverColor: color.clone().lerp(WHITE, HOVER_LIGHTEN), unit };
+      registry.set(unit.unitNumber, entry);
+      syncLeader(entry);
     }
   }
 
+  function syncLeader(entry) {
+    const { leader, base, lift } = entry;
+    leader.visible = Math.abs(lift) > 1e-3;
+    if (!leader.visible) return;
+    const attr = leader.geometry.getAttribute('position');
+    attr.setXYZ(0, base.x, base.y, base.z);
+    attr.setXYZ(1, base.x, base.y + FLOAT_Y + lift, base.z);
+    attr.needsUpdate = true;
+  }
+
   function update() {
-    for (const { group, mesh, unit } of registry.values()) {
+    for (const entry of registry.values()) {
+      const { group, mesh, unit, color, hoverColor } = entry;
+      const lift = targetLift(unit);
+      if (Math.abs(lift - entry.lift) > 1e-4) {
+        entry.lift += (lift - entry.lift) * STACK_EASE;
+        if (Math.abs(lift - entry.lift) <= 1e-4) entry.lift = lift;
+        group.position.y = entry.base.y + FLOAT_Y + entry.lift;
+        syncLeader(entry);
+      }
+      const dimmed = dimmedForUnit(unit);
+      mesh.material.opacity = dimmed ? DIMMED_OPACITY : 1;
+      entry.leader.material.opacity = dimmed ? DIMMED_OPACITY * 0.5 : 0.45;
       const d = camera.position.distanceTo(group.position);
       const s = Math.max(0.35, d * DIST_SCALE_K);
       group.scale.setScalar(s);
@@ -105,13 +195,16 @@ export function mountUnitMarkers(opts) {
       const hover = unit.unitNumber === hoveredKey && showAsInteractive(unit) && !isSelected;
       if (isSelected) {
         mesh.material.color.setHex(COLOR_SELECTED);
-        mesh.scale.setScalar(SELECTED_SCALE);
+        mesh.scale.setScalar(SPRITE_SIZE * SELECTED_SCALE);
       } else if (hover) {
-        mesh.material.color.setHex(COLOR_AVAILABLE_HOVER);
-        mesh.scale.setScalar(HOVER_SCALE);
+        mesh.material.color.copy(hoverColor);
+        mesh.scale.setScalar(SPRITE_SIZE * HOVER_SCALE);
+      } else if (highlighted.has(unit.unitNumber) && !dimmed) {
+        mesh.material.color.setHex(COLOR_HIGHLIGHT);
+        mesh.scale.setScalar(SPRITE_SIZE * HIGHLIGHT_SCALE);
       } else {
-        mesh.material.color.setHex(baseColorFor(unit));
-        mesh.scale.setScalar(1);
+        mesh.material.color.copy(color);
+        mesh.scale.setScalar(SPRITE_SIZE);
       }
     }
   }
@@ -165,7 +258,7 @@ export function mountUnitMarkers(opts) {
     if (!entry) return;
     if (mode === 'admin' && onMarkerSelect) {
       onMarkerSelect(key);
-    } else if (mode === 'viewer' && onUnitClick && entry.unit.available) {
+    } else if (mode === 'viewer' && onUnitClick && showAsInteractive(entry.unit)) {
       onUnitClick(entry.unit);
     }
   }
@@ -183,19 +276,32 @@ export function mountUnitMarkers(opts) {
     setSelected(unitNumber) {
       selectedKey = unitNumber ?? null;
     },
+    /** @param {Iterable<string>} unitNumbers */
+    setHighlighted(unitNumbers) {
+      highlighted = new Set(unitNumbers);
+    },
     /** @param {string} unitNumber */
     getGroup(unitNumber) {
       return registry.get(unitNumber)?.group ?? null;
     },
     /** Move marker root (world y should be base position; float offset added here). */
     setWorldPosition(unitNumber, vec) {
-      const g = registry.get(unitNumber)?.group;
-      if (g) g.position.set(vec.x, vec.y + FLOAT_Y, vec.z);
+      const entry = registry.get(unitNumber);
+      if (!entry) return;
+      entry.base.set(vec.x, vec.y, vec.z);
+      entry.group.position.set(vec.x, vec.y + FLOAT_Y + entry.lift, vec.z);
+      syncLeader(entry);
+    },
+    /** Where the marker is drawn, including any stack lift (null when not shown). */
+    getMarkerPosition(unitNumber) {
+      const entry = registry.get(unitNumber);
+      if (!entry) return null;
+      return { x: entry.base.x, y: entry.base.y + targetLift(entry.unit), z: entry.base.z };
     },
     getBaseYFromGroup(unitNumber) {
       const g = registry.get(unitNumber)?.group;
       if (!g) return 0;
-      return g.position.y - FLOAT_Y;
+      return g.position.y - FLOAT_Y - registry.get(unitNumber).lift;
     },
     dispose() {
       renderer.domElement.removeEventListener('pointermove', onPointerMove);
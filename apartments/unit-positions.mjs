@@ -1,6 +1,29 @@
+import { DEFAULT_PROPERTY_ID } from './units-data.mjs';
+import {
+  createLocalPositionStore,
+  createRestPositionStore,
+  createSupabasePositionStore,
+  PositionsConflictError,
+  sanitizePositionsMap,
+} from './position-stores.mjs';
+import { serializePositions } from './positions-io.mjs';
+
+export { PositionsConflictError };
+
 /** @typedef {{ x: number, y: number, z: number }} Vec3 */
+/** @typedef {import('./position-stores.mjs').PositionStore} PositionStore */
+/** @typedef {import('./position-stores.mjs').PositionsSnapshot} PositionsSnapshot */
 
-const STORAGE_KEY = 'apartments:positions:v1';
+/**
+ * Where each property's marker positions live. Swap to a shared backend so
+ * placements made in admin.html reach every visitor:
+ *
+ *   'canyon-vista': { type: 'rest', baseUrl: '/api/apartments/canyon-vista/positions' },
+ *   'canyon-vista': { type: 'supabase', url: SUPABASE_URL, anonKey: SUPABASE_ANON_KEY },
+ */
+export const POSITION_BACKENDS = {
+  'canyon-vista': { type: 'local' },
+};
 
 /** Default markers around Canyon Vista splat space (near amenity tap-dot scale). */
 const DEFAULT_POSITIONS = {
@@ -21,62 +44,108 @@ export function getDefaultPositions() {
   return JSON.parse(JSON.stringify(DEFAULT_POSITIONS));
 }
 
-/** @returns {Record<string, Vec3>} */
-export function getPositions() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return getDefaultPositions();
-    const parsed = JSON.parse(raw);
-    const map =
-      parsed && typeof parsed === 'object' && parsed.positions && typeof parsed.positions === 'object'
-        ? parsed.positions
-        : parsed;
-    if (map && typeof map === 'object' && !Array.isArray(map)) {
-      const out = {};
-      for (const [k, v] of Object.entries(map)) {
-        if (v && Number.isFinite(v.x) && Number.isFinite(v.y) && Number.isFinite(v.z)) {
-          out[k] = { x: v.x, y: v.y, z: v.z };
-        }
-      }
-      return { ...getDefaultPositions(), ...out };
-    }
-  } catch (_) {
-    /* ignore */
+/**
+ * @param {{ type: 'local' | 'rest' | 'supabase', [key: string]: unknown }} config
+ * @param {string} propertyId
+ * @returns {PositionStore}
+ */
+export function createPositionStore(config, propertyId = DEFAULT_PROPERTY_ID) {
+  switch (config && config.type) {
+    case 'rest':
+      return createRestPositionStore(config);
+    case 'supabase':
+      return createSupabasePositionStore({ propertyId, ...config });
+    case 'local':
+    case undefined:
+      return createLocalPositionStore(config || {});
+    default:
+      throw new Error(`Unknown positions backend "${config.type}"`);
   }
-  return getDefaultPositions();
 }
 
-/** @param {Record<string, Vec3>} map */
-export function savePositions(map) {
-  const body = { v: 1, positions: map, savedAt: new Date().toISOString() };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(body));
+/** @param {{ propertyId?: string }} [opts] */
+export function openPositionStore(opts = {}) {
+  const propertyId = opts.propertyId || DEFAULT_PROPERTY_ID;
+  return createPositionStore(POSITION_BACKENDS[propertyId] || { type: 'local' }, propertyId);
+}
+
+/**
+ * Positions held by a stored snapshot (malformed entries dropped), or the
+ * defaults for a channel that was never written. A saved map is taken as it
+ * is, so units removed by an import or reset stay removed after a reload.
+ * @param {PositionsSnapshot | null} snap
+ */
+export function snapshotPositions(snap) {
+  return snap ? sanitizePositionsMap(snap.positions) : getDefaultPositions();
+}
+
+/**
+ * What index.html visitors see: the last published snapshot, else defaults.
+ * @param {PositionStore} store
+ * @returns {Promise<PositionsSnapshot>}
+ */
+export async function loadPublishedPositions(store) {
+  const snap = await store.load('published');
+  return {
+    revision: snap ? snap.revision : 0,
+    positions: snapshotPositions(snap),
+    savedAt: snap ? snap.savedAt : null,
+    sourceRevision: snap ? snap.sourceRevision : null,
+  };
 }
 
 /**
- * Merge one unit position into stored map and persist.
- * @param {string} unitNumber
- * @param {Vec3} vec
+ * What admin.html edits: the current draft, seeded from the published
+ * positions when no draft has been saved yet (revision 0).
+ * @param {PositionStore} store
+ * @returns {Promise<PositionsSnapshot>}
  */
-export function setUnitPosition(unitNumber, vec) {
-  const map = getPositions();
-  map[unitNumber] = { x: vec.x, y: vec.y, z: vec.z };
-  savePositions(map);
-  return map;
+export async function loadDraftPositions(store) {
+  const draft = await store.load('draft');
+  if (draft) {
+    return { ...draft, positions: snapshotPositions(draft) };
+  }
+  const published = await loadPublishedPositions(store);
+  return { ...published, revision: 0, sourceRevision: null };
 }
 
-/** @param {Record<string, Vec3>} fullMap */
-export function replaceAllPositions(fullMap) {
-  savePositions(fullMap);
+/**
+ * Save the draft only if nobody else saved since `baseRevision`
+ * (throws PositionsConflictError otherwise).
+ * @param {PositionStore} store
+ * @param {Record<string, Vec3>} map
+ * @param {{ baseRevision?: number }} [opts]
+ */
+export function saveDraftPositions(store, map, opts = {}) {
+  return store.save('draft', map, { baseRevision: opts.baseRevision });
 }
 
-export function exportPositionsJSON() {
-  return JSON.stringify(getPositions(), null, 2);
+/**
+ * Copy the draft at `draftRevision` to the published channel. Refuses if the
+ * draft moved on (someone saved after you) or if published changed since
+ * `publishedRevision`.
+ * @param {PositionStore} store
+ * @param {{ draftRevision: number, publishedRevision?: number }} opts
+ */
+export async function publishDraftPositions(store, opts) {
+  const draft = await store.load('draft');
+  if (!draft || draft.revision !== opts.draftRevision) throw new PositionsConflictError('draft', draft);
+  return store.save('published', draft.positions, {
+    baseRevision: opts.publishedRevision,
+    sourceRevision: draft.revision,
+  });
 }
 
-export function clearSavedPositions() {
-  try {
-    localStorage.removeItem(STORAGE_KEY);
-  } catch (_) {
-    /* ignore */
-  }
+/**
+ * Versioned positions file (see positions-io.mjs); parsePositionsFile() reads it back.
+ * @param {Record<string, Vec3>} map
+ * @param {{ propertyId?: string }} [opts]
+ */
+export function exportPositionsJSON(map, opts = {}) {
+  return serializePositions(map, 'json', { propertyId: opts.propertyId || DEFAULT_PROPERTY_ID });
+}
+
+/** Drop the saved draft so the next load starts from published/defaults. */
+export function clearSavedPositions(store) {
+  return store.clear('draft');
 }
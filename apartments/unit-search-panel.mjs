@@ -0,0 +1,176 @@
+import { filterAndSortUnits, getDefaultFilters, SORT_OPTIONS } from './unit-filters.mjs';
+import { DEFAULT_STATUS_PALETTE, getUnitStatus } from './unit-status.mjs';
+
+/**
+ * Side list of units matching the current filters, with the filter controls
+ * above it. Owns no state of its own — the page passes filters in and gets
+ * changes back through `onFiltersChange`.
+ * @param {object} opts
+ * @param {import('./units-data.mjs').Unit[]} opts.units
+ * @param {() => import('./unit-filters.mjs').UnitFilters} opts.getFilters
+ * @param {(next: import('./unit-filters.mjs').UnitFilters) => void} opts.onFiltersChange
+ * @param {(unit: import('./units-data.mjs').Unit) => void} opts.onUnitSelect
+ * @param {import('./unit-status.mjs').StatusPalette} [opts.palette] Labels for units that are not available.
+ */
+export function mountUnitSearchPanel({ units, getFilters, onFiltersChange, onUnitSelect, palette = DEFAULT_STATUS_PALETTE }) {
+  const root = ensurePanel();
+  const form = root.querySelector('.apartments-search-form');
+  const list = root.querySelector('.apartments-search-list');
+  const count = root.querySelector('.apartments-search-count');
+  let selectedKey = null;
+
+  const sortSelect = form.elements.namedItem('sort');
+  sortSelect.innerHTML = SORT_OPTIONS.map((o) => `<option value="${o.id}">${o.label}</option>`).join('');
+
+  function readForm() {
+    const f = form.elements;
+    const num = (name) => {
+      const v = f.namedItem(name).value;
+      return v === '' ? null : Number(v);
+    };
+    return {
+      ...getFilters(),
+      q: f.namedItem('q').value.trim(),
+      beds: num('beds'),
+      baths: num('baths'),
+      minPrice: num('minPrice'),
+      maxPrice: num('maxPrice'),
+      minSqft: num('minSqft'),
+      maxSqft: num('maxSqft'),
+      moveIn: f.namedItem('moveIn').value || null,
+      sort: sortSelect.value,
+    };
+  }
+
+  function writeForm(filters) {
+    const f = form.elements;
+    const set = (name, v) => {
+      const el = f.namedItem(name);
+      const next = v === null || v === undefined ? '' : String(v);
+      if (el.value !== next) el.value = next;
+    };
+    set('q', filters.q);
+    set('beds', filters.beds);
+    set('baths', filters.baths);
+    set('minPrice', filters.minPrice);
+    set('maxPrice', filters.maxPrice);
+    set('minSqft', filters.minSqft);
+    set('maxSqft', filters.maxSqft);
+    set('moveIn', filters.moveIn);
+    set('sort', filters.sort);
+  }
+
+  function render() {
+    const filters = getFilters();
+    writeForm(filters);
+    const matches = filterAndSortUnits(units, filters);
+    count.textContent = `${matches.length} of ${units.length} units`;
+    list.innerHTML = '';
+    for (const u of matches) {
+      const row = document.createElement('button');
+      row.type = 'button';
+      row.className = 'apartments-search-row' + (u.unitNumber === selectedKey ? ' active' : '');
+      row.dataset.unit = u.unitNumber;
+      const beds = u.beds === 0 ? 'Studio' : `${u.beds} bd`;
+      const from = u.availableFrom ? ` from ${formatDate(u.availableFrom)}` : '';
+      const when = u.available ? (from ? `From ${formatDate(u.availableFrom)}` : 'Available now') : palette[getUnitStatus(u)].label + from;
+      row.innerHTML = `
+        <span class="apartments-search-row-main"><strong>Unit ${u.unitNumber}</strong><span>$${Math.round(u.price).toLocaleString('en-US')}</span></span>
+        <span class="apartments-search-row-meta">${beds} · ${u.baths} ba · ${u.sqft} sqft · ${when}</span>
+      `;
+      row.addEventListener('click', () => onUnitSelect(u));
+      list.appendChild(row);
+    }
+    if (!matches.length) {
+      list.innerHTML = '<p class="apartments-search-empty">No units match these filters.</p>';
+    }
+  }
+
+  form.addEventListener('input', (e) => {
+    // Text and number fields commit on change so typing "1600" is one URL update, not four.
+    if (e.target.type === 'search' || e.target.type === 'number') return;
+    onFiltersChange(readForm());
+  });
+  form.addEventListener('change', () => onFiltersChange(readForm()));
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    onFiltersChange(readForm());
+  });
+  root.querySelector('.apartments-search-reset').addEventListener('click', () => {
+    onFiltersChange({ ...getDefaultFilters(), onlyAvailable: getFilters().onlyAvailable });
+  });
+  root.querySelector('.apartments-search-close').addEventListener('click', () => setOpen(false));
+
+  function setOpen(open) {
+    root.classList.toggle('visible', open);
+  }
+
+  render();
+
+  return {
+    render,
+    setOpen,
+    toggle() {
+      setOpen(!root.classList.contains('visible'));
+    },
+    /** @param {string | null} unitNumber */
+    setSelected(unitNumber) {
+      selectedKey = unitNumber;
+      for (const row of list.querySelectorAll('.apartments-search-row')) {
+        row.classList.toggle('active', row.dataset.unit === unitNumber);
+      }
+    },
+  };
+}
+
+function formatDate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+function ensurePanel() {
+  let el = document.getElementById('apartments-search');
+  if (el) return el;
+  el = document.createElement('aside');
+  el.id = 'apartments-search';
+  el.className = 'apartments-search';
+  el.setAttribute('aria-label', 'Search units');
+  el.innerHTML = `
+    <div class="apartments-search-header">
+      <h2>Find a unit</h2>
+      <button type="button" class="apartments-search-close" aria-label="Close">&times;</button>
+    </div>
+    <form class="apartments-search-form">
+      <input name="q" type="search" placeholder="Unit #" aria-label="Unit number" />
+      <div class="apartments-search-grid">
+        <label>Beds
+          <select name="beds">
+            <option value="">Any</option>
+            <option value="0">Studio</option>
+            <option value="1">1</option>
+            <option value="2">2</option>
+            <option value="3">3</option>
+          </select>
+        </label>
+        <label>Baths
+          <select name="baths">
+            <option value="">Any</option>
+            <option value="1">1+</option>
+            <option value="2">2+</option>
+          </select>
+        </label>
+        <label>Min $ <input name="minPrice" type="number" min="0" step="50" inputmode="numeric" /></label>
+        <label>Max $ <input name="maxPrice" type="number" min="0" step="50" inputmode="numeric" /></label>
+        <label>Min sqft <input name="minSqft" type="number" min="0" step="25" inputmode="numeric" /></label>
+        <label>Max sqft <input name="maxSqft" type="number" min="0" step="25" inputmode="numeric" /></label>
+        <label>Move-in by <input name="moveIn" type="date" /></label>
+        <label>Sort <select name="sort"></select></label>
+      </div>
+      <button type="button" class="apartments-search-reset">Clear filters</button>
+    </form>
+    <p class="apartments-search-count" aria-live="polite"></p>
+    <div class="apartments-search-list"></div>
+  `;
+  document.body.appendChild(el);
+  return el;
+}
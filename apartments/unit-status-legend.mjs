@@ -0,0 +1,45 @@
+import { getStatusIconCanvas } from './status-icons.mjs';
+
+/**
+ * Collapsible legend of the marker statuses present in the feed.
+ * @param {{ palette: import('./unit-status.mjs').StatusPalette, statuses: import('./unit-status.mjs').UnitStatusId[] }} opts
+ */
+export function mountUnitStatusLegend({ palette, statuses }) {
+  const root = ensureLegend();
+  const list = root.querySelector('.apartments-legend-list');
+  list.innerHTML = '';
+  for (const id of statuses) {
+    const style = palette[id];
+    const li = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'apartments-legend-swatch';
+    swatch.style.background = style.color;
+    const img = document.createElement('img');
+    img.src = getStatusIconCanvas(style.icon).toDataURL();
+    img.alt = '';
+    swatch.appendChild(img);
+    li.appendChild(swatch);
+    li.appendChild(document.createTextNode(style.label));
+    list.appendChild(li);
+  }
+  root.hidden = statuses.length === 0;
+  return {
+    setOpen(open) {
+      root.open = open;
+    },
+  };
+}
+
+function ensureLegend() {
+  let el = /** @type {HTMLDetailsElement | null} */ (document.getElementById('apartments-legend'));
+  if (el) return el;
+  el = document.createElement('details');
+  el.id = 'apartments-legend';
+  el.className = 'apartments-legend';
+  el.innerHTML = `
+    <summary>Legend</summary>
+    <ul class="apartments-legend-list"></ul>
+  `;
+  document.body.appendChild(el);
+  return el;
+}
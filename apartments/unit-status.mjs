@@ -0,0 +1,93 @@
+/**
+ * Unit leasing states beyond the feed's available/leased bit, and the palette
+ * that styles them (marker colour, sprite icon, legend and card badge).
+ *
+ * A palette is per property: override any status's label, colour or icon in
+ * UNIT_STATUS_PALETTES, e.g.
+ *
+ *   'canyon-vista': { special: { label: 'Move-in special', color: '#e11d48' } },
+ */
+
+/** @typedef {import('./units-data.mjs').Unit} Unit */
+/** @typedef {'available' | 'special' | 'notice' | 'model' | 'down' | 'leased'} UnitStatusId */
+/** @typedef {'dot' | 'star' | 'clock' | 'home' | 'wrench' | 'lock'} StatusIcon */
+/** @typedef {{ label: string, color: string, icon: StatusIcon }} StatusStyle */
+/** @typedef {Record<UnitStatusId, StatusStyle>} StatusPalette */
+
+/** Legend order. */
+export const UNIT_STATUS_IDS = ['available', 'special', 'notice', 'model', 'down', 'leased'];
+
+/** @type {StatusPalette} */
+export const DEFAULT_STATUS_PALETTE = {
+  available: { label: 'Available', color: '#22c55e', icon: 'dot' },
+  special: { label: 'Special offer', color: '#f59e0b', icon: 'star' },
+  notice: { label: 'On notice', color: '#a78bfa', icon: 'clock' },
+  model: { label: 'Model unit', color: '#2dd4bf', icon: 'home' },
+  down: { label: 'Down for work', color: '#f87171', icon: 'wrench' },
+  leased: { label: 'Leased', color: '#6b7280', icon: 'lock' },
+};
+
+/** @type {Record<string, Partial<Record<UnitStatusId, Partial<StatusStyle>>>>} */
+export const UNIT_STATUS_PALETTES = {};
+
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Default palette with a property's overrides applied; malformed overrides are ignored.
+ * @param {string} [propertyId]
+ * @param {Record<string, Partial<Record<UnitStatusId, Partial<StatusStyle>>>>} [palettes]
+ * @returns {StatusPalette}
+ */
+export function getStatusPalette(propertyId, palettes = UNIT_STATUS_PALETTES) {
+  const overrides = (propertyId && palettes[propertyId]) || {};
+  const palette = /** @type {StatusPalette} */ ({});
+  for (const id of UNIT_STATUS_IDS) {
+    const base = DEFAULT_STATUS_PALETTE[id];
+    const o = overrides[id] || {};
+    palette[id] = {
+      label: typeof o.label === 'string' && o.label.trim() ? o.label.trim() : base.label,
+      color: typeof o.color === 'string' && HEX_COLOR_RE.test(o.color) ? o.color : base.color,
+      icon: o.icon && Object.values(DEFAULT_STATUS_PALETTE).some((s) => s.icon === o.icon) ? o.icon : base.icon,
+    };
+  }
+  return palette;
+}
+
+/**
+ * Map a vendor status string (Yardi "Notice Unrented", RentCafe "Model", …) to
+ * one of the extra states, or undefined when it only says available/leased.
+ * @param {unknown} value
+ * @returns {'notice' | 'model' | 'down' | undefined}
+ */
+export function toUnitStatus(value) {
+  if (typeof value !== 'string') return undefined;
+  const v = value.trim().toLowerCase();
+  if (!v) return undefined;
+  if (v === 'notice' || v === 'model' || v === 'down') return v;
+  if (/\bmodel\b/.test(v)) return 'model';
+  if (/\b(down|admin|offline)\b/.test(v)) return 'down';
+  if (/\b(notice|ntv)\b/.test(v) && !/\bno notice\b/.test(v) && !/\bnotice rented\b/.test(v)) return 'notice';
+  return undefined;
+}
+
+/**
+ * @param {Unit} unit
+ * @returns {UnitStatusId}
+ */
+export function getUnitStatus(unit) {
+  if (unit.status === 'notice' || unit.status === 'model' || unit.status === 'down') return unit.status;
+  if (!unit.available) return 'leased';
+  return unit.special ? 'special' : 'available';
+}
+
+/** Available and special units can apply; everything else offers the waitlist. */
+export function canApply(unit) {
+  const status = getUnitStatus(unit);
+  return status === 'available' || status === 'special';
+}
+
+/** Statuses present in `units`, in legend order. */
+export function listUnitStatuses(units) {
+  const present = new Set(units.map(getUnitStatus));
+  return UNIT_STATUS_IDS.filter((id) => present.has(id));
+}
@@ -1,51 +1,105 @@
 /**
- * fetchUnitsData() — MOCK MVP for Canyon Vista Apartments.
+ * fetchUnitsData() — unit feed for the apartments viewer and admin.
  *
  * ---------------------------------------------------------------------------
- * Where to plug in RentCafe / Yardi later
+ * Plugging in RentCafe / Yardi / a Google Sheet
  * ---------------------------------------------------------------------------
- * Replace the body of fetchUnitsData() with an HTTP call that maps your
- * vendor payload into the shape below. Example sketch:
+ * Each property picks an adapter in UNIT_FEEDS (see unit-feed-adapters.mjs):
  *
- *   const res = await fetch(`${API_BASE}/v1/properties/${PROPERTY_ID}/units`, {
- *     headers: {
- *       Authorization: `Bearer ${RENTCAFE_API_KEY}`,
- *       Accept: 'application/json',
- *     },
- *   });
- *   if (!res.ok) throw new Error(`RentCafe ${res.status}`);
- *   const data = await res.json();
- *   return data.units.map((u) => ({
- *     unitNumber: String(u.unitNumber ?? u.UnitNumber),
- *     price: Number(u.rent ?? u.MarketRent),
- *     available: u.available === true || u.status === 'Available',
- *     beds: Number(u.beds ?? u.Bedrooms),
- *     baths: Number(u.baths ?? u.Bathrooms),
- *     sqft: Number(u.sqft ?? u.SquareFeet),
- *     applyUrl: String(u.applyUrl ?? u.ApplyNowUrl ?? ''),
- *   }));
+ *   'canyon-vista': { adapter: 'rentcafe', url: `${API_BASE}/v1/properties/${PROPERTY_ID}/units`,
+ *                     headers: { Authorization: `Bearer ${RENTCAFE_API_KEY}` } },
+ *   'canyon-vista': { adapter: 'csv', url: 'https://docs.google.com/spreadsheets/d/<id>/export?format=csv' },
+ *   'canyon-vista': { adapter: 'json', url: './feeds/canyon-vista.json' },
+ *
+ * A config with an inline `units` array skips the fetch (that is how the mock
+ * below is served). Malformed records are dropped and reported through
+ * fetchUnitsFeed(); fetchUnitsData() just logs the report.
  *
  * Marker positions stay in unit-positions.mjs (localStorage + admin) — they are
  * not returned by RentCafe; managers maintain the 3D mapping separately.
  * ---------------------------------------------------------------------------
  */
 
-/** @typedef {{ unitNumber: string, price: number, available: boolean, beds: number, baths: number, sqft: number, applyUrl: string }} Unit */
+import { loadUnitFeed } from './unit-feed-adapters.mjs';
+
+/**
+ * @typedef {object} Unit
+ * @property {string} unitNumber
+ * @property {number} price
+ * @property {boolean} available
+ * @property {number} beds
+ * @property {number} baths
+ * @property {number} sqft
+ * @property {string} applyUrl
+ * @property {string} [availableFrom]  ISO date (YYYY-MM-DD) when the feed provides one.
+ * @property {string} [floorplanUrl]
+ * @property {string[]} [photos]
+ * @property {string[]} [amenities]
+ * @property {string} [special]        Concession line, e.g. "6 weeks free on a 13-month lease".
+ * @property {number} [deposit]
+ * @property {number} [floor]          Defaults to the unit number's hundreds (305 → 3); see getUnitFloor().
+ * @property {string} [exposure]       Facing, e.g. "SW".
+ * @property {'notice' | 'model' | 'down'} [status]  Extra leasing state; see unit-status.mjs.
+ */
 
 const MOCK_UNITS = [
-  { unitNumber: '204', price: 1199, available: true, beds: 1, baths: 1, sqft: 512, applyUrl: 'https://example.com/apply/204' },
-  { unitNumber: '208', price: 1249, available: true, beds: 1, baths: 1, sqft: 528, applyUrl: 'https://example.com/apply/208' },
-  { unitNumber: '212', price: 1395, available: false, beds: 2, baths: 2, sqft: 892, applyUrl: 'https://example.com/apply/212' },
-  { unitNumber: '302', price: 1295, available: true, beds: 1, baths: 1, sqft: 512, applyUrl: 'https://example.com/apply/302' },
-  { unitNumber: '305', price: 1549, available: true, beds: 2, baths: 2, sqft: 905, applyUrl: 'https://example.com/apply/305' },
-  { unitNumber: '308', price: 1599, available: false, beds: 2, baths: 2, sqft: 921, applyUrl: 'https://example.com/apply/308' },
-  { unitNumber: '401', price: 1329, available: true, beds: 1, baths: 1, sqft: 528, applyUrl: 'https://example.com/apply/401' },
-  { unitNumber: '405', price: 1629, available: false, beds: 2, baths: 2, sqft: 905, applyUrl: 'https://example.com/apply/405' },
-  { unitNumber: '408', price: 1679, available: true, beds: 2, baths: 2, sqft: 933, applyUrl: 'https://example.com/apply/408' },
-  { unitNumber: '412', price: 1895, available: true, beds: 3, baths: 2, sqft: 1156, applyUrl: 'https://example.com/apply/412' },
+  { unitNumber: '204', price: 1199, available: true, beds: 1, baths: 1, sqft: 512, applyUrl: 'https://example.com/apply/204', availableFrom: '2026-03-01', deposit: 300, amenities: ['Balcony', 'In-unit laundry'], exposure: 'N' },
+  { unitNumber: '208', price: 1249, available: false, status: 'model', beds: 1, baths: 1, sqft: 528, applyUrl: 'https://example.com/apply/208', exposure: 'E' },
+  { unitNumber: '212', price: 1395, available: false, status: 'notice', beds: 2, baths: 2, sqft: 892, applyUrl: 'https://example.com/apply/212', availableFrom: '2026-06-15', exposure: 'SE' },
+  { unitNumber: '302', price: 1295, available: true, beds: 1, baths: 1, sqft: 512, applyUrl: 'https://example.com/apply/302', exposure: 'N' },
+  {
+    unitNumber: '305',
+    price: 1549,
+    available: true,
+    beds: 2,
+    baths: 2,
+    sqft: 905,
+    applyUrl: 'https://example.com/apply/305',
+    availableFrom: '2026-04-15',
+    deposit: 500,
+    exposure: 'SW',
+    special: '6 weeks free on a 13-month lease',
+    amenities: ['Corner unit', 'Pool view', 'Walk-in closet', 'In-unit laundry'],
+    photos: [
+      '../Canyon-Vista/assets/pool/pool-01.jpg',
+      '../Canyon-Vista/assets/pool/pool-03.jpg',
+      '../Canyon-Vista/assets/courtyard-park/courtyard-park-01.jpg',
+    ],
+  },
+  { unitNumber: '308', price: 1599, available: false, beds: 2, baths: 2, sqft: 921, applyUrl: 'https://example.com/apply/308', exposure: 'S' },
+  { unitNumber: '401', price: 1329, available: true, beds: 1, baths: 1, sqft: 528, applyUrl: 'https://example.com/apply/401', exposure: 'NE' },
+  { unitNumber: '405', price: 1629, available: false, status: 'down', beds: 2, baths: 2, sqft: 905, applyUrl: 'https://example.com/apply/405', exposure: 'W' },
+  { unitNumber: '408', price: 1679, available: true, beds: 2, baths: 2, sqft: 933, applyUrl: 'https://example.com/apply/408', availableFrom: '2026-05-01', exposure: 'S' },
+  { unitNumber: '412', price: 1895, available: true, beds: 3, baths: 2, sqft: 1156, applyUrl: 'https://example.com/apply/412', special: '$500 off first month', amenities: ['Top floor', 'Vaulted ceilings'], exposure: 'SW' },
 ];
 
-export async function fetchUnitsData() {
+export const DEFAULT_PROPERTY_ID = 'canyon-vista';
+
+/** @type {Record<string, import('./unit-feed-adapters.mjs').UnitFeedConfig>} */
+export const UNIT_FEEDS = {
+  'canyon-vista': { adapter: 'json', units: MOCK_UNITS },
+};
+
+/**
+ * @param {{ propertyId?: string, fetchImpl?: typeof fetch }} [opts]
+ * @returns {Promise<{ units: Unit[], report: import('./unit-feed-adapters.mjs').UnitFeedReport }>}
+ */
+export async function fetchUnitsFeed(opts = {}) {
+  const propertyId = opts.propertyId || DEFAULT_PROPERTY_ID;
+  const config = UNIT_FEEDS[propertyId];
+  if (!config) throw new Error(`No unit feed configured for "${propertyId}"`);
   await new Promise((r) => setTimeout(r, 0));
-  return MOCK_UNITS.map((u) => ({ ...u }));
+  return loadUnitFeed(config, { fetchImpl: opts.fetchImpl });
+}
+
+/**
+ * @param {{ propertyId?: string, fetchImpl?: typeof fetch }} [opts]
+ * @returns {Promise<Unit[]>}
+ */
+export async function fetchUnitsData(opts = {}) {
+  const { units, report } = await fetchUnitsFeed(opts);
+  if (report.dropped.length) {
+    console.warn(`units-data: dropped ${report.dropped.length} of ${report.total} units from ${report.adapter} feed`, report.dropped);
+  }
+  return units;
 }
@@ -0,0 +1,107 @@
+import { DEFAULT_PROPERTY_ID } from './units-data.mjs';
+
+/**
+ * Waitlist sign-ups from the viewer for units that cannot be applied to yet
+ * (leased, on notice, model, down). Each property needs a shared backend so
+ * the leasing office actually gets the sign-ups; a property without one gets
+ * no waitlist form. For example:
+ *
+ *   'canyon-vista': { type: 'rest', url: '/api/apartments/canyon-vista/waitlist' },
+ *   'canyon-vista': { type: 'supabase', url: SUPABASE_URL, anonKey: SUPABASE_ANON_KEY },
+ *
+ * The Supabase backend inserts into (anon may insert, not select):
+ *
+ *   create table apartment_waitlist (
+ *     property_id text        not null,
+ *     unit_number text        not null,
+ *     name        text        not null,
+ *     email       text        not null,
+ *     phone       text        not null default '',
+ *     created_at  timestamptz not null default now(),
+ *     primary key (property_id, unit_number, email)
+ *   );
+ */
+
+/** @typedef {{ propertyId: string, unitNumber: string, name: string, email: string, phone: string, createdAt: string }} WaitlistEntry */
+/** @typedef {{ type: 'rest', url: string, headers?: Record<string, string> } | { type: 'supabase', url: string, anonKey: string, table?: string }} WaitlistBackend */
+
+/** @type {Record<string, WaitlistBackend>} */
+export const WAITLIST_BACKENDS = {};
+
+/**
+ * The property's waitlist backend, or null when none is configured (the
+ * viewer then leaves the form out).
+ * @param {string} [propertyId]
+ * @returns {WaitlistBackend | null}
+ */
+export function getWaitlistBackend(propertyId = DEFAULT_PROPERTY_ID) {
+  const backend = WAITLIST_BACKENDS[propertyId];
+  return backend && (backend.type === 'rest' || backend.type === 'supabase') ? backend : null;
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @param {{ unitNumber?: unknown, name?: unknown, email?: unknown, phone?: unknown }} input
+ * @returns {{ entry: Omit<WaitlistEntry, 'propertyId' | 'createdAt'> | null, errors: string[] }}
+ */
+export function validateWaitlistEntry(input) {
+  const str = (v) => (typeof v === 'string' ? v.trim() : '');
+  const entry = { unitNumber: str(input.unitNumber), name: str(input.name), email: str(input.email), phone: str(input.phone) };
+  const errors = [];
+  if (!entry.unitNumber) errors.push('missing unit');
+  if (!entry.name) errors.push('Enter your name');
+  if (!EMAIL_RE.test(entry.email)) errors.push('Enter a valid email');
+  return { entry: errors.length ? null : entry, errors };
+}
+
+/**
+ * Validate and send one sign-up. Throws with the first validation message,
+ * when the property has no backend, or `Waitlist <status>` when the backend
+ * refuses it.
+ * @param {{ unitNumber: string, name: string, email: string, phone?: string }} input
+ * @param {{ propertyId?: string, backend?: WaitlistBackend, fetchImpl?: typeof fetch }} [opts]
+ * @returns {Promise<WaitlistEntry>}
+ */
+export async function submitWaitlistEntry(input, opts = {}) {
+  const { entry, errors } = validateWaitlistEntry(input);
+  if (!entry) throw new Error(errors[0]);
+  const propertyId = opts.propertyId || DEFAULT_PROPERTY_ID;
+  const backend = opts.backend || getWaitlistBackend(propertyId);
+  if (!backend) throw new Error(`No waitlist backend for "${propertyId}"`);
+  const fetchImpl = opts.fetchImpl || fetch;
+  const record = { propertyId, ...entry, createdAt: new Date().toISOString() };
+
+  let res;
+  if (backend.type === 'rest') {
+    res = await fetchImpl(backend.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(backend.headers || {}) },
+      body: JSON.stringify(record),
+    });
+  } else if (backend.type === 'supabase') {
+    const table = backend.table || 'apartment_waitlist';
+    res = await fetchImpl(`${String(backend.url).replace(/\/+$/, '')}/rest/v1/${table}`, {
+      method: 'POST',
+      headers: {
+        apikey: backend.anonKey,
+        Authorization: `Bearer ${backend.anonKey}`,
+        'Content-Type': 'application/json',
+        // Signing up twice for the same unit is not an error.
+        Prefer: 'return=minimal,resolution=ignore-duplicates',
+      },
+      body: JSON.stringify({
+        property_id: propertyId,
+        unit_number: record.unitNumber,
+        name: record.name,
+        email: record.email,
+        phone: record.phone,
+        created_at: record.createdAt,
+      }),
+    });
+  } else {
+    throw new Error(`Unknown waitlist backend "${backend.type}"`);
+  }
+  if (!res.ok) throw new Error(`Waitlist ${res.status}`);
+  return record;
+}
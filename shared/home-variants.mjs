@@ -0,0 +1,46 @@
+/**
+ * Design variants for home polygons (obj-home-editor.mjs): named sets such as
+ * "Option A farmhouse" and "Option B modern" that a visitor flips between on
+ * the same lot. Each polygon lists the variants it belongs to; a polygon in no
+ * variant (terrain, the lot itself) shows in all of them. No DOM or Three.js;
+ * tests in shared/tests/.
+ */
+
+export const VARIANT_FADE_MS = 800;
+
+/** Trimmed, non-empty, de-duplicated variant names in their original order. */
+export function normalizeVariantNames(names) {
+  const out = [];
+  (Array.isArray(names) ? names : []).forEach((name) => {
+    const text = String(name ?? '').trim();
+    if (text && !out.includes(text)) out.push(text);
+  });
+  return out;
+}
+
+/**
+ * Whether a polygon with `membership` (its variant names) shows while
+ * `variant` is active. With no active variant everything shows.
+ */
+export function isInVariant(membership, variant) {
+  if (!variant || !Array.isArray(membership) || membership.length === 0) return true;
+  return membership.includes(variant);
+}
+
+/** Smoothstep of `elapsedMs / durationMs`, clamped to [0, 1]. */
+export function fadeProgress(elapsedMs, durationMs = VARIANT_FADE_MS) {
+  if (!(durationMs > 0)) return 1;
+  const t = Math.min(1, Math.max(0, elapsedMs / durationMs));
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Opacity (0–1) of a polygon with `membership` at progress `t` of a
+ * crossfade from variant `from` to `to`: polygons in both stay solid, the
+ * outgoing design fades out while the incoming one fades in.
+ */
+export function crossfadeOpacity(membership, from, to, t) {
+  const was = isInVariant(membership, from) ? 1 : 0;
+  const will = isInVariant(membership, to) ? 1 : 0;
+  return was + (will - was) * t;
+}
@@ -0,0 +1,134 @@
+/**
+ * Cost of imported home models for obj-home-editor.mjs's budget report
+ * (triangles drawn, geometry and texture memory on the GPU) and the level of
+ * detail list a polygon's `source.lods` declares. Works on anything shaped
+ * like a Three.js object tree (`traverse`, `isMesh`, geometry attributes), so
+ * tests run without Three.js.
+ */
+
+export const DEFAULT_MODEL_BUDGET = { triangles: 1000000, bytes: 192 * 1024 * 1024 };
+
+const EMPTY_COST = { meshes: 0, triangles: 0, vertices: 0, geometryBytes: 0, textureBytes: 0, textures: 0 };
+
+/**
+ * `lods` ([{ url, distance }], coarser models switched in beyond `distance`
+ * scene units from the camera) cleaned up: positive distances only, one
+ * level per distance and URL, nearest first.
+ */
+export function normalizeLodLevels(lods) {
+  if (!Array.isArray(lods)) return [];
+  const seenUrls = new Set();
+  const seenDistances = new Set();
+  return lods
+    .filter((l) => l && typeof l.url === 'string' && l.url.trim() && Number.isFinite(+l.distance) && +l.distance > 0)
+    .map((l) => ({ url: l.url.trim(), distance: +l.distance }))
+    .sort((a, b) => a.distance - b.distance)
+    .filter((l) => {
+      if (seenUrls.has(l.url) || seenDistances.has(l.distance)) return false;
+      seenUrls.add(l.url);
+      seenDistances.add(l.distance);
+      return true;
+    });
+}
+
+/**
+ * Order to fetch a polygon's models in: the coarsest level first so something
+ * shows quickly, the full-detail `url` (distance 0) last.
+ */
+export function progressiveLoadOrder(url, lods) {
+  const levels = normalizeLodLevels(lods).filter((l) => l.url !== url).reverse();
+  return [...levels, { url, distance: 0 }];
+}
+
+function textureBytes(texture) {
+  if (Array.isArray(texture.mipmaps) && texture.mipmaps.length && texture.isCompressedTexture) {
+    return texture.mipmaps.reduce((sum, mip) => sum + (mip && mip.data ? mip.data.byteLength : 0), 0);
+  }
+  const image = texture.image || (texture.source && texture.source.data);
+  const width = image && (image.width || image.videoWidth);
+  const height = image && (image.height || image.videoHeight);
+  if (!width || !height) return 0;
+  const base = width * height * 4;
+  return texture.generateMipmaps === false ? base : Math.round(base * 4 / 3);
+}
+
+/**
+ * Totals for every mesh under `root`. Geometry, buffers and textures shared
+ * between meshes are counted once; instanced meshes draw their triangles
+ * `count` times.
+ */
+export function measureModelCost(root) {
+  const cost = { ...EMPTY_COST };
+  if (!root || typeof root.traverse !== 'function') return cost;
+  const arrays = new Set();
+  const textures = new Set();
+  const addArray = (array) => {
+    if (!array || arrays.has(array)) return;
+    arrays.add(array);
+    cost.geometryBytes += array.byteLength || 0;
+  };
+  root.traverse((o) => {
+    if (!o.isMesh || !o.geometry) return;
+    cost.meshes += 1;
+    const { attributes = {}, index } = o.geometry;
+    const position = attributes.position;
+    const vertices = position ? position.count : 0;
+    const triangles = Math.floor((index ? index.count : vertices) / 3);
+    const instances = o.isInstancedMesh ? Math.max(0, o.count || 0) : 1;
+    cost.vertices += vertices * instances;
+    cost.triangles += triangles * instances;
+    Object.values(attributes).forEach((attr) => addArray(attr && attr.array));
+    if (index) addArray(index.array);
+    if (o.isInstancedMesh && o.instanceMatrix) addArray(o.instanceMatrix.array);
+    const mats = Array.isArray(o.material) ? o.material : [o.material];
+    mats.forEach((m) => {
+      if (!m) return;
+      Object.values(m).forEach((value) => {
+        if (value && value.isTexture && !textures.has(value)) {
+          textures.add(value);
+          cost.textureBytes += textureBytes(value);
+        }
+      });
+    });
+  });
+  cost.textures = textures.size;
+  return cost;
+}
+
+/**
+ * One polygon's cost when it has several levels of detail (`levelCosts`
+ * nearest first): all of them sit in memory, but only one is drawn, so
+ * triangles are the full-detail level's.
+ */
+export function combineLodCosts(levelCosts) {
+  if (!levelCosts.length) return { ...EMPTY_COST, levels: 0 };
+  const total = sumModelCosts(levelCosts);
+  return { ...total, meshes: levelCosts[0].meshes, triangles: levelCosts[0].triangles, vertices: levelCosts[0].vertices, levels: levelCosts.length };
+}
+
+export function sumModelCosts(costs) {
+  return costs.reduce((sum, c) => {
+    Object.keys(EMPTY_COST).forEach((k) => { sum[k] += c[k] || 0; });
+    return sum;
+  }, { ...EMPTY_COST });
+}
+
+/** 'ok', 'near' (over 75% of either limit) or 'over' against `budget`. */
+export function budgetStatus(cost, budget = DEFAULT_MODEL_BUDGET) {
+  const bytes = cost.geometryBytes + cost.textureBytes;
+  const ratio = Math.max(cost.triangles / budget.triangles, bytes / budget.bytes);
+  if (ratio > 1) return 'over';
+  return ratio > 0.75 ? 'near' : 'ok';
+}
+
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+export function formatCount(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(n >= 1e7 ? 0 : 1)}M`;
+  if (n >= 1e3) return `${Math.round(n / 1e3)}k`;
+  return String(n);
+}
@@ -0,0 +1,160 @@
+/**
+ * Minimal MP4 writer for one H.264 video track, enough to wrap the chunks a
+ * WebCodecs VideoEncoder produces with `avc: { format: 'avc' }` (length-prefixed
+ * NAL units, `decoderConfig.description` = avcC record). Everything is held in
+ * memory and written once, with `moov` ahead of `mdat` so players can start
+ * before the whole file has loaded. No DOM, so it can be tested in Node.
+ */
+
+const TIMESCALE = 90000;
+const MAX_32BIT = 0xffffffff;
+
+function u8(n) {
+  return [n & 0xff];
+}
+
+function u16(n) {
+  return [(n >>> 8) & 0xff, n & 0xff];
+}
+
+function u32(n) {
+  return [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+}
+
+function ascii(text) {
+  return Array.from(text, (c) => c.charCodeAt(0));
+}
+
+function zeros(count) {
+  return new Array(count).fill(0);
+}
+
+/** Flattens numbers, arrays and Uint8Arrays into one Uint8Array. */
+function bytes(...parts) {
+  let length = 0;
+  const flat = parts.map((p) => (p instanceof Uint8Array ? p : Uint8Array.from(p.flat(Infinity))));
+  flat.forEach((p) => { length += p.length; });
+  const out = new Uint8Array(length);
+  let offset = 0;
+  flat.forEach((p) => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+}
+
+function box(type, ...payload) {
+  const body = bytes(...payload);
+  return bytes(u32(body.length + 8), ascii(type), body);
+}
+
+function fullBox(type, version, flags, ...payload) {
+  return box(type, u8(version), u8(flags >> 16), u16(flags & 0xffff), ...payload);
+}
+
+const MATRIX = [u32(0x00010000), u32(0), u32(0), u32(0), u32(0x00010000), u32(0), u32(0), u32(0), u32(0x40000000)];
+
+function sampleTables(samples, delta, chunkOffset) {
+  const syncs = [];
+  samples.forEach((s, i) => { if (s.key) syncs.push(i + 1); });
+  return [
+    fullBox('stts', 0, 0, u32(1), u32(samples.length), u32(delta)),
+    // Every frame is a sync sample in an all-intra stream, in which case stss is omitted.
+    syncs.length === samples.length ? new Uint8Array(0) : fullBox('stss', 0, 0, u32(syncs.length), syncs.map(u32)),
+    fullBox('stsc', 0, 0, u32(1), u32(1), u32(samples.length), u32(1)),
+    fullBox('stsz', 0, 0, u32(0), u32(samples.length), samples.map((s) => u32(s.data.length))),
+    fullBox('stco', 0, 0, u32(1), u32(chunkOffset))
+  ];
+}
+
+function buildMoov({ width, height, fps, description, samples, chunkOffset }) {
+  const delta = Math.round(TIMESCALE / fps);
+  const duration = delta * samples.length;
+  const avc1 = box(
+    'avc1',
+    zeros(6), u16(1),
+    zeros(16),
+    u16(width), u16(height),
+    u32(0x00480000), u32(0x00480000),
+    u32(0), u16(1),
+    zeros(32),
+    u16(0x0018), u16(0xffff),
+    box('avcC', description)
+  );
+  return box(
+    'moov',
+    fullBox('mvhd', 0, 0, u32(0), u32(0), u32(TIMESCALE), u32(duration), u32(0x00010000), u16(0x0100), zeros(10), MATRIX, zeros(24), u32(2)),
+    box(
+      'trak',
+      fullBox('tkhd', 0, 3, u32(0), u32(0), u32(1), u32(0), u32(duration), zeros(8), u16(0), u16(0), u16(0), u16(0), MATRIX, u32(width * 65536), u32(height * 65536)),
+      box(
+        'mdia',
+        fullBox('mdhd', 0, 0, u32(0), u32(0), u32(TIMESCALE), u32(duration), u16(0x55c4), u16(0)),
+        fullBox('hdlr', 0, 0, u32(0), ascii('vide'), zeros(12), ascii('VideoHandler'), u8(0)),
+        box(
+          'minf',
+          fullBox('vmhd', 0, 1, zeros(8)),
+          box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+          box(
+            'stbl',
+            fullBox('stsd', 0, 0, u32(1), avc1),
+            ...sampleTables(samples, delta, chunkOffset)
+          )
+        )
+      )
+    )
+  );
+}
+
+/**
+ * Collects encoded frames and builds the file. `addChunk` accepts either a
+ * WebCodecs EncodedVideoChunk or `{ data: Uint8Array, key: boolean }`; frames
+ * must arrive in presentation order (no B-frames), at a constant `fps`.
+ */
+export function createMp4Muxer({ width, height, fps }) {
+  if (!(width > 0 && height > 0)) throw new Error('MP4 muxer needs a width and height.');
+  if (!(fps > 0)) throw new Error('MP4 muxer needs a frame rate.');
+  const samples = [];
+  let description = null;
+  let mdatBytes = 0;
+
+  return {
+    addChunk(chunk, metadata) {
+      let data = chunk.data;
+      if (!data) {
+        data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+      }
+      const key = chunk.key !== undefined ? !!chunk.key : chunk.type === 'key';
+      const desc = metadata?.decoderConfig?.description;
+      if (desc) description = ArrayBuffer.isView(desc) ? new Uint8Array(desc.buffer, desc.byteOffset, desc.byteLength).slice() : new Uint8Array(desc).slice();
+      if (!samples.length && !key) throw new Error('The first video frame must be a key frame.');
+      samples.push({ data, key });
+      mdatBytes += data.length;
+    },
+    get frameCount() {
+      return samples.length;
+    },
+    /** Returns the finished file as a Uint8Array. */
+    finalize() {
+      if (!samples.length) throw new Error('No video frames were encoded.');
+      if (!description) throw new Error('The encoder did not provide an avcC decoder configuration.');
+      if (mdatBytes + 8 > MAX_32BIT) throw new Error('Video is larger than 4 GB; export a shorter path or a smaller size.');
+      const ftyp = box('ftyp', ascii('isom'), u32(0x200), ascii('isom'), ascii('iso2'), ascii('avc1'), ascii('mp41'));
+      // moov's size doesn't depend on the offset value, so size it once and then write the real offset.
+      const moovSize = buildMoov({ width, height, fps, description, samples, chunkOffset: 0 }).length;
+      const chunkOffset = ftyp.length + moovSize + 8;
+      const moov = buildMoov({ width, height, fps, description, samples, chunkOffset });
+      const out = new Uint8Array(chunkOffset + mdatBytes);
+      out.set(ftyp, 0);
+      out.set(moov, ftyp.length);
+      out.set(bytes(u32(mdatBytes + 8), ascii('mdat')), ftyp.length + moov.length);
+      let offset = chunkOffset;
+      samples.forEach((s) => {
+        out.set(s.data, offset);
+        offset += s.data.length;
+      });
+      return out;
+    }
+  };
+}
@@ -1,27 +1,97 @@
 import {
   Box3,
+  BufferGeometry,
   Color,
+  Float32BufferAttribute,
   Group,
+  LOD,
   MathUtils,
   Mesh,
   MeshStandardMaterial,
   MeshBasicMaterial,
+  Points,
+  PointsMaterial,
+  Raycaster,
+  Vector2,
   Vector3
 } from 'three';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from '../assets/decoders/meshopt/meshopt_decoder.module.js';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { buildSceneManifest } from './scene-manifest.mjs';
+import { MIN_CONTROL_POINTS, pickPointOnRay, solveSimilarityTransform } from './point-alignment.mjs';
+import { collectSplatPoints } from './path-clearance.mjs';
+import { VARIANT_FADE_MS, crossfadeOpacity, fadeProgress, isInVariant, normalizeVariantNames } from './home-variants.mjs';
+import {
+  DEFAULT_MODEL_BUDGET,
+  budgetStatus,
+  combineLodCosts,
+  formatBytes,
+  formatCount,
+  measureModelCost,
+  normalizeLodLevels,
+  progressiveLoadOrder,
+  sumModelCosts
+} from './model-budget.mjs';
+
+// Draco and Basis (KTX2) decoders are committed under assets/decoders/draco/
+// and basis/ (shared/scripts/fetch-decoders.mjs), next to Meshopt's; the CDN
+// copies are only a fallback for pages that point `decoderPath` elsewhere.
+const DEFAULT_DECODER_PATH = '/assets/decoders/';
+const REMOTE_DECODER_PATHS = {
+  draco: 'https://unpkg.com/three@0.157.0/examples/jsm/libs/draco/',
+  basis: 'https://unpkg.com/three@0.157.0/examples/jsm/libs/basis/'
+};
+const LOD_HYSTERESIS = 0.1;
+
+// Probed once per page and directory, so the fallback warning shows once.
+const decoderPaths = new Map();
+
+function resolveDecoderPath(base, name, probeFile) {
+  const local = `${base}${name}/`;
+  if (!decoderPaths.has(local)) {
+    decoderPaths.set(local, fetch(local + probeFile, { method: 'HEAD' })
+      .then((res) => res.ok, () => false)
+      .then((found) => {
+        if (found) return local;
+        console.warn(`obj-home-editor: no ${name} decoder at ${local}, using ${REMOTE_DECODER_PATHS[name]}.`);
+        return REMOTE_DECODER_PATHS[name];
+      }));
+  }
+  return decoderPaths.get(local);
+}
 
-const dracoLoader = new DRACOLoader();
-dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.7/');
-dracoLoader.setDecoderConfig({ type: 'js' });
+const ALIGN_PICK_TOLERANCE_PX = 8;
+const ALIGN_MAX_SPLAT_POINTS = 400000;
+
+async function fetchArrayBuffer(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  return resp.arrayBuffer();
+}
 
 function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
+// Dots for picked control points, drawn over everything so they stay visible inside the model.
+function createMarkerPoints(positions, color) {
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+  const points = new Points(geometry, new PointsMaterial({
+    color, size: 9, sizeAttenuation: false, depthTest: false, depthWrite: false, transparent: true
+  }));
+  points.renderOrder = 1001;
+  points.frustumCulled = false;
+  return points;
+}
+
+const roundPoint = (p) => ({ x: +p.x.toFixed(6), y: +p.y.toFixed(6), z: +p.z.toFixed(6) });
+
 function ensureStyles() {
   if (document.getElementById('obj-home-editor-styles')) return;
   const style = document.createElement('style');
@@ -265,7 +335,58 @@ function ensureStyles() {
       background: rgba(232,90,79,0.25);
     }
 
-    body.recording-mode .obj-home-panel { visibility: hidden !important; }
+    .obj-align-row .obj-poly-name { font-weight: 500; }
+    .obj-align-row .obj-align-residual {
+      font-size: 10px;
+      color: rgba(255,255,255,0.7);
+      white-space: nowrap;
+    }
+    .obj-align-row .obj-align-residual.worst { color: #f0c040; }
+    .obj-budget-row .obj-budget-value {
+      font-size: 10px;
+      color: rgba(255,255,255,0.7);
+      white-space: nowrap;
+    }
+    .obj-budget-row.near .obj-budget-value { color: #f0c040; }
+    .obj-budget-row.over .obj-budget-value { color: #e85a4f; }
+    .obj-budget-row.total .obj-poly-name { font-weight: 600; }
+    #objHomeVariantButton { color: #fff; }
+    #objHomeVariantButton svg { width: 21px; height: 21px; position: relative; z-index: 1; }
+    .obj-home-variant-menu {
+      position: fixed;
+      z-index: 10000;
+      min-width: 180px;
+      max-width: calc(100vw - 16px);
+      padding: 6px;
+      border-radius: 14px;
+      background: rgba(32,32,32,0.85);
+      -webkit-backdrop-filter: blur(45px);
+      backdrop-filter: blur(45px);
+      box-sizing: border-box;
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+    }
+    .obj-home-variant-item {
+      padding: 9px 10px;
+      border: 0;
+      border-radius: 10px;
+      background: transparent;
+      color: #fff;
+      font: 500 13px/1.2 'Helvetica Neue', Arial, sans-serif;
+      text-align: left;
+      cursor: pointer;
+    }
+    .obj-home-variant-item:hover,
+    .obj-home-variant-item:focus-visible,
+    .obj-home-variant-item.active { background: rgba(191,40,27,0.38); outline: none; }
+    .obj-home-actions button.picking {
+      background: rgba(240,192,64,0.35);
+      border-color: rgba(240,192,64,0.6);
+    }
+
+    body.recording-mode .obj-home-panel,
+    body.recording-mode .obj-home-variant-menu { visibility: hidden !important; }
   `;
   document.head.appendChild(style);
 }
@@ -390,6 +511,34 @@ function applyPolygonAppearance(poly) {
   });
 }
 
+/**
+ * Design-variant crossfade: scales each material's own opacity by `opacity` and
+ * hides the polygon at 0. At 1 the material's original transparency is restored.
+ */
+function applyPolygonFade(poly, opacity) {
+  if (!poly || !poly.group) return;
+  const o = clamp(opacity, 0, 1);
+  poly.fade = o;
+  poly.group.visible = o > 0.001;
+  poly.group.traverse((child) => {
+    if (!(child instanceof Mesh)) return;
+    const mats = Array.isArray(child.material) ? child.material : [child.material];
+    mats.forEach((m) => {
+      if (!m) return;
+      if (m.__opacity0 == null) {
+        m.__opacity0 = Number.isFinite(m.opacity) ? m.opacity : 1;
+        m.__transparent0 = !!m.transparent;
+      }
+      const transparent = o < 1 || m.__transparent0;
+      if (m.transparent !== transparent) {
+        m.transparent = transparent;
+        m.needsUpdate = true;
+      }
+      m.opacity = m.__opacity0 * o;
+    });
+  });
+}
+
 function computeAndApplyRecenter(object, { center = true, groundToZero = true } = {}) {
   const box = new Box3().setFromObject(object);
   const size = new Vector3();
@@ -409,7 +558,9 @@ function computeAndApplyRecenter(object, { center = true, groundToZero = true }
 export function initObjHomeEditor(options = {}) {
   const {
     scene, camera, controls, renderer, propertyLabel = 'property',
-    onApplyPersist, onClearHomePersist
+    onApplyPersist, onClearHomePersist, saveManifest,
+    menuContainer = null, variantFadeMs = VARIANT_FADE_MS,
+    decoderPath = DEFAULT_DECODER_PATH, modelBudget = DEFAULT_MODEL_BUDGET
   } = options;
   if (!scene || !camera || !controls || !renderer?.domElement) {
     console.warn('obj-home-editor: scene, camera, controls, and renderer.domElement are required.');
@@ -422,12 +573,18 @@ export function initObjHomeEditor(options = {}) {
   // --- State ---
   const state = {
     open: false,
-    polygons: [],       // array of { id, name, group, locked, brightness, envMapIntensity, source }
+    polygons: [],       // array of { id, name, group, locked, brightness, envMapIntensity, source, variants }
     activeIndex: -1,    // index into state.polygons of the currently-editing polygon
     nextId: 1,          // auto-increment for "Polygon N" naming
     recenter: { center: true, ground: true },
     gizmoEnabled: false,
     gizmoMode: 'translate',
+    // Control-point picking: `pendingModel` is a model point waiting for its splat match,
+    // `hiddenGroup` the model hidden meanwhile so the splat behind it can be clicked.
+    align: { picking: false, pendingModel: null, hiddenGroup: null, splat: null, markers: [] },
+    variants: [],         // design variant names, in menu order
+    activeVariant: null,  // shown variant; polygons list theirs in poly.variants
+    variantFade: null,    // { from, to, start, raf } while crossfading
   };
 
   const ui = {};
@@ -440,6 +597,8 @@ export function initObjHomeEditor(options = {}) {
     state.open = !!open;
     if (ui.toggle) ui.toggle.classList.toggle('active', state.open);
     if (ui.panel) ui.panel.classList.toggle('active', state.open);
+    if (!state.open) setAlignPicking(false);
+    updateAlignMarkers();
   };
 
   // --- TransformControls ---
@@ -485,6 +644,8 @@ export function initObjHomeEditor(options = {}) {
       empty.className = 'obj-poly-list-empty';
       empty.textContent = 'No polygons loaded yet.';
       container.appendChild(empty);
+      renderVariantList();
+      renderBudget();
       return;
     }
 
@@ -496,7 +657,8 @@ export function initObjHomeEditor(options = {}) {
 
       const nameEl = document.createElement('div');
       nameEl.className = 'obj-poly-name';
-      nameEl.textContent = poly.name;
+      nameEl.textContent = poly.variants.length ? `${poly.name} · ${poly.variants.join(', ')}` : poly.name;
+      nameEl.title = poly.variants.length ? `In ${poly.variants.join(', ')}` : 'Shown in every variant';
 
       const editBtn = document.createElement('button');
       editBtn.type = 'button';
@@ -524,6 +686,55 @@ export function initObjHomeEditor(options = {}) {
       row.appendChild(deleteBtn);
       container.appendChild(row);
     });
+    renderVariantList();
+    renderBudget();
+  }
+
+  // --- Budget report (shared/model-budget.mjs) ---
+  function polygonCost(poly) {
+    if (!poly.lod) return { ...measureModelCost(poly.group), levels: 1 };
+    return combineLodCosts(poly.lod.levels.map((level) => measureModelCost(level.object)));
+  }
+
+  function getBudgetReport() {
+    const polygons = state.polygons.map((poly) => ({ name: poly.name, ...polygonCost(poly) }));
+    const total = sumModelCosts(polygons);
+    return { polygons, total, budget: modelBudget, status: budgetStatus(total, modelBudget) };
+  }
+
+  // Triangles drawn at full detail and GPU memory (geometry + textures) per polygon, against the page budget.
+  function renderBudget() {
+    const container = ui.budgetList;
+    if (!container) return;
+    container.innerHTML = '';
+    const report = getBudgetReport();
+    const addRow = (label, cost, title, extraClass = '') => {
+      const row = document.createElement('div');
+      row.className = `obj-poly-row obj-budget-row ${budgetStatus(cost, modelBudget)}${extraClass}`;
+      const nameEl = document.createElement('div');
+      nameEl.className = 'obj-poly-name';
+      nameEl.textContent = label;
+      nameEl.title = title;
+      const valueEl = document.createElement('div');
+      valueEl.className = 'obj-budget-value';
+      valueEl.textContent = `${formatCount(cost.triangles)} tris · ${formatBytes(cost.geometryBytes + cost.textureBytes)}`;
+      row.appendChild(nameEl);
+      row.appendChild(valueEl);
+      container.appendChild(row);
+    };
+    report.polygons.forEach((cost) => {
+      addRow(
+        cost.levels > 1 ? `${cost.name} · ${cost.levels} LODs` : cost.name,
+        cost,
+        `${cost.meshes} meshes, ${formatCount(cost.vertices)} vertices · geometry ${formatBytes(cost.geometryBytes)} · ${cost.textures} textures ${formatBytes(cost.textureBytes)}`
+      );
+    });
+    addRow(
+      'Total',
+      report.total,
+      `Budget: ${formatCount(modelBudget.triangles)} triangles, ${formatBytes(modelBudget.bytes)}`,
+      ' total'
+    );
   }
 
   // --- Set active polygon ---
@@ -549,6 +760,7 @@ export function initObjHomeEditor(options = {}) {
     attachGizmoIfNeeded();
     updatePanelTitle();
     renderPolygonList();
+    setAlignPicking(false);
     setStatus(`Editing ${poly.name}. Use gizmo or fields to position.`);
   }
 
@@ -571,6 +783,7 @@ export function initObjHomeEditor(options = {}) {
       transformControls.visible = false;
       syncInputsFromObject();
       updatePanelTitle();
+      setAlignPicking(false);
       setStatus(`${poly.name} locked.`);
     } else if (!poly.locked) {
       setStatus(`${poly.name} unlocked. Click Edit to adjust it.`);
@@ -586,6 +799,7 @@ export function initObjHomeEditor(options = {}) {
 
     transformControls.detach();
     transformControls.visible = false;
+    if (state.activeIndex === index) setAlignPicking(false);
     scene.remove(poly.group);
     state.polygons.splice(index, 1);
 
@@ -598,6 +812,8 @@ export function initObjHomeEditor(options = {}) {
     }
 
     renderPolygonList();
+    renderAlignList();
+    updateAlignMarkers();
     setStatus(`Removed ${poly.name}.`);
   }
 
@@ -686,6 +902,423 @@ export function initObjHomeEditor(options = {}) {
     setStatus('Reset transform.');
   }
 
+  // --- Control-point alignment (shared/point-alignment.mjs) ---
+  // Pairs are { model, scene }: `model` in the polygon group's own frame (so it
+  // survives moving the model), `scene` in world space on the splat.
+  function getAlignment(poly) {
+    if (!poly.alignment) poly.alignment = { pairs: [], residuals: null, rms: null };
+    return poly.alignment;
+  }
+
+  function showHiddenModel() {
+    const group = state.align.hiddenGroup;
+    const poly = group && state.polygons.find((p) => p.group === group);
+    if (group) group.visible = !poly || poly.fade == null || poly.fade > 0.001;
+    state.align.hiddenGroup = null;
+  }
+
+  function setAlignPicking(on) {
+    const poly = state.polygons[state.activeIndex];
+    state.align.picking = !!on && !!activeGroup();
+    state.align.pendingModel = null;
+    showHiddenModel();
+    if (ui.alignPickBtn) {
+      ui.alignPickBtn.classList.toggle('picking', state.align.picking);
+      ui.alignPickBtn.textContent = state.align.picking ? 'Stop Picking' : 'Pick Points';
+    }
+    if (state.align.picking) {
+      setStatus(`Point ${getAlignment(poly).pairs.length + 1}: click a recognizable spot on the model.`);
+    } else if (on) {
+      setStatus('Select and unlock a polygon first.');
+    }
+    renderAlignList();
+    updateAlignMarkers();
+  }
+
+  function pickRay(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const ndc = new Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new Raycaster();
+    raycaster.setFromCamera(ndc, camera);
+    return { raycaster, height: rect.height };
+  }
+
+  function pickModelPoint(event, group) {
+    const { raycaster } = pickRay(event);
+    const hit = raycaster.intersectObject(group, true).find((h) => h.object.isMesh);
+    return hit ? group.worldToLocal(hit.point.clone()) : null;
+  }
+
+  function pickSplatPoint(event) {
+    const fresh = collectSplatPoints(scene, {
+      maxPoints: ALIGN_MAX_SPLAT_POINTS,
+      unchangedFrom: state.align.splat ? state.align.splat.sourceCount : -1
+    });
+    if (fresh) state.align.splat = fresh;
+    if (!state.align.splat || !state.align.splat.positions.length) return null;
+    const { raycaster, height } = pickRay(event);
+    const maxAngle = (ALIGN_PICK_TOLERANCE_PX / Math.max(1, height)) * MathUtils.degToRad(camera.fov || 50);
+    return pickPointOnRay(state.align.splat.positions, raycaster.ray.origin, raycaster.ray.direction, { maxAngle });
+  }
+
+  function handleAlignClick(event) {
+    const poly = state.polygons[state.activeIndex];
+    const group = activeGroup();
+    if (!poly || !group) {
+      setAlignPicking(false);
+      return;
+    }
+    const alignment = getAlignment(poly);
+    const n = alignment.pairs.length + 1;
+    if (!state.align.pendingModel) {
+      const local = pickModelPoint(event, group);
+      if (!local) { setStatus(`Point ${n}: missed the model; click on its surface.`); return; }
+      state.align.pendingModel = local;
+      state.align.hiddenGroup = group;
+      group.visible = false;
+      setStatus(`Point ${n}: now click the same spot on the splat.`);
+    } else {
+      const world = pickSplatPoint(event);
+      if (!world) { setStatus(`Point ${n}: no splat points there; click closer to the surface.`); return; }
+      alignment.pairs.push({ model: roundPoint(state.align.pendingModel), scene: roundPoint(world) });
+      alignment.residuals = null;
+      alignment.rms = null;
+      state.align.pendingModel = null;
+      showHiddenModel();
+      const needed = MIN_CONTROL_POINTS - alignment.pairs.length;
+      setStatus(needed > 0
+        ? `Added point ${n}. Pick ${needed} more to align.`
+        : `Added point ${n}. Click Align, or pick more points to average out click error.`);
+    }
+    renderAlignList();
+    updateAlignMarkers();
+  }
+
+  function removeAlignPair(index) {
+    const poly = state.polygons[state.activeIndex];
+    if (!poly || !poly.alignment) return;
+    poly.alignment.pairs.splice(index, 1);
+    poly.alignment.residuals = null;
+    poly.alignment.rms = null;
+    renderAlignList();
+    updateAlignMarkers();
+  }
+
+  function clearAlignment() {
+    const poly = state.polygons[state.activeIndex];
+    if (!poly) return;
+    poly.alignment = null;
+    setAlignPicking(false);
+    setStatus(`Cleared control points for ${poly.name}.`);
+  }
+
+  // Solves model → splat and replaces the polygon's position, rotation and scale.
+  function alignToControlPoints() {
+    const poly = state.polygons[state.activeIndex];
+    const obj = activeGroup();
+    if (!poly || !obj) { setStatus('Select and unlock a polygon first.'); return; }
+    const alignment = getAlignment(poly);
+    let solved;
+    try {
+      solved = solveSimilarityTransform(alignment.pairs.map((p) => p.model), alignment.pairs.map((p) => p.scene));
+    } catch (e) {
+      setStatus(e.message);
+      return;
+    }
+    setAlignPicking(false);
+    obj.position.set(solved.translation.x, solved.translation.y, solved.translation.z);
+    obj.quaternion.set(solved.rotation.x, solved.rotation.y, solved.rotation.z, solved.rotation.w);
+    obj.scale.setScalar(solved.scale);
+    alignment.residuals = solved.residuals.map((r) => +r.toFixed(6));
+    alignment.rms = +solved.rms.toFixed(6);
+    syncInputsFromObject();
+    attachGizmoIfNeeded();
+    renderAlignList();
+    updateAlignMarkers();
+    const summary = `Aligned ${poly.name} to ${alignment.pairs.length} points (RMS error ${solved.rms.toFixed(4)}).`;
+    if (typeof onApplyPersist === 'function') {
+      try {
+        onApplyPersist();
+        setStatus(`${summary} Settings saved for next visit.`);
+      } catch (e) {
+        console.warn('onApplyPersist', e);
+        setStatus(`${summary} (Save failed; see console.)`);
+      }
+    } else {
+      setStatus(summary);
+    }
+  }
+
+  function renderAlignList() {
+    const container = ui.alignList;
+    if (!container) return;
+    container.innerHTML = '';
+    const poly = state.polygons[state.activeIndex];
+    const alignment = poly && activeGroup() ? getAlignment(poly) : null;
+    const pairs = alignment ? alignment.pairs : [];
+    if (ui.alignBtn) {
+      ui.alignBtn.disabled = pairs.length < MIN_CONTROL_POINTS;
+      ui.alignBtn.textContent = pairs.length < MIN_CONTROL_POINTS
+        ? `Align (${pairs.length}/${MIN_CONTROL_POINTS} points)`
+        : `Align to ${pairs.length} points`;
+    }
+    if (ui.alignPickBtn) ui.alignPickBtn.disabled = !alignment;
+    if (ui.alignClearBtn) ui.alignClearBtn.disabled = !pairs.length;
+    if (!pairs.length) {
+      const empty = document.createElement('div');
+      empty.className = 'obj-poly-list-empty';
+      empty.textContent = alignment
+        ? 'Pick matching spots on the model and the splat (3 or more).'
+        : 'Edit a polygon to align it by control points.';
+      container.appendChild(empty);
+      return;
+    }
+    const residuals = alignment.residuals || [];
+    const worst = residuals.length ? Math.max(...residuals) : null;
+    pairs.forEach((pair, idx) => {
+      const row = document.createElement('div');
+      row.className = 'obj-poly-row obj-align-row';
+
+      const nameEl = document.createElement('div');
+      nameEl.className = 'obj-poly-name';
+      nameEl.textContent = `Point ${idx + 1}`;
+
+      const residualEl = document.createElement('span');
+      residualEl.className = 'obj-align-residual';
+      if (Number.isFinite(residuals[idx])) {
+        residualEl.textContent = `off by ${residuals[idx].toFixed(4)}`;
+        if (residuals[idx] === worst) residualEl.classList.add('worst');
+      } else {
+        residualEl.textContent = 'not solved';
+      }
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'obj-poly-btn delete-btn';
+      deleteBtn.textContent = '✕';
+      deleteBtn.title = `Remove point ${idx + 1}`;
+      deleteBtn.addEventListener('click', () => removeAlignPair(idx));
+
+      row.appendChild(nameEl);
+      row.appendChild(residualEl);
+      row.appendChild(deleteBtn);
+      container.appendChild(row);
+    });
+    if (Number.isFinite(alignment.rms)) {
+      const rmsEl = document.createElement('div');
+      rmsEl.className = 'obj-poly-list-empty';
+      rmsEl.textContent = `RMS error ${alignment.rms.toFixed(4)} (scene units).`;
+      container.appendChild(rmsEl);
+    }
+  }
+
+  // Red dots on the model (children of its group, so they follow the gizmo),
+  // green dots on the splat; shown while the panel is open on that polygon.
+  function updateAlignMarkers() {
+    state.align.markers.forEach((marker) => {
+      if (marker.parent) marker.parent.remove(marker);
+      marker.geometry.dispose();
+      marker.material.dispose();
+    });
+    state.align.markers = [];
+    const poly = state.polygons[state.activeIndex];
+    if (!state.open || !poly || !activeGroup() || !poly.alignment) return;
+    const modelPoints = poly.alignment.pairs.map((p) => p.model);
+    if (state.align.pendingModel) modelPoints.push(state.align.pendingModel);
+    const modelMarker = createMarkerPoints(modelPoints.flatMap((p) => [p.x, p.y, p.z]), 0xe85a4f);
+    const sceneMarker = createMarkerPoints(poly.alignment.pairs.flatMap((p) => [p.scene.x, p.scene.y, p.scene.z]), 0x4cd964);
+    poly.group.add(modelMarker);
+    scene.add(sceneMarker);
+    state.align.markers = [modelMarker, sceneMarker];
+  }
+
+  // --- Design variants (shared/home-variants.mjs) ---
+  function stopVariantFade() {
+    if (state.variantFade && state.variantFade.raf) cancelAnimationFrame(state.variantFade.raf);
+    state.variantFade = null;
+  }
+
+  // Snaps every polygon to the active variant (loading, membership edits).
+  function refreshVariantVisibility() {
+    stopVariantFade();
+    state.polygons.forEach((poly) => applyPolygonFade(poly, isInVariant(poly.variants, state.activeVariant) ? 1 : 0));
+  }
+
+  function showVariant(name, { fade = true } = {}) {
+    const to = state.variants.includes(name) ? name : null;
+    const from = state.variantFade ? state.variantFade.to : state.activeVariant;
+    state.activeVariant = to;
+    renderVariantList();
+    renderVariantMenu();
+    if (!fade || from === to || !(variantFadeMs > 0)) {
+      refreshVariantVisibility();
+      return;
+    }
+    stopVariantFade();
+    const fadeState = { from, to, start: performance.now(), raf: 0 };
+    state.variantFade = fadeState;
+    const step = (now) => {
+      const t = fadeProgress(now - fadeState.start, variantFadeMs);
+      state.polygons.forEach((poly) => applyPolygonFade(poly, crossfadeOpacity(poly.variants, from, to, t)));
+      if (t < 1) fadeState.raf = requestAnimationFrame(step);
+      else state.variantFade = null;
+    };
+    fadeState.raf = requestAnimationFrame(step);
+  }
+
+  function setVariants(names) {
+    state.variants = normalizeVariantNames(names);
+    state.polygons.forEach((poly) => {
+      poly.variants = poly.variants.filter((v) => state.variants.includes(v));
+    });
+    if (!state.variants.includes(state.activeVariant)) state.activeVariant = state.variants[0] || null;
+    refreshVariantVisibility();
+    renderVariantMenu();
+    renderPolygonList();
+  }
+
+  function addVariant(name) {
+    const text = String(name || '').trim();
+    if (!text) { setStatus('Name the variant first, e.g. "Option A farmhouse".'); return; }
+    if (state.variants.includes(text)) { setStatus(`There is already a variant called ${text}.`); return; }
+    setVariants([...state.variants, text]);
+    setStatus(`Added variant ${text}. Tick the polygons that belong to it.`);
+  }
+
+  function removeVariant(name) {
+    if (!confirm(`Remove variant ${name}? Its polygons will show in every variant.`)) return;
+    setVariants(state.variants.filter((v) => v !== name));
+    setStatus(`Removed variant ${name}.`);
+  }
+
+  function setPolygonInVariant(poly, name, included) {
+    const next = poly.variants.filter((v) => v !== name);
+    if (included) next.push(name);
+    poly.variants = state.variants.filter((v) => next.includes(v));
+    refreshVariantVisibility();
+    renderPolygonList();
+  }
+
+  function renderVariantList() {
+    const container = ui.variantList;
+    if (!container) return;
+    container.innerHTML = '';
+    if (!state.variants.length) {
+      const empty = document.createElement('div');
+      empty.className = 'obj-poly-list-empty';
+      empty.textContent = 'No variants. Polygons always show.';
+      container.appendChild(empty);
+      return;
+    }
+    const poly = state.polygons[state.activeIndex];
+    state.variants.forEach((name) => {
+      const row = document.createElement('div');
+      row.className = 'obj-poly-row' + (name === state.activeVariant ? ' active-poly' : '');
+
+      const nameEl = document.createElement('div');
+      nameEl.className = 'obj-poly-name';
+      const count = state.polygons.filter((p) => p.variants.includes(name)).length;
+      nameEl.textContent = `${name} (${count})`;
+      row.appendChild(nameEl);
+
+      if (poly && !poly.locked) {
+        const member = document.createElement('label');
+        member.className = 'obj-home-inline';
+        member.style.fontSize = '10px';
+        member.title = `Show ${poly.name} in ${name}`;
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = poly.variants.includes(name);
+        box.addEventListener('change', () => setPolygonInVariant(poly, name, box.checked));
+        member.appendChild(box);
+        member.appendChild(document.createTextNode('In'));
+        row.appendChild(member);
+      }
+
+      const showBtn = document.createElement('button');
+      showBtn.type = 'button';
+      showBtn.className = 'obj-poly-btn edit-btn';
+      showBtn.textContent = 'Show';
+      showBtn.disabled = name === state.activeVariant;
+      showBtn.addEventListener('click', () => showVariant(name));
+      row.appendChild(showBtn);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'obj-poly-btn delete-btn';
+      deleteBtn.textContent = '✕';
+      deleteBtn.title = `Remove ${name}`;
+      deleteBtn.addEventListener('click', () => removeVariant(name));
+      row.appendChild(deleteBtn);
+
+      container.appendChild(row);
+    });
+  }
+
+  // --- Visitor-facing variant picker in the page menu ---
+  let variantBtnEl = null;
+  let variantMenuEl = null;
+
+  function closeVariantMenu() {
+    if (!variantMenuEl) return;
+    variantMenuEl.remove();
+    variantMenuEl = null;
+    if (variantBtnEl) variantBtnEl.setAttribute('aria-expanded', 'false');
+    document.removeEventListener('pointerdown', onVariantMenuPointerDown, true);
+    document.removeEventListener('keydown', onVariantMenuKeyDown);
+  }
+
+  function onVariantMenuPointerDown(event) {
+    if (variantMenuEl && !variantMenuEl.contains(event.target) && !variantBtnEl.contains(event.target)) closeVariantMenu();
+  }
+
+  function onVariantMenuKeyDown(event) {
+    if (event.key === 'Escape') closeVariantMenu();
+  }
+
+  function openVariantMenu() {
+    if (!variantBtnEl || state.variants.length < 2) return;
+    variantMenuEl = document.createElement('div');
+    variantMenuEl.className = 'obj-home-variant-menu';
+    variantMenuEl.setAttribute('role', 'menu');
+    state.variants.forEach((name) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'obj-home-variant-item' + (name === state.activeVariant ? ' active' : '');
+      btn.setAttribute('role', 'menuitemradio');
+      btn.setAttribute('aria-checked', name === state.activeVariant ? 'true' : 'false');
+      btn.textContent = name;
+      btn.addEventListener('click', () => {
+        closeVariantMenu();
+        showVariant(name);
+      });
+      variantMenuEl.appendChild(btn);
+    });
+    document.body.appendChild(variantMenuEl);
+    const rect = variantBtnEl.getBoundingClientRect();
+    variantMenuEl.style.left = `${clamp(rect.left, 8, Math.max(8, window.innerWidth - variantMenuEl.offsetWidth - 8))}px`;
+    variantMenuEl.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+    variantBtnEl.setAttribute('aria-expanded', 'true');
+    document.addEventListener('pointerdown', onVariantMenuPointerDown, true);
+    document.addEventListener('keydown', onVariantMenuKeyDown);
+    const active = variantMenuEl.querySelector('.active') || variantMenuEl.querySelector('button');
+    if (active) active.focus();
+  }
+
+  // The menu button only appears once there are two designs to choose between.
+  function renderVariantMenu() {
+    if (!variantBtnEl) return;
+    variantBtnEl.style.display = state.variants.length >= 2 ? '' : 'none';
+    variantBtnEl.setAttribute('title', state.activeVariant ? `Design: ${state.activeVariant}` : 'Design options');
+    if (variantMenuEl) {
+      closeVariantMenu();
+      openVariantMenu();
+    }
+  }
+
   // --- Create and register a new polygon entry ---
   function createPolygon(group, source, brightnessVal) {
     const id = state.nextId++;
@@ -696,51 +1329,103 @@ export function initObjHomeEditor(options = {}) {
       locked: false,
       brightness: brightnessVal ?? 1.0,
       envMapIntensity: 1.0,
-      source
+      source,
+      variants: []
     };
     state.polygons.push(poly);
     return state.polygons.length - 1; // return index
   }
 
-  // --- Load from GLB buffer (appends a new polygon) ---
-  async function loadFromGlbBuffer(arrayBuffer, sourceLabel) {
-    setStatus(`Loading GLB (${sourceLabel})…`);
-    return new Promise((resolve) => {
-      const loader = new GLTFLoader();
-      loader.setDRACOLoader(dracoLoader);
-      loader.parse(arrayBuffer, '', (gltf) => {
-        const group = new Group();
-        group.name = `polygon-${state.nextId}-${propertyLabel}`;
-        group.add(gltf.scene || gltf.scenes[0]);
-        configureGlbPbrMaterials(group);
-        computeAndApplyRecenter(group, { center: state.recenter.center, groundToZero: state.recenter.ground });
-        scene.add(group);
-        const idx = createPolygon(group, { type: 'glb', obj: sourceLabel, mtl: '', baseUrl: '' }, 1.0);
-        const loadedPoly = state.polygons[idx];
-        applyPolygonAppearance(loadedPoly);
-        state.activeIndex = idx;
-        renderPolygonList();
-        updatePanelTitle();
-        syncInputsFromObject();
-        attachGizmoIfNeeded();
-
-        const bs = ui.panel.querySelector('#objHomeBrightness');
-        const bv = ui.panel.querySelector('#objHomeBrightnessVal');
-        const eis = ui.panel.querySelector('#objHomeEnvMapIntensity');
-        const eiv = ui.panel.querySelector('#objHomeEnvMapIntensityVal');
-        if (bs) bs.value = 1.0;
-        if (bv) bv.textContent = '1.0';
-        if (eis) eis.value = 1.0;
-        if (eiv) eiv.textContent = '1.0';
-
-        setStatus(`Loaded ${state.polygons[idx].name} (${sourceLabel}). Use gizmo or fields to align.`);
-        resolve();
-      }, (err) => {
-        console.warn('GLTFLoader error:', err);
-        setStatus('Failed to load GLB. Check console for details.');
-        resolve();
+  // One GLTFLoader per editor: KTX2Loader needs the renderer, and the decoder
+  // paths are probed on the first GLB.
+  let gltfLoaderPromise = null;
+  function getGltfLoader() {
+    if (!gltfLoaderPromise) {
+      gltfLoaderPromise = Promise.all([
+        resolveDecoderPath(decoderPath, 'draco', 'draco_wasm_wrapper.js'),
+        resolveDecoderPath(decoderPath, 'basis', 'basis_transcoder.js')
+      ]).then(([dracoPath, basisPath]) => {
+        const loader = new GLTFLoader();
+        loader.setDRACOLoader(new DRACOLoader().setDecoderPath(dracoPath));
+        loader.setKTX2Loader(new KTX2Loader().setTranscoderPath(basisPath).detectSupport(renderer));
+        loader.setMeshoptDecoder(MeshoptDecoder);
+        return loader;
       });
-    });
+    }
+    return gltfLoaderPromise;
+  }
+
+  async function parseGlb(arrayBuffer) {
+    const loader = await getGltfLoader();
+    const gltf = await new Promise((resolve, reject) => loader.parse(arrayBuffer, '', resolve, reject));
+    const root = gltf.scene || gltf.scenes[0];
+    configureGlbPbrMaterials(root);
+    return root;
+  }
+
+  // --- Load from GLB buffer (appends a new polygon; with `lodDistance` the model is its first LOD level) ---
+  async function loadFromGlbBuffer(arrayBuffer, sourceLabel, { lodDistance = null } = {}) {
+    setStatus(`Loading GLB (${sourceLabel})…`);
+    let root;
+    try {
+      root = await parseGlb(arrayBuffer);
+    } catch (err) {
+      console.warn('GLTFLoader error:', err);
+      setStatus('Failed to load GLB. Check console for details.');
+      return null;
+    }
+    const group = new Group();
+    group.name = `polygon-${state.nextId}-${propertyLabel}`;
+    let lod = null;
+    if (lodDistance !== null) {
+      lod = new LOD();
+      lod.addLevel(root, lodDistance, LOD_HYSTERESIS);
+      group.add(lod);
+    } else {
+      group.add(root);
+    }
+    computeAndApplyRecenter(group, { center: state.recenter.center, groundToZero: state.recenter.ground });
+    scene.add(group);
+    const idx = createPolygon(group, { type: 'glb', obj: sourceLabel, mtl: '', baseUrl: '' }, 1.0);
+    const loadedPoly = state.polygons[idx];
+    loadedPoly.lod = lod;
+    applyPolygonAppearance(loadedPoly);
+    state.activeIndex = idx;
+    setAlignPicking(false);
+    renderPolygonList();
+    updatePanelTitle();
+    syncInputsFromObject();
+    attachGizmoIfNeeded();
+
+    const bs = ui.panel.querySelector('#objHomeBrightness');
+    const bv = ui.panel.querySelector('#objHomeBrightnessVal');
+    const eis = ui.panel.querySelector('#objHomeEnvMapIntensity');
+    const eiv = ui.panel.querySelector('#objHomeEnvMapIntensityVal');
+    if (bs) bs.value = 1.0;
+    if (bv) bv.textContent = '1.0';
+    if (eis) eis.value = 1.0;
+    if (eiv) eiv.textContent = '1.0';
+
+    setStatus(`Loaded ${loadedPoly.name} (${sourceLabel}). Use gizmo or fields to align.`);
+    return loadedPoly;
+  }
+
+  // Finer levels stream in after the coarse one is on screen, nearest-detail last.
+  async function loadLodLevels(poly, levels) {
+    for (const level of levels) {
+      let root;
+      try {
+        root = await parseGlb(await fetchArrayBuffer(level.url));
+      } catch (err) {
+        console.warn(`Level of detail ${level.url} failed to load; keeping the coarser model.`, err);
+        return;
+      }
+      if (!state.polygons.includes(poly)) return;
+      poly.lod.addLevel(root, level.distance, LOD_HYSTERESIS);
+      applyPolygonAppearance(poly);
+      if (poly.fade != null) applyPolygonFade(poly, poly.fade);
+      renderBudget();
+    }
   }
 
   // --- Load from OBJ/MTL texts (appends a new polygon) ---
@@ -787,6 +1472,7 @@ export function initObjHomeEditor(options = {}) {
       const idx = createPolygon(group, { type: 'obj', obj: sourceLabel, mtl: '', baseUrl: baseUrl || '' }, 1.0);
       applyPolygonAppearance(state.polygons[idx]);
       state.activeIndex = idx;
+      setAlignPicking(false);
       renderPolygonList();
       updatePanelTitle();
       syncInputsFromObject();
@@ -808,20 +1494,26 @@ export function initObjHomeEditor(options = {}) {
     }
   }
 
-  async function loadFromUrls(objUrl, mtlUrl, baseUrl) {
+  // `lods` ([{ url, distance }], model-budget.mjs) adds coarser GLBs shown from
+  // `distance` away; the coarsest loads first and the rest follow in the background.
+  async function loadFromUrls(objUrl, mtlUrl, baseUrl, { lods = [] } = {}) {
     if (!objUrl) return;
     const lc = objUrl.toLowerCase();
     if (lc.endsWith('.glb') || lc.endsWith('.gltf')) {
+      const [first, ...finer] = progressiveLoadOrder(objUrl, lods);
       setStatus('Fetching GLB…');
       try {
-        const resp = await fetch(objUrl);
-        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-        const buffer = await resp.arrayBuffer();
-        await loadFromGlbBuffer(buffer, objUrl.split('/').pop());
-        const justLoaded = state.polygons[state.activeIndex];
+        const buffer = await fetchArrayBuffer(first.url);
+        const justLoaded = await loadFromGlbBuffer(buffer, first.url.split('/').pop(), {
+          lodDistance: finer.length ? first.distance : null
+        });
         if (justLoaded && justLoaded.source) {
           justLoaded.source.url = objUrl;
+          justLoaded.source.obj = objUrl.split('/').pop();
+          const levels = normalizeLodLevels(lods).filter((l) => l.url !== objUrl);
+          if (levels.length) justLoaded.source.lods = levels;
         }
+        if (justLoaded && finer.length) loadLodLevels(justLoaded, finer);
       } catch (err) {
         console.warn(err);
         setStatus('Failed to fetch GLB. Check the URL and CORS settings.');
@@ -876,7 +1568,9 @@ export function initObjHomeEditor(options = {}) {
         },
         brightness: poly.brightness,
         envMapIntensity: Number.isFinite(poly.envMapIntensity) ? poly.envMapIntensity : 1,
-        recenter: { center: !!state.recenter.center, groundToZero: !!state.recenter.ground }
+        recenter: { center: !!state.recenter.center, groundToZero: !!state.recenter.ground },
+        ...(poly.alignment && poly.alignment.pairs.length ? { alignment: poly.alignment } : {}),
+        ...(poly.variants.length ? { variants: poly.variants.slice() } : {})
       };
     });
   }
@@ -891,9 +1585,8 @@ export function initObjHomeEditor(options = {}) {
     window.__homeModelConfig = payload;
   }
 
-  // --- Export ALL editors bundled into one JSON ---
-  function copyExportAllJson() {
-    const homePolygons = getPolygonsPayload();
+  // --- Export ALL editors bundled into one scene manifest (shared/scene-manifest.mjs) ---
+  function getSceneManifest() {
     const splatTransform = (typeof window.__getSplatExportPayload === 'function')
       ? (window.__getSplatExportPayload() || null)
       : null;
@@ -903,33 +1596,51 @@ export function initObjHomeEditor(options = {}) {
     const liftedRegion = (typeof window.__getLiftPayload === 'function')
       ? (window.__getLiftPayload() || null)
       : null;
+    return buildSceneManifest(
+      { splatTransform, clipPolygons, liftedRegion, homePolygons: getPolygonsPayload(), variants: state.variants },
+      { property: propertyLabel }
+    );
+  }
 
-    const payload = {
-      exportedAt: new Date().toISOString(),
-      property: propertyLabel,
-      splatTransform,
-      clipPolygons,
-      liftedRegion,
-      homePolygons
-    };
-
+  function describeManifest({ splatTransform, clipPolygons, liftedRegion, homePolygons }) {
     const hasLift = !!(liftedRegion && liftedRegion.enabled && liftedRegion.polygon.length >= 3);
-    const summary = [
+    return [
       splatTransform ? 'splat' : null,
       `${clipPolygons.length} clip poly${clipPolygons.length === 1 ? '' : 's'}`,
       hasLift ? `lift ${liftedRegion.amount.toFixed(3)}` : null,
-      `${homePolygons.length} home poly${homePolygons.length === 1 ? '' : 's'}`
+      `${homePolygons.length} home poly${homePolygons.length === 1 ? '' : 's'}`,
+      state.variants.length ? `${state.variants.length} variant${state.variants.length === 1 ? '' : 's'}` : null
     ].filter(Boolean).join(', ');
+  }
 
+  function copyExportAllJson() {
+    const payload = getSceneManifest();
     const text = JSON.stringify(payload, null, 2);
     navigator.clipboard.writeText(text).then(
-      () => setStatus(`Copied combined export (${summary}).`),
+      () => setStatus(`Copied combined export (${describeManifest(payload)}).`),
       () => setStatus('Copy failed (clipboard permission).')
     );
     window.__fullExportConfig = payload;
     return payload;
   }
 
+  // Hands the manifest to the page's save endpoint (e.g. a PUT to the dev server).
+  async function saveSceneManifest() {
+    if (typeof saveManifest !== 'function') return null;
+    setStatus('Saving scene manifest…');
+    try {
+      const payload = getSceneManifest();
+      await saveManifest(payload);
+      setStatus(`Saved scene manifest (${describeManifest(payload)}).`);
+      window.__fullExportConfig = payload;
+      return payload;
+    } catch (e) {
+      console.warn('saveManifest', e);
+      setStatus(`Save failed: ${e && e.message ? e.message : e}`);
+      return null;
+    }
+  }
+
   // --- Build panel HTML ---
   ui.toggle = document.createElement('button');
   ui.toggle.type = 'button';
@@ -1077,12 +1788,33 @@ export function initObjHomeEditor(options = {}) {
         <button id="objHomeCopyBtn" type="button">Copy JSON</button>
         <button id="objHomeRemoveBtn" type="button" class="danger">Remove</button>
       </div>
-      <div class="obj-home-actions" style="margin-top:6px;">
-        <button id="objHomeAlignBtn" type="button" style="flex:1 1 100%;background:rgba(34,139,34,0.35);border-color:rgba(34,139,34,0.5);">Align Model</button>
+      <div class="obj-home-section">
+        <div class="obj-home-title" style="margin-bottom:6px;">Control points</div>
+        <div class="obj-poly-list" id="objHomeAlignList"></div>
+        <div class="obj-home-actions" style="margin-top:6px;">
+          <button id="objHomeAlignPickBtn" type="button">Pick Points</button>
+          <button id="objHomeAlignClearBtn" type="button" class="danger">Clear</button>
+          <button id="objHomeAlignBtn" type="button" style="flex:1 1 100%;background:rgba(34,139,34,0.35);border-color:rgba(34,139,34,0.5);">Align Model</button>
+        </div>
+      </div>
+      <div class="obj-home-section">
+        <div class="obj-home-title" style="margin-bottom:6px;">Design variants</div>
+        <div class="obj-poly-list" id="objHomeVariantList"></div>
+        <div class="obj-home-row" style="margin-top:6px;">
+          <input id="objHomeVariantName" type="text" placeholder="e.g. Option A farmhouse">
+          <button id="objHomeVariantAddBtn" type="button" class="obj-poly-btn">Add</button>
+        </div>
+      </div>
+      <div class="obj-home-section">
+        <div class="obj-home-title" style="margin-bottom:6px;">Budget</div>
+        <div class="obj-poly-list" id="objHomeBudgetList"></div>
       </div>
       <div class="obj-home-actions" style="margin-top:6px;">
         <button id="objHomeExportAllBtn" type="button" style="flex:1 1 100%;background:rgba(66,133,244,0.35);border-color:rgba(66,133,244,0.5);">Export All (Splat + Clip + Polygons)</button>
       </div>
+      <div class="obj-home-actions" style="margin-top:6px;" id="objHomeSaveManifestRow">
+        <button id="objHomeSaveManifestBtn" type="button" style="flex:1 1 100%;background:rgba(66,133,244,0.2);border-color:rgba(66,133,244,0.5);">Save Scene Manifest</button>
+      </div>
       <div class="obj-home-actions" style="margin-top:4px;" id="objHomePersistRow">
         <button id="objHomeClearSavedBtn" type="button" style="flex:1 1 100%;font-size:11px;opacity:0.88;">Clear saved (reload with project JSON)</button>
       </div>
@@ -1216,23 +1948,76 @@ export function initObjHomeEditor(options = {}) {
     removePolygon(state.activeIndex);
   });
 
-  const alignBtn = ui.panel.querySelector('#objHomeAlignBtn');
-  alignBtn.addEventListener('click', () => {
-    const obj = activeGroup();
-    if (!obj) { setStatus('Select and unlock a polygon first.'); return; }
-    obj.position.set(-0.144, -0.370, -0.395);
-    obj.rotation.set(MathUtils.degToRad(-177.7), MathUtils.degToRad(-57), MathUtils.degToRad(-177.3));
-    obj.scale.setScalar(0.008);
-    syncInputsFromObject();
-    attachGizmoIfNeeded();
-    setStatus('Aligned model to saved coordinates.');
+  ui.alignList = ui.panel.querySelector('#objHomeAlignList');
+  ui.alignPickBtn = ui.panel.querySelector('#objHomeAlignPickBtn');
+  ui.alignClearBtn = ui.panel.querySelector('#objHomeAlignClearBtn');
+  ui.alignBtn = ui.panel.querySelector('#objHomeAlignBtn');
+  ui.alignPickBtn.addEventListener('click', () => setAlignPicking(!state.align.picking));
+  ui.alignClearBtn.addEventListener('click', clearAlignment);
+  ui.alignBtn.addEventListener('click', alignToControlPoints);
+
+  ui.variantList = ui.panel.querySelector('#objHomeVariantList');
+  ui.budgetList = ui.panel.querySelector('#objHomeBudgetList');
+  const variantNameEl = ui.panel.querySelector('#objHomeVariantName');
+  const addVariantBtn = ui.panel.querySelector('#objHomeVariantAddBtn');
+  addVariantBtn.addEventListener('click', () => {
+    addVariant(variantNameEl.value);
+    if (state.variants.includes(variantNameEl.value.trim())) variantNameEl.value = '';
+  });
+  variantNameEl.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') addVariantBtn.click();
+  });
+
+  if (menuContainer && typeof menuContainer.appendChild === 'function') {
+    variantBtnEl = document.createElement('div');
+    variantBtnEl.id = 'objHomeVariantButton';
+    variantBtnEl.className = 'menu-button';
+    variantBtnEl.setAttribute('role', 'button');
+    variantBtnEl.setAttribute('aria-label', 'Choose a home design');
+    variantBtnEl.setAttribute('aria-haspopup', 'menu');
+    variantBtnEl.setAttribute('aria-expanded', 'false');
+    variantBtnEl.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2 11 7.5 6.5 13 11"/><path d="M4 10v9h7v-9"/><path d="M13 8.5 16.5 5.5 22 10"/><path d="M20 9v10h-6"/></svg>';
+    variantBtnEl.addEventListener('click', () => (variantMenuEl ? closeVariantMenu() : openVariantMenu()));
+    menuContainer.appendChild(variantBtnEl);
+  }
+
+  // A click (not an orbit drag) on the canvas picks the next control point.
+  let alignPointerDown = null;
+  renderer.domElement.addEventListener('pointerdown', (event) => {
+    alignPointerDown = state.align.picking ? { x: event.clientX, y: event.clientY } : null;
+  });
+  renderer.domElement.addEventListener('pointerup', (event) => {
+    const down = alignPointerDown;
+    alignPointerDown = null;
+    if (!down || !state.align.picking || transformControls.dragging) return;
+    if (Math.hypot(event.clientX - down.x, event.clientY - down.y) > 5) return;
+    handleAlignClick(event);
   });
+  // Keep the page's own tap handlers (focus, hotspots) out of it while picking.
+  renderer.domElement.addEventListener('click', (event) => {
+    if (state.align.picking) event.stopImmediatePropagation();
+  }, true);
 
   const exportAllBtn = ui.panel.querySelector('#objHomeExportAllBtn');
   exportAllBtn.addEventListener('click', () => {
     copyExportAllJson();
   });
 
+  const saveManifestBtn = ui.panel.querySelector('#objHomeSaveManifestBtn');
+  const saveManifestRow = ui.panel.querySelector('#objHomeSaveManifestRow');
+  if (typeof saveManifest === 'function' && saveManifestBtn) {
+    saveManifestBtn.addEventListener('click', async () => {
+      saveManifestBtn.disabled = true;
+      try {
+        await saveSceneManifest();
+      } finally {
+        saveManifestBtn.disabled = false;
+      }
+    });
+  } else if (saveManifestRow) {
+    saveManifestRow.style.display = 'none';
+  }
+
   const clearSavedBtn = ui.panel.querySelector('#objHomeClearSavedBtn');
   const clearSavedRow = ui.panel.querySelector('#objHomePersistRow');
   if (typeof onClearHomePersist === 'function' && clearSavedBtn) {
@@ -1244,6 +2029,7 @@ export function initObjHomeEditor(options = {}) {
   // --- Initial state ---
   updateModeButtons();
   renderPolygonList();
+  renderAlignList();
   syncInputsFromObject();
   setStatus('Add a polygon using the file inputs below.');
   setOpen(false);
@@ -1261,7 +2047,8 @@ export function initObjHomeEditor(options = {}) {
       updatePanelTitle();
     },
     copyConfig: copyConfigJson,
-    copyExportAll: copyExportAllJson
+    copyExportAll: copyExportAllJson,
+    saveManifest: saveSceneManifest
   };
 
   return {
@@ -1269,7 +2056,13 @@ export function initObjHomeEditor(options = {}) {
     removePolygon,
     copyConfigJson,
     copyExportAllJson,
+    getSceneManifest,
+    saveSceneManifest,
     getPolygonsPayload,
+    setVariants,
+    showVariant,
+    getVariants: () => ({ variants: state.variants.slice(), active: state.activeVariant }),
+    getBudgetReport,
     loadFromUrls,
     loadFromGlbBuffer,
     applyTransform(cfg) {
@@ -1287,6 +2080,22 @@ export function initObjHomeEditor(options = {}) {
       }
       if (Number.isFinite(cfg.scale)) obj.scale.setScalar(cfg.scale);
       const poly = state.polygons[state.activeIndex];
+      if (poly && Array.isArray(cfg.variants)) {
+        poly.variants = normalizeVariantNames(cfg.variants);
+        const missing = poly.variants.filter((v) => !state.variants.includes(v));
+        if (missing.length) setVariants([...state.variants, ...missing]);
+        applyPolygonFade(poly, isInVariant(poly.variants, state.activeVariant) ? 1 : 0);
+        renderPolygonList();
+      }
+      if (poly && cfg.alignment && Array.isArray(cfg.alignment.pairs)) {
+        poly.alignment = {
+          pairs: cfg.alignment.pairs.map((p) => ({ model: { ...p.model }, scene: { ...p.scene } })),
+          residuals: Array.isArray(cfg.alignment.residuals) ? cfg.alignment.residuals.slice() : null,
+          rms: Number.isFinite(cfg.alignment.rms) ? cfg.alignment.rms : null
+        };
+        renderAlignList();
+        updateAlignMarkers();
+      }
       if (poly && Number.isFinite(cfg.brightness)) {
         poly.brightness = cfg.brightness;
         const bs = ui.panel?.querySelector('#objHomeBrightness');
@@ -6,10 +6,59 @@
  *
  * Usage:
  *   import { initPathAnimation } from './path-animation.mjs';
- *   const pa = initPathAnimation({ camera, controls, renderer, sceneOrigin, startPosition, menuContainer, initialPath, propertyLabel, onRecordStart });
+ *   const pa = initPathAnimation({ camera, controls, renderer, scene, sceneOrigin, startPosition, menuContainer, initialPath, propertyLabel, onRecordStart });
  *   // In your animate loop: pa.update(deltaSeconds);
+ *
+ * Interpolation, easing, constant-speed timing and FOV / roll keyframes live
+ * in ./path-curves.mjs; timeline layout and reordering in ./path-timeline.mjs;
+ * frame-accurate MP4 / PNG export in ./path-export.mjs; the named path
+ * library's storage and files in ./path-library.mjs; caption cues and their
+ * drawing in ./path-captions.mjs; orbit / reveal / flyover generators in
+ * ./path-generators.mjs; the splat ground height field and clearance checks
+ * in ./path-clearance.mjs; the in-scene path view and its gizmo in
+ * ./path-overlay.mjs (loaded on demand).
  */
 
+import {
+  EASING_PRESETS,
+  buildPathTiming,
+  evaluatePathPose,
+  getSegmentCount,
+  hasKeyframes,
+  normalizeEasing,
+  rollUpVector
+} from './path-curves.mjs';
+import {
+  buildTimeline,
+  locateTime,
+  moveItem,
+  movedIndex,
+  resizeSegmentBoundary,
+  timeAt
+} from './path-timeline.mjs';
+import { EXPORT_FRAME_RATES, encodePathFrames, evenSize, planExportFrames } from './path-export.mjs';
+import {
+  buildLibraryFile,
+  makePathId,
+  parseLibraryFile,
+  readPathsPayload,
+  restoreLibrary,
+  serializeLibrary,
+  uniquePathName
+} from './path-library.mjs';
+import {
+  MAX_CAPTION_LENGTH,
+  MAX_HIGHLIGHT_LENGTH,
+  MAX_TITLE_LENGTH,
+  buildCaptionCues,
+  cleanCueText,
+  cueAt,
+  cueOpacity,
+  drawCaptionOverlay
+} from './path-captions.mjs';
+import { azimuthOf, generateFlyover, generateOrbit, generateReveal, orderBoundary } from './path-generators.mjs';
+import { buildHeightField, clearanceFloor, collectSplatPoints, countSplatPoints, findClearanceIssues, groundNeedsRebuild } from './path-clearance.mjs';
+
 function vec3(x, y, z) {
   return { x: Number.isFinite(x) ? x : 0, y: Number.isFinite(y) ? y : 0, z: Number.isFinite(z) ? z : 0 };
 }
@@ -22,26 +71,17 @@ function sanitizePathVector(raw, fallback) {
   };
 }
 
-function catmullRomScalar(p0, p1, p2, p3, t) {
-  const t2 = t * t;
-  const t3 = t2 * t;
-  return 0.5 * (
-    (2 * p1) +
-    (-p0 + p2) * t +
-    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
-    (-p0 + 3 * p1 - 3 * p2 + p3) * t3
-  );
+function clamp(value, minVal, maxVal) {
+  return Math.min(Math.max(value, minVal), maxVal);
 }
 
-function catmullRomVector(v0, v1, v2, v3, t, out) {
-  out.x = catmullRomScalar(v0.x, v1.x, v2.x, v3.x, t);
-  out.y = catmullRomScalar(v0.y, v1.y, v2.y, v3.y, t);
-  out.z = catmullRomScalar(v0.z, v1.z, v2.z, v3.z, t);
-  return out;
+function optionalNumber(value, minVal, maxVal) {
+  return Number.isFinite(value) ? clamp(value, minVal, maxVal) : null;
 }
 
-function clamp(value, minVal, maxVal) {
-  return Math.min(Math.max(value, minVal), maxVal);
+// A path's own ground clearance; null falls back to the page's groundClearance.
+function sanitizeClearance(value) {
+  return optionalNumber(value, 0, 100);
 }
 
 export function initPathAnimation(options = {}) {
@@ -49,13 +89,21 @@ export function initPathAnimation(options = {}) {
     camera,
     controls,
     renderer,
+    scene,
+    renderFrame: renderFrameOption,
     sceneOrigin = { x: 0, y: 0, z: 0 },
     startPosition = { x: 0, y: 0.2, z: 2.5 },
     menuContainer,
     initialPath = {},
     paths: pathsOption,
+    library: libraryOption,
     propertyLabel = 'property',
-    onRecordStart
+    onRecordStart,
+    onHighlight,
+    getBoundary,
+    minY = null,
+    groundClearance = 0.05,
+    getGroundHeight
   } = options;
 
   if (!camera || !controls || !renderer?.domElement) {
@@ -63,13 +111,25 @@ export function initPathAnimation(options = {}) {
     return { update: () => {}, getState: () => ({ enabled: false, playing: false }) };
   }
 
+  // Offline export renders frames itself, so it needs the page's scene (or its own render callback).
+  const renderFrame = typeof renderFrameOption === 'function'
+    ? renderFrameOption
+    : (scene ? () => renderer.render(scene, camera) : null);
+
   const sanitizeCheckpoint = (raw) => {
     const pos = sanitizePathVector(raw?.position, startPosition);
     const lookAt = sanitizePathVector(raw?.lookAt, sceneOrigin);
     const duration = Number.isFinite(raw?.duration) && raw.duration > 0.1 ? raw.duration : 5;
     const pauseAt = !!raw.pauseAt;
     const pauseDuration = Number.isFinite(raw.pauseDuration) && raw.pauseDuration >= 0 ? Math.min(60, raw.pauseDuration) : 1;
-    return { position: pos, lookAt, duration, pauseAt, pauseDuration };
+    // Older paths have no easing / fov / roll: linear timing and the page's own lens, no roll.
+    const easing = normalizeEasing(raw?.easing);
+    const fov = optionalNumber(raw?.fov, 5, 150);
+    const roll = optionalNumber(raw?.roll, -180, 180);
+    const title = cleanCueText(raw?.title, MAX_TITLE_LENGTH);
+    const caption = cleanCueText(raw?.caption, MAX_CAPTION_LENGTH);
+    const highlight = cleanCueText(raw?.highlight, MAX_HIGHLIGHT_LENGTH);
+    return { position: pos, lookAt, duration, pauseAt, pauseDuration, easing, fov, roll, title, caption, highlight };
   };
 
   function createPathState(defaults) {
@@ -78,6 +138,9 @@ export function initPathAnimation(options = {}) {
       enabled: !!d.enabled,
       loop: d.loop !== false,
       speed: Number.isFinite(d.speed) && d.speed > 0 ? d.speed : 1,
+      constantSpeed: !!d.constantSpeed,
+      audio: typeof d.audio === 'string' ? d.audio.trim() : '',
+      clearance: sanitizeClearance(d.clearance),
       checkpoints: Array.isArray(d.checkpoints) ? d.checkpoints.map(sanitizeCheckpoint) : [],
       playing: false,
       segmentIndex: 0,
@@ -89,16 +152,46 @@ export function initPathAnimation(options = {}) {
   }
 
   const storageKey = `path-anim:${propertyLabel}`;
+  const libraryKey = `path-lib:${propertyLabel}`;
+  const thumbnailKey = `path-lib-thumbs:${propertyLabel}`;
 
+  function readStoredJson(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // `paths` pins one path per hole (Copper-Rock); otherwise paths form an editable, named library.
   const isMultiPath = Array.isArray(pathsOption) && pathsOption.length > 0;
+  const isLibrary = !isMultiPath;
+  let restoredLibrary = null;
+  if (isLibrary) {
+    try {
+      restoredLibrary = restoreLibrary({
+        stored: readStoredJson(libraryKey),
+        libraryOption,
+        initialPath,
+        legacy: readStoredJson(storageKey)
+      });
+    } catch (e) {
+      console.warn('path-animation: ignoring library option', e);
+      restoredLibrary = restoreLibrary({ initialPath, legacy: readStoredJson(storageKey) });
+    }
+  }
   const allPaths = isMultiPath
     ? pathsOption.map((p) => createPathState(p))
-    : [createPathState(initialPath)];
+    : restoredLibrary.entries.map((e) => createPathState(e.path));
   const pathLabels = isMultiPath
     ? pathsOption.map((p, i) => (p && p.label) || `Path ${i + 1}`)
-    : [];
-  let activePathIndex = 0;
-  let pathState = allPaths[0];
+    : restoredLibrary.entries.map((e) => e.name);
+  /** Library mode only: `{ id, published }` per entry of allPaths. */
+  const libraryMeta = isLibrary ? restoredLibrary.entries.map((e) => ({ id: e.id, published: e.published })) : [];
+  const thumbnails = (isLibrary && readStoredJson(thumbnailKey)) || {};
+  let activePathIndex = isLibrary ? Math.max(0, libraryMeta.findIndex((m) => m.id === restoredLibrary.activeId)) : 0;
+  let pathState = allPaths[activePathIndex];
   let currentSceneOrigin = { ...sceneOrigin };
 
   // Cache the original menu position so we can re-anchor it when
@@ -118,44 +211,68 @@ export function initPathAnimation(options = {}) {
       const raw = localStorage.getItem(storageKey);
       if (!raw) return;
       const saved = JSON.parse(raw);
-      if (isMultiPath && Array.isArray(saved)) {
+      if (Array.isArray(saved)) {
         saved.forEach((savedPath, i) => {
           if (i < allPaths.length && savedPath && Array.isArray(savedPath.checkpoints)) {
             allPaths[i].checkpoints = savedPath.checkpoints.map(sanitizeCheckpoint);
             if (Number.isFinite(savedPath.speed) && savedPath.speed > 0) allPaths[i].speed = savedPath.speed;
+            if (typeof savedPath.constantSpeed === 'boolean') allPaths[i].constantSpeed = savedPath.constantSpeed;
+            if (typeof savedPath.audio === 'string') allPaths[i].audio = savedPath.audio;
+            allPaths[i].clearance = sanitizeClearance(savedPath.clearance);
             if (savedPath.checkpoints.length >= 2) allPaths[i].enabled = true;
           }
         });
-      } else if (!isMultiPath && saved && Array.isArray(saved.checkpoints)) {
-        allPaths[0].checkpoints = saved.checkpoints.map(sanitizeCheckpoint);
-        if (Number.isFinite(saved.speed) && saved.speed > 0) allPaths[0].speed = saved.speed;
-        if (saved.checkpoints.length >= 2) allPaths[0].enabled = true;
       }
     } catch (e) {
       // Ignore corrupt storage
     }
   }
 
+  // syncUI runs every frame during playback, so only write when something changed.
+  let lastPersisted = '';
+
   function persistPaths() {
     try {
-      const payload = isMultiPath
-        ? allPaths.map((ps) => ({ checkpoints: ps.checkpoints, speed: ps.speed }))
-        : { checkpoints: allPaths[0].checkpoints, speed: allPaths[0].speed };
-      localStorage.setItem(storageKey, JSON.stringify(payload));
+      const key = isLibrary ? libraryKey : storageKey;
+      const payload = isLibrary
+        ? serializeLibrary(getLibraryEntries(), libraryMeta[activePathIndex].id)
+        : allPaths.map((ps) => ({ checkpoints: ps.checkpoints, speed: ps.speed, constantSpeed: ps.constantSpeed, audio: savableAudio(ps.audio), clearance: ps.clearance }));
+      const text = JSON.stringify(payload);
+      if (text === lastPersisted) return;
+      localStorage.setItem(key, text);
+      lastPersisted = text;
     } catch (e) {
       // Ignore storage errors (e.g. private browsing quota)
     }
   }
 
-  loadSavedPaths();
+  function persistThumbnails() {
+    try {
+      localStorage.setItem(thumbnailKey, JSON.stringify(thumbnails));
+    } catch (e) {
+      // Thumbnails are a convenience; drop them when storage is full.
+    }
+  }
+
+  if (isMultiPath) loadSavedPaths();
 
-  const tempPosition = vec3(0, 0, 0);
-  const tempLookAt = vec3(0, 0, 0);
+  // The page's own lens and up vector; restored when a path stops keyframing them.
+  const baseFov = Number.isFinite(camera.fov) ? camera.fov : 50;
+  const baseUp = camera.up ? vec3(camera.up.x, camera.up.y, camera.up.z) : vec3(0, 1, 0);
 
   function getPathSegmentCount() {
-    const count = pathState.checkpoints.length;
-    if (count < 2) return 0;
-    return pathState.loop ? count : count - 1;
+    return getSegmentCount(pathState.checkpoints.length, pathState.loop);
+  }
+
+  // Arc-length tables are rebuilt only when the path's shape or timing inputs change.
+  let timingCache = { key: '', timing: null };
+
+  function getPathTiming() {
+    const key = JSON.stringify([pathState.loop, pathState.constantSpeed, pathState.checkpoints.map((cp) => [cp.position, cp.duration])]);
+    if (timingCache.key !== key) {
+      timingCache = { key, timing: buildPathTiming(pathState.checkpoints, { loop: pathState.loop, constantSpeed: pathState.constantSpeed }) };
+    }
+    return timingCache.timing;
   }
 
   function getPathIndex(index) {
@@ -170,15 +287,93 @@ export function initPathAnimation(options = {}) {
   }
 
   function getPathDurationForSegment(segmentIndex) {
+    const segmentCount = getPathSegmentCount();
+    if (pathState.constantSpeed && segmentCount) {
+      const durations = getPathTiming().durations;
+      return durations[pathState.loop ? getPathIndex(segmentIndex) : clamp(segmentIndex, 0, segmentCount - 1)];
+    }
     const cp = getPathCheckpoint(segmentIndex);
     return cp ? Math.max(0.1, cp.duration || 5) : 5;
   }
 
+  // ---- Ground clearance: playback stays above the page's minY and the splat ground ----
+  const GROUND_REFRESH_MS = 2000;
+  let ground = { field: null, sourceCount: -1, lastCount: -1, checkedAt: -Infinity, version: 0 };
+  let clearanceCache = { key: '', issues: [] };
+
+  // Splats stream their points in; the count is checked every few seconds and the height field only rebuilt when it has changed enough.
+  function refreshGround() {
+    if (typeof getGroundHeight === 'function' || !scene) return;
+    const now = performance.now();
+    if (now - ground.checkedAt < GROUND_REFRESH_MS) return;
+    ground.checkedAt = now;
+    const count = countSplatPoints(scene);
+    const rebuild = groundNeedsRebuild(ground.sourceCount, ground.lastCount, count);
+    ground.lastCount = count;
+    if (!rebuild) return;
+    const collected = collectSplatPoints(scene);
+    ground = { field: buildHeightField(collected.positions), sourceCount: collected.sourceCount, lastCount: count, checkedAt: now, version: ground.version + 1 };
+  }
+
+  function groundHeightAt(x, z) {
+    if (typeof getGroundHeight === 'function') return getGroundHeight(x, z);
+    refreshGround();
+    return ground.field ? ground.field.heightAt(x, z) : null;
+  }
+
+  function getPathClearance() {
+    return Number.isFinite(pathState.clearance) ? pathState.clearance : groundClearance;
+  }
+
+  function getFloorAt(x, z) {
+    const clearance = getPathClearance();
+    return clearanceFloor(x, z, { minY, groundAt: Number.isFinite(clearance) ? groundHeightAt : null, clearance });
+  }
+
+  /** Segments of the active path that dip below the floor (playback lifts the camera over them). */
+  function getClearanceIssues() {
+    refreshGround();
+    const key = JSON.stringify([
+      pathState.loop,
+      pathState.constantSpeed,
+      pathState.checkpoints.map((cp) => [cp.position, cp.duration, cp.easing]),
+      getPathClearance(),
+      ground.version
+    ]);
+    if (clearanceCache.key !== key) {
+      clearanceCache = {
+        key,
+        issues: findClearanceIssues(pathState.checkpoints, { loop: pathState.loop, timing: getPathTiming(), floorAt: getFloorAt })
+      };
+    }
+    return clearanceCache.issues;
+  }
+
+  /** FOV / roll for the current pose; null means the path does not keyframe it. */
+  function applyLensAndRoll(fov, roll) {
+    const nextFov = fov === null ? baseFov : fov;
+    if (Number.isFinite(camera.fov) && Math.abs(camera.fov - nextFov) > 1e-4) {
+      camera.fov = nextFov;
+      if (typeof camera.updateProjectionMatrix === 'function') camera.updateProjectionMatrix();
+    }
+    if (!camera.up) return;
+    if (roll === null || Math.abs(roll) < 1e-4) {
+      camera.up.set(baseUp.x, baseUp.y, baseUp.z);
+      return;
+    }
+    const forward = vec3(controls.target.x - camera.position.x, controls.target.y - camera.position.y, controls.target.z - camera.position.z);
+    rollUpVector(forward, roll, camera.up);
+  }
+
   function applyPathCheckpoint(index) {
     const cp = getPathCheckpoint(index);
     if (!cp) return;
-    camera.position.set(cp.position.x, cp.position.y, cp.position.z);
+    camera.position.set(cp.position.x, Math.max(cp.position.y, getFloorAt(cp.position.x, cp.position.z)), cp.position.z);
     controls.target.set(cp.lookAt.x, cp.lookAt.y, cp.lookAt.z);
+    applyLensAndRoll(
+      hasKeyframes(pathState.checkpoints, 'fov') ? (cp.fov ?? baseFov) : null,
+      hasKeyframes(pathState.checkpoints, 'roll') ? (cp.roll ?? 0) : null
+    );
     if (typeof camera.lookAt === 'function') camera.lookAt(controls.target);
     if (typeof controls.update === 'function') controls.update();
   }
@@ -188,33 +383,64 @@ export function initPathAnimation(options = {}) {
     const segmentCount = getPathSegmentCount();
     if (!segmentCount || count < 2) return;
     const t = clamp(progress, 0, 1);
-    const i1 = pathState.loop ? getPathIndex(segmentIndex) : clamp(segmentIndex, 0, count - 2);
-    const i2 = pathState.loop ? getPathIndex(i1 + 1) : Math.min(i1 + 1, count - 1);
-    const p0 = getPathCheckpoint(i1 - 1).position;
-    const p1 = getPathCheckpoint(i1).position;
-    const p2 = getPathCheckpoint(i2).position;
-    const p3 = getPathCheckpoint(i2 + 1).position;
-    const l0 = getPathCheckpoint(i1 - 1).lookAt;
-    const l1 = getPathCheckpoint(i1).lookAt;
-    const l2 = getPathCheckpoint(i2).lookAt;
-    const l3 = getPathCheckpoint(i2 + 1).lookAt;
-    catmullRomVector(p0, p1, p2, p3, t, tempPosition);
-    catmullRomVector(l0, l1, l2, l3, t, tempLookAt);
-    camera.position.set(tempPosition.x, tempPosition.y, tempPosition.z);
+    const pose = evaluatePathPose(pathState.checkpoints, segmentIndex, t, {
+      loop: pathState.loop,
+      timing: getPathTiming(),
+      baseFov
+    });
+    camera.position.set(pose.position.x, Math.max(pose.position.y, getFloorAt(pose.position.x, pose.position.z)), pose.position.z);
     if (pathState.lookAtOverrideAtStart && segmentIndex === 0 && t < 0.02) {
       controls.target.set(pathState.lookAtOverrideAtStart.x, pathState.lookAtOverrideAtStart.y, pathState.lookAtOverrideAtStart.z);
       if (t >= 0.015) pathState.lookAtOverrideAtStart = null;
     } else {
-      controls.target.set(tempLookAt.x, tempLookAt.y, tempLookAt.z);
+      controls.target.set(pose.lookAt.x, pose.lookAt.y, pose.lookAt.z);
     }
+    applyLensAndRoll(pose.fov, pose.roll);
     if (typeof camera.lookAt === 'function') camera.lookAt(controls.target);
   }
 
+  // ---- Playback events for embedding (see ./path-player.mjs) ----
+  const listeners = new Map();
+  let lastPlaying = false;
+  // null plays the path as authored; true / false force repeating or stopping after one playthrough.
+  let repeatOverride = null;
+
+  function on(type, handler) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(handler);
+    return () => listeners.get(type).delete(handler);
+  }
+
+  function emit(type, detail = {}) {
+    const handlers = listeners.get(type);
+    if (!handlers) return;
+    handlers.forEach((handler) => {
+      try {
+        handler({ ...detail, pathIndex: activePathIndex });
+      } catch (e) {
+        console.warn(`path-animation: ${type} listener failed`, e);
+      }
+    });
+  }
+
+  // Stopping hands the camera back to orbiting, so the path's lens and roll go with it.
+  function stopPlayback() {
+    pathState.playing = false;
+    applyLensAndRoll(null, null);
+  }
+
+  function endPlayback() {
+    stopPlayback();
+    setStatus('End of path. Press Play to restart.');
+    syncUI();
+    emit('end');
+  }
+
   function updatePathAnimation(deltaSeconds) {
     if (!pathState.enabled || !pathState.playing) return;
     const segmentCount = getPathSegmentCount();
     if (!segmentCount) {
-      pathState.playing = false;
+      stopPlayback();
       syncUI();
       return;
     }
@@ -226,20 +452,18 @@ export function initPathAnimation(options = {}) {
       if (pathState.pauseElapsed >= pauseDuration) {
         pathState.pausedAtCheckpoint = null;
         pathState.pauseElapsed = 0;
-        if (pathState.loop) {
+        const lastSegment = segmentCount - 1;
+        if (pathState.segmentIndex >= lastSegment && (pathState.loop ? repeatOverride === false : repeatOverride !== true)) {
+          endPlayback();
+          return;
+        }
+        if (pathState.loop || pathState.segmentIndex >= lastSegment) {
+          if (!pathState.loop) emit('checkpoint', { index: 0 });
           pathState.segmentIndex = (pathState.segmentIndex + 1) % segmentCount;
-          pathState.segmentElapsed = 0;
         } else {
-          const lastSegment = segmentCount - 1;
-          if (pathState.segmentIndex >= lastSegment) {
-            pathState.playing = false;
-            setStatus('End of path. Press Play to restart.');
-            syncUI();
-            return;
-          }
           pathState.segmentIndex += 1;
-          pathState.segmentElapsed = 0;
         }
+        pathState.segmentElapsed = 0;
       }
       syncUI();
       return;
@@ -260,6 +484,7 @@ export function initPathAnimation(options = {}) {
 
       const arrivalCheckpointIndex = pathState.loop ? getPathIndex(pathState.segmentIndex + 1) : pathState.segmentIndex + 1;
       const arrivalCp = pathState.checkpoints[arrivalCheckpointIndex];
+      emit('checkpoint', { index: arrivalCheckpointIndex });
       if (arrivalCp && arrivalCp.pauseAt && (pathState.loop || arrivalCheckpointIndex < pathState.checkpoints.length)) {
         applyPathPose(pathState.segmentIndex, 1);
         pathState.pausedAtCheckpoint = arrivalCheckpointIndex;
@@ -268,27 +493,23 @@ export function initPathAnimation(options = {}) {
         break;
       }
 
-      if (pathState.loop) {
-        pathState.segmentIndex = (pathState.segmentIndex + 1) % segmentCount;
-        pathState.segmentElapsed = 0;
-        continue;
-      }
       const lastSegment = segmentCount - 1;
-      if (pathState.segmentIndex >= lastSegment) {
+      if (pathState.segmentIndex >= lastSegment && (pathState.loop ? repeatOverride === false : repeatOverride !== true)) {
         pathState.segmentElapsed = getPathDurationForSegment(pathState.segmentIndex);
-        pathState.playing = false;
         endedPlayback = true;
         remaining = 0;
         break;
       }
-      pathState.segmentIndex += 1;
+      // A forced repeat of an open path cuts back to the start, like pressing Play again.
+      if (!pathState.loop && pathState.segmentIndex >= lastSegment) emit('checkpoint', { index: 0 });
+      pathState.segmentIndex = pathState.loop || pathState.segmentIndex < lastSegment ? (pathState.segmentIndex + 1) % segmentCount : 0;
       pathState.segmentElapsed = 0;
     }
     const duration = getPathDurationForSegment(pathState.segmentIndex);
     const progress = duration > 0 ? Math.min(pathState.segmentElapsed / duration, 1) : 1;
     applyPathPose(pathState.segmentIndex, progress);
-    if (endedPlayback) setStatus('End of path. Press Play to restart.');
-    syncUI();
+    if (endedPlayback) endPlayback();
+    else syncUI();
   }
 
   function buildCheckpointFromCurrentView(duration = 5) {
@@ -298,24 +519,49 @@ export function initPathAnimation(options = {}) {
       lookAt: { x: controls.target.x, y: controls.target.y, z: controls.target.z },
       duration: d,
       pauseAt: false,
-      pauseDuration: 1
+      pauseDuration: 1,
+      easing: 'linear',
+      fov: null,
+      roll: null,
+      title: '',
+      caption: '',
+      highlight: ''
     };
   }
 
   function serializeSinglePath(ps) {
-    const checkpoints = ps.checkpoints.map((cp) => ({
-      position: { x: +cp.position.x.toFixed(6), y: +cp.position.y.toFixed(6), z: +cp.position.z.toFixed(6) },
-      lookAt: { x: +cp.lookAt.x.toFixed(6), y: +cp.lookAt.y.toFixed(6), z: +cp.lookAt.z.toFixed(6) },
-      duration: +Math.max(0.1, cp.duration || 5).toFixed(3),
-      pauseAt: !!cp.pauseAt,
-      pauseDuration: +Math.max(0, Math.min(60, cp.pauseDuration ?? 1)).toFixed(2)
-    }));
-    return {
+    const checkpoints = ps.checkpoints.map((cp) => {
+      const out = {
+        position: { x: +cp.position.x.toFixed(6), y: +cp.position.y.toFixed(6), z: +cp.position.z.toFixed(6) },
+        lookAt: { x: +cp.lookAt.x.toFixed(6), y: +cp.lookAt.y.toFixed(6), z: +cp.lookAt.z.toFixed(6) },
+        duration: +Math.max(0.1, cp.duration || 5).toFixed(3),
+        pauseAt: !!cp.pauseAt,
+        pauseDuration: +Math.max(0, Math.min(60, cp.pauseDuration ?? 1)).toFixed(2)
+      };
+      // Only written when set, so paths that don't use them serialize exactly as before.
+      if (cp.easing && cp.easing !== 'linear') out.easing = cp.easing;
+      if (Number.isFinite(cp.fov)) out.fov = +cp.fov.toFixed(2);
+      if (Number.isFinite(cp.roll)) out.roll = +cp.roll.toFixed(2);
+      if (cp.title) out.title = cp.title;
+      if (cp.caption) out.caption = cp.caption;
+      if (cp.highlight) out.highlight = cp.highlight;
+      return out;
+    });
+    const payload = {
       enabled: !!ps.enabled,
       loop: !!ps.loop,
       speed: +Math.max(0.1, ps.speed || 1).toFixed(3),
       checkpoints
     };
+    if (ps.constantSpeed) payload.constantSpeed = true;
+    if (savableAudio(ps.audio)) payload.audio = ps.audio;
+    if (Number.isFinite(ps.clearance)) payload.clearance = +ps.clearance.toFixed(3);
+    return payload;
+  }
+
+  // A picked local file plays through a blob: URL that dies with the page, so only real URLs are saved.
+  function savableAudio(src) {
+    return src && !src.startsWith('blob:') ? src : '';
   }
 
   function getSerializedPayload() {
@@ -340,6 +586,41 @@ export function initPathAnimation(options = {}) {
     applyPathCheckpoint(0);
     pathState.playing = true;
     syncUI();
+    emit('checkpoint', { index: 0 });
+  }
+
+  /** Starts or resumes the active path; one that has played to its end starts over. */
+  function play() {
+    if (pathState.checkpoints.length < 2) return false;
+    if (!pathState.enabled) setPathEnabled(true);
+    if (pathState.playing) return true;
+    const timeline = getPathTimeline();
+    const at = getPlayheadSeconds(timeline);
+    if (at <= 0 || at >= timeline.total - 1e-6) {
+      goToAnimationStart();
+    } else {
+      pathState.playing = true;
+      syncUI();
+    }
+    return true;
+  }
+
+  /** Playback position in path seconds (before `speed`), for hosts driving the player. */
+  function getPlayback() {
+    const timeline = getPathTimeline();
+    return {
+      playing: pathState.playing,
+      seconds: timeline.blocks.length ? getPlayheadSeconds(timeline) : 0,
+      duration: timeline.total,
+      speed: pathState.speed,
+      pathIndex: activePathIndex,
+      pathNames: pathLabels.slice(),
+      checkpointCount: pathState.checkpoints.length
+    };
+  }
+
+  function setRepeat(value) {
+    repeatOverride = typeof value === 'boolean' ? value : null;
   }
 
   function getTotalPathSeconds() {
@@ -367,7 +648,8 @@ export function initPathAnimation(options = {}) {
     { id: 'desktop', label: 'Desktop', ratio: 'Current', width: 0, height: 0, iconW: 36, iconH: 22 },
     { id: 'square', label: 'Square', ratio: '1:1', width: 1080, height: 1080, iconW: 26, iconH: 26 },
     { id: 'vertical-feed', label: 'Vertical Feed', ratio: '4:5', width: 1080, height: 1350, iconW: 24, iconH: 30 },
-    { id: 'full-vertical', label: 'Full Vertical', ratio: '9:16', width: 1080, height: 1920, iconW: 20, iconH: 34 }
+    { id: 'full-vertical', label: 'Full Vertical', ratio: '9:16', width: 1080, height: 1920, iconW: 20, iconH: 34 },
+    { id: 'uhd', label: '4K UHD', ratio: '16:9', width: 3840, height: 2160, iconW: 36, iconH: 20, recordOnly: true }
   ];
 
   let activeCanvasFormat = null;
@@ -387,6 +669,17 @@ export function initPathAnimation(options = {}) {
             </button>
           `).join('')}
         </div>
+        ${renderFrame ? `
+        <div class="record-format-duration-row">
+          <label for="recordModeSelect">Mode</label>
+          <select id="recordModeSelect" class="record-format-select">
+            <option value="offline">Frame-accurate (MP4)</option>
+            <option value="realtime">Real-time (WebM)</option>
+          </select>
+          <select id="recordFpsSelect" class="record-format-select" aria-label="Frames per second">
+            ${EXPORT_FRAME_RATES.map((r) => `<option value="${r}"${r === 30 ? ' selected' : ''}>${r} fps</option>`).join('')}
+          </select>
+        </div>` : ''}
         <div class="record-format-duration-row" id="recordPathLengthRow" style="flex-direction:column;align-items:center;gap:6px;">
           <span id="recordPathLengthHint" style="font-size:12px;color:rgba(255,255,255,0.78);text-align:center;line-height:1.45;max-width:100%;">Loading…</span>
         </div>
@@ -397,9 +690,25 @@ export function initPathAnimation(options = {}) {
     const pathSec = getTotalPathSeconds();
     const sp = pathState.speed || 1;
     const hint = overlay.querySelector('#recordPathLengthHint');
-    if (hint) {
+    const modeSelect = overlay.querySelector('#recordModeSelect');
+    const fpsSelect = overlay.querySelector('#recordFpsSelect');
+    const updateHint = () => {
+      if (!hint) return;
       const ms = getPathRecordDurationMs();
-      hint.textContent = `Records one full path: ~${(ms / 1000).toFixed(1)}s (path is ${pathSec.toFixed(1)}s of segments + pauses at ${sp}× speed).`;
+      if (modeSelect && modeSelect.value === 'offline') {
+        const frames = planExportFrames(getPathTimeline().total, { fps: Number(fpsSelect.value), speed: sp }).length;
+        hint.textContent = `Renders ${frames} frames (~${(ms / 1000).toFixed(1)}s of video) one by one, so nothing is dropped. Falls back to a zip of PNG frames where MP4 isn't supported.`;
+      } else {
+        hint.textContent = `Records one full path: ~${(ms / 1000).toFixed(1)}s (path is ${pathSec.toFixed(1)}s of segments + pauses at ${sp}× speed).`;
+      }
+    };
+    updateHint();
+    if (modeSelect) {
+      modeSelect.addEventListener('change', () => {
+        fpsSelect.style.display = modeSelect.value === 'offline' ? '' : 'none';
+        updateHint();
+      });
+      fpsSelect.addEventListener('change', updateHint);
     }
     requestAnimationFrame(() => overlay.classList.add('active'));
 
@@ -416,9 +725,11 @@ export function initPathAnimation(options = {}) {
         const formatId = btn.getAttribute('data-format-id');
         const format = recordFormats.find((f) => f.id === formatId);
         const durationMs = getPathRecordDurationMs();
+        const mode = modeSelect ? modeSelect.value : 'realtime';
+        const fps = fpsSelect ? Number(fpsSelect.value) : 30;
         dismiss();
         if (format && typeof onSelect === 'function') {
-          onSelect(format, durationMs);
+          onSelect(format, durationMs, { mode, fps });
         }
       });
     });
@@ -432,7 +743,7 @@ export function initPathAnimation(options = {}) {
       <div class="record-format-dialog">
         <div class="record-format-dialog-title">Canvas Format</div>
         <div class="record-format-grid">
-          ${recordFormats.map((f) => `
+          ${recordFormats.filter((f) => !f.recordOnly).map((f) => `
             <button type="button" class="record-format-btn${f.id === currentId ? ' active-format' : ''}" data-format-id="${f.id}">
               <div class="record-format-btn-icon" style="width:${f.iconW}px;height:${f.iconH}px;"></div>
               <div class="record-format-btn-label">${f.label}</div>
@@ -536,6 +847,169 @@ export function initPathAnimation(options = {}) {
     }
   });
 
+  function getExportFilename(formatLabel, suffix, extension) {
+    const label = String(propertyLabel).replace(/\s+/g, '-');
+    const fmtTag = formatLabel ? '-' + formatLabel : '';
+    const ts = new Date().toISOString().replace(/[:.]/g, '-');
+    return `path-${label}${fmtTag}-${suffix}-${ts}.${extension}`;
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 0);
+  }
+
+  // PNG-zip exports stream to a file where the browser can save one (File System Access API),
+  // so long or 4K renders never sit in memory; elsewhere encodePathFrames builds the zip in memory.
+  let savedZipName = null;
+  async function openZipWritable(suggestedName) {
+    savedZipName = null;
+    if (typeof window.showSaveFilePicker !== 'function') return null;
+    try {
+      const handle = await window.showSaveFilePicker({
+        suggestedName,
+        types: [{ description: 'ZIP of PNG frames', accept: { 'application/zip': ['.zip'] } }]
+      });
+      const writable = await handle.createWritable();
+      savedZipName = handle.name;
+      return writable;
+    } catch (e) {
+      if (e && e.name === 'AbortError') throw e;
+      console.warn('path-animation: could not open a file to save frames to; building the zip in memory.', e);
+      return null;
+    }
+  }
+
+  let exporting = false;
+
+  /**
+   * Frame-accurate export: steps one playthrough at 1/fps (path speed applies),
+   * renders each frame at `width`×`height` independent of the window, and
+   * downloads an MP4 (or PNG zip). Resolves to `{ format, filename }`; rejects
+   * with an AbortError when `signal` aborts.
+   */
+  async function exportPathVideo(opts = {}) {
+    const { fps = 30, format = 'auto', formatLabel = '', signal, onProgress } = opts;
+    if (!renderFrame) throw new Error('Frame-accurate export needs the page to pass `scene` or `renderFrame`.');
+    if (pathState.checkpoints.length < 2) throw new Error('Path animation requires at least 2 checkpoints.');
+    if (exporting) throw new Error('An export is already running.');
+    const canvas = renderer.domElement;
+    const { width, height } = evenSize(opts.width || canvas.width, opts.height || canvas.height);
+    const origPixelRatio = renderer.getPixelRatio();
+    const origWidth = canvas.width;
+    const origHeight = canvas.height;
+    const origAspect = camera.aspect;
+
+    exporting = true;
+    pathState.playing = false;
+    pathState.lookAtOverrideAtStart = null;
+    syncUI();
+    try {
+      renderer.setPixelRatio(1);
+      // updateStyle = false: the canvas keeps its on-screen size while the drawing buffer goes to full resolution.
+      renderer.setSize(width, height, false);
+      camera.aspect = width / height;
+      camera.updateProjectionMatrix();
+      const gl = renderer.getContext();
+      if (gl && (gl.drawingBufferWidth < width || gl.drawingBufferHeight < height)) {
+        throw new Error(`This GPU can render at most ${gl.drawingBufferWidth}×${gl.drawingBufferHeight}; choose a smaller format.`);
+      }
+      const timeline = getPathTimeline();
+      const times = planExportFrames(timeline.total, { fps, speed: pathState.speed });
+      const compositor = hasBurnInText() ? createCaptionCompositor(width, height) : null;
+      const result = await encodePathFrames({
+        canvas: compositor ? compositor.canvas : canvas,
+        width,
+        height,
+        fps,
+        frameCount: times.length,
+        format,
+        signal,
+        onProgress,
+        openWritable: () => openZipWritable(getExportFilename(formatLabel, `${width}x${height}-${fps}fps`, 'zip')),
+        drawFrame: (i) => {
+          const at = locateTime(timeline, times[i]);
+          applyPathPose(at.segmentIndex, at.progress);
+          if (typeof controls.update === 'function') controls.update();
+          const { cue } = getCaptionAt(times[i], timeline);
+          setHighlight(cue ? cue.highlight : '', cue ? cue.checkpointIndex : null);
+          renderFrame();
+          if (compositor) compositor.compose(times[i]);
+        }
+      });
+      const filename = getExportFilename(formatLabel, `${width}x${height}-${fps}fps`, result.extension);
+      if (!result.blob) return { format: result.format, filename: savedZipName || filename };
+      downloadBlob(result.blob, filename);
+      return { format: result.format, filename };
+    } finally {
+      renderer.setPixelRatio(origPixelRatio);
+      renderer.setSize(origWidth / origPixelRatio, origHeight / origPixelRatio, false);
+      camera.aspect = origAspect;
+      camera.updateProjectionMatrix();
+      setHighlight('', null);
+      exporting = false;
+      syncUI();
+    }
+  }
+
+  function showExportProgress(format, fps, onDone) {
+    const controller = new AbortController();
+    const overlay = document.createElement('div');
+    overlay.className = 'record-format-overlay';
+    overlay.innerHTML = `
+      <div class="record-format-dialog">
+        <div class="record-format-dialog-title">Exporting video</div>
+        <div class="record-export-bar"><div class="record-export-bar-fill"></div></div>
+        <div class="record-export-text">Preparing…</div>
+        <button type="button" class="record-format-cancel">Cancel</button>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    requestAnimationFrame(() => overlay.classList.add('active'));
+    const fill = overlay.querySelector('.record-export-bar-fill');
+    const text = overlay.querySelector('.record-export-text');
+    const cancelBtn = overlay.querySelector('.record-format-cancel');
+    const dismiss = () => {
+      overlay.classList.remove('active');
+      setTimeout(() => { if (overlay.parentNode) overlay.parentNode.removeChild(overlay); }, 200);
+      if (typeof onDone === 'function') onDone();
+    };
+    cancelBtn.addEventListener('click', () => {
+      if (controller.signal.aborted || cancelBtn.textContent === 'Close') { dismiss(); return; }
+      controller.abort();
+      text.textContent = 'Cancelling…';
+    });
+
+    exportPathVideo({
+      width: format.width,
+      height: format.height,
+      fps,
+      formatLabel: format.id === 'desktop' ? '' : format.id,
+      signal: controller.signal,
+      onProgress: ({ frame, frameCount, phase }) => {
+        fill.style.width = `${(frame / frameCount) * 100}%`;
+        text.textContent = phase === 'finalize' ? 'Finishing file…' : `Frame ${frame} / ${frameCount}`;
+      }
+    }).then(({ format: out, filename }) => {
+      setStatus(out === 'mp4' ? `Exported ${filename}.` : `MP4 not supported here; exported PNG frames to ${filename}.`);
+      dismiss();
+    }).catch((err) => {
+      if (err && err.name === 'AbortError') {
+        setStatus('Export cancelled.');
+        dismiss();
+        return;
+      }
+      console.warn('Path export failed', err);
+      text.textContent = `Export failed: ${err && err.message ? err.message : err}`;
+      cancelBtn.textContent = 'Close';
+    });
+  }
+
   function recordPathAnimation(opts = {}) {
     const { durationMs = 20000, fps = 30, formatWidth = 0, formatHeight = 0, formatLabel = '', onBefore, onAfter } = opts;
     if (typeof MediaRecorder === 'undefined') {
@@ -567,8 +1041,21 @@ export function initPathAnimation(options = {}) {
     if (!pathState.enabled) pathState.enabled = true;
     goToAnimationStart();
 
-    const stream = canvas.captureStream(fps);
-    const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    const compositor = hasBurnInText() && scene ? createCaptionCompositor(canvas.width, canvas.height) : null;
+    const previousAfterRender = compositor ? scene.onAfterRender : null;
+    if (compositor) {
+      // Copy each frame while its drawing buffer is still valid, i.e. straight after the page renders it.
+      scene.onAfterRender = function (...args) {
+        if (typeof previousAfterRender === 'function') previousAfterRender.apply(this, args);
+        if (renderer.getRenderTarget() === null) compositor.compose(getPlayheadSeconds(getPathTimeline()));
+      };
+    }
+    const videoStream = (compositor ? compositor.canvas : canvas).captureStream(fps);
+    const audioTrack = getNarrationTrack();
+    const stream = new MediaStream([...videoStream.getVideoTracks(), ...(audioTrack ? [audioTrack] : [])]);
+    const types = audioTrack
+      ? ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+      : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
     let mimeType = '';
     if (typeof MediaRecorder.isTypeSupported === 'function') {
       for (const t of types) {
@@ -591,26 +1078,19 @@ export function initPathAnimation(options = {}) {
     }
 
     recorder.onstop = () => {
+      if (compositor) scene.onAfterRender = previousAfterRender;
       restoreSize();
       const blob = new Blob(chunks, { type: recorder.mimeType || 'video/webm' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
       const sec = Math.round(durationMs / 1000);
-      const label = String(propertyLabel).replace(/\s+/g, '-');
-      const fmtTag = formatLabel ? '-' + formatLabel : '';
-      const ts = new Date().toISOString().replace(/[:.]/g, '-');
-      a.href = url;
-      a.download = `path-${label}${fmtTag}-${sec}s-${ts}.webm`;
-      document.body.appendChild(a);
-      a.click();
-      setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 0);
+      downloadBlob(blob, getExportFilename(formatLabel, `${sec}s`, 'webm'));
       if (typeof onAfter === 'function') onAfter();
     };
 
     recorder.start();
     setTimeout(() => {
       recorder.stop();
-      stream.getTracks().forEach((t) => t.stop());
+      // The narration track belongs to the shared audio graph and is reused by the next recording.
+      videoStream.getTracks().forEach((t) => t.stop());
       pathState.playing = false;
       syncUI();
     }, durationMs);
@@ -620,6 +1100,10 @@ export function initPathAnimation(options = {}) {
   let statusEl, summaryEl, stripEl, captureBtn, playBtn, exportBtn, panelEl, toggleBtn, recordBtnEl;
   let durationInputEl, durationRowEl, speedSelectEl;
   let stopAtCheckboxEl, stopRowEl, pauseDurationInputEl, pauseDurationRowEl;
+  let constantSpeedCheckboxEl, clearanceInputEl, overlayCheckboxEl, dragTargetSelectEl, easingSelectEl, easingRowEl, fovInputEl, fovRowEl, rollInputEl, rollRowEl;
+  let titleInputEl, titleRowEl, captionInputEl, captionRowEl, highlightInputEl, highlightRowEl, audioInputEl;
+  let timelineTrackEl, timelinePlayheadEl, timelineTimeEl;
+  let timelineKey = '';
 
   function setStatus(msg) {
     if (statusEl) statusEl.textContent = msg || '';
@@ -637,6 +1121,7 @@ export function initPathAnimation(options = {}) {
     pathState.playing = false;
     pathState.checkpoints.splice(index, 1);
     editorState.selectedCheckpointIndex = Math.min(editorState.selectedCheckpointIndex, Math.max(0, pathState.checkpoints.length - 1));
+    if (index === 0) queueThumbnail(activePathIndex);
     setStatus(`Deleted checkpoint ${index + 1}.`);
     syncUI();
   }
@@ -650,18 +1135,188 @@ export function initPathAnimation(options = {}) {
     pathState.checkpoints[index] = {
       ...fresh,
       pauseAt: existing ? !!existing.pauseAt : false,
-      pauseDuration: existing && Number.isFinite(existing.pauseDuration) ? Math.max(0, existing.pauseDuration) : 1
+      pauseDuration: existing && Number.isFinite(existing.pauseDuration) ? Math.max(0, existing.pauseDuration) : 1,
+      easing: existing ? existing.easing : 'linear',
+      fov: existing ? existing.fov : null,
+      roll: existing ? existing.roll : null,
+      title: existing ? existing.title : '',
+      caption: existing ? existing.caption : '',
+      highlight: existing ? existing.highlight : ''
     };
+    if (index === 0) queueThumbnail(activePathIndex);
     setStatus(`Overwrote checkpoint ${index + 1}.`);
     syncUI();
   }
 
+  function moveCheckpoint(from, to) {
+    const n = pathState.checkpoints.length;
+    if (from === to || from < 0 || from >= n) return;
+    pathState.playing = false;
+    pathState.checkpoints = moveItem(pathState.checkpoints, from, to);
+    editorState.selectedCheckpointIndex = movedIndex(editorState.selectedCheckpointIndex, from, to, n);
+    pathState.segmentIndex = 0;
+    pathState.segmentElapsed = 0;
+    pathState.pausedAtCheckpoint = null;
+    pathState.pauseElapsed = 0;
+    if (from === 0 || to === 0) queueThumbnail(activePathIndex);
+    setStatus(`Moved checkpoint ${from + 1} to ${clamp(to, 0, n - 1) + 1}.`);
+    syncUI();
+  }
+
+  function getPathTimeline() {
+    const durations = [];
+    for (let i = 0; i < getPathSegmentCount(); i++) durations.push(getPathDurationForSegment(i));
+    return buildTimeline(pathState.checkpoints, durations, { loop: pathState.loop });
+  }
+
+  function getPlayheadSeconds(timeline) {
+    return timeAt(timeline, pathState.segmentIndex, pathState.segmentElapsed, pathState.pausedAtCheckpoint, pathState.pauseElapsed);
+  }
+
+  /**
+   * Jumps the camera (and the playback position Play resumes from) to `seconds`
+   * on the timeline. Playback stops there unless `keepPlaying` is set.
+   */
+  function scrubTo(seconds, { keepPlaying = false } = {}) {
+    const timeline = getPathTimeline();
+    const at = locateTime(timeline, seconds);
+    if (!at) return;
+    if (!keepPlaying) pathState.playing = false;
+    pathState.lookAtOverrideAtStart = null;
+    pathState.segmentIndex = at.segmentIndex;
+    pathState.segmentElapsed = at.progress * getPathDurationForSegment(at.segmentIndex);
+    pathState.pausedAtCheckpoint = at.pausedAtCheckpoint;
+    pathState.pauseElapsed = at.pauseElapsed;
+    applyPathPose(at.segmentIndex, at.progress);
+    syncUI();
+  }
+
+  // Window-level move/up listeners, so the drag survives the timeline being rebuilt underneath it.
+  function trackPointerDrag(onMove) {
+    const move = (e) => onMove(e);
+    const up = () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', up);
+      window.removeEventListener('pointercancel', up);
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', up);
+    window.addEventListener('pointercancel', up);
+  }
+
+  function secondsAtClientX(clientX, total) {
+    const rect = timelineTrackEl.getBoundingClientRect();
+    return rect.width > 0 ? clamp((clientX - rect.left) / rect.width, 0, 1) * total : 0;
+  }
+
+  function startScrub(e) {
+    if (e.button !== 0 || pathState.checkpoints.length < 2) return;
+    e.preventDefault();
+    const total = getPathTimeline().total;
+    scrubTo(secondsAtClientX(e.clientX, total));
+    trackPointerDrag((ev) => scrubTo(secondsAtClientX(ev.clientX, total)));
+  }
+
+  /** Dragging the edge between segment `left` and the next trades time between them; the total stays fixed. */
+  function startBoundaryDrag(e, left) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const right = getPathIndex(left + 1);
+    const a = pathState.checkpoints[left];
+    const b = pathState.checkpoints[right];
+    if (!a || !b) return;
+    pathState.playing = false;
+    const startX = e.clientX;
+    const startLeft = Math.max(0.1, a.duration || 5);
+    const startRight = Math.max(0.1, b.duration || 5);
+    const rect = timelineTrackEl.getBoundingClientRect();
+    const secondsPerPx = rect.width > 0 ? getPathTimeline().total / rect.width : 0;
+    trackPointerDrag((ev) => {
+      const [l, r] = resizeSegmentBoundary(startLeft, startRight, (ev.clientX - startX) * secondsPerPx);
+      a.duration = +l.toFixed(2);
+      b.duration = +r.toFixed(2);
+      setStatus(`Segment ${left + 1}: ${a.duration.toFixed(1)}s · segment ${right + 1}: ${b.duration.toFixed(1)}s`);
+      syncUI();
+    });
+  }
+
+  function renderTimeline() {
+    if (!timelineTrackEl) return;
+    const timeline = getPathTimeline();
+    const total = timeline.total;
+    const lowSegments = new Map(getClearanceIssues().map((issue) => [issue.segmentIndex, issue]));
+    const key = JSON.stringify([timeline.blocks, editorState.selectedCheckpointIndex, pathState.constantSpeed, pathState.loop, [...lowSegments.keys()]]);
+    if (key !== timelineKey) {
+      timelineKey = key;
+      timelineTrackEl.querySelectorAll('.path-animation-timeline-block, .path-animation-timeline-handle').forEach((el) => el.remove());
+      const segments = timeline.blocks.filter((b) => b.kind === 'segment');
+      timeline.blocks.forEach((block) => {
+        const el = document.createElement('div');
+        el.className = `path-animation-timeline-block ${block.kind}`;
+        el.style.left = `${(block.start / total) * 100}%`;
+        el.style.width = `${(block.duration / total) * 100}%`;
+        if (block.kind === 'segment') {
+          const to = getPathIndex(block.segmentIndex + 1);
+          el.title = `Checkpoint ${block.checkpointIndex + 1} → ${to + 1} · ${block.duration.toFixed(1)}s`;
+          el.textContent = block.duration.toFixed(1);
+          if (block.checkpointIndex === editorState.selectedCheckpointIndex) el.classList.add('active');
+          const low = lowSegments.get(block.segmentIndex);
+          if (low) {
+            el.classList.add('below-floor');
+            el.title += ` · dips ${low.depth.toFixed(2)} below the ground clearance`;
+          }
+        } else {
+          el.title = `Stop at checkpoint ${block.checkpointIndex + 1} · ${block.duration.toFixed(1)}s`;
+        }
+        timelineTrackEl.insertBefore(el, timelinePlayheadEl);
+      });
+      // With constant speed the split is derived from distance, so only the total is editable.
+      if (!pathState.constantSpeed) {
+        segments.slice(0, -1).forEach((block) => {
+          const handle = document.createElement('div');
+          handle.className = 'path-animation-timeline-handle';
+          handle.style.left = `${((block.start + block.duration) / total) * 100}%`;
+          handle.title = 'Drag to trade time between these segments';
+          handle.addEventListener('pointerdown', (e) => startBoundaryDrag(e, block.segmentIndex));
+          timelineTrackEl.insertBefore(handle, timelinePlayheadEl);
+        });
+      }
+    }
+    const now = timeline.blocks.length ? getPlayheadSeconds(timeline) : 0;
+    timelinePlayheadEl.style.display = timeline.blocks.length ? '' : 'none';
+    timelinePlayheadEl.style.left = `${total > 0 ? (now / total) * 100 : 0}%`;
+    timelineTrackEl.setAttribute('aria-valuemax', total.toFixed(1));
+    timelineTrackEl.setAttribute('aria-valuenow', now.toFixed(1));
+    if (timelineTimeEl) timelineTimeEl.textContent = timeline.blocks.length ? `${now.toFixed(1)}s / ${total.toFixed(1)}s` : 'Add 2+ checkpoints to scrub';
+  }
+
   function renderCheckpointStrip() {
     if (!stripEl) return;
     stripEl.innerHTML = '';
     pathState.checkpoints.forEach((cp, index) => {
       const item = document.createElement('div');
       item.className = 'animation-checkpoint-item';
+      item.draggable = true;
+      item.addEventListener('dragstart', (e) => {
+        pathState.playing = false;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(index));
+        item.classList.add('dragging');
+      });
+      item.addEventListener('dragend', () => item.classList.remove('dragging'));
+      item.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        item.classList.add('drop-target');
+      });
+      item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+      item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        item.classList.remove('drop-target');
+        const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+        if (Number.isFinite(from)) moveCheckpoint(from, index);
+      });
       const hover = document.createElement('div');
       hover.className = 'animation-checkpoint-hover-actions';
       const delBtn = document.createElement('button');
@@ -684,11 +1339,15 @@ export function initPathAnimation(options = {}) {
       pill.innerHTML = `<span class="animation-checkpoint-pill-label">${index + 1}</span>`;
       pill.setAttribute('role', 'button');
       pill.setAttribute('aria-label', `Go to checkpoint ${index + 1}`);
+      pill.title = 'Click to go here · drag to reorder';
       pill.addEventListener('click', () => {
         editorState.selectedCheckpointIndex = index;
         pathState.playing = false;
-        applyPathCheckpoint(index);
-        if (typeof controls.update === 'function') controls.update();
+        // With the 3D view on, selecting keeps the current view so the checkpoint and its gizmo stay in sight.
+        if (!overlayState.shown) {
+          applyPathCheckpoint(index);
+          if (typeof controls.update === 'function') controls.update();
+        }
         syncUI();
       });
       delBtn.addEventListener('click', (e) => { e.stopPropagation(); deleteCheckpointAtIndex(index); });
@@ -701,9 +1360,13 @@ export function initPathAnimation(options = {}) {
 
   function syncUI() {
     syncSelectedIndex();
+    if (pathState.playing !== lastPlaying) {
+      lastPlaying = pathState.playing;
+      emit(lastPlaying ? 'play' : 'pause');
+    }
     const labelEl = document.getElementById('pathAnimationActiveLabel');
     if (labelEl) {
-      labelEl.textContent = isMultiPath ? ' — ' + (pathLabels[activePathIndex] || '') : '';
+      labelEl.textContent = pathLabels.length ? ' — ' + (pathLabels[activePathIndex] || '') : '';
     }
     if (statusEl) {
       if (pathState.playing && pathState.checkpoints.length >= 2 && pathState.segmentIndex === 0) {
@@ -711,7 +1374,10 @@ export function initPathAnimation(options = {}) {
       } else if (pathState.playing) {
         setStatus('Playing.');
       } else if (pathState.checkpoints.length >= 2) {
-        setStatus('Ready. Press Play.');
+        const low = getClearanceIssues().map((issue) => issue.segmentIndex + 1);
+        setStatus(low.length
+          ? `Segment${low.length > 1 ? 's' : ''} ${low.join(', ')} dip${low.length > 1 ? '' : 's'} below the ground clearance; playback lifts the camera there.`
+          : 'Ready. Press Play.');
       } else if (pathState.checkpoints.length === 1) {
         setStatus('Add one more checkpoint to play.');
       } else {
@@ -772,15 +1438,709 @@ export function initPathAnimation(options = {}) {
         pauseDurationRowEl.style.display = 'none';
       }
     }
+    if (constantSpeedCheckboxEl) constantSpeedCheckboxEl.checked = !!pathState.constantSpeed;
+    syncKeyframeRows();
+    renderTimeline();
     renderCheckpointStrip();
+    renderLibrary();
+    renderCaptions();
+    syncNarration();
+    syncPathOverlay();
     if (typeof window.__cameraAnimationPath !== 'undefined') window.__cameraAnimationPath = getSerializedPayload();
     persistPaths();
   }
 
+  // Leaves a field alone while it is being typed in; syncUI also runs every frame during playback.
+  function syncOptionalInput(el, value) {
+    if (!el || document.activeElement === el) return;
+    const text = Number.isFinite(value) ? String(+value.toFixed(2)) : '';
+    if (el.value !== text) el.value = text;
+  }
+
+  function syncTextInput(el, value) {
+    if (!el || document.activeElement === el) return;
+    if (el.value !== (value || '')) el.value = value || '';
+  }
+
+  function syncKeyframeRows() {
+    syncTextInput(audioInputEl, pathState.audio.startsWith('blob:') ? '' : pathState.audio);
+    syncOptionalInput(clearanceInputEl, pathState.clearance);
+    const cp = pathState.checkpoints[editorState.selectedCheckpointIndex];
+    [easingRowEl, fovRowEl, rollRowEl, titleRowEl, captionRowEl, highlightRowEl].forEach((row) => { if (row) row.style.display = cp ? '' : 'none'; });
+    if (!cp) return;
+    if (easingSelectEl && easingSelectEl.value !== cp.easing) easingSelectEl.value = cp.easing;
+    syncOptionalInput(fovInputEl, cp.fov);
+    syncOptionalInput(rollInputEl, cp.roll);
+    syncTextInput(titleInputEl, cp.title);
+    syncTextInput(captionInputEl, cp.caption);
+    syncTextInput(highlightInputEl, cp.highlight);
+  }
+
+  // ---- 3D view: the path, checkpoint cameras and look-at lines drawn in the scene ----
+  const overlayState = { shown: false, dragTarget: 'position', key: '' };
+  let pathOverlay = null;
+  let overlayLoading = null;
+
+  /** The spline as played, densely sampled, with the stretches below the clearance floor marked `low`. */
+  function samplePathCurve(steps = 16) {
+    const points = [];
+    const timing = getPathTiming();
+    const segmentCount = getPathSegmentCount();
+    for (let i = 0; i < segmentCount; i++) {
+      for (let k = i ? 1 : 0; k <= steps; k++) {
+        const { position } = evaluatePathPose(pathState.checkpoints, i, k / steps, { loop: pathState.loop, timing });
+        points.push({ ...position, low: position.y < getFloorAt(position.x, position.z) - 1e-6 });
+      }
+    }
+    return points;
+  }
+
+  function syncPathOverlay() {
+    if (!pathOverlay) return;
+    const visible = overlayState.shown && editorState.open && !pathState.playing && !exporting;
+    pathOverlay.setVisible(visible);
+    if (!visible) {
+      overlayState.key = '';
+      return;
+    }
+    const key = JSON.stringify([
+      pathState.loop,
+      pathState.constantSpeed,
+      pathState.checkpoints.map((cp) => [cp.position, cp.lookAt, cp.duration, cp.easing, cp.fov, cp.roll]),
+      editorState.selectedCheckpointIndex,
+      overlayState.dragTarget,
+      getPathClearance(),
+      ground.version,
+      camera.aspect
+    ]);
+    if (key === overlayState.key) return;
+    overlayState.key = key;
+    pathOverlay.update({
+      curve: samplePathCurve(),
+      checkpoints: pathState.checkpoints,
+      selectedIndex: editorState.selectedCheckpointIndex,
+      dragTarget: overlayState.dragTarget,
+      fov: baseFov,
+      aspect: Number.isFinite(camera.aspect) ? camera.aspect : 16 / 9
+    });
+  }
+
+  function onOverlayDrag(index, key, point) {
+    const cp = pathState.checkpoints[index];
+    if (!cp) return;
+    cp[key] = vec3(point.x, point.y, point.z);
+    syncPathOverlay();
+  }
+
+  function onOverlayDragEnd(index, key) {
+    if (!pathState.checkpoints[index]) return;
+    if (index === 0) queueThumbnail(activePathIndex);
+    syncUI();
+    setStatus(`Moved the ${key === 'lookAt' ? 'target' : 'camera'} of checkpoint ${index + 1}.`);
+  }
+
+  // The overlay needs three/addons (TransformControls), so it is only loaded when first shown.
+  async function setOverlayShown(shown) {
+    overlayState.shown = !!shown;
+    if (overlayState.shown && !pathOverlay) {
+      try {
+        overlayLoading = overlayLoading || import('./path-overlay.mjs');
+        const { createPathOverlay } = await overlayLoading;
+        if (!pathOverlay) {
+          pathOverlay = createPathOverlay({ scene, camera, renderer, controls, onDrag: onOverlayDrag, onDragEnd: onOverlayDragEnd });
+        }
+      } catch (e) {
+        console.warn('path-animation: 3D view failed to load', e);
+        overlayLoading = null;
+        overlayState.shown = false;
+        if (overlayCheckboxEl) overlayCheckboxEl.checked = false;
+        setStatus('3D view needs three/addons in the page import map.');
+        return;
+      }
+    }
+    syncUI();
+    if (overlayState.shown) setStatus('Select a checkpoint, then drag the gizmo to move its camera or target.');
+  }
+
+  // ---- Generators: orbit / reveal / flyover paths to refine by hand ----
+  const GENERATOR_LABELS = { orbit: 'Orbit', reveal: 'Reveal', flyover: 'Lot flyover' };
+  const GENERATOR_FIELDS = {
+    orbit: [
+      { key: 'radiusX', label: 'Radius X', step: 0.1, min: 0.01 },
+      { key: 'radiusZ', label: 'Radius Z', step: 0.1, min: 0.01 },
+      { key: 'height', label: 'Height', step: 0.1 },
+      { key: 'laps', label: 'Laps', step: 0.25, min: 0.25 },
+      { key: 'lapSeconds', label: 'Seconds / lap', step: 1, min: 1 },
+      { key: 'clockwise', label: 'Clockwise', type: 'checkbox' }
+    ],
+    reveal: [
+      { key: 'startHeight', label: 'Start height', step: 0.05 },
+      { key: 'endHeight', label: 'End height', step: 0.1 },
+      { key: 'distance', label: 'Distance', step: 0.1, min: 0.01 },
+      { key: 'seconds', label: 'Seconds', step: 1, min: 1 }
+    ],
+    flyover: [
+      { key: 'height', label: 'Height', step: 0.05 },
+      { key: 'offset', label: 'Offset', step: 0.05 },
+      { key: 'seconds', label: 'Seconds', step: 1, min: 1 },
+      { key: 'lookAt', label: 'Look at', type: 'select', options: [['center', 'Lot center'], ['ahead', 'Next corner']] }
+    ]
+  };
+  let generatorKindEl, generatorFieldsEl;
+
+  /** Starting values taken from the current view, so a first Generate gives a sensible shot. */
+  function generatorDefaults(kind) {
+    const c = currentSceneOrigin;
+    const round = (v) => +v.toFixed(3);
+    const dist = round(Math.max(0.1, Math.hypot(camera.position.x - c.x, camera.position.z - c.z)));
+    const height = round(camera.position.y - c.y);
+    if (kind === 'orbit') return { radiusX: dist, radiusZ: dist, height, laps: 1, lapSeconds: 20, clockwise: false };
+    if (kind === 'reveal') return { startHeight: round(dist * 0.05), endHeight: round(Math.max(height, dist * 0.8)), distance: dist, seconds: 12 };
+    return { height: round(dist * 0.25), offset: 0, seconds: 30, lookAt: 'center' };
+  }
+
+  function renderGeneratorFields() {
+    if (!generatorFieldsEl) return;
+    const kind = generatorKindEl.value;
+    const defaults = generatorDefaults(kind);
+    generatorFieldsEl.innerHTML = '';
+    GENERATOR_FIELDS[kind].forEach((field) => {
+      const row = document.createElement('div');
+      row.className = 'path-animation-timing-row';
+      const id = `pathAnimationGenerate-${field.key}`;
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = field.label;
+      let input;
+      if (field.type === 'select') {
+        input = document.createElement('select');
+        field.options.forEach(([value, text]) => input.add(new Option(text, value)));
+        input.value = defaults[field.key];
+      } else {
+        input = document.createElement('input');
+        input.type = field.type === 'checkbox' ? 'checkbox' : 'number';
+        if (field.type === 'checkbox') {
+          input.checked = !!defaults[field.key];
+        } else {
+          input.step = String(field.step);
+          if (field.min !== undefined) input.min = String(field.min);
+          input.value = String(defaults[field.key]);
+        }
+      }
+      input.id = id;
+      input.dataset.key = field.key;
+      row.appendChild(label);
+      row.appendChild(input);
+      generatorFieldsEl.appendChild(row);
+    });
+  }
+
+  function readGeneratorValues() {
+    const values = {};
+    generatorFieldsEl.querySelectorAll('[data-key]').forEach((el) => {
+      if (el.type === 'checkbox') values[el.dataset.key] = el.checked;
+      else if (el.tagName === 'SELECT') values[el.dataset.key] = el.value;
+      else values[el.dataset.key] = parseFloat(el.value);
+    });
+    return values;
+  }
+
+  /** The page's lot boundary for the active path, in walking order. */
+  function readBoundary() {
+    if (typeof getBoundary !== 'function') throw new Error('This page has no lot boundary to fly over.');
+    const raw = getBoundary(activePathIndex);
+    return Array.isArray(raw) ? orderBoundary(raw) : orderBoundary(raw && raw.points, raw && raw.connections);
+  }
+
+  function generatePath(kind, values) {
+    const center = currentSceneOrigin;
+    const azimuth = azimuthOf(camera.position, center);
+    if (kind === 'orbit') return generateOrbit({ center, ...values, startAngle: azimuth });
+    if (kind === 'reveal') return generateReveal({ center, azimuth, ...values });
+    return generateFlyover({ boundary: readBoundary(), ...values });
+  }
+
+  /** Library pages get the result as a new path; pinned per-hole paths are replaced after a confirm. */
+  function applyGeneratedPath(kind) {
+    let result;
+    try {
+      result = generatePath(kind, readGeneratorValues());
+    } catch (e) {
+      setStatus(e.message);
+      return;
+    }
+    const path = { enabled: true, loop: result.loop, speed: 1, checkpoints: result.checkpoints };
+    if (isLibrary) {
+      setActivePath(addLibraryPath(path, { name: GENERATOR_LABELS[kind] }));
+      setPathEnabled(true);
+      applyPathCheckpoint(0);
+      queueThumbnail(activePathIndex);
+    } else {
+      const n = pathState.checkpoints.length;
+      if (n && !confirm(`Replace the ${n} checkpoint${n === 1 ? '' : 's'} of "${pathLabels[activePathIndex]}" with a generated ${GENERATOR_LABELS[kind].toLowerCase()}?`)) return;
+      loadPath({ ...path, audio: pathState.audio, clearance: pathState.clearance });
+    }
+    setStatus(`${GENERATOR_LABELS[kind]}: ${result.checkpoints.length} checkpoints. Edit them like any path.`);
+  }
+
+  // ---- Captions, highlights and narration ----
+  // Seek the narration back onto path time when it drifts further than this (scrub, loop, slow decode).
+  const NARRATION_DRIFT_SECONDS = 0.25;
+  let captionCache = { key: '', cues: [] };
+  let captionCanvasEl = null;
+  let captionDrawKey = '';
+  let highlightTarget = '';
+  let narrationEl = null;
+  let narrationSrc = '';
+  let narrationGraph = null;
+
+  function getCaptionCues(timeline) {
+    const key = JSON.stringify([timeline.blocks, pathState.checkpoints.map((cp) => [cp.title, cp.caption, cp.highlight])]);
+    if (captionCache.key !== key) captionCache = { key, cues: buildCaptionCues(timeline, pathState.checkpoints) };
+    return captionCache.cues;
+  }
+
+  function getCaptionAt(seconds, timeline = getPathTimeline()) {
+    const cue = cueAt(getCaptionCues(timeline), seconds);
+    return { cue, opacity: cueOpacity(cue, seconds) };
+  }
+
+  function hasBurnInText() {
+    return pathState.checkpoints.some((cp) => cp.title || cp.caption);
+  }
+
+  /** 2D canvas that receives each rendered frame with the caption for path time `seconds` drawn over it. */
+  function createCaptionCompositor(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    return {
+      canvas,
+      compose(seconds) {
+        ctx.drawImage(renderer.domElement, 0, 0, width, height);
+        const { cue, opacity } = getCaptionAt(seconds);
+        drawCaptionOverlay(ctx, cue, { width, height, opacity });
+      }
+    };
+  }
+
+  function setHighlight(target, checkpointIndex) {
+    if (target === highlightTarget) return;
+    highlightTarget = target;
+    if (typeof onHighlight !== 'function') return;
+    try { onHighlight(target || null, target ? checkpointIndex : null); } catch (e) { console.warn('onHighlight failed', e); }
+  }
+
+  // Live preview uses the same drawing as the recordings, on a canvas laid over the WebGL one.
+  function drawLiveCaption(cue, opacity) {
+    const visible = !!cue && opacity > 0 && !!(cue.title || cue.caption);
+    if (!visible && !captionCanvasEl) return;
+    if (!captionCanvasEl) {
+      captionCanvasEl = document.createElement('canvas');
+      captionCanvasEl.className = 'path-animation-caption-layer';
+      document.body.appendChild(captionCanvasEl);
+    }
+    const rect = renderer.domElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(rect.width * dpr));
+    const height = Math.max(1, Math.round(rect.height * dpr));
+    const key = visible
+      ? JSON.stringify([cue.title, cue.caption, +opacity.toFixed(2), width, height, rect.left, rect.top])
+      : 'hidden';
+    if (key === captionDrawKey) return;
+    captionDrawKey = key;
+    captionCanvasEl.style.display = visible ? '' : 'none';
+    if (!visible) return;
+    Object.assign(captionCanvasEl.style, { left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+    if (captionCanvasEl.width !== width) captionCanvasEl.width = width;
+    if (captionCanvasEl.height !== height) captionCanvasEl.height = height;
+    const ctx = captionCanvasEl.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    drawCaptionOverlay(ctx, cue, { width, height, opacity });
+  }
+
+  function renderCaptions() {
+    const timeline = getPathTimeline();
+    const active = pathState.enabled && (pathState.playing || editorState.open) && !exporting && timeline.blocks.length > 0;
+    const { cue, opacity } = active ? getCaptionAt(getPlayheadSeconds(timeline), timeline) : { cue: null, opacity: 0 };
+    // The exporter sets the highlight per frame itself.
+    if (!exporting) setHighlight(pathState.playing && cue ? cue.highlight : '', cue ? cue.checkpointIndex : null);
+    drawLiveCaption(cue, opacity);
+  }
+
+  function getNarrationElement() {
+    if (!pathState.audio) return null;
+    if (!narrationEl) {
+      narrationEl = new Audio();
+      narrationEl.preload = 'auto';
+      // Needed for the Web Audio routing used while recording; remote files must be served with CORS.
+      narrationEl.crossOrigin = 'anonymous';
+    }
+    if (narrationSrc !== pathState.audio) {
+      narrationSrc = pathState.audio;
+      narrationEl.src = narrationSrc;
+    }
+    return narrationEl;
+  }
+
+  /**
+   * Keeps the narration on path time: the audio runs at the path speed and is
+   * seeked to the playhead when playback starts, scrubs, loops or drifts.
+   */
+  function syncNarration() {
+    const audio = getNarrationElement();
+    if (!audio || !pathState.playing || !pathState.enabled) {
+      if (narrationEl && !narrationEl.paused) narrationEl.pause();
+      return;
+    }
+    const target = getPlayheadSeconds(getPathTimeline());
+    if (Number.isFinite(audio.duration) && target >= audio.duration) {
+      if (!audio.paused) audio.pause();
+      return;
+    }
+    const rate = clamp(pathState.speed, 0.25, 4);
+    if (audio.playbackRate !== rate) audio.playbackRate = rate;
+    if (audio.paused || Math.abs(audio.currentTime - target) > NARRATION_DRIFT_SECONDS) audio.currentTime = target;
+    if (audio.paused) audio.play().catch((e) => console.warn('path-animation: narration did not start', e));
+  }
+
+  /** Narration as a MediaStreamTrack for MediaRecorder; the element keeps playing to the speakers too. */
+  function getNarrationTrack() {
+    const audio = getNarrationElement();
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!audio || !AudioCtx) return null;
+    try {
+      if (!narrationGraph) {
+        const context = new AudioCtx();
+        const source = context.createMediaElementSource(audio);
+        const destination = context.createMediaStreamDestination();
+        source.connect(context.destination);
+        source.connect(destination);
+        narrationGraph = { context, destination };
+      }
+      if (narrationGraph.context.state === 'suspended') narrationGraph.context.resume();
+      return narrationGraph.destination.stream.getAudioTracks()[0] || null;
+    } catch (e) {
+      console.warn('path-animation: recording without narration', e);
+      return null;
+    }
+  }
+
+  // ---- Path library: named paths per property (not used with the fixed per-hole `paths` option) ----
+  const THUMBNAIL_WIDTH = 160;
+  const THUMBNAIL_HEIGHT = 90;
+  const ICON_EYE = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"/><circle cx="12" cy="12" r="3"/></svg>';
+  const ICON_PENCIL = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"/></svg>';
+  const ICON_COPY = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>';
+  const ICON_TRASH = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2M10 11v6M14 11v6"/></svg>';
+  let libraryListEl, toursBtnEl, tourMenuEl;
+  let libraryListKey = '';
+  const pendingThumbnails = new Set();
+  let thumbnailFrame = 0;
+
+  function getLibraryEntries() {
+    return allPaths.map((ps, i) => ({
+      id: libraryMeta[i].id,
+      name: pathLabels[i],
+      published: libraryMeta[i].published,
+      path: serializeSinglePath(ps)
+    }));
+  }
+
+  function addLibraryPath(path, { name, published = false } = {}) {
+    allPaths.push(createPathState(path));
+    pathLabels.push(uniquePathName(pathLabels, name));
+    libraryMeta.push({ id: makePathId(), published: !!published });
+    return allPaths.length - 1;
+  }
+
+  function createNewPath() {
+    const index = addLibraryPath({ checkpoints: [] }, { name: 'New path' });
+    setActivePath(index);
+    setStatus(`Created "${pathLabels[index]}". Capture to add checkpoints.`);
+  }
+
+  function renamePath(index) {
+    const current = pathLabels[index];
+    const next = prompt('Path name', current);
+    if (next === null || !next.trim() || next.trim() === current) return;
+    pathLabels[index] = uniquePathName(pathLabels.filter((_, i) => i !== index), next);
+    syncUI();
+  }
+
+  function duplicatePath(index) {
+    const source = libraryMeta[index];
+    const copy = addLibraryPath(serializeSinglePath(allPaths[index]), { name: `${pathLabels[index]} copy` });
+    if (thumbnails[source.id]) {
+      thumbnails[libraryMeta[copy].id] = thumbnails[source.id];
+      persistThumbnails();
+    }
+    setActivePath(copy);
+    setStatus(`Duplicated as "${pathLabels[copy]}".`);
+  }
+
+  function deleteLibraryPath(index) {
+    if (allPaths.length <= 1) {
+      setStatus('Keep at least one path; clear its checkpoints instead.');
+      return;
+    }
+    if (!confirm(`Delete "${pathLabels[index]}"? This cannot be undone.`)) return;
+    const [meta] = libraryMeta.splice(index, 1);
+    allPaths.splice(index, 1);
+    pathLabels.splice(index, 1);
+    if (thumbnails[meta.id]) {
+      delete thumbnails[meta.id];
+      persistThumbnails();
+    }
+    if (index === activePathIndex) {
+      pathState.playing = false;
+      setActivePath(Math.min(index, allPaths.length - 1));
+    } else {
+      if (index < activePathIndex) activePathIndex -= 1;
+      syncUI();
+    }
+  }
+
+  function togglePublished(index) {
+    libraryMeta[index].published = !libraryMeta[index].published;
+    setStatus(libraryMeta[index].published ? `"${pathLabels[index]}" is listed under Tours.` : `"${pathLabels[index]}" is hidden from Tours.`);
+    syncUI();
+  }
+
+  function publishedPathIndices() {
+    return allPaths.map((ps, i) => i).filter((i) => libraryMeta[i].published && allPaths[i].checkpoints.length >= 2);
+  }
+
+  function exportLibraryFile() {
+    const text = buildLibraryFile(getLibraryEntries(), { property: propertyLabel });
+    downloadBlob(new Blob([text], { type: 'application/json' }), `${String(propertyLabel).replace(/\s+/g, '-')}-paths.json`);
+    setStatus(`Exported ${allPaths.length} path${allPaths.length === 1 ? '' : 's'}.`);
+  }
+
+  async function importLibraryFile(file) {
+    try {
+      const { paths, skipped } = parseLibraryFile(await file.text());
+      const first = allPaths.length;
+      paths.forEach((p) => queueThumbnail(addLibraryPath(p.path, { name: p.name, published: p.published })));
+      setActivePath(first);
+      setStatus(`Imported ${paths.length} path${paths.length === 1 ? '' : 's'}${skipped ? ` (skipped ${skipped} without checkpoints)` : ''}.`);
+    } catch (e) {
+      setStatus(`Import failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Renders the path's first checkpoint into a small JPEG for the library list
+   * and the Tours menu, then puts the camera back. Returns true when the stored
+   * thumbnails changed.
+   */
+  function captureThumbnail(index) {
+    const meta = libraryMeta[index];
+    const ps = allPaths[index];
+    const cp = ps && ps.checkpoints[0];
+    if (!cp) {
+      if (!thumbnails[meta.id]) return false;
+      delete thumbnails[meta.id];
+      return true;
+    }
+    if (!renderFrame) return false;
+    const overlayVisible = !!pathOverlay && pathOverlay.group.visible;
+    if (overlayVisible) pathOverlay.setVisible(false);
+    const saved = {
+      position: camera.position.clone(),
+      target: controls.target.clone(),
+      up: camera.up ? camera.up.clone() : null,
+      fov: camera.fov
+    };
+    try {
+      camera.position.set(cp.position.x, cp.position.y, cp.position.z);
+      controls.target.set(cp.lookAt.x, cp.lookAt.y, cp.lookAt.z);
+      applyLensAndRoll(Number.isFinite(cp.fov) ? cp.fov : null, Number.isFinite(cp.roll) ? cp.roll : null);
+      if (typeof camera.lookAt === 'function') camera.lookAt(controls.target);
+      renderFrame();
+      // Read straight after rendering, before the browser may clear the drawing buffer.
+      const source = renderer.domElement;
+      const thumb = document.createElement('canvas');
+      thumb.width = THUMBNAIL_WIDTH;
+      thumb.height = THUMBNAIL_HEIGHT;
+      const scale = Math.max(THUMBNAIL_WIDTH / source.width, THUMBNAIL_HEIGHT / source.height);
+      const w = source.width * scale;
+      const h = source.height * scale;
+      thumb.getContext('2d').drawImage(source, (THUMBNAIL_WIDTH - w) / 2, (THUMBNAIL_HEIGHT - h) / 2, w, h);
+      thumbnails[meta.id] = thumb.toDataURL('image/jpeg', 0.72);
+      return true;
+    } catch (e) {
+      console.warn('path-animation: thumbnail capture failed', e);
+      return false;
+    } finally {
+      camera.position.copy(saved.position);
+      controls.target.copy(saved.target);
+      if (saved.up) camera.up.copy(saved.up);
+      if (Number.isFinite(saved.fov) && camera.fov !== saved.fov) {
+        camera.fov = saved.fov;
+        camera.updateProjectionMatrix();
+      }
+      if (typeof camera.lookAt === 'function') camera.lookAt(controls.target);
+      if (overlayVisible) pathOverlay.setVisible(true);
+      renderFrame();
+    }
+  }
+
+  // Captures wait for the next frame so several edits in a row render once.
+  function queueThumbnail(index) {
+    if (!isLibrary || !libraryMeta[index]) return;
+    pendingThumbnails.add(libraryMeta[index].id);
+    if (!thumbnailFrame) thumbnailFrame = requestAnimationFrame(flushThumbnails);
+  }
+
+  function flushThumbnails() {
+    thumbnailFrame = 0;
+    if (exporting) {
+      thumbnailFrame = requestAnimationFrame(flushThumbnails);
+      return;
+    }
+    let changed = false;
+    pendingThumbnails.forEach((id) => {
+      const index = libraryMeta.findIndex((m) => m.id === id);
+      if (index >= 0 && captureThumbnail(index)) changed = true;
+    });
+    pendingThumbnails.clear();
+    if (!changed) return;
+    persistThumbnails();
+    libraryListKey = '';
+    renderLibrary();
+  }
+
+  function makeIconButton(className, icon, label, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = className;
+    btn.innerHTML = icon;
+    btn.setAttribute('aria-label', label);
+    btn.title = label;
+    btn.addEventListener('click', (e) => { e.stopPropagation(); onClick(); });
+    return btn;
+  }
+
+  function renderLibrary() {
+    if (toursBtnEl) toursBtnEl.style.display = publishedPathIndices().length ? '' : 'none';
+    if (!libraryListEl) return;
+    const key = JSON.stringify([activePathIndex, pathLabels, libraryMeta, allPaths.map((ps) => ps.checkpoints.length)]);
+    if (key === libraryListKey) return;
+    libraryListKey = key;
+    libraryListEl.innerHTML = '';
+    allPaths.forEach((ps, index) => {
+      const meta = libraryMeta[index];
+      const item = document.createElement('div');
+      item.className = 'path-animation-library-item';
+      if (index === activePathIndex) item.classList.add('active');
+      item.setAttribute('role', 'button');
+      item.tabIndex = 0;
+      item.title = 'Edit this path';
+      const thumb = document.createElement('div');
+      thumb.className = 'path-animation-library-thumb';
+      if (thumbnails[meta.id]) thumb.style.backgroundImage = `url("${thumbnails[meta.id]}")`;
+      else if (ps.checkpoints.length) queueThumbnail(index);
+      const text = document.createElement('div');
+      text.className = 'path-animation-library-text';
+      const name = document.createElement('div');
+      name.className = 'path-animation-library-name';
+      name.textContent = pathLabels[index];
+      const info = document.createElement('div');
+      info.className = 'path-animation-library-info';
+      info.textContent = `${ps.checkpoints.length} pts${meta.published ? ' · published' : ''}`;
+      text.appendChild(name);
+      text.appendChild(info);
+      const actions = document.createElement('div');
+      actions.className = 'path-animation-library-item-actions';
+      const publishBtn = makeIconButton('path-animation-library-publish', ICON_EYE, meta.published ? 'Hide from Tours' : 'Publish to Tours', () => togglePublished(index));
+      publishBtn.classList.toggle('published', meta.published);
+      publishBtn.setAttribute('aria-pressed', String(meta.published));
+      actions.appendChild(publishBtn);
+      actions.appendChild(makeIconButton('', ICON_PENCIL, 'Rename path', () => renamePath(index)));
+      actions.appendChild(makeIconButton('', ICON_COPY, 'Duplicate path', () => duplicatePath(index)));
+      const delBtn = makeIconButton('path-animation-library-delete', ICON_TRASH, 'Delete path', () => deleteLibraryPath(index));
+      delBtn.disabled = allPaths.length <= 1;
+      actions.appendChild(delBtn);
+      item.appendChild(thumb);
+      item.appendChild(text);
+      item.appendChild(actions);
+      item.addEventListener('click', () => setActivePath(index));
+      item.addEventListener('keydown', (e) => {
+        if (e.target !== item || (e.key !== 'Enter' && e.key !== ' ')) return;
+        e.preventDefault();
+        setActivePath(index);
+      });
+      libraryListEl.appendChild(item);
+    });
+  }
+
+  function playLibraryPath(index) {
+    setActivePath(index);
+    setPathEnabled(true);
+    goToAnimationStart();
+  }
+
+  function onTourMenuPointerDown(e) {
+    if (tourMenuEl && !tourMenuEl.contains(e.target) && !toursBtnEl.contains(e.target)) closeTourMenu();
+  }
+
+  function onTourMenuKeyDown(e) {
+    if (e.key === 'Escape') closeTourMenu();
+  }
+
+  function closeTourMenu() {
+    if (!tourMenuEl) return;
+    tourMenuEl.remove();
+    tourMenuEl = null;
+    toursBtnEl.setAttribute('aria-expanded', 'false');
+    document.removeEventListener('pointerdown', onTourMenuPointerDown, true);
+    document.removeEventListener('keydown', onTourMenuKeyDown);
+  }
+
+  function openTourMenu() {
+    const published = publishedPathIndices();
+    if (!published.length) return;
+    tourMenuEl = document.createElement('div');
+    tourMenuEl.className = 'path-animation-tour-menu';
+    tourMenuEl.setAttribute('role', 'menu');
+    published.forEach((index) => {
+      const meta = libraryMeta[index];
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'path-animation-tour-item';
+      btn.setAttribute('role', 'menuitem');
+      if (index === activePathIndex && pathState.playing) btn.classList.add('active');
+      const thumb = document.createElement('span');
+      thumb.className = 'path-animation-library-thumb';
+      if (thumbnails[meta.id]) thumb.style.backgroundImage = `url("${thumbnails[meta.id]}")`;
+      const name = document.createElement('span');
+      name.textContent = pathLabels[index];
+      btn.appendChild(thumb);
+      btn.appendChild(name);
+      btn.addEventListener('click', () => {
+        closeTourMenu();
+        playLibraryPath(index);
+      });
+      tourMenuEl.appendChild(btn);
+    });
+    document.body.appendChild(tourMenuEl);
+    const rect = toursBtnEl.getBoundingClientRect();
+    tourMenuEl.style.left = `${clamp(rect.left, 8, Math.max(8, window.innerWidth - tourMenuEl.offsetWidth - 8))}px`;
+    tourMenuEl.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+    toursBtnEl.setAttribute('aria-expanded', 'true');
+    document.addEventListener('pointerdown', onTourMenuPointerDown, true);
+    document.addEventListener('keydown', onTourMenuKeyDown);
+    const first = tourMenuEl.querySelector('button');
+    if (first) first.focus();
+  }
+
   function setPathEnabled(enabled) {
     pathState.enabled = !!enabled;
     if (!pathState.enabled) {
       pathState.playing = false;
+      applyLensAndRoll(null, null);
       setStatus('Paused. Capture to add.');
     } else if (pathState.checkpoints.length > 1) {
       setStatus('Ready. Press Play.');
@@ -800,6 +2160,7 @@ export function initPathAnimation(options = {}) {
     const insertAt = pathState.checkpoints.length > 0 && idx >= 0 && idx < pathState.checkpoints.length ? idx + 1 : pathState.checkpoints.length;
     pathState.checkpoints.splice(insertAt, 0, cp);
     editorState.selectedCheckpointIndex = insertAt;
+    if (insertAt === 0) queueThumbnail(activePathIndex);
     setStatus(pathState.checkpoints.length === 1 ? 'Captured checkpoint 1.' : `Captured checkpoint ${insertAt + 1}.`);
     syncUI();
   }
@@ -817,7 +2178,8 @@ export function initPathAnimation(options = {}) {
   function togglePlayback() {
     if (!pathState.enabled) setPathEnabled(true);
     if (pathState.checkpoints.length < 2) { pathState.playing = false; syncUI(); return; }
-    pathState.playing = !pathState.playing;
+    if (pathState.playing) stopPlayback();
+    else pathState.playing = true;
     if (pathState.playing && pathState.segmentIndex === 0 && pathState.segmentElapsed === 0) {
       pathState.lookAtOverrideAtStart = { ...currentSceneOrigin };
     }
@@ -835,11 +2197,26 @@ export function initPathAnimation(options = {}) {
       .path-animation-editor-toggle:hover { background: rgba(255,255,255,0.1); border-color: rgba(255,255,255,0.35); }
       .path-animation-editor-toggle.active { background: rgba(191,40,27,0.45); border-color: rgba(191,40,27,0.5); color: #fff; }
       .path-animation-editor-toggle svg { width: 22px; height: 22px; flex-shrink: 0; }
-      .path-animation-editor-panel { position: absolute; right: 12px; top: 66px; width: 260px; max-width: min(260px, calc(100vw - 24px)); z-index: 12; border-radius: 20px; background: rgba(32,32,32,0.5); -webkit-backdrop-filter: blur(45px); backdrop-filter: blur(45px); color: rgba(255,255,255,0.95); font-family: 'Helvetica Neue',Arial,sans-serif; padding: 14px; box-sizing: border-box; opacity: 0; transform: translateY(8px) scale(0.98); pointer-events: none; transition: opacity 0.2s ease, transform 0.2s ease; }
+      .path-animation-editor-panel { position: absolute; right: 12px; top: 66px; width: 260px; max-width: min(260px, calc(100vw - 24px)); z-index: 12; border-radius: 20px; background: rgba(32,32,32,0.5); -webkit-backdrop-filter: blur(45px); backdrop-filter: blur(45px); color: rgba(255,255,255,0.95); font-family: 'Helvetica Neue',Arial,sans-serif; padding: 14px; box-sizing: border-box; max-height: calc(100vh - 78px); overflow-y: auto; scrollbar-width: thin; opacity: 0; transform: translateY(8px) scale(0.98); pointer-events: none; transition: opacity 0.2s ease, transform 0.2s ease; }
       .path-animation-editor-panel.active { opacity: 1; transform: translateY(0) scale(1); pointer-events: auto; }
       .path-animation-editor-panel .path-animation-title { font-size: 13px; font-weight: 600; margin-bottom: 4px; }
       .path-animation-editor-panel .path-animation-status { font-size: 10px; color: rgba(255,255,255,0.7); margin-bottom: 4px; }
       .path-animation-editor-panel .path-animation-summary { font-size: 10px; color: rgba(255,255,255,0.6); margin-bottom: 6px; }
+      .path-animation-timeline { margin: 8px 0 6px; }
+      .path-animation-timeline-track { position: relative; height: 22px; border-radius: 6px; background: rgba(0,0,0,0.3); cursor: pointer; touch-action: none; user-select: none; }
+      .path-animation-timeline-track:focus-visible { outline: 2px solid rgba(191,40,27,0.7); outline-offset: 1px; }
+      .path-animation-timeline-block { position: absolute; top: 2px; bottom: 2px; box-sizing: border-box; border-radius: 4px; overflow: hidden; font: 500 9px/18px 'Helvetica Neue',Arial,sans-serif; color: rgba(255,255,255,0.7); text-align: center; white-space: nowrap; }
+      .path-animation-timeline-block.segment { background: rgba(255,255,255,0.14); border: 1px solid rgba(255,255,255,0.08); }
+      .path-animation-timeline-block.segment.active { background: rgba(191,40,27,0.45); color: #fff; }
+      .path-animation-timeline-block.segment.below-floor { border-color: #f0b429; box-shadow: inset 0 -3px 0 #f0b429; color: #ffd57a; }
+      .path-animation-timeline-block.pause { background: repeating-linear-gradient(45deg, rgba(255,255,255,0.12) 0 3px, transparent 3px 6px); }
+      .path-animation-timeline-handle { position: absolute; top: 0; bottom: 0; width: 10px; margin-left: -5px; cursor: ew-resize; z-index: 1; }
+      .path-animation-timeline-handle::after { content: ''; position: absolute; left: 4px; top: 3px; bottom: 3px; width: 2px; border-radius: 1px; background: rgba(255,255,255,0.55); }
+      .path-animation-timeline-handle:hover::after { background: #fff; }
+      .path-animation-timeline-playhead { position: absolute; top: -3px; bottom: -3px; width: 2px; margin-left: -1px; background: #fff; box-shadow: 0 0 0 1px rgba(0,0,0,0.35); pointer-events: none; z-index: 2; }
+      .path-animation-timeline-time { font-size: 10px; color: rgba(255,255,255,0.6); margin-top: 4px; }
+      .animation-checkpoint-item.dragging { opacity: 0.4; }
+      .animation-checkpoint-item.drop-target .animation-checkpoint-pill { border-color: #fff; }
       .animation-checkpoint-strip { display: flex; gap: 4px; overflow-x: auto; margin: 0 0 6px; padding: 0 0 4px; scrollbar-width: thin; align-items: center; }
       .animation-checkpoint-item { display: flex; flex-direction: column; align-items: center; flex-shrink: 0; }
       .animation-checkpoint-hover-actions { display: flex; gap: 2px; margin-top: 4px; opacity: 0; pointer-events: none; transition: opacity 0.15s; justify-content: center; }
@@ -863,8 +2240,44 @@ export function initPathAnimation(options = {}) {
       .path-animation-timing label { font-size: 11px; color: rgba(255,255,255,0.75); min-width: 100px; }
       .path-animation-timing input[type="number"] { width: 72px; padding: 6px 8px; border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; background: rgba(0,0,0,0.35); color: #fff; font: 500 12px/1 'Helvetica Neue',Arial,sans-serif; }
       .path-animation-timing select { padding: 6px 8px; border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; background: rgba(0,0,0,0.35); color: #fff; font: 500 12px/1 'Helvetica Neue',Arial,sans-serif; cursor: pointer; min-width: 80px; }
+      .path-animation-timing input[type="text"], .path-animation-timing textarea { flex: 1; min-width: 0; padding: 6px 8px; border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; background: rgba(0,0,0,0.35); color: #fff; font: 500 12px/1.3 'Helvetica Neue',Arial,sans-serif; box-sizing: border-box; }
+      .path-animation-timing textarea { resize: vertical; }
+      .path-animation-small-btn { padding: 6px 8px; border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; background: rgba(0,0,0,0.35); color: #fff; font: 500 11px/1 'Helvetica Neue',Arial,sans-serif; cursor: pointer; }
+      .path-animation-small-btn:hover { background: rgba(191,40,27,0.38); }
+      .path-animation-generate { margin-bottom: 8px; padding-bottom: 8px; border-bottom: 1px solid rgba(255,255,255,0.12); }
+      .path-animation-generate summary { font-size: 11px; color: rgba(255,255,255,0.75); cursor: pointer; margin-bottom: 6px; }
+      .path-animation-generate .path-animation-timing-row label { font-size: 11px; color: rgba(255,255,255,0.75); min-width: 100px; }
+      .path-animation-generate input[type="number"] { width: 72px; padding: 6px 8px; border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; background: rgba(0,0,0,0.35); color: #fff; font: 500 12px/1 'Helvetica Neue',Arial,sans-serif; }
+      .path-animation-generate select { padding: 6px 8px; border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; background: rgba(0,0,0,0.35); color: #fff; font: 500 12px/1 'Helvetica Neue',Arial,sans-serif; cursor: pointer; }
+      .path-animation-caption-layer { position: fixed; z-index: 11; pointer-events: none; }
       .path-animation-checkbox-label { display: inline-flex; align-items: center; gap: 6px; font-size: 12px; color: rgba(255,255,255,0.9); cursor: pointer; }
       .path-animation-checkbox-label input { width: 16px; height: 16px; cursor: pointer; }
+      .path-animation-library { margin-bottom: 8px; padding-bottom: 8px; border-bottom: 1px solid rgba(255,255,255,0.12); }
+      .path-animation-library-list { display: flex; flex-direction: column; gap: 4px; max-height: 176px; overflow-y: auto; scrollbar-width: thin; }
+      .path-animation-library-item { display: flex; align-items: center; gap: 8px; padding: 4px; border: 1px solid transparent; border-radius: 10px; cursor: pointer; }
+      .path-animation-library-item:hover { background: rgba(255,255,255,0.06); }
+      .path-animation-library-item.active { border-color: rgba(191,40,27,0.5); background: rgba(191,40,27,0.22); }
+      .path-animation-library-thumb { flex-shrink: 0; width: 48px; height: 27px; border-radius: 4px; background: rgba(0,0,0,0.35) center / cover no-repeat; }
+      .path-animation-library-text { flex: 1; min-width: 0; }
+      .path-animation-library-name { font-size: 12px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .path-animation-library-info { font-size: 10px; color: rgba(255,255,255,0.55); }
+      .path-animation-library-item-actions { display: flex; gap: 2px; }
+      .path-animation-library-item-actions button { width: 22px; height: 22px; padding: 3px; border: 1px solid rgba(255,255,255,0.2); border-radius: 6px; background: rgba(0,0,0,0.45); color: #fff; cursor: pointer; display: inline-flex; align-items: center; justify-content: center; opacity: 0; transition: opacity 0.15s; }
+      .path-animation-library-item:hover .path-animation-library-item-actions button,
+      .path-animation-library-item:focus-within .path-animation-library-item-actions button,
+      .path-animation-library-item-actions button.published { opacity: 1; }
+      .path-animation-library-item:hover .path-animation-library-item-actions button:disabled { opacity: 0.4; cursor: not-allowed; }
+      .path-animation-library-item-actions button.published { background: rgba(191,40,27,0.52); }
+      .path-animation-library-item-actions .path-animation-library-delete { color: #e85a4f; }
+      .path-animation-library-actions { display: flex; gap: 4px; margin-top: 6px; }
+      .path-animation-library-actions button { flex: 1; padding: 6px; border: 1px solid rgba(255,255,255,0.18); border-radius: 8px; background: rgba(0,0,0,0.34); color: #fff; font: 500 11px/1 'Helvetica Neue',Arial,sans-serif; cursor: pointer; }
+      .path-animation-library-actions button:hover { background: rgba(191,40,27,0.38); }
+      #pathAnimationToursButton { color: #fff; }
+      #pathAnimationToursButton svg { width: 21px; height: 21px; }
+      .path-animation-tour-menu { position: fixed; z-index: 10000; min-width: 200px; max-width: calc(100vw - 16px); max-height: 60vh; overflow-y: auto; padding: 6px; border-radius: 14px; background: rgba(32,32,32,0.85); -webkit-backdrop-filter: blur(45px); backdrop-filter: blur(45px); box-sizing: border-box; display: flex; flex-direction: column; gap: 2px; }
+      .path-animation-tour-item { display: flex; align-items: center; gap: 10px; padding: 6px; border: 0; border-radius: 10px; background: transparent; color: #fff; font: 500 13px/1.2 'Helvetica Neue',Arial,sans-serif; text-align: left; cursor: pointer; }
+      .path-animation-tour-item:hover, .path-animation-tour-item:focus-visible, .path-animation-tour-item.active { background: rgba(191,40,27,0.38); outline: none; }
+      .path-animation-tour-item .path-animation-library-thumb { width: 64px; height: 36px; }
       #pathAnimationRecordButton { display: flex; align-items: center; justify-content: center; width: 44px; height: 44px; border-radius: 50%; border: 1px solid rgba(255,255,255,0.2); background: rgba(0,0,0,0.35); color: #fff; cursor: pointer; }
       #pathAnimationRecordButton:hover { background: rgba(191,40,27,0.4); }
       #pathAnimationRecordButton svg { width: 21px; height: 21px; }
@@ -874,6 +2287,8 @@ export function initPathAnimation(options = {}) {
       body.recording-mode .path-animation-editor-toggles-wrap,
       body.recording-mode .path-animation-editor-panel,
       body.recording-mode #pathAnimationRecordButton,
+      body.recording-mode #pathAnimationToursButton,
+      body.recording-mode .path-animation-tour-menu,
       body.recording-mode #canvasFormatButton,
       body.recording-mode .menu-container,
       body.recording-mode #detailsBox,
@@ -946,6 +2361,10 @@ export function initPathAnimation(options = {}) {
         cursor: pointer; text-align: center; transition: background 0.15s;
       }
       .record-format-cancel:hover { background: rgba(255,255,255,0.08); }
+      .record-format-select { padding: 6px 8px; border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; background: rgba(0,0,0,0.35); color: #fff; font: 500 12px/1 'Helvetica Neue',Arial,sans-serif; cursor: pointer; }
+      .record-export-bar { height: 6px; border-radius: 3px; background: rgba(255,255,255,0.12); overflow: hidden; margin-bottom: 10px; }
+      .record-export-bar-fill { width: 0; height: 100%; background: rgba(191,40,27,0.85); transition: width 0.1s linear; }
+      .record-export-text { font-size: 12px; color: rgba(255,255,255,0.78); text-align: center; margin-bottom: 14px; min-height: 15px; }
 
       body.touch-sim-mode, body.touch-sim-mode * { cursor: none !important; }
       body.touch-sim-mode .menu-container,
@@ -1028,6 +2447,30 @@ export function initPathAnimation(options = {}) {
         <div class="path-animation-title">Path<span id="pathAnimationActiveLabel" style="font-weight:400;opacity:0.7"></span></div>
         <button type="button" class="path-animation-close" aria-label="Close" style="width:24px;height:24px;border:1px solid rgba(255,255,255,0.2);border-radius:12px;background:rgba(0,0,0,0.3);color:#fff;cursor:pointer;font:500 14px/1 sans-serif">×</button>
       </div>
+      <div id="pathAnimationLibrary" class="path-animation-library" style="display:none">
+        <div id="pathAnimationLibraryList" class="path-animation-library-list" aria-label="Saved paths"></div>
+        <div class="path-animation-library-actions">
+          <button id="pathAnimationNewPathBtn" type="button" title="Start a new, empty path">New</button>
+          <button id="pathAnimationImportPathsBtn" type="button" title="Add paths from a .json file">Import</button>
+          <button id="pathAnimationExportPathsBtn" type="button" title="Download every path as a .json file">Export</button>
+        </div>
+        <input id="pathAnimationImportPathsInput" type="file" accept=".json,application/json" hidden>
+      </div>
+      <details id="pathAnimationGenerate" class="path-animation-generate">
+        <summary>Generate path</summary>
+        <div class="path-animation-timing-row">
+          <label for="pathAnimationGenerateKind">Shot</label>
+          <select id="pathAnimationGenerateKind" aria-label="Path generator">
+            <option value="orbit">Orbit</option>
+            <option value="reveal">Reveal (rise)</option>
+            <option value="flyover"${typeof getBoundary === 'function' ? '' : ' disabled'}>Lot flyover</option>
+          </select>
+        </div>
+        <div id="pathAnimationGenerateFields"></div>
+        <div class="path-animation-library-actions">
+          <button id="pathAnimationGenerateBtn" type="button" title="${isLibrary ? 'Add the generated shot as a new path' : 'Replace this path with the generated shot'}">Generate</button>
+        </div>
+      </details>
       <div id="pathAnimationStatus" class="path-animation-status"></div>
       <div id="pathAnimationSummary" class="path-animation-summary"></div>
       <div class="path-animation-timing">
@@ -1041,10 +2484,64 @@ export function initPathAnimation(options = {}) {
             <option value="2">2×</option>
           </select>
         </div>
+        <div class="path-animation-timing-row">
+          <label for="pathAnimationConstantSpeed">Constant speed</label>
+          <label class="path-animation-checkbox-label" title="Spread the total time by distance so the camera never lurches between close and far checkpoints">
+            <input id="pathAnimationConstantSpeed" type="checkbox" aria-label="Constant-speed playback">
+            <span>By distance</span>
+          </label>
+        </div>
+        <div class="path-animation-timing-row">
+          <label for="pathAnimationClearance">Clearance</label>
+          <input id="pathAnimationClearance" type="number" min="0" max="100" step="0.01" placeholder="${Number.isFinite(groundClearance) ? groundClearance : 'off'}" aria-label="Ground clearance" title="How far above the splat ground playback keeps the camera; blank uses the page default">
+        </div>
+        ${scene ? `<div class="path-animation-timing-row">
+          <label for="pathAnimationOverlay">3D view</label>
+          <label class="path-animation-checkbox-label" title="Draw the path, checkpoint cameras and look-at lines in the scene">
+            <input id="pathAnimationOverlay" type="checkbox" aria-label="Show the path in the scene">
+            <span>Show</span>
+          </label>
+          <select id="pathAnimationDragTarget" aria-label="What the gizmo moves">
+            <option value="position">Move camera</option>
+            <option value="lookAt">Move target</option>
+          </select>
+        </div>` : ''}
+        <div class="path-animation-timing-row">
+          <label for="pathAnimationAudio">Audio</label>
+          <input id="pathAnimationAudio" type="text" placeholder="Narration / music URL" aria-label="Audio track URL">
+          <button id="pathAnimationAudioFileBtn" type="button" class="path-animation-small-btn" title="Use a local audio file (this session only)">File</button>
+          <input id="pathAnimationAudioFile" type="file" accept="audio/*" hidden>
+        </div>
         <div class="path-animation-timing-row" id="pathAnimationDurationRow" style="display:none">
           <label for="pathAnimationDuration">Segment (s)</label>
           <input id="pathAnimationDuration" type="number" min="0.1" max="120" step="0.5" aria-label="Segment duration in seconds">
         </div>
+        <div class="path-animation-timing-row" id="pathAnimationEasingRow" style="display:none">
+          <label for="pathAnimationEasing">Easing</label>
+          <select id="pathAnimationEasing" aria-label="Easing to the next checkpoint">
+            ${EASING_PRESETS.map((e) => `<option value="${e.id}">${e.label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="path-animation-timing-row" id="pathAnimationFovRow" style="display:none">
+          <label for="pathAnimationFov">FOV (°)</label>
+          <input id="pathAnimationFov" type="number" min="5" max="150" step="1" placeholder="${+baseFov.toFixed(1)}" aria-label="Camera field of view at this checkpoint">
+        </div>
+        <div class="path-animation-timing-row" id="pathAnimationRollRow" style="display:none">
+          <label for="pathAnimationRoll">Roll (°)</label>
+          <input id="pathAnimationRoll" type="number" min="-180" max="180" step="1" placeholder="0" aria-label="Camera roll at this checkpoint">
+        </div>
+        <div class="path-animation-timing-row" id="pathAnimationTitleRow" style="display:none">
+          <label for="pathAnimationTitle">Title</label>
+          <input id="pathAnimationTitle" type="text" maxlength="${MAX_TITLE_LENGTH}" placeholder="Lower-third title" aria-label="Title shown from this checkpoint">
+        </div>
+        <div class="path-animation-timing-row" id="pathAnimationCaptionRow" style="display:none">
+          <label for="pathAnimationCaption">Caption</label>
+          <textarea id="pathAnimationCaption" rows="2" maxlength="${MAX_CAPTION_LENGTH}" placeholder="Shown until the next checkpoint" aria-label="Caption shown from this checkpoint"></textarea>
+        </div>
+        <div class="path-animation-timing-row" id="pathAnimationHighlightRow" style="display:none">
+          <label for="pathAnimationHighlight">Highlight</label>
+          <input id="pathAnimationHighlight" type="text" maxlength="${MAX_HIGHLIGHT_LENGTH}" placeholder="Tap dot caption or number" aria-label="Tap dot to highlight from this checkpoint">
+        </div>
         <div class="path-animation-timing-row" id="pathAnimationStopRow" style="display:none">
           <label for="pathAnimationStopAt">Stop here</label>
           <label class="path-animation-checkbox-label">
@@ -1057,6 +2554,12 @@ export function initPathAnimation(options = {}) {
           <input id="pathAnimationPauseDuration" type="number" min="0" max="60" step="0.5" aria-label="Pause duration in seconds">
         </div>
       </div>
+      <div class="path-animation-timeline">
+        <div id="pathAnimationTimelineTrack" class="path-animation-timeline-track" role="slider" tabindex="0" aria-label="Path timeline" aria-valuemin="0">
+          <div id="pathAnimationTimelinePlayhead" class="path-animation-timeline-playhead"></div>
+        </div>
+        <div id="pathAnimationTimelineTime" class="path-animation-timeline-time"></div>
+      </div>
       <div id="pathAnimationCheckpointStrip" class="animation-checkpoint-strip" aria-label="Camera checkpoints"></div>
       <div class="path-animation-actions">
         <button id="pathAnimationCaptureBtn" type="button" aria-label="Capture checkpoint" title="Capture"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="4" fill="currentColor" stroke="none"/></svg></button>
@@ -1081,6 +2584,62 @@ export function initPathAnimation(options = {}) {
     stopRowEl = document.getElementById('pathAnimationStopRow');
     pauseDurationInputEl = document.getElementById('pathAnimationPauseDuration');
     pauseDurationRowEl = document.getElementById('pathAnimationPauseDurationRow');
+    constantSpeedCheckboxEl = document.getElementById('pathAnimationConstantSpeed');
+    clearanceInputEl = document.getElementById('pathAnimationClearance');
+    overlayCheckboxEl = document.getElementById('pathAnimationOverlay');
+    dragTargetSelectEl = document.getElementById('pathAnimationDragTarget');
+    easingSelectEl = document.getElementById('pathAnimationEasing');
+    easingRowEl = document.getElementById('pathAnimationEasingRow');
+    fovInputEl = document.getElementById('pathAnimationFov');
+    fovRowEl = document.getElementById('pathAnimationFovRow');
+    rollInputEl = document.getElementById('pathAnimationRoll');
+    rollRowEl = document.getElementById('pathAnimationRollRow');
+    titleInputEl = document.getElementById('pathAnimationTitle');
+    titleRowEl = document.getElementById('pathAnimationTitleRow');
+    captionInputEl = document.getElementById('pathAnimationCaption');
+    captionRowEl = document.getElementById('pathAnimationCaptionRow');
+    highlightInputEl = document.getElementById('pathAnimationHighlight');
+    highlightRowEl = document.getElementById('pathAnimationHighlightRow');
+    audioInputEl = document.getElementById('pathAnimationAudio');
+    timelineTrackEl = document.getElementById('pathAnimationTimelineTrack');
+    timelinePlayheadEl = document.getElementById('pathAnimationTimelinePlayhead');
+    timelineTimeEl = document.getElementById('pathAnimationTimelineTime');
+
+    const generateEl = document.getElementById('pathAnimationGenerate');
+    generatorKindEl = document.getElementById('pathAnimationGenerateKind');
+    generatorFieldsEl = document.getElementById('pathAnimationGenerateFields');
+    // Defaults follow the view at the moment the section (or a shot) is picked.
+    generateEl.addEventListener('toggle', () => { if (generateEl.open) renderGeneratorFields(); });
+    generatorKindEl.addEventListener('change', renderGeneratorFields);
+    document.getElementById('pathAnimationGenerateBtn').addEventListener('click', () => applyGeneratedPath(generatorKindEl.value));
+
+    if (isLibrary) {
+      document.getElementById('pathAnimationLibrary').style.display = '';
+      libraryListEl = document.getElementById('pathAnimationLibraryList');
+      const importInput = document.getElementById('pathAnimationImportPathsInput');
+      document.getElementById('pathAnimationNewPathBtn').addEventListener('click', createNewPath);
+      document.getElementById('pathAnimationExportPathsBtn').addEventListener('click', exportLibraryFile);
+      document.getElementById('pathAnimationImportPathsBtn').addEventListener('click', () => importInput.click());
+      importInput.addEventListener('change', () => {
+        const file = importInput.files && importInput.files[0];
+        importInput.value = '';
+        if (file) importLibraryFile(file);
+      });
+    }
+
+    if (timelineTrackEl) {
+      timelineTrackEl.addEventListener('pointerdown', startScrub);
+      timelineTrackEl.addEventListener('keydown', (e) => {
+        if (pathState.checkpoints.length < 2) return;
+        const timeline = getPathTimeline();
+        const now = getPlayheadSeconds(timeline);
+        const step = e.shiftKey ? 0.1 : 0.5;
+        const next = { ArrowLeft: now - step, ArrowRight: now + step, Home: 0, End: timeline.total }[e.key];
+        if (next === undefined) return;
+        e.preventDefault();
+        scrubTo(next);
+      });
+    }
 
     if (deletePathBtn) {
       deletePathBtn.addEventListener('click', () => {
@@ -1091,6 +2650,7 @@ export function initPathAnimation(options = {}) {
         pathState.segmentIndex = 0;
         pathState.segmentElapsed = 0;
         editorState.selectedCheckpointIndex = 0;
+        queueThumbnail(activePathIndex);
         setStatus('Path deleted.');
         syncUI();
       });
@@ -1146,17 +2706,113 @@ export function initPathAnimation(options = {}) {
       pauseDurationInputEl.addEventListener('blur', applyPauseDuration);
     }
 
+    if (constantSpeedCheckboxEl) {
+      constantSpeedCheckboxEl.addEventListener('change', () => {
+        pathState.constantSpeed = constantSpeedCheckboxEl.checked;
+        setStatus(pathState.constantSpeed ? 'Constant speed: timing follows distance.' : 'Per-segment timing.');
+        syncUI();
+      });
+    }
+    if (overlayCheckboxEl) {
+      overlayCheckboxEl.addEventListener('change', () => setOverlayShown(overlayCheckboxEl.checked));
+    }
+    if (dragTargetSelectEl) {
+      dragTargetSelectEl.addEventListener('change', () => {
+        overlayState.dragTarget = dragTargetSelectEl.value === 'lookAt' ? 'lookAt' : 'position';
+        syncUI();
+      });
+    }
+    if (clearanceInputEl) {
+      clearanceInputEl.addEventListener('change', () => {
+        const raw = clearanceInputEl.value.trim();
+        pathState.clearance = raw === '' ? null : sanitizeClearance(parseFloat(raw));
+        syncUI();
+      });
+    }
+    if (easingSelectEl) {
+      easingSelectEl.addEventListener('change', () => {
+        const idx = editorState.selectedCheckpointIndex;
+        if (idx < 0 || idx >= pathState.checkpoints.length) return;
+        pathState.checkpoints[idx].easing = normalizeEasing(easingSelectEl.value);
+        setStatus(`Segment ${idx + 1} easing: ${easingSelectEl.options[easingSelectEl.selectedIndex].text}`);
+        syncUI();
+      });
+    }
+    // Blank clears the keyframe: the checkpoint then uses the page's FOV / no roll.
+    const bindOptionalNumber = (el, key, minVal, maxVal, label, unit) => {
+      if (!el) return;
+      const apply = () => {
+        const idx = editorState.selectedCheckpointIndex;
+        if (idx < 0 || idx >= pathState.checkpoints.length) return;
+        const raw = el.value.trim();
+        const val = raw === '' ? null : parseFloat(raw);
+        if (val !== null && !Number.isFinite(val)) return;
+        const next = val === null ? null : clamp(val, minVal, maxVal);
+        if (next === pathState.checkpoints[idx][key]) return;
+        pathState.checkpoints[idx][key] = next;
+        setStatus(next === null ? `${label} ${idx + 1}: default` : `${label} ${idx + 1}: ${next}${unit}`);
+        if (!pathState.playing) applyPathCheckpoint(idx);
+        syncUI();
+      };
+      el.addEventListener('change', apply);
+      el.addEventListener('blur', apply);
+    };
+    bindOptionalNumber(fovInputEl, 'fov', 5, 150, 'FOV at', '°');
+    bindOptionalNumber(rollInputEl, 'roll', -180, 180, 'Roll at', '°');
+    const bindCueText = (el, key, maxLength, label) => {
+      if (!el) return;
+      const apply = () => {
+        const idx = editorState.selectedCheckpointIndex;
+        if (idx < 0 || idx >= pathState.checkpoints.length) return;
+        const next = cleanCueText(el.value, maxLength);
+        if (next === pathState.checkpoints[idx][key]) return;
+        pathState.checkpoints[idx][key] = next;
+        setStatus(next ? `${label} at ${idx + 1} set.` : `${label} at ${idx + 1} cleared.`);
+        syncUI();
+      };
+      el.addEventListener('change', apply);
+      el.addEventListener('blur', apply);
+    };
+    bindCueText(titleInputEl, 'title', MAX_TITLE_LENGTH, 'Title');
+    bindCueText(captionInputEl, 'caption', MAX_CAPTION_LENGTH, 'Caption');
+    bindCueText(highlightInputEl, 'highlight', MAX_HIGHLIGHT_LENGTH, 'Highlight');
+
+    if (audioInputEl) {
+      const audioFileInput = document.getElementById('pathAnimationAudioFile');
+      const applyAudio = () => {
+        const next = audioInputEl.value.trim();
+        if (next === savableAudio(pathState.audio)) return;
+        pathState.audio = next;
+        setStatus(next ? 'Audio track set.' : 'Audio track removed.');
+        syncUI();
+      };
+      audioInputEl.addEventListener('change', applyAudio);
+      audioInputEl.addEventListener('blur', applyAudio);
+      document.getElementById('pathAnimationAudioFileBtn').addEventListener('click', () => audioFileInput.click());
+      audioFileInput.addEventListener('change', () => {
+        const file = audioFileInput.files && audioFileInput.files[0];
+        audioFileInput.value = '';
+        if (!file) return;
+        if (pathState.audio.startsWith('blob:')) URL.revokeObjectURL(pathState.audio);
+        pathState.audio = URL.createObjectURL(file);
+        syncUI();
+        setStatus(`Playing "${file.name}" this session; paste a URL to save audio with the path.`);
+      });
+    }
+
     const closeBtn = panelEl.querySelector('.path-animation-close');
     closeBtn.addEventListener('click', () => {
       editorState.open = false;
       panelEl.classList.remove('active');
       if (toggleBtn) toggleBtn.classList.remove('active');
+      syncPathOverlay();
     });
 
     toggleBtn.addEventListener('click', () => {
       editorState.open = !editorState.open;
       panelEl.classList.toggle('active', editorState.open);
       toggleBtn.classList.toggle('active', editorState.open);
+      syncPathOverlay();
     });
 
     if (captureBtn) captureBtn.addEventListener('click', captureCheckpoint);
@@ -1180,8 +2836,12 @@ export function initPathAnimation(options = {}) {
       recordBtnEl.innerHTML = '<svg viewBox="0 0 24 24" fill="currentColor"><circle cx="12" cy="12" r="6"/></svg>';
       recordBtnEl.addEventListener('click', () => {
         if (document.body.classList.contains('recording-mode')) return;
-        showFormatPicker((format, durationMs) => {
+        showFormatPicker((format, durationMs, { mode, fps }) => {
           document.body.classList.add('recording-mode');
+          if (mode === 'offline') {
+            showExportProgress(format, fps, () => document.body.classList.remove('recording-mode'));
+            return;
+          }
           recordPathAnimation({
             durationMs,
             fps: 30,
@@ -1199,6 +2859,21 @@ export function initPathAnimation(options = {}) {
       });
       menuContainer.appendChild(recordBtnEl);
 
+      if (isLibrary) {
+        toursBtnEl = document.createElement('div');
+        toursBtnEl.id = 'pathAnimationToursButton';
+        toursBtnEl.className = 'menu-button';
+        toursBtnEl.setAttribute('role', 'button');
+        toursBtnEl.setAttribute('title', 'Guided tours');
+        toursBtnEl.setAttribute('aria-label', 'Choose a guided tour');
+        toursBtnEl.setAttribute('aria-haspopup', 'menu');
+        toursBtnEl.setAttribute('aria-expanded', 'false');
+        toursBtnEl.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="6" cy="19" r="3"/><path d="M9 19h8.5a3.5 3.5 0 0 0 0-7h-11a3.5 3.5 0 0 1 0-7H15"/><circle cx="18" cy="5" r="3"/></svg>';
+        toursBtnEl.style.display = 'none';
+        toursBtnEl.addEventListener('click', () => (tourMenuEl ? closeTourMenu() : openTourMenu()));
+        menuContainer.appendChild(toursBtnEl);
+      }
+
       const canvasFormatBtn = document.createElement('div');
       canvasFormatBtn.id = 'canvasFormatButton';
       canvasFormatBtn.className = 'menu-button';
@@ -1269,7 +2944,7 @@ export function initPathAnimation(options = {}) {
   function setActivePath(index) {
     const idx = clamp(Math.floor(index), 0, allPaths.length - 1);
     if (idx === activePathIndex && pathState === allPaths[idx]) return;
-    pathState.playing = false;
+    stopPlayback();
     activePathIndex = idx;
     pathState = allPaths[idx];
     pathState.segmentIndex = 0;
@@ -1280,6 +2955,30 @@ export function initPathAnimation(options = {}) {
     syncUI();
   }
 
+  /** Replaces the active path with a "Copy JSON" payload (a single path, or the multi-path array). */
+  function loadPath(payload) {
+    const { paths } = readPathsPayload(payload);
+    const entry = paths.length > 1 ? paths[activePathIndex] : paths[0];
+    const src = entry && entry.path;
+    if (!src) throw new Error('Path JSON needs a checkpoints array.');
+    stopPlayback();
+    pathState.checkpoints = src.checkpoints.map(sanitizeCheckpoint);
+    if (Number.isFinite(src.speed) && src.speed > 0) pathState.speed = src.speed;
+    if (typeof src.loop === 'boolean') pathState.loop = src.loop;
+    pathState.constantSpeed = !!src.constantSpeed;
+    pathState.audio = typeof src.audio === 'string' ? src.audio.trim() : '';
+    pathState.clearance = sanitizeClearance(src.clearance);
+    pathState.enabled = pathState.checkpoints.length >= 2;
+    pathState.segmentIndex = 0;
+    pathState.segmentElapsed = 0;
+    pathState.pausedAtCheckpoint = null;
+    pathState.pauseElapsed = 0;
+    editorState.selectedCheckpointIndex = 0;
+    if (pathState.enabled) applyPathCheckpoint(0);
+    queueThumbnail(activePathIndex);
+    syncUI();
+  }
+
   function setSceneOrigin(origin) {
     if (origin && typeof origin === 'object') {
       currentSceneOrigin.x = Number.isFinite(origin.x) ? origin.x : currentSceneOrigin.x;
@@ -1295,17 +2994,26 @@ export function initPathAnimation(options = {}) {
       updatePathAnimation(deltaSeconds);
     },
     getState() {
-      return { enabled: pathState.enabled, playing: pathState.playing, pathState };
+      // Reports playing while exporting so pages hold off auto-rotate and other camera moves.
+      return { enabled: pathState.enabled, playing: pathState.playing || exporting, exporting, pathState };
     },
     goToAnimationStart,
-    pause() { pathState.playing = false; syncUI(); },
+    play,
+    pause() { stopPlayback(); syncUI(); },
+    seek: scrubTo,
+    getPlayback,
+    setRepeat,
+    on,
     getSerializedPayload,
     recordPathAnimation,
+    exportPathVideo,
     applyCanvasFormat,
     showCanvasFormatPicker,
     setActivePath,
+    loadPath,
     getActivePathIndex() { return activePathIndex; },
     getPathCount() { return allPaths.length; },
-    setSceneOrigin
+    setSceneOrigin,
+    getClearanceIssues
   };
 }
@@ -0,0 +1,172 @@
+/**
+ * Captions, lower-third titles and highlight cues for shared/path-animation.mjs.
+ * A checkpoint's text is on screen from the moment the camera arrives there
+ * (including any stop) until it reaches the next checkpoint. The cue math is
+ * pure; drawCaptionOverlay() only needs a 2D canvas context, so the live
+ * preview and burned-in recordings are drawn by the same code.
+ */
+
+export const CAPTION_FADE_SECONDS = 0.4;
+export const MAX_TITLE_LENGTH = 80;
+export const MAX_CAPTION_LENGTH = 280;
+export const MAX_HIGHLIGHT_LENGTH = 80;
+
+const FONT_FAMILY = "'Helvetica Neue',Arial,sans-serif";
+const ACCENT = 'rgba(191,40,27,0.9)';
+const BACKDROP = 'rgba(0,0,0,0.55)';
+
+/** Trimmed string up to `maxLength`, or '' for anything else. */
+export function cleanCueText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+export function hasCueContent(cp) {
+  return !!cp && !!(cp.title || cp.caption || cp.highlight);
+}
+
+function sameContent(a, b) {
+  return a.title === b.title && a.caption === b.caption && a.highlight === b.highlight;
+}
+
+/**
+ * `{ checkpointIndex, start, end, title, caption, highlight, fadeOut }` for every
+ * stretch of the timeline (see path-timeline.mjs) that belongs to a checkpoint
+ * with text or a highlight. Back-to-back cues with identical content merge, so
+ * text repeated on consecutive checkpoints stays up without flickering. The
+ * last cue of a path that ends there keeps full opacity to the final frame.
+ */
+export function buildCaptionCues(timeline, checkpoints) {
+  const spans = [];
+  let current = null;
+  const close = (end) => {
+    if (current && end > current.start) spans.push({ ...current, end });
+    current = null;
+  };
+  timeline.blocks.forEach((block) => {
+    if (current && current.checkpointIndex === block.checkpointIndex) return;
+    close(block.start);
+    current = { checkpointIndex: block.checkpointIndex, start: block.start };
+  });
+  close(timeline.total);
+
+  const cues = [];
+  spans.forEach((span) => {
+    const cp = checkpoints[span.checkpointIndex];
+    if (!hasCueContent(cp)) return;
+    const cue = {
+      ...span,
+      title: cp.title || '',
+      caption: cp.caption || '',
+      highlight: cp.highlight || '',
+      fadeOut: span.end < timeline.total
+    };
+    const prev = cues[cues.length - 1];
+    if (prev && prev.end === cue.start && sameContent(prev, cue)) {
+      prev.end = cue.end;
+      prev.fadeOut = cue.fadeOut;
+      return;
+    }
+    cues.push(cue);
+  });
+  return cues;
+}
+
+/** The cue on screen at `seconds`, or null. The final instant of the timeline counts as inside the last cue. */
+export function cueAt(cues, seconds) {
+  const cue = cues.find((c) => seconds >= c.start && seconds < c.end);
+  if (cue) return cue;
+  const last = cues[cues.length - 1];
+  return last && !last.fadeOut && seconds >= last.end ? last : null;
+}
+
+export function cueOpacity(cue, seconds, fade = CAPTION_FADE_SECONDS) {
+  if (!cue) return 0;
+  if (!(fade > 0)) return 1;
+  const fadeIn = (seconds - cue.start) / fade;
+  const fadeOut = cue.fadeOut ? (cue.end - seconds) / fade : 1;
+  return Math.min(1, Math.max(0, Math.min(fadeIn, fadeOut)));
+}
+
+/**
+ * Greedy word wrap. `measure(text)` returns a width in the same unit as
+ * `maxWidth`; explicit newlines are kept and a word longer than a line gets
+ * a line of its own.
+ */
+export function wrapLines(text, maxWidth, measure) {
+  const lines = [];
+  String(text || '').split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      const next = line ? `${line} ${word}` : word;
+      if (line && measure(next) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    });
+    if (line) lines.push(line);
+  });
+  return lines;
+}
+
+function fillBox(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  if (typeof ctx.roundRect === 'function') ctx.roundRect(x, y, w, h, r);
+  else ctx.rect(x, y, w, h);
+  ctx.fill();
+}
+
+/**
+ * Draws `cue` over whatever is already in `ctx` (`width`×`height` pixels):
+ * the caption centred near the bottom, the title as a lower third above it.
+ * Sizes follow the frame's area, so 1080p, vertical and 4K look alike.
+ */
+export function drawCaptionOverlay(ctx, cue, { width, height, opacity = 1 }) {
+  if (!cue || opacity <= 0 || (!cue.title && !cue.caption)) return;
+  const scale = Math.sqrt((width * height) / (1920 * 1080));
+  const pad = 48 * scale;
+  const boxPad = 14 * scale;
+  const radius = 10 * scale;
+  let bottom = height - pad;
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  ctx.textBaseline = 'top';
+
+  if (cue.caption) {
+    const size = 38 * scale;
+    const lineHeight = size * 1.3;
+    ctx.font = `500 ${size}px ${FONT_FAMILY}`;
+    const lines = wrapLines(cue.caption, Math.min(width - pad * 2, 1400 * scale) - boxPad * 2, (t) => ctx.measureText(t).width);
+    const textWidth = Math.max(...lines.map((l) => ctx.measureText(l).width));
+    const boxW = textWidth + boxPad * 2;
+    const boxH = lines.length * lineHeight + boxPad * 2;
+    const top = bottom - boxH;
+    ctx.fillStyle = BACKDROP;
+    fillBox(ctx, (width - boxW) / 2, top, boxW, boxH, radius);
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    lines.forEach((line, i) => ctx.fillText(line, width / 2, top + boxPad + i * lineHeight + (lineHeight - size) / 2));
+    bottom = top - pad * 0.5;
+  }
+
+  if (cue.title) {
+    const size = 52 * scale;
+    const lineHeight = size * 1.2;
+    const bar = 6 * scale;
+    ctx.font = `600 ${size}px ${FONT_FAMILY}`;
+    const lines = wrapLines(cue.title, width * 0.7 - boxPad * 2, (t) => ctx.measureText(t).width);
+    const textWidth = Math.max(...lines.map((l) => ctx.measureText(l).width));
+    const boxW = textWidth + boxPad * 2 + bar;
+    const boxH = lines.length * lineHeight + boxPad * 2;
+    const top = (cue.caption ? bottom : height - pad * 2) - boxH;
+    ctx.fillStyle = BACKDROP;
+    fillBox(ctx, pad, top, boxW, boxH, radius);
+    ctx.fillStyle = ACCENT;
+    ctx.fillRect(pad, top + boxPad, bar, boxH - boxPad * 2);
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'left';
+    lines.forEach((line, i) => ctx.fillText(line, pad + bar + boxPad, top + boxPad + i * lineHeight + (lineHeight - size) / 2));
+  }
+  ctx.restore();
+}
@@ -0,0 +1,193 @@
+/**
+ * Ground clearance for shared/path-animation.mjs. A coarse height field built
+ * from the splats' CPU points stands in for the terrain, so playback can keep
+ * the camera above it (and above the page's minY), and the editor can find
+ * the segments whose Catmull-Rom curve dips below that floor. No DOM or
+ * Three.js, so it can be tested in Node.
+ */
+
+import { evaluatePathPose, getSegmentCount } from './path-curves.mjs';
+import { sampleCpuPointsForFocus } from './splat-points.mjs';
+
+export const GROUND_GRID_SIZE = 64;
+export const GROUND_PERCENTILE = 0.9;
+export const MAX_GROUND_POINTS = 100000;
+export const CLEARANCE_SAMPLES_PER_SEGMENT = 24;
+export const GROUND_REBUILD_GROWTH = 1.5;
+
+/**
+ * World-space points (flat xyz) of every Luma splat under `root`, read from
+ * `lumaSplatsWebGL.loader.cpuPoints` and strided down to about `maxPoints` in
+ * total, with `sourceCount`, how many points the loaders had streamed. Splats
+ * stream in, so pass the last `sourceCount` as `unchangedFrom` to get null
+ * back cheaply while nothing new has arrived. Hidden splats are skipped.
+ */
+export function collectSplatPoints(root, { maxPoints = MAX_GROUND_POINTS, unchangedFrom = -1 } = {}) {
+  const splats = findSplats(root);
+  const sourceCount = splats.reduce((s, e) => s + e.count, 0);
+  if (sourceCount === unchangedFrom) return null;
+  if (!sourceCount) return { positions: new Float32Array(0), sourceCount: 0 };
+  const parts = splats.map(({ obj, loader, count }) => {
+    const sampled = sampleCpuPointsForFocus({
+      cpuPoints: loader.cpuPoints,
+      pointCount: count,
+      targetSampleCount: Math.max(1, Math.round((maxPoints * count) / sourceCount))
+    });
+    if (!sampled) return new Float32Array(0);
+    if (typeof obj.updateMatrixWorld === 'function') obj.updateMatrixWorld(true);
+    const m = obj.matrixWorld && obj.matrixWorld.elements;
+    const p = sampled.samples;
+    if (!m) return p;
+    for (let i = 0; i < p.length; i += 3) {
+      const x = p[i], y = p[i + 1], z = p[i + 2];
+      p[i] = m[0] * x + m[4] * y + m[8] * z + m[12];
+      p[i + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+      p[i + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+    }
+    return p;
+  });
+  const positions = new Float32Array(parts.reduce((s, p) => s + p.length, 0));
+  let offset = 0;
+  parts.forEach((p) => {
+    positions.set(p, offset);
+    offset += p.length;
+  });
+  return { positions, sourceCount };
+}
+
+function findSplats(root) {
+  const splats = [];
+  if (!root || typeof root.traverse !== 'function') return splats;
+  root.traverse((obj) => {
+    const loader = obj.lumaSplatsWebGL && obj.lumaSplatsWebGL.loader;
+    if (!loader || !loader.cpuPoints || obj.visible === false) return;
+    const available = Math.floor(loader.cpuPoints.length / 3);
+    const loaded = Number.isFinite(loader.cpuPtsCount) ? Math.floor(loader.cpuPtsCount) : available;
+    const count = Math.max(0, Math.min(available, loaded));
+    if (count) splats.push({ obj, loader, count });
+  });
+  return splats;
+}
+
+/** How many points the visible splats under `root` have streamed so far; cheap, nothing is decoded. */
+export function countSplatPoints(root) {
+  return findSplats(root).reduce((s, e) => s + e.count, 0);
+}
+
+/**
+ * Whether a height field built from `builtCount` points should be rebuilt
+ * now that the splats have `count`, given `previousCount` from the last
+ * check. Rebuilding sorts up to MAX_GROUND_POINTS on the main thread, so
+ * while points are still streaming in it only happens once the count has
+ * grown by GROUND_REBUILD_GROWTH; the final rebuild comes when it stops
+ * changing.
+ */
+export function groundNeedsRebuild(builtCount, previousCount, count) {
+  if (count === builtCount) return false;
+  if (!(builtCount > 0) || count === previousCount) return true;
+  return count >= builtCount * GROUND_REBUILD_GROWTH;
+}
+
+function quantile(sorted, q) {
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(q * (sorted.length - 1))))];
+}
+
+/**
+ * Height field over the ground-plane extent of `positions` (flat xyz). Each of
+ * the `gridSize`² square cells keeps the `percentile` height of its points,
+ * so stray floaters don't lift the ground while hills, trees and roofs still
+ * count. The outer 1% of points on x and z are left out of the extent (sky
+ * and background splats would otherwise stretch the cells). Returns null
+ * when there are too few points to say anything.
+ */
+export function buildHeightField(positions, { gridSize = GROUND_GRID_SIZE, percentile = GROUND_PERCENTILE } = {}) {
+  const n = Math.floor((positions ? positions.length : 0) / 3);
+  if (n < 16) return null;
+  const xs = new Float32Array(n);
+  const zs = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    xs[i] = positions[i * 3];
+    zs[i] = positions[i * 3 + 2];
+  }
+  xs.sort();
+  zs.sort();
+  const minX = quantile(xs, 0.01);
+  const minZ = quantile(zs, 0.01);
+  const span = Math.max(quantile(xs, 0.99) - minX, quantile(zs, 0.99) - minZ);
+  if (!(span > 0)) return null;
+  const size = Math.max(2, Math.round(gridSize));
+  const cellSize = span / size;
+  const buckets = Array.from({ length: size * size }, () => []);
+  for (let i = 0; i < n; i++) {
+    const cx = Math.floor((positions[i * 3] - minX) / cellSize);
+    const cz = Math.floor((positions[i * 3 + 2] - minZ) / cellSize);
+    if (cx < 0 || cz < 0 || cx > size || cz > size) continue;
+    buckets[Math.min(cz, size - 1) * size + Math.min(cx, size - 1)].push(positions[i * 3 + 1]);
+  }
+  const heights = new Float32Array(size * size).fill(NaN);
+  buckets.forEach((ys, i) => {
+    if (ys.length) heights[i] = quantile(ys.sort((a, b) => a - b), percentile);
+  });
+  const cell = (ix, iz) => (ix < 0 || iz < 0 || ix >= size || iz >= size ? NaN : heights[iz * size + ix]);
+
+  return {
+    minX,
+    minZ,
+    cellSize,
+    size,
+    heights,
+    /** Ground height at (x, z), bilinear between cell centres, or null where there are no points. */
+    heightAt(x, z) {
+      const fx = (x - minX) / cellSize - 0.5;
+      const fz = (z - minZ) / cellSize - 0.5;
+      const ix = Math.floor(fx);
+      const iz = Math.floor(fz);
+      const tx = fx - ix;
+      const tz = fz - iz;
+      let sum = 0;
+      let weight = 0;
+      [[0, 0, (1 - tx) * (1 - tz)], [1, 0, tx * (1 - tz)], [0, 1, (1 - tx) * tz], [1, 1, tx * tz]].forEach(([dx, dz, w]) => {
+        const h = cell(ix + dx, iz + dz);
+        if (Number.isNaN(h) || w <= 0) return;
+        sum += h * w;
+        weight += w;
+      });
+      return weight > 0 ? sum / weight : null;
+    }
+  };
+}
+
+/**
+ * Lowest camera height allowed at (x, z): the page's `minY`, and `clearance`
+ * above `groundAt(x, z)` when there is ground data there. -Infinity when
+ * neither applies.
+ */
+export function clearanceFloor(x, z, { minY = null, groundAt = null, clearance = 0 } = {}) {
+  let floor = Number.isFinite(minY) ? minY : -Infinity;
+  const ground = typeof groundAt === 'function' ? groundAt(x, z) : null;
+  if (Number.isFinite(ground)) floor = Math.max(floor, ground + (Number.isFinite(clearance) ? clearance : 0));
+  return floor;
+}
+
+/**
+ * Segments whose curve (with the path's easing and timing, as played) passes
+ * below `floorAt(x, z)`, as `{ segmentIndex, depth, t, position }` for the
+ * deepest sample of each. `depth` is how far below the floor it goes.
+ */
+export function findClearanceIssues(checkpoints, { loop = false, timing = null, floorAt, samplesPerSegment = CLEARANCE_SAMPLES_PER_SEGMENT } = {}) {
+  const segmentCount = getSegmentCount(checkpoints.length, loop);
+  if (!segmentCount || typeof floorAt !== 'function') return [];
+  const steps = Math.max(2, Math.round(samplesPerSegment));
+  const issues = [];
+  for (let segmentIndex = 0; segmentIndex < segmentCount; segmentIndex++) {
+    let worst = null;
+    for (let s = 0; s <= steps; s++) {
+      const t = s / steps;
+      const { position } = evaluatePathPose(checkpoints, segmentIndex, t, { loop, timing });
+      const depth = floorAt(position.x, position.z) - position.y;
+      if (depth > 1e-6 && (!worst || depth > worst.depth)) worst = { segmentIndex, depth, t, position };
+    }
+    if (worst) issues.push(worst);
+  }
+  return issues;
+}
@@ -0,0 +1,225 @@
+/**
+ * Pure curve math for shared/path-animation.mjs: Catmull-Rom interpolation,
+ * per-checkpoint easing, arc-length reparameterization (constant-speed
+ * playback) and camera FOV / roll keyframes. No DOM or Three.js, so it can be
+ * tested in Node and reused by anything that needs to evaluate a path offline.
+ *
+ * Checkpoint fields read here (all optional except position / lookAt):
+ *   { position, lookAt, duration, easing, fov, roll }
+ * `easing`, `duration` describe the segment that leaves the checkpoint;
+ * `fov` is vertical degrees, `roll` is degrees about the view axis.
+ */
+
+export const EASING_PRESETS = [
+  { id: 'linear', label: 'Linear' },
+  { id: 'ease-in', label: 'Ease in' },
+  { id: 'ease-out', label: 'Ease out' },
+  { id: 'ease-in-out', label: 'Ease in-out' },
+  { id: 'hold', label: 'Hold' }
+];
+
+const EASING_FUNCTIONS = {
+  linear: (t) => t,
+  'ease-in': (t) => t * t * t,
+  'ease-out': (t) => 1 - Math.pow(1 - t, 3),
+  'ease-in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  // Stay on the departing checkpoint for the whole segment, then cut.
+  hold: (t) => (t < 1 ? 0 : 1)
+};
+
+const ARC_LENGTH_SAMPLES = 48;
+const MIN_SEGMENT_SECONDS = 0.1;
+
+function clamp(value, minVal, maxVal) {
+  return Math.min(Math.max(value, minVal), maxVal);
+}
+
+export function normalizeEasing(name) {
+  return Object.prototype.hasOwnProperty.call(EASING_FUNCTIONS, name) ? name : 'linear';
+}
+
+export function applyEasing(name, t) {
+  return EASING_FUNCTIONS[normalizeEasing(name)](clamp(t, 0, 1));
+}
+
+export function catmullRomScalar(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return 0.5 * (
+    (2 * p1) +
+    (-p0 + p2) * t +
+    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+    (-p0 + 3 * p1 - 3 * p2 + p3) * t3
+  );
+}
+
+export function catmullRomVector(v0, v1, v2, v3, t, out) {
+  out.x = catmullRomScalar(v0.x, v1.x, v2.x, v3.x, t);
+  out.y = catmullRomScalar(v0.y, v1.y, v2.y, v3.y, t);
+  out.z = catmullRomScalar(v0.z, v1.z, v2.z, v3.z, t);
+  return out;
+}
+
+/** Checkpoint indices [i0, i1, i2, i3] around segment `segmentIndex` (wrapping when looping, clamped otherwise). */
+export function getSegmentIndices(count, segmentIndex, loop) {
+  const wrap = (i) => (loop ? ((i % count) + count) % count : clamp(i, 0, count - 1));
+  const i1 = loop ? wrap(segmentIndex) : clamp(segmentIndex, 0, count - 2);
+  const i2 = loop ? wrap(i1 + 1) : Math.min(i1 + 1, count - 1);
+  return [wrap(i1 - 1), i1, i2, wrap(i2 + 1)];
+}
+
+export function getSegmentCount(count, loop) {
+  if (count < 2) return 0;
+  return loop ? count : count - 1;
+}
+
+/**
+ * Cumulative chord lengths along one Catmull-Rom segment, normalised to 0..1,
+ * so arcLengthToT() can turn "fraction of distance" into curve parameter t.
+ */
+export function buildArcLengthTable(p0, p1, p2, p3, samples = ARC_LENGTH_SAMPLES) {
+  const cumulative = new Array(samples + 1);
+  const prev = { x: p1.x, y: p1.y, z: p1.z };
+  const cur = { x: 0, y: 0, z: 0 };
+  let length = 0;
+  cumulative[0] = 0;
+  for (let i = 1; i <= samples; i++) {
+    catmullRomVector(p0, p1, p2, p3, i / samples, cur);
+    length += Math.hypot(cur.x - prev.x, cur.y - prev.y, cur.z - prev.z);
+    cumulative[i] = length;
+    prev.x = cur.x;
+    prev.y = cur.y;
+    prev.z = cur.z;
+  }
+  if (length > 0) {
+    for (let i = 1; i <= samples; i++) cumulative[i] /= length;
+  }
+  return { length, cumulative };
+}
+
+export function arcLengthToT(table, fraction) {
+  const s = clamp(fraction, 0, 1);
+  const c = table && table.cumulative;
+  if (!c || !(table.length > 0)) return s;
+  let lo = 0;
+  let hi = c.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (c[mid] < s) lo = mid;
+    else hi = mid;
+  }
+  const span = c[hi] - c[lo];
+  const local = span > 0 ? (s - c[lo]) / span : 0;
+  return (lo + local) / (c.length - 1);
+}
+
+/**
+ * Per-segment durations and arc-length tables. With `constantSpeed` the total
+ * of the checkpoint durations is kept but redistributed by segment length, so
+ * the camera moves at one speed end to end; otherwise each checkpoint's own
+ * `duration` is used (the original behaviour).
+ */
+export function buildPathTiming(checkpoints, { loop = false, constantSpeed = false } = {}) {
+  const count = checkpoints.length;
+  const segmentCount = getSegmentCount(count, loop);
+  const durations = [];
+  const tables = [];
+  let totalSeconds = 0;
+  let totalLength = 0;
+  for (let s = 0; s < segmentCount; s++) {
+    const [i0, i1, i2, i3] = getSegmentIndices(count, s, loop);
+    const table = buildArcLengthTable(checkpoints[i0].position, checkpoints[i1].position, checkpoints[i2].position, checkpoints[i3].position);
+    tables.push(table);
+    const own = Math.max(MIN_SEGMENT_SECONDS, checkpoints[i1].duration || 5);
+    durations.push(own);
+    totalSeconds += own;
+    totalLength += table.length;
+  }
+  if (constantSpeed && totalLength > 0) {
+    for (let s = 0; s < segmentCount; s++) {
+      durations[s] = Math.max(MIN_SEGMENT_SECONDS, totalSeconds * (tables[s].length / totalLength));
+    }
+  }
+  return { durations, tables, constantSpeed: !!constantSpeed };
+}
+
+function keyframeValue(cp, key, fallback) {
+  return Number.isFinite(cp[key]) ? cp[key] : fallback;
+}
+
+/** True when any checkpoint sets `key` (fov / roll); otherwise the camera's own value is left alone. */
+export function hasKeyframes(checkpoints, key) {
+  return checkpoints.some((cp) => cp && Number.isFinite(cp[key]));
+}
+
+/**
+ * Camera pose at `progress` (0..1, in time) through `segmentIndex`. Easing of
+ * the departing checkpoint shapes time; with constant speed the eased value is
+ * read as a fraction of the segment's length. `fov` / `roll` are null unless
+ * the path keyframes them; unset checkpoints fall back to `baseFov` / 0.
+ */
+export function evaluatePathPose(checkpoints, segmentIndex, progress, options = {}) {
+  const { loop = false, timing = null, baseFov = 50 } = options;
+  const count = checkpoints.length;
+  if (count < 2) return null;
+  const [i0, i1, i2, i3] = getSegmentIndices(count, segmentIndex, loop);
+  const c0 = checkpoints[i0];
+  const c1 = checkpoints[i1];
+  const c2 = checkpoints[i2];
+  const c3 = checkpoints[i3];
+  let u = applyEasing(c1.easing, progress);
+  if (timing && timing.constantSpeed) u = arcLengthToT(timing.tables[i1], u);
+  const pose = {
+    position: catmullRomVector(c0.position, c1.position, c2.position, c3.position, u, { x: 0, y: 0, z: 0 }),
+    lookAt: catmullRomVector(c0.lookAt, c1.lookAt, c2.lookAt, c3.lookAt, u, { x: 0, y: 0, z: 0 }),
+    fov: null,
+    roll: null,
+    t: u
+  };
+  if (hasKeyframes(checkpoints, 'fov')) {
+    const f = [c0, c1, c2, c3].map((cp) => keyframeValue(cp, 'fov', baseFov));
+    pose.fov = clamp(catmullRomScalar(f[0], f[1], f[2], f[3], u), 1, 179);
+  }
+  if (hasKeyframes(checkpoints, 'roll')) {
+    const r = [c0, c1, c2, c3].map((cp) => keyframeValue(cp, 'roll', 0));
+    pose.roll = catmullRomScalar(r[0], r[1], r[2], r[3], u);
+  }
+  return pose;
+}
+
+/**
+ * World up vector for a camera looking along `forward` rolled by `rollDeg`
+ * (positive = counter-clockwise as seen by the viewer). Setting camera.up to
+ * this survives OrbitControls.update(), which re-runs lookAt() every frame.
+ */
+export function rollUpVector(forward, rollDeg, out = { x: 0, y: 1, z: 0 }) {
+  const fl = Math.hypot(forward.x, forward.y, forward.z) || 1;
+  const fx = forward.x / fl;
+  const fy = forward.y / fl;
+  const fz = forward.z / fl;
+  // World up made perpendicular to the view direction (falls back to +Z when looking straight up/down).
+  let ux = -fy * fx;
+  let uy = 1 - fy * fy;
+  let uz = -fy * fz;
+  let ul = Math.hypot(ux, uy, uz);
+  if (ul < 1e-6) {
+    ux = -fz * fx;
+    uy = -fz * fy;
+    uz = 1 - fz * fz;
+    ul = Math.hypot(ux, uy, uz) || 1;
+  }
+  ux /= ul;
+  uy /= ul;
+  uz /= ul;
+  // Rodrigues rotation of up about forward; up ⟂ forward so the dot term drops out.
+  const a = -(rollDeg * Math.PI) / 180;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  const cx = fy * uz - fz * uy;
+  const cy = fz * ux - fx * uz;
+  const cz = fx * uy - fy * ux;
+  out.x = ux * cos + cx * sin;
+  out.y = uy * cos + cy * sin;
+  out.z = uz * cos + cz * sin;
+  return out;
+}
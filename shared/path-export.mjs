@@ -0,0 +1,234 @@
+/**
+ * Frame-accurate video export for shared/path-animation.mjs. Instead of
+ * recording the live canvas in real time, the path is stepped at a fixed
+ * timestep and every frame is rendered and encoded, so a slow machine only
+ * takes longer and never drops frames. Output is MP4/H.264 through WebCodecs,
+ * or a zip of numbered PNGs where WebCodecs/H.264 is unavailable.
+ *
+ * The planning helpers are pure; encodePathFrames() needs a browser.
+ */
+
+import { createMp4Muxer } from './mp4-muxer.mjs';
+import { ZIP_MAX_BYTES, createZipStore, createZipWriter } from './zip-store.mjs';
+
+export const EXPORT_FRAME_RATES = [24, 30, 60];
+
+// Seconds between forced key frames, so the MP4 stays seekable.
+const KEY_FRAME_SECONDS = 2;
+const MAX_ENCODE_QUEUE = 4;
+
+// PNGs of rendered scenes run around two bytes per pixel; per-entry ZIP overhead on top.
+const PNG_BYTES_PER_PIXEL = 2;
+const ZIP_ENTRY_OVERHEAD = 30 + 46 + 2 * 16;
+// A zip built in memory holds every frame, then a second copy while it is assembled.
+export const MAX_IN_MEMORY_ZIP_BYTES = 1024 * 1024 * 1024;
+
+// H.264 levels as [level_idc, max macroblocks per second, max macroblocks per frame].
+const AVC_LEVELS = [
+  [0x1f, 108000, 3600],
+  [0x28, 245760, 8192],
+  [0x2a, 522240, 8704],
+  [0x32, 589824, 22080],
+  [0x33, 983040, 36864],
+  [0x34, 2073600, 36864]
+];
+
+/**
+ * Path time (in path seconds) of every output frame for a path `totalSeconds`
+ * long played at `speed`: one frame per 1/fps of output video, first frame at
+ * 0 and the last one exactly on the final pose.
+ */
+export function planExportFrames(totalSeconds, { fps = 30, speed = 1 } = {}) {
+  const total = Math.max(0, totalSeconds || 0);
+  const rate = Math.max(0.1, speed || 1);
+  const frameCount = Math.max(1, Math.round((total / rate) * fps)) + 1;
+  const times = new Array(frameCount);
+  for (let i = 0; i < frameCount; i++) times[i] = Math.min(total, (i * rate) / fps);
+  return times;
+}
+
+/** H.264 needs even dimensions; rounds down (minimum 2). */
+export function evenSize(width, height) {
+  return {
+    width: Math.max(2, Math.floor(width / 2) * 2),
+    height: Math.max(2, Math.floor(height / 2) * 2)
+  };
+}
+
+/** Smallest H.264 level that fits the size and rate, or null when even 5.2 is too small. */
+export function pickAvcLevel(width, height, fps) {
+  const frameMbs = Math.ceil(width / 16) * Math.ceil(height / 16);
+  const level = AVC_LEVELS.find(([, maxMbps, maxFs]) => frameMbs <= maxFs && frameMbs * fps <= maxMbps);
+  return level ? level[0] : null;
+}
+
+/** Codec strings to try in order: High, Main, then Constrained Baseline, all at the level the output needs. */
+export function avcCodecCandidates(width, height, fps) {
+  const level = pickAvcLevel(width, height, fps) ?? 0x34;
+  const hex = level.toString(16).padStart(2, '0').toUpperCase();
+  return [`avc1.6400${hex}`, `avc1.4D00${hex}`, `avc1.42E0${hex}`];
+}
+
+/** Roughly 0.1 bits per pixel per frame, clamped to a sensible range. */
+export function suggestBitrate(width, height, fps) {
+  return Math.round(Math.min(80e6, Math.max(4e6, width * height * fps * 0.1)));
+}
+
+/** First VideoEncoder config this browser can encode, or null (no WebCodecs / no H.264). */
+export async function resolveMp4EncoderConfig(width, height, fps) {
+  if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') return null;
+  for (const codec of avcCodecCandidates(width, height, fps)) {
+    const config = {
+      codec,
+      width,
+      height,
+      framerate: fps,
+      bitrate: suggestBitrate(width, height, fps),
+      avc: { format: 'avc' }
+    };
+    try {
+      const support = await VideoEncoder.isConfigSupported(config);
+      if (support && support.supported) return support.config || config;
+    } catch (_) {}
+  }
+  return null;
+}
+
+function abortError() {
+  const err = new Error('Export cancelled.');
+  err.name = 'AbortError';
+  return err;
+}
+
+/** Rough size of a zip of `frameCount` PNG frames at `width`×`height`. */
+export function estimatePngZipBytes(width, height, frameCount) {
+  return frameCount * (Math.ceil(width * height * PNG_BYTES_PER_PIXEL) + ZIP_ENTRY_OVERHEAD) + 22;
+}
+
+/**
+ * Throws before any frame is rendered when a PNG-zip export would not fit:
+ * past the plain-ZIP 4 GB limit, or, when the zip is built in memory
+ * (`streaming` false), past MAX_IN_MEMORY_ZIP_BYTES.
+ */
+export function assertPngZipFits(width, height, frameCount, { streaming = false } = {}) {
+  const estimate = estimatePngZipBytes(width, height, frameCount);
+  const gb = (bytes) => (bytes / 1024 ** 3).toFixed(1);
+  if (estimate > ZIP_MAX_BYTES) {
+    throw new Error(`${frameCount} PNG frames at ${width}×${height} come to about ${gb(estimate)} GB, over the 4 GB ZIP limit; export a shorter path, a lower frame rate or a smaller format.`);
+  }
+  if (!streaming && estimate > MAX_IN_MEMORY_ZIP_BYTES) {
+    throw new Error(`${frameCount} PNG frames at ${width}×${height} come to about ${gb(estimate)} GB, too much to hold in memory; use a browser that can save straight to a file, or export a shorter path or smaller format.`);
+  }
+  return estimate;
+}
+
+function nextAnimationFrame() {
+  return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+}
+
+function canvasToPng(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not read a frame from the canvas.'))), 'image/png');
+  });
+}
+
+/**
+ * Renders and encodes `frameCount` frames from `canvas`. `drawFrame(i)` must
+ * pose the camera and render synchronously: it runs once, then again after
+ * `settleFrames` animation frames (so anything that reacts to the camera,
+ * such as splat sorting, catches up), and the frame is captured straight
+ * after the second call, before the browser can clear the drawing buffer.
+ *
+ * `format` is 'mp4', 'png' or 'auto' (MP4 when supported, else PNG zip).
+ * Resolves to `{ blob, format, extension }`; rejects with an AbortError
+ * when `signal` is aborted.
+ *
+ * For a PNG zip, `openWritable()` may resolve to a writable stream (e.g.
+ * from showSaveFilePicker); frames are then written to it as they are
+ * encoded and `blob` is null. Without one the zip is built in memory. Either
+ * way an export too large for the target is refused before rendering.
+ */
+export async function encodePathFrames({
+  canvas,
+  width,
+  height,
+  fps = 30,
+  frameCount,
+  drawFrame,
+  format = 'auto',
+  settleFrames = 1,
+  signal,
+  onProgress,
+  openWritable
+}) {
+  const checkAbort = () => { if (signal && signal.aborted) throw abortError(); };
+  const report = (frame, phase) => { if (typeof onProgress === 'function') onProgress({ frame, frameCount, phase }); };
+  const encoderConfig = format === 'png' ? null : await resolveMp4EncoderConfig(width, height, fps);
+  if (format === 'mp4' && !encoderConfig) throw new Error('This browser cannot encode H.264 video; export PNG frames instead.');
+
+  const prepare = async (i) => {
+    checkAbort();
+    drawFrame(i);
+    for (let s = 0; s < settleFrames; s++) await nextAnimationFrame();
+    checkAbort();
+    drawFrame(i);
+  };
+
+  if (!encoderConfig) {
+    assertPngZipFits(width, height, frameCount, { streaming: true });
+    const writable = typeof openWritable === 'function' ? await openWritable() : null;
+    if (!writable) assertPngZipFits(width, height, frameCount);
+    const zip = writable ? createZipWriter((chunk) => writable.write(chunk)) : createZipStore();
+    const digits = String(frameCount).length;
+    try {
+      for (let i = 0; i < frameCount; i++) {
+        await prepare(i);
+        // toBlob snapshots the bitmap synchronously, so the read happens before the buffer is cleared.
+        const png = await canvasToPng(canvas);
+        await zip.addFile(`frame-${String(i + 1).padStart(Math.max(5, digits), '0')}.png`, new Uint8Array(await png.arrayBuffer()));
+        report(i + 1, 'render');
+      }
+      checkAbort();
+      report(frameCount, 'finalize');
+      if (!writable) return { blob: new Blob([zip.finalize()], { type: 'application/zip' }), format: 'png', extension: 'zip' };
+      await zip.finish();
+      await writable.close();
+      return { blob: null, format: 'png', extension: 'zip' };
+    } catch (err) {
+      if (writable && typeof writable.abort === 'function') await writable.abort().catch(() => {});
+      throw err;
+    }
+  }
+
+  const muxer = createMp4Muxer({ width, height, fps });
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, metadata) => {
+      try { muxer.addChunk(chunk, metadata); } catch (e) { encodeError = e; }
+    },
+    error: (e) => { encodeError = e; }
+  });
+  encoder.configure(encoderConfig);
+  const frameDuration = Math.round(1e6 / fps);
+  const keyEvery = Math.max(1, Math.round(fps * KEY_FRAME_SECONDS));
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      await prepare(i);
+      const frame = new VideoFrame(canvas, { timestamp: i * frameDuration, duration: frameDuration });
+      encoder.encode(frame, { keyFrame: i % keyEvery === 0 });
+      frame.close();
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !encodeError) {
+        await new Promise((resolve) => setTimeout(resolve, 4));
+      }
+      if (encodeError) throw encodeError;
+      report(i + 1, 'render');
+    }
+    checkAbort();
+    report(frameCount, 'finalize');
+    await encoder.flush();
+    if (encodeError) throw encodeError;
+    return { blob: new Blob([muxer.finalize()], { type: 'video/mp4' }), format: 'mp4', extension: 'mp4' };
+  } finally {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Generators for common camera paths in shared/path-animation.mjs: an orbit
+ * around the scene, a rising "reveal" from ground level to an aerial view and
+ * a flyover along the lot boundary. Each returns `{ loop, checkpoints }` in the
+ * editor's checkpoint shape, so the result is an ordinary path to refine by
+ * hand. No DOM or Three.js, so it can be tested in Node.
+ */
+
+const DEG = Math.PI / 180;
+
+function isVector(p) {
+  return !!p && Number.isFinite(p.x) && Number.isFinite(p.y) && Number.isFinite(p.z);
+}
+
+function round6(v) {
+  return +v.toFixed(6);
+}
+
+function point(x, y, z) {
+  return { x: round6(x), y: round6(y), z: round6(z) };
+}
+
+function checkpoint(position, lookAt, duration) {
+  return { position, lookAt, duration: +Math.max(0.1, duration).toFixed(3), pauseAt: false, pauseDuration: 1 };
+}
+
+function horizontalDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+/** Angle in degrees of `position` around `center` in the ground plane (0 = +x, 90 = +z). */
+export function azimuthOf(position, center) {
+  return Math.atan2(position.z - center.z, position.x - center.x) / DEG;
+}
+
+/**
+ * Circle or ellipse around `center`, `height` above it, always looking at it.
+ * Whole numbers of laps loop seamlessly; fractional laps give an open arc that
+ * stops where it ends. `startAngle` (degrees, see azimuthOf) is where it begins;
+ * clockwise is as seen from above.
+ */
+export function generateOrbit({
+  center,
+  radiusX,
+  radiusZ = radiusX,
+  height = 0,
+  laps = 1,
+  lapSeconds = 20,
+  startAngle = 0,
+  clockwise = false,
+  pointsPerLap = 8
+}) {
+  if (!isVector(center)) throw new Error('Orbit needs a center.');
+  if (!(radiusX > 0) || !(radiusZ > 0)) throw new Error('Orbit radius must be greater than 0.');
+  if (!(laps > 0)) throw new Error('Orbit needs at least part of a lap.');
+  const steps = Math.max(3, Math.round(pointsPerLap));
+  const wholeLaps = Math.abs(laps - Math.round(laps)) < 1e-6;
+  const count = wholeLaps ? Math.round(laps) * steps : Math.max(2, Math.round(laps * steps) + 1);
+  const span = wholeLaps ? Math.round(laps) * 2 * Math.PI : laps * 2 * Math.PI;
+  const stepAngle = (span / (wholeLaps ? count : count - 1)) * (clockwise ? 1 : -1);
+  const segmentSeconds = (lapSeconds * laps) / (wholeLaps ? count : count - 1);
+  const lookAt = point(center.x, center.y, center.z);
+  const checkpoints = [];
+  for (let i = 0; i < count; i++) {
+    const a = startAngle * DEG + i * stepAngle;
+    const position = point(center.x + Math.cos(a) * radiusX, center.y + height, center.z + Math.sin(a) * radiusZ);
+    checkpoints.push(checkpoint(position, lookAt, segmentSeconds));
+  }
+  return { loop: wholeLaps, checkpoints };
+}
+
+/**
+ * Starts low (`startHeight` above the center, looking level at it from
+ * `distance` away along `azimuth`) and climbs, pulling back a little, to
+ * `endHeight` looking down on the center. The climb accelerates, so the
+ * ground-level part reads before the aerial view opens up.
+ */
+export function generateReveal({
+  center,
+  azimuth = 0,
+  distance,
+  startHeight,
+  endHeight,
+  seconds = 12,
+  steps = 4
+}) {
+  if (!isVector(center)) throw new Error('Reveal needs a center.');
+  if (!(distance > 0)) throw new Error('Reveal distance must be greater than 0.');
+  if (!(endHeight > startHeight)) throw new Error('Reveal must end higher than it starts.');
+  const n = Math.max(2, Math.round(steps));
+  const dx = Math.cos(azimuth * DEG);
+  const dz = Math.sin(azimuth * DEG);
+  const checkpoints = [];
+  for (let i = 0; i <= n; i++) {
+    const t = i / n;
+    const rise = t * t;
+    const d = distance * (1 + 0.25 * t);
+    const position = point(center.x + dx * d, center.y + startHeight + (endHeight - startHeight) * rise, center.z + dz * d);
+    const lookAt = point(center.x, center.y + startHeight * (1 - t), center.z);
+    checkpoints.push(checkpoint(position, lookAt, seconds / n));
+  }
+  return { loop: false, checkpoints };
+}
+
+/**
+ * Boundary vertices in walking order. `points` are `{ name, position }` (as in
+ * the pages' borderDotPositionsByHole) or bare vectors; `connections`
+ * (`{ start, end }` by name, as in borderLineConnectionsByHole) are followed
+ * from an end of the line, or any vertex of a closed loop. Without usable
+ * connections the vertices are sorted by angle around their centroid.
+ */
+export function orderBoundary(points, connections = []) {
+  const items = (points || [])
+    .map((p, i) => ({ name: p && p.name != null ? String(p.name) : String(i), position: p && p.position ? p.position : p }))
+    .filter((p) => isVector(p.position));
+  const byName = new Map(items.map((p) => [p.name, p]));
+  const adjacency = new Map();
+  (connections || []).forEach((c) => {
+    if (!c || c.start === c.end || !byName.has(c.start) || !byName.has(c.end)) return;
+    [[c.start, c.end], [c.end, c.start]].forEach(([a, b]) => {
+      if (!adjacency.has(a)) adjacency.set(a, []);
+      if (!adjacency.get(a).includes(b)) adjacency.get(a).push(b);
+    });
+  });
+  if (adjacency.size >= 3) {
+    const names = [...adjacency.keys()];
+    let current = names.find((n) => adjacency.get(n).length === 1) || names[0];
+    const visited = new Set([current]);
+    const walk = [current];
+    for (;;) {
+      const next = adjacency.get(current).find((n) => !visited.has(n));
+      if (!next) break;
+      visited.add(next);
+      walk.push(next);
+      current = next;
+    }
+    if (walk.length >= 3) return walk.map((n) => ({ ...byName.get(n).position }));
+  }
+  const cx = items.reduce((s, p) => s + p.position.x, 0) / (items.length || 1);
+  const cz = items.reduce((s, p) => s + p.position.z, 0) / (items.length || 1);
+  return items
+    .map((p) => ({ ...p.position }))
+    .sort((a, b) => Math.atan2(a.z - cz, a.x - cx) - Math.atan2(b.z - cz, b.x - cx));
+}
+
+/** Drops vertices closer than `minSpacing` (ground distance) to the previous kept one, keeping at least three. */
+export function simplifyLoop(loop, minSpacing) {
+  if (!(minSpacing > 0) || loop.length <= 3) return loop.slice();
+  const kept = [loop[0]];
+  for (let i = 1; i < loop.length; i++) {
+    if (horizontalDistance(kept[kept.length - 1], loop[i]) >= minSpacing) kept.push(loop[i]);
+  }
+  if (kept.length > 3 && horizontalDistance(kept[kept.length - 1], kept[0]) < minSpacing) kept.pop();
+  return kept.length >= 3 ? kept : loop.slice();
+}
+
+/**
+ * Closed loop `height` above the ordered `boundary`, pushed `offset` outwards
+ * from its centroid, one lap in `seconds` with time spread by distance.
+ * `lookAt: 'center'` keeps the whole lot in frame; `'ahead'` looks at the
+ * next corner on the ground. Corners closer together than `minSpacing`
+ * (default 1/40 of the perimeter) are merged so short edges don't jolt.
+ */
+export function generateFlyover({ boundary, height, offset = 0, seconds = 30, lookAt = 'center', minSpacing }) {
+  const raw = (boundary || []).filter(isVector);
+  if (raw.length < 3) throw new Error('Flyover needs a lot boundary with at least 3 corners.');
+  const perimeter = raw.reduce((s, p, i) => s + horizontalDistance(p, raw[(i + 1) % raw.length]), 0);
+  const corners = simplifyLoop(raw, minSpacing ?? perimeter / 40);
+  const cx = corners.reduce((s, p) => s + p.x, 0) / corners.length;
+  const cy = corners.reduce((s, p) => s + p.y, 0) / corners.length;
+  const cz = corners.reduce((s, p) => s + p.z, 0) / corners.length;
+  const positions = corners.map((p) => {
+    const len = Math.hypot(p.x - cx, p.z - cz) || 1;
+    return point(p.x + ((p.x - cx) / len) * offset, p.y + height, p.z + ((p.z - cz) / len) * offset);
+  });
+  const lengths = positions.map((p, i) => horizontalDistance(p, positions[(i + 1) % positions.length]));
+  const total = lengths.reduce((s, l) => s + l, 0) || 1;
+  const center = point(cx, cy, cz);
+  const checkpoints = positions.map((position, i) => {
+    const next = corners[(i + 1) % corners.length];
+    const target = lookAt === 'ahead' ? point(next.x, next.y, next.z) : center;
+    return checkpoint(position, target, (seconds * lengths[i]) / total);
+  });
+  return { loop: true, checkpoints };
+}
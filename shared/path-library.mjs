@@ -0,0 +1,135 @@
+/**
+ * Named path library for shared/path-animation.mjs: storage format, the
+ * legacy single-path migration, and the .json files paths are shared with.
+ * Paths are kept in the serialized shape path-animation already uses for
+ * "Copy JSON" ({ enabled, loop, speed, constantSpeed?, checkpoints }). No DOM,
+ * so it can be tested in Node.
+ */
+
+export const PATH_LIBRARY_FORMAT = 'path-library';
+export const PATH_LIBRARY_VERSION = 1;
+export const DEFAULT_PATH_NAME = 'Main path';
+
+let idCounter = 0;
+
+export function makePathId() {
+  idCounter += 1;
+  return `p-${Date.now().toString(36)}-${idCounter.toString(36)}`;
+}
+
+function isPathLike(value) {
+  return !!value && typeof value === 'object' && Array.isArray(value.checkpoints);
+}
+
+function cleanName(name) {
+  return typeof name === 'string' ? name.trim().slice(0, 80) : '';
+}
+
+/** `base`, or `base (2)`, `base (3)`… whichever is not in `names` yet. */
+export function uniquePathName(names, base) {
+  const root = cleanName(base).replace(/\s+\(\d+\)$/, '') || 'Path';
+  const taken = new Set(names);
+  if (!taken.has(root)) return root;
+  for (let n = 2; ; n++) {
+    const candidate = `${root} (${n})`;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
+
+/** Library entry: metadata plus the serialized path under `path`. */
+export function createLibraryEntry(path, { id = makePathId(), name = DEFAULT_PATH_NAME, published = false } = {}) {
+  const rest = { ...(path || {}) };
+  ['id', 'name', 'label', 'published'].forEach((key) => delete rest[key]);
+  return {
+    id,
+    name: cleanName(name) || DEFAULT_PATH_NAME,
+    published: !!published,
+    path: { ...rest, checkpoints: Array.isArray(rest.checkpoints) ? rest.checkpoints : [] }
+  };
+}
+
+/**
+ * Entries for a new page load. A stored library wins; otherwise the page's
+ * `library` option (published paths) seeds it, or a single "Main path" from
+ * `initialPath`. An old single-path draft (`legacy`, from the pre-library
+ * storage key) replaces the first entry's path, as it used to replace initialPath.
+ */
+export function restoreLibrary({ stored, libraryOption, initialPath, legacy }) {
+  if (stored && stored.format === PATH_LIBRARY_FORMAT && Array.isArray(stored.entries)) {
+    const entries = stored.entries
+      .filter((e) => e && isPathLike(e.path))
+      .map((e) => createLibraryEntry(e.path, { id: typeof e.id === 'string' && e.id ? e.id : makePathId(), name: e.name, published: e.published }));
+    if (entries.length) {
+      const active = entries.find((e) => e.id === stored.activeId) || entries[0];
+      return { entries, activeId: active.id };
+    }
+  }
+  let entries = [];
+  if (libraryOption) {
+    const parsed = readPathsPayload(libraryOption);
+    entries = parsed.paths.map((p) => createLibraryEntry(p.path, { name: p.name, published: p.published }));
+  }
+  if (!entries.length) entries = [createLibraryEntry(isPathLike(initialPath) ? initialPath : { checkpoints: [] }, { name: DEFAULT_PATH_NAME })];
+  if (isPathLike(legacy)) {
+    entries[0] = { ...entries[0], path: { ...entries[0].path, ...legacy, checkpoints: legacy.checkpoints } };
+  }
+  return { entries, activeId: entries[0].id };
+}
+
+export function serializeLibrary(entries, activeId) {
+  return {
+    format: PATH_LIBRARY_FORMAT,
+    version: PATH_LIBRARY_VERSION,
+    activeId,
+    entries: entries.map((e) => ({ id: e.id, name: e.name, published: e.published, path: e.path }))
+  };
+}
+
+/** The shareable .json file for `entries` (no ids or thumbnails; those are local). */
+export function buildLibraryFile(entries, { property = '', exportedAt = new Date().toISOString() } = {}) {
+  return JSON.stringify({
+    format: PATH_LIBRARY_FORMAT,
+    version: PATH_LIBRARY_VERSION,
+    property,
+    exportedAt,
+    paths: entries.map((e) => ({ name: e.name, published: e.published, ...e.path }))
+  }, null, 2);
+}
+
+/**
+ * Reads any of: a library file, a single "Copy JSON" path, or the multi-path
+ * "Copy JSON" array. Returns `{ paths: [{ name, published, path }], skipped }`
+ * where `skipped` counts entries without a checkpoints array.
+ */
+export function readPathsPayload(payload) {
+  if (payload && payload.format === PATH_LIBRARY_FORMAT) {
+    if (Number.isFinite(payload.version) && payload.version > PATH_LIBRARY_VERSION) {
+      throw new Error(`This file is path library v${payload.version}; this page reads up to v${PATH_LIBRARY_VERSION}.`);
+    }
+    payload = payload.paths;
+  }
+  const list = Array.isArray(payload) ? payload : [payload];
+  const paths = [];
+  let skipped = 0;
+  list.forEach((item, i) => {
+    if (!isPathLike(item)) {
+      skipped += 1;
+      return;
+    }
+    const { name, label, published, ...path } = item;
+    paths.push({ name: cleanName(name) || cleanName(label) || `Path ${i + 1}`, published: !!published, path });
+  });
+  return { paths, skipped };
+}
+
+export function parseLibraryFile(text) {
+  let payload;
+  try {
+    payload = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw new Error('File is not valid JSON.');
+  }
+  const result = readPathsPayload(payload);
+  if (!result.paths.length) throw new Error('No paths with checkpoints found in the file.');
+  return result;
+}
@@ -0,0 +1,189 @@
+/**
+ * In-scene view of the path being edited in shared/path-animation.mjs: the
+ * interpolated camera spline (stretches below the ground clearance in amber),
+ * a small camera frustum at every checkpoint and a dashed line to its look-at
+ * point. The selected checkpoint gets a TransformControls gizmo, as
+ * obj-home-editor.mjs uses for models, that moves either its camera or its
+ * target. path-animation.mjs loads this module on demand, so pages without
+ * `three/addons/` in their import map still get the rest of the editor.
+ */
+
+import {
+  BufferGeometry,
+  Float32BufferAttribute,
+  Group,
+  Line,
+  LineBasicMaterial,
+  LineDashedMaterial,
+  LineSegments,
+  Object3D,
+  Points,
+  PointsMaterial,
+  Vector3
+} from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { rollUpVector } from './path-curves.mjs';
+
+const PATH_COLOR = [1, 1, 1];
+const LOW_COLOR = [0.94, 0.71, 0.16];
+const CHECKPOINT_COLOR = [0.75, 0.16, 0.11];
+const SELECTED_COLOR = [1, 0.84, 0.48];
+
+// Drawn over the splats so the path stays readable inside hills and buildings.
+function overlayMaterial(Material, params) {
+  return new Material({ vertexColors: true, transparent: true, depthTest: false, depthWrite: false, ...params });
+}
+
+function geometryFrom(positions, colors) {
+  const geometry = new BufferGeometry();
+  geometry.setAttribute('position', new Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new Float32BufferAttribute(colors, 3));
+  return geometry;
+}
+
+/**
+ * Line-segment endpoints (flat xyz) of a frustum glyph at `position` looking
+ * at `lookAt`: apex, the far rectangle at `size` along the view and a small
+ * triangle marking up, tilted by `roll` degrees.
+ */
+function frustumLines(position, lookAt, { fov, aspect, roll, size }) {
+  const p = new Vector3(position.x, position.y, position.z);
+  const forward = new Vector3(lookAt.x - p.x, lookAt.y - p.y, lookAt.z - p.z);
+  if (forward.lengthSq() < 1e-12) return [];
+  forward.normalize();
+  const up = rollUpVector(forward, roll || 0, new Vector3());
+  const right = new Vector3().crossVectors(forward, up).normalize();
+  const h = size * Math.tan((fov * Math.PI) / 360);
+  const w = h * aspect;
+  const at = (f, r, u) => p.clone().addScaledVector(forward, f).addScaledVector(right, r).addScaledVector(up, u);
+  const corners = [at(size, -w, h), at(size, w, h), at(size, w, -h), at(size, -w, -h)];
+  const tip = [at(size, -w * 0.5, h * 1.15), at(size, 0, h * 1.6), at(size, w * 0.5, h * 1.15)];
+  const lines = [];
+  corners.forEach((c, i) => lines.push(p, c, c, corners[(i + 1) % 4]));
+  lines.push(tip[0], tip[1], tip[1], tip[2]);
+  return lines.flatMap((v) => [v.x, v.y, v.z]);
+}
+
+/**
+ * `onDrag(index, key, { x, y, z })` fires while the gizmo moves checkpoint
+ * `index`'s `key` ('position' or 'lookAt'); `onDragEnd(index, key)` when it is
+ * released. OrbitControls are disabled during the drag.
+ */
+export function createPathOverlay({ scene, camera, renderer, controls, onDrag, onDragEnd }) {
+  const group = new Group();
+  group.name = 'path-animation-overlay';
+  group.visible = false;
+  const curveLine = new Line(new BufferGeometry(), overlayMaterial(LineBasicMaterial, { opacity: 0.9 }));
+  const glyphs = new LineSegments(new BufferGeometry(), overlayMaterial(LineBasicMaterial, { opacity: 0.95 }));
+  const aimLines = new LineSegments(new BufferGeometry(), overlayMaterial(LineDashedMaterial, { opacity: 0.7 }));
+  const targets = new Points(new BufferGeometry(), overlayMaterial(PointsMaterial, { size: 7, sizeAttenuation: false }));
+  [curveLine, glyphs, aimLines, targets].forEach((obj) => {
+    obj.renderOrder = 1000;
+    obj.frustumCulled = false;
+    group.add(obj);
+  });
+  const handle = new Object3D();
+  group.add(handle);
+  scene.add(group);
+
+  let model = null;
+
+  const transformControls = new TransformControls(camera, renderer.domElement);
+  transformControls.setMode('translate');
+  transformControls.visible = false;
+  transformControls.addEventListener('dragging-changed', (event) => {
+    controls.enabled = !event.value;
+    if (!event.value && model && typeof onDragEnd === 'function') onDragEnd(model.selectedIndex, model.dragTarget);
+  });
+  transformControls.addEventListener('objectChange', () => {
+    if (!model || typeof onDrag !== 'function') return;
+    onDrag(model.selectedIndex, model.dragTarget, { x: handle.position.x, y: handle.position.y, z: handle.position.z });
+  });
+  scene.add(transformControls);
+
+  function setGeometry(obj, positions, colors) {
+    obj.geometry.dispose();
+    obj.geometry = geometryFrom(positions, colors);
+  }
+
+  function attachGizmo() {
+    const cp = model && model.checkpoints[model.selectedIndex];
+    if (!group.visible || !cp) {
+      transformControls.detach();
+      transformControls.visible = false;
+      return;
+    }
+    // Leave the handle alone mid-drag; the checkpoint is following it.
+    if (!transformControls.dragging) {
+      const p = cp[model.dragTarget];
+      handle.position.set(p.x, p.y, p.z);
+    }
+    if (transformControls.object !== handle) transformControls.attach(handle);
+    transformControls.visible = true;
+  }
+
+  return {
+    group,
+    /**
+     * Redraws from `{ curve, checkpoints, selectedIndex, dragTarget, fov, aspect }`;
+     * `curve` is the sampled spline as `{ x, y, z, low }`.
+     */
+    update(next) {
+      model = next;
+      const { curve, checkpoints, selectedIndex } = next;
+      const xs = curve.map((p) => p.x).concat(checkpoints.map((cp) => cp.lookAt.x));
+      const ys = curve.map((p) => p.y).concat(checkpoints.map((cp) => cp.lookAt.y));
+      const zs = curve.map((p) => p.z).concat(checkpoints.map((cp) => cp.lookAt.z));
+      const extent = xs.length
+        ? Math.hypot(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), Math.max(...zs) - Math.min(...zs))
+        : 0;
+      const size = Math.max(0.02, extent * 0.04);
+
+      setGeometry(curveLine, curve.flatMap((p) => [p.x, p.y, p.z]), curve.flatMap((p) => (p.low ? LOW_COLOR : PATH_COLOR)));
+
+      const glyphPositions = [];
+      const glyphColors = [];
+      const aimPositions = [];
+      const aimColors = [];
+      checkpoints.forEach((cp, i) => {
+        const color = i === selectedIndex ? SELECTED_COLOR : CHECKPOINT_COLOR;
+        const lines = frustumLines(cp.position, cp.lookAt, {
+          fov: Number.isFinite(cp.fov) ? cp.fov : next.fov,
+          aspect: next.aspect,
+          roll: cp.roll,
+          size: i === selectedIndex ? size * 1.4 : size
+        });
+        glyphPositions.push(...lines);
+        for (let k = 0; k < lines.length / 3; k++) glyphColors.push(...color);
+        aimPositions.push(cp.position.x, cp.position.y, cp.position.z, cp.lookAt.x, cp.lookAt.y, cp.lookAt.z);
+        aimColors.push(...color, ...color);
+      });
+      setGeometry(glyphs, glyphPositions, glyphColors);
+      setGeometry(aimLines, aimPositions, aimColors);
+      aimLines.computeLineDistances();
+      aimLines.material.dashSize = size;
+      aimLines.material.gapSize = size * 0.6;
+      setGeometry(
+        targets,
+        checkpoints.flatMap((cp) => [cp.lookAt.x, cp.lookAt.y, cp.lookAt.z]),
+        checkpoints.flatMap((cp, i) => (i === selectedIndex ? SELECTED_COLOR : CHECKPOINT_COLOR))
+      );
+      attachGizmo();
+    },
+    setVisible(visible) {
+      if (group.visible === !!visible) return;
+      group.visible = !!visible;
+      attachGizmo();
+    },
+    dispose() {
+      transformControls.detach();
+      scene.remove(transformControls);
+      transformControls.dispose();
+      scene.remove(group);
+      [curveLine, glyphs, aimLines, targets].forEach((obj) => {
+        obj.geometry.dispose();
+        obj.material.dispose();
+      });
+    }
+  };
+}
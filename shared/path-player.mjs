@@ -0,0 +1,196 @@
+/**
+ * Embeddable tour player built on the object initPathAnimation() returns, for
+ * property pages shown in an iframe on a client's site. URL flags set it up:
+ *
+ *   index(...).html?autoplay=1&path=2&ui=minimal&loop=0&origin=https://client.example
+ *
+ * and the host page drives it with postMessage:
+ *
+ *   frame.contentWindow.postMessage({ type: 'path-player:play' }, '*');
+ *   window.addEventListener('message', (e) => {
+ *     if (e.data && e.data.type === 'path-player:checkpoint') console.log(e.data.index);
+ *   });
+ *
+ * Commands: play, pause, seek { seconds }, setActivePath { index } or { name },
+ * getState. Events: ready, play, pause, checkpoint { index }, end, state,
+ * error { message }. Every event carries `pathIndex`; ready and state carry
+ * the whole playback state (see getPlayback() in path-animation.mjs).
+ */
+
+export const PLAYER_MESSAGE_PREFIX = 'path-player:';
+export const PLAYER_UI_MODES = ['full', 'minimal', 'none'];
+
+const FALSE_WORDS = ['0', 'false', 'no', 'off'];
+
+/**
+ * `{ autoplay, path, ui, loop }` from a query string. `loop` is null unless
+ * given; a bare flag (`?autoplay`) counts as on. Unknown `ui` values fall
+ * back to 'full'.
+ */
+export function parsePlayerParams(search) {
+  const params = new URLSearchParams(search || '');
+  const flag = (name) => (params.has(name) ? !FALSE_WORDS.includes(params.get(name).trim().toLowerCase()) : null);
+  const ui = (params.get('ui') || '').trim().toLowerCase();
+  const path = (params.get('path') || '').trim();
+  return {
+    autoplay: flag('autoplay') === true,
+    path: path || null,
+    ui: PLAYER_UI_MODES.includes(ui) ? ui : 'full',
+    loop: flag('loop')
+  };
+}
+
+/**
+ * Origin of the embedding page, which events are posted to: the `origin` URL
+ * flag when it is a valid origin, else the origin of `referrer`. Null when
+ * neither says, and then no events are sent.
+ */
+export function resolveParentOrigin(search, referrer) {
+  const toOrigin = (value) => {
+    try {
+      const { origin } = new URL(value);
+      return origin && origin !== 'null' ? origin : null;
+    } catch (_) {
+      return null;
+    }
+  };
+  const flag = (new URLSearchParams(search || '').get('origin') || '').trim();
+  return (flag && toOrigin(flag)) || (referrer ? toOrigin(referrer) : null);
+}
+
+/**
+ * Index into `names` for a URL `path` value: a number counts from 1 (as the
+ * paths are listed), anything else matches a path or hole name, ignoring case.
+ * -1 when nothing matches.
+ */
+export function resolvePathIndex(value, names) {
+  const text = String(value ?? '').trim();
+  if (!text) return -1;
+  if (/^\d+$/.test(text)) {
+    const index = parseInt(text, 10) - 1;
+    return index >= 0 && index < names.length ? index : -1;
+  }
+  return names.findIndex((name) => String(name).trim().toLowerCase() === text.toLowerCase());
+}
+
+/**
+ * Runs one postMessage command against `player` (the initPathAnimation API)
+ * and returns the event to answer with, or null when none is due. Commands
+ * take their arguments next to `type`; setActivePath's `index` counts from 0,
+ * like setActivePath() itself. `selectPath(index)` does the switching.
+ */
+export function runPlayerCommand(player, data, selectPath = (index) => player.setActivePath(index)) {
+  const command = data.type.slice(PLAYER_MESSAGE_PREFIX.length);
+  const state = () => ({ type: 'state', ...player.getPlayback() });
+  const error = (message) => ({ type: 'error', command, message });
+  switch (command) {
+    case 'play':
+      return player.play() ? null : error('This path needs at least 2 checkpoints to play.');
+    case 'pause':
+      player.pause();
+      return null;
+    case 'seek': {
+      if (!Number.isFinite(data.seconds)) return error('seek needs a number of seconds.');
+      // Playing carries on from the new position without a pause/play round trip.
+      player.seek(Math.max(0, data.seconds), { keepPlaying: true });
+      return null;
+    }
+    case 'setActivePath': {
+      const { pathNames } = player.getPlayback();
+      const index = Number.isInteger(data.index) ? data.index : resolvePathIndex(data.name, pathNames);
+      if (!(index >= 0 && index < pathNames.length)) return error(`No path ${data.name ?? data.index}.`);
+      selectPath(index);
+      return state();
+    }
+    case 'getState':
+      return state();
+    default:
+      return error(`Unknown command "${command}".`);
+  }
+}
+
+function injectStyles() {
+  if (document.getElementById('path-player-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'path-player-styles';
+  style.textContent = `
+    .path-player-ui-minimal .path-animation-editor-toggles-wrap,
+    .path-player-ui-minimal #editorTogglesWrap,
+    .path-player-ui-minimal #wolfTopRightToolbarWrap,
+    .path-player-ui-minimal .path-animation-editor-panel,
+    .path-player-ui-minimal #pathAnimationRecordButton,
+    .path-player-ui-none .path-animation-editor-toggles-wrap,
+    .path-player-ui-none #editorTogglesWrap,
+    .path-player-ui-none #wolfTopRightToolbarWrap,
+    .path-player-ui-none .path-animation-editor-panel,
+    .path-player-ui-none #pathAnimationRecordButton,
+    .path-player-ui-none #pathAnimationToursButton { display: none !important; }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Applies the URL flags and answers postMessage commands from the embedding
+ * page. `ui=minimal` hides the editing tools (path editor, recording) and
+ * keeps the page's own menu; `ui=none` also hides `menuContainer` and the
+ * tours menu. `hide` lists extra selectors to hide in both modes (e.g. a
+ * page's developer controls). `selectPath(index)` switches paths; pages whose
+ * paths follow something else (Copper-Rock's holes) pass their own. Messages
+ * are only taken from `target` (the parent window when framed), and events go
+ * back to it at `targetOrigin` (see resolveParentOrigin()); messages from
+ * another origin are ignored.
+ */
+export function initPathPlayer(player, {
+  search = window.location.search,
+  menuContainer = null,
+  hide = [],
+  selectPath = (index) => player.setActivePath(index),
+  target = window.parent !== window ? window.parent : null,
+  targetOrigin = resolveParentOrigin(search, document.referrer)
+} = {}) {
+  if (!player || typeof player.getPlayback !== 'function') {
+    console.warn('path-player: needs the object returned by initPathAnimation.');
+    return null;
+  }
+  const params = parsePlayerParams(search);
+  if (target && !targetOrigin) console.warn('path-player: the embedding page\'s origin is unknown, so no events are sent; add ?origin=https://… to the frame URL.');
+  const post = (event) => {
+    if (target && targetOrigin) target.postMessage({ ...event, type: PLAYER_MESSAGE_PREFIX + event.type }, targetOrigin);
+  };
+
+  if (params.ui !== 'full') {
+    injectStyles();
+    document.documentElement.classList.add(`path-player-ui-${params.ui}`);
+    if (params.ui === 'none' && menuContainer) menuContainer.style.display = 'none';
+    hide.forEach((selector) => document.querySelectorAll(selector).forEach((el) => { el.style.display = 'none'; }));
+  }
+  if (params.path !== null) {
+    const index = resolvePathIndex(params.path, player.getPlayback().pathNames);
+    if (index >= 0) selectPath(index);
+    else post({ type: 'error', command: 'path', message: `No path ${params.path}.` });
+  }
+  player.setRepeat(params.loop);
+
+  const unsubscribe = ['play', 'pause', 'checkpoint', 'end'].map((type) => player.on(type, (detail) => post({ type, ...detail })));
+
+  function onMessage(event) {
+    if (!target || event.source !== target) return;
+    if (targetOrigin && event.origin !== targetOrigin) return;
+    const data = event.data;
+    if (!data || typeof data.type !== 'string' || !data.type.startsWith(PLAYER_MESSAGE_PREFIX)) return;
+    const reply = runPlayerCommand(player, data, selectPath);
+    if (reply) post(reply);
+  }
+  window.addEventListener('message', onMessage);
+
+  if (params.autoplay) player.play();
+  post({ type: 'ready', ...player.getPlayback() });
+
+  return {
+    params,
+    destroy() {
+      window.removeEventListener('message', onMessage);
+      unsubscribe.forEach((off) => off());
+    }
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Pure timeline math for the path animation editor: lays segments and stop
+ * pauses end to end in seconds, maps a time back to a segment pose, resizes
+ * the boundary between two segments and reorders checkpoints. No DOM, so it
+ * can be tested in Node.
+ *
+ * `durations[s]` is the length of segment s (the one leaving checkpoint s);
+ * a pause belongs to the checkpoint it arrives at, matching updatePathAnimation.
+ */
+
+import { getSegmentCount } from './path-curves.mjs';
+
+export const MIN_SEGMENT_SECONDS = 0.1;
+
+function clamp(value, minVal, maxVal) {
+  return Math.min(Math.max(value, minVal), maxVal);
+}
+
+/**
+ * Ordered blocks `{ kind: 'segment' | 'pause', segmentIndex, checkpointIndex, start, duration }`
+ * plus the total length in seconds.
+ */
+export function buildTimeline(checkpoints, durations, { loop = false } = {}) {
+  const count = checkpoints.length;
+  const segmentCount = getSegmentCount(count, loop);
+  const blocks = [];
+  let t = 0;
+  for (let s = 0; s < segmentCount; s++) {
+    const duration = Math.max(MIN_SEGMENT_SECONDS, durations[s] || 0);
+    blocks.push({ kind: 'segment', segmentIndex: s, checkpointIndex: s, start: t, duration });
+    t += duration;
+    const arrival = (s + 1) % count;
+    const cp = checkpoints[arrival];
+    if (cp && cp.pauseAt) {
+      const pause = Math.max(0, cp.pauseDuration ?? 1);
+      if (pause > 0) {
+        blocks.push({ kind: 'pause', segmentIndex: s, checkpointIndex: arrival, start: t, duration: pause });
+        t += pause;
+      }
+    }
+  }
+  return { blocks, total: t };
+}
+
+/**
+ * Where `seconds` falls on the timeline: the segment, how far through it (0..1),
+ * and, inside a stop, the checkpoint being held and the time already spent there.
+ */
+export function locateTime(timeline, seconds) {
+  const { blocks, total } = timeline;
+  if (!blocks.length) return null;
+  const t = clamp(seconds, 0, total);
+  let block = blocks[blocks.length - 1];
+  for (const b of blocks) {
+    if (t < b.start + b.duration) {
+      block = b;
+      break;
+    }
+  }
+  if (block.kind === 'pause') {
+    return { segmentIndex: block.segmentIndex, progress: 1, pausedAtCheckpoint: block.checkpointIndex, pauseElapsed: t - block.start };
+  }
+  const progress = block.duration > 0 ? clamp((t - block.start) / block.duration, 0, 1) : 1;
+  return { segmentIndex: block.segmentIndex, progress, pausedAtCheckpoint: null, pauseElapsed: 0 };
+}
+
+/** Inverse of locateTime for the playback state kept by path-animation. */
+export function timeAt(timeline, segmentIndex, segmentElapsed, pausedAtCheckpoint = null, pauseElapsed = 0) {
+  const segment = timeline.blocks.find((b) => b.kind === 'segment' && b.segmentIndex === segmentIndex);
+  if (!segment) return 0;
+  if (pausedAtCheckpoint !== null) {
+    const pause = timeline.blocks.find((b) => b.kind === 'pause' && b.segmentIndex === segmentIndex);
+    if (pause) return pause.start + clamp(pauseElapsed, 0, pause.duration);
+  }
+  return segment.start + clamp(segmentElapsed, 0, segment.duration);
+}
+
+/**
+ * Moves the boundary between segment `left` and the next one by `deltaSeconds`:
+ * one grows as much as the other shrinks, so the total (and everything after)
+ * stays put. Returns the new pair, clamped so neither drops below the minimum.
+ */
+export function resizeSegmentBoundary(leftDuration, rightDuration, deltaSeconds, minSeconds = MIN_SEGMENT_SECONDS) {
+  const sum = leftDuration + rightDuration;
+  const left = clamp(leftDuration + deltaSeconds, minSeconds, Math.max(minSeconds, sum - minSeconds));
+  return [left, Math.max(minSeconds, sum - left)];
+}
+
+/** Copy of `list` with the entry at `from` moved to index `to` (both clamped). */
+export function moveItem(list, from, to) {
+  const next = list.slice();
+  if (from < 0 || from >= next.length) return next;
+  const [item] = next.splice(from, 1);
+  next.splice(clamp(to, 0, next.length), 0, item);
+  return next;
+}
+
+/** Index an element ends up at after moveItem(list, from, to); used to keep the selection on the same checkpoint. */
+export function movedIndex(index, from, to, length) {
+  const dest = clamp(to, 0, length - 1);
+  if (index === from) return dest;
+  if (from < index && dest >= index) return index - 1;
+  if (from > index && dest <= index) return index + 1;
+  return index;
+}
@@ -0,0 +1,187 @@
+/**
+ * Control-point alignment for the home editor (obj-home-editor.mjs): given
+ * three or more points clicked on a model and the matching points clicked on
+ * the splat, solve the similarity transform (uniform scale, rotation,
+ * translation) that maps one set onto the other in the least-squares sense,
+ * and report how far each point still misses. No DOM or Three.js; tests in
+ * shared/tests/.
+ */
+
+export const MIN_CONTROL_POINTS = 3;
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const length = (a) => Math.sqrt(dot(a, a));
+
+function centroid(points) {
+  const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y, z: acc.z + p.z }), { x: 0, y: 0, z: 0 });
+  return { x: sum.x / points.length, y: sum.y / points.length, z: sum.z / points.length };
+}
+
+/** Rotates `v` by the unit quaternion `q` ({ x, y, z, w }). */
+export function rotateByQuaternion(q, v) {
+  // v + 2w(q×v) + 2q×(q×v)
+  const cx = q.y * v.z - q.z * v.y;
+  const cy = q.z * v.x - q.x * v.z;
+  const cz = q.x * v.y - q.y * v.x;
+  return {
+    x: v.x + 2 * (q.w * cx + q.y * cz - q.z * cy),
+    y: v.y + 2 * (q.w * cy + q.z * cx - q.x * cz),
+    z: v.z + 2 * (q.w * cz + q.x * cy - q.y * cx)
+  };
+}
+
+/** `scale * rotation(p) + translation` for a transform from solveSimilarityTransform(). */
+export function applySimilarityTransform({ scale, rotation, translation }, p) {
+  const r = rotateByQuaternion(rotation, p);
+  return { x: scale * r.x + translation.x, y: scale * r.y + translation.y, z: scale * r.z + translation.z };
+}
+
+// Eigenvector of the largest eigenvalue of a symmetric 4x4 matrix (cyclic Jacobi).
+function dominantEigenvector(m) {
+  const a = m.map((row) => row.slice());
+  const v = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let p = 0; p < 3; p++) for (let q = p + 1; q < 4; q++) off += a[p][q] * a[p][q];
+    if (off < 1e-24) break;
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 4; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < 4; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 4; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 4; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  let best = 0;
+  for (let i = 1; i < 4; i++) if (a[i][i] > a[best][best]) best = i;
+  return v.map((row) => row[best]);
+}
+
+// Largest distance of any point from the line through `origin` along the
+// direction to the point farthest from it; ~0 means the points are collinear.
+function spread(points, origin) {
+  let far = null;
+  let farDist = 0;
+  points.forEach((p) => {
+    const d = length(sub(p, origin));
+    if (d > farDist) {
+      farDist = d;
+      far = p;
+    }
+  });
+  if (!far) return { extent: 0, offLine: 0 };
+  const axis = sub(far, origin);
+  const axisLen = length(axis);
+  let offLine = 0;
+  points.forEach((p) => {
+    const d = sub(p, origin);
+    const along = dot(d, axis) / axisLen;
+    offLine = Math.max(offLine, Math.sqrt(Math.max(0, dot(d, d) - along * along)));
+  });
+  return { extent: farDist, offLine };
+}
+
+/**
+ * Least-squares similarity transform taking `source[i]` onto `target[i]`
+ * (Horn's closed-form quaternion solution, with Umeyama's scale). Returns
+ * `{ scale, rotation: { x, y, z, w }, translation, residuals, rms }`, where
+ * `residuals[i]` is the distance between the moved source point and its
+ * target. Throws when there are fewer than three pairs or the source points
+ * are (nearly) on one line, since the rotation about that line is unknown.
+ */
+export function solveSimilarityTransform(source, target) {
+  if (!Array.isArray(source) || !Array.isArray(target) || source.length !== target.length) {
+    throw new Error('Control points must come in model/scene pairs.');
+  }
+  if (source.length < MIN_CONTROL_POINTS) {
+    throw new Error(`Need at least ${MIN_CONTROL_POINTS} point pairs (have ${source.length}).`);
+  }
+  const ca = centroid(source);
+  const cb = centroid(target);
+  const { extent, offLine } = spread(source, ca);
+  if (!(extent > 0) || offLine < extent * 1e-4) {
+    throw new Error('Model points are all on one line; pick a point off that line.');
+  }
+
+  const a = source.map((p) => sub(p, ca));
+  const b = target.map((p) => sub(p, cb));
+  const S = { xx: 0, xy: 0, xz: 0, yx: 0, yy: 0, yz: 0, zx: 0, zy: 0, zz: 0 };
+  a.forEach((p, i) => {
+    const q = b[i];
+    S.xx += p.x * q.x; S.xy += p.x * q.y; S.xz += p.x * q.z;
+    S.yx += p.y * q.x; S.yy += p.y * q.y; S.yz += p.y * q.z;
+    S.zx += p.z * q.x; S.zy += p.z * q.y; S.zz += p.z * q.z;
+  });
+  const N = [
+    [S.xx + S.yy + S.zz, S.yz - S.zy, S.zx - S.xz, S.xy - S.yx],
+    [S.yz - S.zy, S.xx - S.yy - S.zz, S.xy + S.yx, S.zx + S.xz],
+    [S.zx - S.xz, S.xy + S.yx, -S.xx + S.yy - S.zz, S.yz + S.zy],
+    [S.xy - S.yx, S.zx + S.xz, S.yz + S.zy, -S.xx - S.yy + S.zz]
+  ];
+  const [w, x, y, z] = dominantEigenvector(N);
+  const norm = Math.hypot(w, x, y, z);
+  const sign = w < 0 ? -1 : 1;
+  const rotation = { x: (sign * x) / norm, y: (sign * y) / norm, z: (sign * z) / norm, w: (sign * w) / norm };
+
+  let num = 0;
+  let den = 0;
+  a.forEach((p, i) => {
+    num += dot(b[i], rotateByQuaternion(rotation, p));
+    den += dot(p, p);
+  });
+  const scale = num / den;
+  if (!(scale > 0)) throw new Error('Point pairs do not match up (one set looks mirrored); check the order.');
+
+  const rc = rotateByQuaternion(rotation, ca);
+  const translation = { x: cb.x - scale * rc.x, y: cb.y - scale * rc.y, z: cb.z - scale * rc.z };
+  const transform = { scale, rotation, translation };
+  const residuals = source.map((p, i) => length(sub(applySimilarityTransform(transform, p), target[i])));
+  const rms = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+  return { ...transform, residuals, rms };
+}
+
+/**
+ * Point of `positions` (flat world-space xyz, e.g. from collectSplatPoints in
+ * path-clearance.mjs) a click ray lands on: among points within `maxAngle`
+ * radians of the ray, the `skip`-th nearest along it, so a stray floater in
+ * front of the surface doesn't win. Null when nothing is near the ray.
+ */
+export function pickPointOnRay(positions, origin, direction, { maxAngle = 0.01, skip = 4 } = {}) {
+  const dirLen = length(direction);
+  if (!positions || !(dirLen > 0)) return null;
+  const d = { x: direction.x / dirLen, y: direction.y / dirLen, z: direction.z / dirLen };
+  const tan = Math.tan(maxAngle);
+  const hits = [];
+  for (let i = 0; i + 2 < positions.length; i += 3) {
+    const rel = { x: positions[i] - origin.x, y: positions[i + 1] - origin.y, z: positions[i + 2] - origin.z };
+    const along = dot(rel, d);
+    if (along <= 0) continue;
+    const off = Math.sqrt(Math.max(0, dot(rel, rel) - along * along));
+    if (off <= along * tan) hits.push({ along, i });
+  }
+  if (!hits.length) return null;
+  hits.sort((p, q) => p.along - q.along);
+  const { i } = hits[Math.min(skip, hits.length - 1)];
+  return { x: positions[i], y: positions[i + 1], z: positions[i + 2] };
+}
@@ -0,0 +1,141 @@
+/**
+ * Versioned scene manifest: everything "Export All" in obj-home-editor.mjs
+ * collects for a property (splat transform, clip polygons, lifted region and
+ * home polygons), kept as a JSON file the page loads at boot instead of a
+ * RENDERING_CONFIG constant pasted into the HTML. Shape (version 1):
+ *
+ *   {
+ *     "version": 1,
+ *     "property": "PMD-Rendering-Revised",
+ *     "savedAt": "2026-03-20T18:04:11.000Z",
+ *     "splatTransform": { "position": {x,y,z}, "rotation": {x,y,z}, "scale": 1 } | null,
+ *     "clipPolygons": [[{x,y}, ...], ...],
+ *     "liftedRegion": { "enabled": true, "amount": -0.01, "polygon": [{x,y}, ...] } | null,
+ *     "homePolygons": [{ name, source, transform, brightness, envMapIntensity, variants?, ... }],
+ *     "variants": ["Option A farmhouse", "Option B modern"]
+ *   }
+ *
+ * `variants` lists the design variants in menu order (home-variants.mjs); each
+ * home polygon names the ones it belongs to. A polygon's `source.lods` lists
+ * coarser GLBs for distance (model-budget.mjs).
+ *
+ * Files without `version` are the clipboard JSON from before manifests and
+ * are read as version 0.
+ */
+
+import { normalizeVariantNames } from './home-variants.mjs';
+
+export const SCENE_MANIFEST_VERSION = 1;
+
+const finite = (v, fallback = 0) => (Number.isFinite(+v) ? +v : fallback);
+
+function vec3(v) {
+  const src = v && typeof v === 'object' ? v : {};
+  return { x: finite(src.x), y: finite(src.y), z: finite(src.z) };
+}
+
+function polygon(points, label) {
+  if (!Array.isArray(points)) throw new Error(`${label} must be an array of {x, y} points.`);
+  return points.map((p, i) => {
+    if (!p || !Number.isFinite(+p.x) || !Number.isFinite(+p.y)) {
+      throw new Error(`${label} point ${i + 1} needs numeric x and y.`);
+    }
+    return { x: +p.x, y: +p.y };
+  });
+}
+
+function splatTransform(value) {
+  if (!value) return null;
+  return {
+    position: vec3(value.position),
+    rotation: vec3(value.rotation),
+    scale: finite(value.scale, 1) > 0 ? finite(value.scale, 1) : 1
+  };
+}
+
+function liftedRegion(value) {
+  if (!value) return null;
+  return {
+    enabled: !!value.enabled,
+    amount: finite(value.amount),
+    polygon: polygon(value.polygon || [], 'liftedRegion.polygon')
+  };
+}
+
+function homePolygons(list) {
+  if (!Array.isArray(list)) throw new Error('homePolygons must be an array.');
+  return list.map((poly, i) => {
+    if (!poly || typeof poly !== 'object' || !poly.transform) {
+      throw new Error(`homePolygons[${i}] needs a transform.`);
+    }
+    return { ...poly };
+  });
+}
+
+/**
+ * Manifest from the editors' payloads (the fields "Export All" gathers).
+ * Missing parts come out empty, so a property without a lift or clip
+ * polygons still gets a complete file.
+ */
+export function buildSceneManifest(parts = {}, { property = parts.property || '', savedAt = new Date().toISOString() } = {}) {
+  return {
+    version: SCENE_MANIFEST_VERSION,
+    property,
+    savedAt,
+    splatTransform: splatTransform(parts.splatTransform),
+    clipPolygons: (parts.clipPolygons || []).map((poly, i) => polygon(poly, `clipPolygons[${i}]`)),
+    liftedRegion: liftedRegion(parts.liftedRegion),
+    homePolygons: homePolygons(parts.homePolygons || []),
+    variants: normalizeVariantNames(parts.variants)
+  };
+}
+
+/**
+ * Validated, current-version manifest from parsed JSON or a JSON string.
+ * Throws with a readable message on anything it cannot use, including a
+ * version newer than this code knows.
+ */
+export function parseSceneManifest(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Scene manifest must be a JSON object.');
+  }
+  const version = data.version === undefined ? 0 : data.version;
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Unknown scene manifest version ${JSON.stringify(data.version)}.`);
+  if (version > SCENE_MANIFEST_VERSION) {
+    throw new Error(`Scene manifest version ${version} is newer than this page supports (${SCENE_MANIFEST_VERSION}).`);
+  }
+  return buildSceneManifest(data, {
+    property: data.property || '',
+    savedAt: (version === 0 ? data.exportedAt : data.savedAt) || null
+  });
+}
+
+/**
+ * Fetches and parses the manifest at `url`. Resolves to null when the file
+ * does not exist (404), so pages can fall back to their built-in defaults;
+ * other failures reject.
+ */
+export async function loadSceneManifest(url, { fetchImpl = globalThis.fetch } = {}) {
+  const res = await fetchImpl(url, { cache: 'no-store' });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`Loading ${url} failed (${res.status}).`);
+  return parseSceneManifest(await res.json());
+}
+
+/**
+ * Writes `manifest` with an HTTP PUT to `url` (e.g. the local dev server's
+ * handler for scenes/*.json). Rejects with the server's message on failure.
+ */
+export async function putSceneManifest(url, manifest, { fetchImpl = globalThis.fetch } = {}) {
+  const res = await fetchImpl(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: `${JSON.stringify(manifest, null, 2)}\n`
+  });
+  if (!res.ok) {
+    const detail = (await res.text().catch(() => '')).trim();
+    throw new Error(`Saving ${url} failed (${res.status})${detail ? `: ${detail}` : ''}.`);
+  }
+  return manifest;
+}
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Copies the Draco, Basis (KTX2) and Meshopt decoders obj-home-editor.mjs
+ * needs into assets/decoders/, so GLBs load from the site itself instead of
+ * a CDN. The files are committed; rerun with --force after bumping the three
+ * version below and commit the result:
+ *
+ *   node shared/scripts/fetch-decoders.mjs [--out assets/decoders] [--force]
+ */
+import { existsSync, mkdirSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const REPO_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Keep in step with the importmap's three version and REMOTE_DECODER_PATHS in obj-home-editor.mjs.
+const THREE_LIBS = 'https://unpkg.com/three@0.157.0/examples/jsm/libs/';
+
+export const DECODERS = {
+  draco: {
+    base: `${THREE_LIBS}draco/`,
+    files: ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js']
+  },
+  basis: {
+    base: `${THREE_LIBS}basis/`,
+    files: ['basis_transcoder.js', 'basis_transcoder.wasm']
+  },
+  meshopt: {
+    base: THREE_LIBS,
+    files: ['meshopt_decoder.module.js']
+  }
+};
+
+function parseArgs(argv) {
+  const args = { out: 'assets/decoders', force: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--force') args.force = true;
+    else throw new Error(`Unknown argument ${argv[i]}`);
+  }
+  return args;
+}
+
+async function download(url, file) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Fetching ${url} failed (${res.status}).`);
+  const tmp = `${file}.tmp`;
+  writeFileSync(tmp, Buffer.from(await res.arrayBuffer()));
+  renameSync(tmp, file);
+}
+
+async function main() {
+  const { out, force } = parseArgs(process.argv.slice(2));
+  const root = resolve(REPO_ROOT, out);
+  for (const [name, { base, files }] of Object.entries(DECODERS)) {
+    const dir = join(root, name);
+    mkdirSync(dir, { recursive: true });
+    for (const file of files) {
+      const target = join(dir, file);
+      if (!force && existsSync(target)) {
+        console.log(`kept ${name}/${file}`);
+        continue;
+      }
+      await download(base + file, target);
+      console.log(`fetched ${name}/${file}`);
+    }
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/**
+ * Renders path-animation videos headlessly, one file per canvas format.
+ *
+ *   node shared/scripts/render-path-videos.mjs --page "indexes/index(Hart-Bench-Ranch-06-08-25).html" \
+ *     --path hart-bench-path.json --formats desktop,vertical,square --out exports/paths
+ *
+ *   node shared/scripts/render-path-videos.mjs --jobs render-jobs.json
+ *
+ * Each job opens a property index on the local static server
+ * (Canyon-Vista/scripts/dev-server.mjs, started automatically unless --base-url
+ * is given), loads the path JSON into window.__pathAnimation and runs its
+ * frame-accurate exporter, which steps the path frame by frame. The download is
+ * saved as <out>/<label>-<format>.mp4, or .zip of PNG frames when the browser
+ * has no H.264 encoder (Playwright's bundled Chromium; point CHROME_EXECUTABLE
+ * at Google Chrome for MP4).
+ *
+ * A jobs file is a JSON array of { page, path?, formats?, label?, pathIndex? };
+ * without `path` the page's own initial path is rendered.
+ */
+import { createRequire } from 'node:module';
+import { spawn } from 'node:child_process';
+import { existsSync, mkdirSync, readFileSync } from 'node:fs';
+import { basename, dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const REPO_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+const DEV_SERVER = join(REPO_ROOT, 'Canyon-Vista/scripts/dev-server.mjs');
+// Playwright is a dev dependency of Canyon-Vista/package.json, next to the dev server.
+const require = createRequire(join(REPO_ROOT, 'Canyon-Vista/package.json'));
+
+// CLI names for the recordFormats in path-animation.mjs; desktop is the viewport size.
+export const FORMAT_ALIASES = {
+  desktop: 'desktop',
+  square: 'square',
+  vertical: 'full-vertical',
+  'full-vertical': 'full-vertical',
+  feed: 'vertical-feed',
+  'vertical-feed': 'vertical-feed',
+  uhd: 'uhd',
+  '4k': 'uhd'
+};
+
+export const FORMAT_SIZES = {
+  desktop: { width: 0, height: 0 },
+  square: { width: 1080, height: 1080 },
+  'vertical-feed': { width: 1080, height: 1350 },
+  'full-vertical': { width: 1080, height: 1920 },
+  uhd: { width: 3840, height: 2160 }
+};
+
+const DEFAULTS = {
+  formats: ['desktop', 'vertical', 'square'],
+  fps: 30,
+  out: 'exports/path-videos',
+  viewport: '1920x1080',
+  encoding: 'auto',
+  settleMs: 8000,
+  timeoutMs: 30 * 60 * 1000
+};
+
+const USAGE = `Usage:
+  render-path-videos.mjs --page <indexes/index(...).html> [--path <path.json>] [--label <name>] [--path-index <n>]
+  render-path-videos.mjs --jobs <jobs.json>
+
+Options:
+  --formats <list>   desktop, vertical, square, feed, uhd (default: desktop,vertical,square)
+  --fps <n>          24, 30 or 60 (default: 30)
+  --out <dir>        output folder (default: exports/path-videos)
+  --viewport <WxH>   browser size, also the desktop format size (default: 1920x1080)
+  --encoding <mode>  auto, mp4 or png (default: auto)
+  --settle-ms <ms>   wait after load before rendering (default: 8000)
+  --base-url <url>   use an already running server instead of starting dev-server.mjs`;
+
+function loadPlaywright() {
+  try {
+    return require('playwright');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new Error('Playwright is not installed. Run `npm install` in Canyon-Vista, then `npx playwright install chromium`.');
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolvePromise) => setTimeout(resolvePromise, ms));
+}
+
+/** `--key value` / `--flag` pairs into an object (camelCased keys). */
+export function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (!token.startsWith('--')) throw new Error(`Unexpected argument "${token}".`);
+    const key = token.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+export function resolveFormats(list) {
+  const names = Array.isArray(list) ? list : String(list).split(',');
+  return names.map((n) => n.trim().toLowerCase()).filter(Boolean).map((name) => {
+    const id = FORMAT_ALIASES[name];
+    if (!id) throw new Error(`Unknown format "${name}"; use ${Object.keys(FORMAT_ALIASES).join(', ')}.`);
+    return { name, id, ...FORMAT_SIZES[id] };
+  });
+}
+
+export function parseViewport(text) {
+  const m = /^(\d+)x(\d+)$/.exec(String(text));
+  if (!m) throw new Error(`Viewport must look like 1920x1080, got "${text}".`);
+  return { width: Number(m[1]), height: Number(m[2]) };
+}
+
+/** "indexes/index(Hart-Bench-Ranch-06-08-25).html" -> "Hart-Bench-Ranch-06-08-25". */
+export function labelForPage(page) {
+  const name = basename(page).replace(/\.html?$/i, '');
+  const m = /^index\((.+)\)$/.exec(name);
+  return (m ? m[1] : name).replace(/[^\w.-]+/g, '-');
+}
+
+const isExportFps = (fps) => Number.isInteger(fps) && [24, 30, 60].includes(fps);
+
+/** Normalises CLI args or a jobs file into a list of fully specified jobs. */
+export function buildJobs(args, readJson = (file) => JSON.parse(readFileSync(file, 'utf8'))) {
+  const common = {
+    formats: args.formats || DEFAULTS.formats,
+    fps: args.fps !== undefined ? Number(args.fps) : DEFAULTS.fps
+  };
+  if (!isExportFps(common.fps)) throw new Error('--fps must be 24, 30 or 60.');
+  let raw;
+  if (args.jobs) {
+    raw = readJson(args.jobs);
+    if (!Array.isArray(raw) || !raw.length) throw new Error(`${args.jobs} must be a non-empty JSON array of jobs.`);
+  } else if (args.page) {
+    raw = [{ page: args.page, path: args.path, label: args.label, pathIndex: args.pathIndex }];
+  } else {
+    throw new Error('Pass --page <index.html> (with --path <path.json>) or --jobs <jobs.json>.');
+  }
+  return raw.map((job, i) => {
+    if (!job || typeof job.page !== 'string') throw new Error(`Job ${i + 1} needs a "page".`);
+    const label = job.label || labelForPage(job.page);
+    const fps = job.fps !== undefined ? Number(job.fps) : common.fps;
+    if (!isExportFps(fps)) throw new Error(`Job ${i + 1} (${label}): fps must be 24, 30 or 60, not ${JSON.stringify(job.fps)}.`);
+    return {
+      page: job.page.replace(/^\/+/, ''),
+      path: job.path || null,
+      label,
+      pathIndex: job.pathIndex !== undefined ? Number(job.pathIndex) : null,
+      fps,
+      formats: resolveFormats(job.formats || common.formats)
+    };
+  });
+}
+
+export function pageUrl(baseUrl, page) {
+  return new URL(page.split('/').map(encodeURIComponent).join('/'), baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).href;
+}
+
+/** Starts the static dev server from the repo root and resolves with its base URL. */
+function startDevServer() {
+  return new Promise((resolvePromise, reject) => {
+    const child = spawn(process.execPath, [DEV_SERVER, '--root', REPO_ROOT], {
+      env: { ...process.env, SERVER_PORT: process.env.SERVER_PORT || '4180' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Dev server did not start:\n${output}`));
+    }, 15000);
+    const onData = (chunk) => {
+      output += chunk;
+      const m = /running at (http:\/\/\S+)/.exec(output);
+      if (m) {
+        clearTimeout(timer);
+        resolvePromise({ baseUrl: m[1], stop: () => child.kill() });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Dev server exited (${code}):\n${output}`));
+    });
+  });
+}
+
+async function renderJob(browser, baseUrl, job, options) {
+  const pathPayload = job.path ? JSON.parse(readFileSync(resolve(job.path), 'utf8')) : null;
+  const page = await browser.newPage({ viewport: options.viewport, deviceScaleFactor: 1, acceptDownloads: true });
+  page.setDefaultTimeout(60000);
+  const pageErrors = [];
+  page.on('pageerror', (error) => pageErrors.push(error.message));
+  const written = [];
+  try {
+    const url = pageUrl(baseUrl, job.page);
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await page.waitForFunction(() => window.__pathAnimation && typeof window.__pathAnimation.exportPathVideo === 'function', null, { timeout: 60000 });
+    // Splats stream in after load; give them time before the first frame.
+    await delay(options.settleMs);
+    await page.evaluate(({ payload, pathIndex }) => {
+      const pa = window.__pathAnimation;
+      if (pathIndex !== null) pa.setActivePath(pathIndex);
+      if (payload) pa.loadPath(payload);
+      const count = pa.getState().pathState.checkpoints.length;
+      if (count < 2) throw new Error(`Path has ${count} checkpoint(s); need at least 2.`);
+    }, { payload: pathPayload, pathIndex: job.pathIndex });
+
+    let lastLogged = 0;
+    await page.exposeFunction('__renderPathProgress', ({ frame, frameCount, phase }) => {
+      const now = Date.now();
+      if (phase === 'finalize' || now - lastLogged > 5000) {
+        lastLogged = now;
+        console.log(`  ${phase === 'finalize' ? 'encoding' : 'frame'} ${frame}/${frameCount}`);
+      }
+    });
+
+    for (const format of job.formats) {
+      console.log(`${job.label} · ${format.name} (${format.width ? `${format.width}x${format.height}` : 'viewport'}, ${job.fps} fps)`);
+      const [download] = await Promise.all([
+        page.waitForEvent('download', { timeout: 0 }),
+        page.evaluate(({ width, height, fps, encoding, id }) => window.__pathAnimation.exportPathVideo({
+          width,
+          height,
+          fps,
+          format: encoding,
+          formatLabel: id === 'desktop' ? '' : id,
+          onProgress: (p) => window.__renderPathProgress(p)
+        }), { width: format.width, height: format.height, fps: job.fps, encoding: options.encoding, id: format.id })
+      ]);
+      const extension = (download.suggestedFilename().split('.').pop() || 'mp4').toLowerCase();
+      const target = join(options.out, `${job.label}-${format.name}.${extension}`);
+      await download.saveAs(target);
+      written.push(target);
+      console.log(`  wrote ${relative(process.cwd(), target)}`);
+    }
+  } finally {
+    await page.close().catch(() => {});
+  }
+  if (pageErrors.length) console.warn(`  page errors on ${job.page}:\n    ${pageErrors.join('\n    ')}`);
+  return written;
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  const jobs = buildJobs(args);
+  const options = {
+    out: resolve(args.out || DEFAULTS.out),
+    viewport: parseViewport(args.viewport || DEFAULTS.viewport),
+    encoding: args.encoding || DEFAULTS.encoding,
+    settleMs: args.settleMs !== undefined ? Number(args.settleMs) : DEFAULTS.settleMs
+  };
+  if (!['auto', 'mp4', 'png'].includes(options.encoding)) throw new Error('--encoding must be auto, mp4 or png.');
+  const timeoutMs = Number.parseInt(args.timeoutMs || process.env.RENDER_PATH_TIMEOUT_MS || String(DEFAULTS.timeoutMs), 10);
+  mkdirSync(options.out, { recursive: true });
+
+  const watchdog = setTimeout(() => {
+    console.error(`render-path-videos: TIMEOUT after ${timeoutMs}ms`);
+    process.exit(1);
+  }, timeoutMs);
+  watchdog.unref?.();
+
+  const { chromium } = loadPlaywright();
+  const server = args.baseUrl ? { baseUrl: args.baseUrl, stop: () => {} } : await startDevServer();
+  let browser = null;
+  const failures = [];
+  try {
+    browser = await chromium.launch({
+      headless: true,
+      executablePath: process.env.CHROME_EXECUTABLE || undefined,
+      args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader']
+    });
+    for (const job of jobs) {
+      try {
+        await renderJob(browser, server.baseUrl, job, options);
+      } catch (error) {
+        // Keep going so one broken property doesn't stop an unattended batch.
+        failures.push({ page: job.page, message: error.message });
+        console.error(`${job.label}: ${error.message}`);
+      }
+    }
+  } finally {
+    clearTimeout(watchdog);
+    if (browser) await browser.close().catch(() => {});
+    server.stop();
+  }
+  if (failures.length) {
+    console.error(`${failures.length} of ${jobs.length} job(s) failed.`);
+    process.exitCode = 1;
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  run().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * Solar position for the sun study (sun-study.mjs): where the sun is in the
+ * sky for a property's latitude/longitude at a given moment (NOAA's solar
+ * calculator equations, good to a fraction of a degree for dates this
+ * century), and local wall-clock time at the property turned into that
+ * moment. No DOM or Three.js; tests in shared/tests/.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MINUTES = 1440;
+
+const mod = (value, m) => ((value % m) + m) % m;
+
+// Atmospheric refraction in degrees for a geometric elevation (NOAA approximation).
+function refraction(elevation) {
+  if (elevation > 85) return 0;
+  const te = Math.tan(elevation * RAD);
+  let arcSeconds;
+  if (elevation > 5) arcSeconds = 58.1 / te - 0.07 / te ** 3 + 0.000086 / te ** 5;
+  else if (elevation > -0.575) arcSeconds = 1735 + elevation * (-518.2 + elevation * (103.4 + elevation * (-12.79 + elevation * 0.711)));
+  else arcSeconds = -20.772 / te;
+  return arcSeconds / 3600;
+}
+
+/**
+ * `{ azimuth, elevation }` in degrees for `date` (a Date or epoch ms) at
+ * `latitude` / `longitude` (degrees, east positive). Azimuth is clockwise
+ * from true north (90 = east); elevation includes refraction and is negative
+ * below the horizon.
+ */
+export function solarPosition(date, latitude, longitude) {
+  const ms = date instanceof Date ? date.getTime() : Number(date);
+  const T = (ms / 86400000 + 2440587.5 - 2451545) / 36525;
+  const L0 = mod(280.46646 + T * (36000.76983 + T * 0.0003032), 360);
+  const M = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+  const e = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+  const C = Math.sin(M * RAD) * (1.914602 - T * (0.004817 + 0.000014 * T))
+    + Math.sin(2 * M * RAD) * (0.019993 - 0.000101 * T)
+    + Math.sin(3 * M * RAD) * 0.000289;
+  const omega = 125.04 - 1934.136 * T;
+  const lambda = L0 + C - 0.00569 - 0.00478 * Math.sin(omega * RAD);
+  const eps0 = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+  const eps = eps0 + 0.00256 * Math.cos(omega * RAD);
+  const decl = Math.asin(Math.sin(eps * RAD) * Math.sin(lambda * RAD));
+
+  const y = Math.tan((eps / 2) * RAD) ** 2;
+  const eqTime = 4 / RAD * (
+    y * Math.sin(2 * L0 * RAD)
+    - 2 * e * Math.sin(M * RAD)
+    + 4 * e * y * Math.sin(M * RAD) * Math.cos(2 * L0 * RAD)
+    - 0.5 * y * y * Math.sin(4 * L0 * RAD)
+    - 1.25 * e * e * Math.sin(2 * M * RAD)
+  );
+  const utcMinutes = mod(ms / 60000, DAY_MINUTES);
+  const trueSolarTime = mod(utcMinutes + eqTime + 4 * longitude, DAY_MINUTES);
+  const hourAngle = (trueSolarTime / 4 - 180) * RAD;
+
+  const lat = latitude * RAD;
+  const cosZenith = Math.sin(lat) * Math.sin(decl) + Math.cos(lat) * Math.cos(decl) * Math.cos(hourAngle);
+  const elevation = 90 - Math.acos(Math.min(1, Math.max(-1, cosZenith))) / RAD;
+  const azimuth = mod(
+    Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(lat) - Math.tan(decl) * Math.cos(lat)) / RAD + 180,
+    360
+  );
+  return { azimuth, elevation: elevation + refraction(elevation) };
+}
+
+/**
+ * Unit vector toward the sun in scene space (Y up). `northDirection` follows
+ * the pages' compass setting: 0 = north along +Z, 90 = north along +X.
+ */
+export function sunDirection({ azimuth, elevation }, northDirection = 0) {
+  const n = northDirection * RAD;
+  const north = { x: Math.sin(n), z: Math.cos(n) };
+  // East is to the right when facing north with Y up.
+  const east = { x: -north.z, z: north.x };
+  const a = azimuth * RAD;
+  const h = Math.cos(elevation * RAD);
+  return {
+    x: h * (Math.cos(a) * north.x + Math.sin(a) * east.x),
+    y: Math.sin(elevation * RAD),
+    z: h * (Math.cos(a) * north.z + Math.sin(a) * east.z)
+  };
+}
+
+/** Minutes east of UTC that `timeZone` (IANA name, e.g. 'America/Denver') is at `date`. */
+export function timeZoneOffsetMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const wall = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((wall - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The moment it is `minutes` past midnight on `year`-`month`-`day` (month
+ * 1–12) on the wall clocks of `timeZone`, daylight saving included.
+ */
+export function zonedTimeToDate({ year, month, day, minutes = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day) + minutes * 60000;
+  const first = guess - timeZoneOffsetMinutes(new Date(guess), timeZone) * 60000;
+  return new Date(guess - timeZoneOffsetMinutes(new Date(first), timeZone) * 60000);
+}
+
+/**
+ * Local sunrise and sunset on `day` ({ year, month, day }) as minutes past
+ * midnight in `timeZone`, found by stepping `stepMinutes` and refining to the
+ * minute. Either is null when the sun doesn't cross the horizon that day.
+ */
+export function daylightMinutes(day, { latitude, longitude, timeZone, stepMinutes = 10 }) {
+  const elevationAt = (minutes) => solarPosition(zonedTimeToDate({ ...day, minutes }, timeZone), latitude, longitude).elevation;
+  const refine = (lo, hi, rising) => {
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if ((elevationAt(mid) > 0) === rising) hi = mid;
+      else lo = mid;
+    }
+    return hi;
+  };
+  let sunrise = null;
+  let sunset = null;
+  let prev = elevationAt(0) > 0;
+  for (let m = stepMinutes; m <= DAY_MINUTES; m += stepMinutes) {
+    const up = elevationAt(m) > 0;
+    if (up && !prev && sunrise === null) sunrise = refine(m - stepMinutes, m, true);
+    if (!up && prev) sunset = refine(m - stepMinutes, m, false);
+    prev = up;
+  }
+  return { sunrise, sunset };
+}
@@ -0,0 +1,334 @@
+/**
+ * Time-of-day shadow study: a visitor menu button opens a date picker, a
+ * time slider and an "Animate day" control that move the page's
+ * DirectionalLight to where the sun stands over the property
+ * (sun-position.mjs) and turn on shadows for the lit GLB models (terrain and
+ * homes). Closing the study puts the page's fixed lighting back.
+ */
+
+import { Box3, Color, MathUtils, PCFSoftShadowMap, Vector3 } from 'three';
+import { daylightMinutes, solarPosition, sunDirection, zonedTimeToDate } from './sun-position.mjs';
+
+const STEP_MINUTES = 5;
+const HORIZON_COLOR = new Color(0xffb070);
+const NOON_COLOR = new Color(0xffffff);
+
+function ensureStyles() {
+  if (document.getElementById('sun-study-styles')) return;
+  const style = document.createElement('style');
+  style.id = 'sun-study-styles';
+  style.textContent = `
+    #sunStudyButton { color: #fff; }
+    #sunStudyButton svg { width: 21px; height: 21px; position: relative; z-index: 1; }
+    .sun-study-panel {
+      position: fixed;
+      left: 50%;
+      bottom: 16px;
+      transform: translateX(-50%);
+      z-index: 10000;
+      width: 340px;
+      max-width: calc(100vw - 16px);
+      padding: 12px 14px;
+      border-radius: 18px;
+      background: rgba(32,32,32,0.85);
+      -webkit-backdrop-filter: blur(45px);
+      backdrop-filter: blur(45px);
+      box-sizing: border-box;
+      color: #fff;
+      font: 500 13px/1.3 'Helvetica Neue', Arial, sans-serif;
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+    }
+    .sun-study-panel.active { display: flex; }
+    .sun-study-row { display: flex; align-items: center; gap: 8px; }
+    .sun-study-row input[type="date"] {
+      flex: 1;
+      padding: 5px 8px;
+      border: 1px solid rgba(255,255,255,0.2);
+      border-radius: 8px;
+      background: rgba(0,0,0,0.3);
+      color: #fff;
+      font: inherit;
+      color-scheme: dark;
+    }
+    .sun-study-row input[type="range"] { flex: 1; accent-color: #bf281b; }
+    .sun-study-row button {
+      padding: 6px 10px;
+      border: 1px solid rgba(255,255,255,0.2);
+      border-radius: 8px;
+      background: rgba(0,0,0,0.3);
+      color: #fff;
+      font: inherit;
+      cursor: pointer;
+    }
+    .sun-study-row button:hover { background: rgba(255,255,255,0.1); }
+    .sun-study-row button.active { background: rgba(191,40,27,0.45); border-color: rgba(191,40,27,0.5); }
+    .sun-study-readout { font-size: 12px; color: rgba(255,255,255,0.75); }
+    body.recording-mode .sun-study-panel { visibility: hidden !important; }
+  `;
+  document.head.appendChild(style);
+}
+
+// YYYY-MM-DD and minutes past midnight of `date` on the property's clocks.
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: 'numeric', minute: 'numeric'
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return { iso: `${get('year')}-${get('month')}-${get('day')}`, minutes: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+function parseIsoDay(iso) {
+  const [year, month, day] = String(iso).split('-').map(Number);
+  return { year, month, day };
+}
+
+/**
+ * @param {{
+ *   scene: import('three').Scene,
+ *   renderer: import('three').WebGLRenderer,
+ *   light: import('three').DirectionalLight,
+ *   hemisphere?: import('three').HemisphereLight,
+ *   site: { latitude: number, longitude: number, timeZone: string },
+ *   getNorthDirection?: () => number,
+ *   target?: { x: number, y: number, z: number },
+ *   menuContainer?: HTMLElement,
+ *   sunIntensity?: number,
+ *   dayDurationMs?: number,
+ *   shadowMapSize?: number
+ * }} options
+ */
+export function initSunStudy(options = {}) {
+  const {
+    scene, renderer, light, hemisphere = null, site, getNorthDirection = () => 0,
+    target = null, menuContainer = null, sunIntensity = 1.8, dayDurationMs = 24000, shadowMapSize = 2048
+  } = options;
+  if (!scene || !renderer || !light || !site) {
+    console.warn('sun-study: scene, renderer, light and site are required.');
+    return {};
+  }
+
+  ensureStyles();
+
+  const fixed = {
+    position: light.position.clone(),
+    intensity: light.intensity,
+    color: light.color.clone(),
+    hemisphere: hemisphere ? hemisphere.intensity : 0
+  };
+  const now = zonedParts(new Date(), site.timeZone);
+  const state = {
+    enabled: false,
+    day: now.iso,
+    minutes: Math.round(now.minutes / STEP_MINUTES) * STEP_MINUTES,
+    daylight: null,
+    animation: null,  // { start, from, to, raf }
+    casters: new Set()
+  };
+  const ui = {};
+
+  // Lit GLB meshes (MeshStandard/Physical) cast and receive; helpers and splats don't.
+  function syncShadowCasters(on) {
+    const seen = new Set();
+    scene.traverse((o) => {
+      if (!o.isMesh) return;
+      const mats = Array.isArray(o.material) ? o.material : [o.material];
+      if (!mats.some((m) => m && m.isMeshStandardMaterial)) return;
+      seen.add(o);
+      if (o.castShadow === on && o.receiveShadow === on && state.casters.has(o) === on) return;
+      o.castShadow = on;
+      o.receiveShadow = on;
+      mats.forEach((m) => { if (m) m.needsUpdate = true; });
+    });
+    state.casters = on ? seen : new Set();
+    return seen;
+  }
+
+  // Shadow camera tight around the models so the map keeps its resolution.
+  function fitShadowCamera(meshes, direction) {
+    const box = new Box3();
+    meshes.forEach((mesh) => { if (mesh.visible) box.expandByObject(mesh); });
+    const center = box.isEmpty() ? new Vector3().copy(target || { x: 0, y: 0, z: 0 }) : box.getCenter(new Vector3());
+    const radius = box.isEmpty() ? 10 : Math.max(box.getSize(new Vector3()).length() / 2, 0.01);
+    light.position.copy(center).addScaledVector(direction, radius * 2);
+    light.target.position.copy(center);
+    light.target.updateMatrixWorld();
+    const cam = light.shadow.camera;
+    cam.left = -radius;
+    cam.right = radius;
+    cam.top = radius;
+    cam.bottom = -radius;
+    cam.near = radius * 0.01;
+    cam.far = radius * 4;
+    cam.updateProjectionMatrix();
+    light.shadow.normalBias = radius * 0.002;
+  }
+
+  function currentDate() {
+    return zonedTimeToDate({ ...parseIsoDay(state.day), minutes: state.minutes }, site.timeZone);
+  }
+
+  function update() {
+    if (!state.enabled) return;
+    const date = currentDate();
+    const sun = solarPosition(date, site.latitude, site.longitude);
+    const d = sunDirection(sun, getNorthDirection());
+    const daylight = MathUtils.smoothstep(sun.elevation, -2, 10);
+    fitShadowCamera(syncShadowCasters(true), new Vector3(d.x, d.y, d.z));
+    light.intensity = sunIntensity * daylight;
+    light.color.copy(HORIZON_COLOR).lerp(NOON_COLOR, MathUtils.smoothstep(sun.elevation, 0, 30));
+    if (hemisphere) hemisphere.intensity = fixed.hemisphere * (0.35 + 0.65 * daylight);
+    renderReadout(date, sun);
+  }
+
+  function setEnabled(on) {
+    on = !!on;
+    if (on === state.enabled) return;
+    state.enabled = on;
+    if (!on) stopAnimation();
+    renderer.shadowMap.enabled = on;
+    renderer.shadowMap.type = PCFSoftShadowMap;
+    light.castShadow = on;
+    if (on) {
+      light.shadow.mapSize.set(shadowMapSize, shadowMapSize);
+      light.shadow.bias = -0.0005;
+      update();
+    } else {
+      syncShadowCasters(false);
+      light.position.copy(fixed.position);
+      light.intensity = fixed.intensity;
+      light.color.copy(fixed.color);
+      if (target) {
+        light.target.position.copy(target);
+        light.target.updateMatrixWorld();
+      }
+      if (hemisphere) hemisphere.intensity = fixed.hemisphere;
+    }
+    if (ui.panel) ui.panel.classList.toggle('active', on);
+    if (ui.button) {
+      ui.button.classList.toggle('active', on);
+      ui.button.setAttribute('aria-pressed', on ? 'true' : 'false');
+    }
+  }
+
+  function setDay(iso) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(iso))) return;
+    state.day = iso;
+    state.daylight = null;
+    if (ui.date) ui.date.value = iso;
+    update();
+  }
+
+  function setMinutes(minutes) {
+    state.minutes = MathUtils.clamp(Math.round(Number(minutes) || 0), 0, 1439);
+    if (ui.time) ui.time.value = String(state.minutes);
+    update();
+  }
+
+  function getDaylight() {
+    if (!state.daylight) state.daylight = daylightMinutes(parseIsoDay(state.day), site);
+    return state.daylight;
+  }
+
+  // Sunrise to sunset (half an hour either side), looping; all day at the poles.
+  function startAnimation() {
+    stopAnimation();
+    setEnabled(true);
+    const { sunrise, sunset } = getDaylight();
+    const from = sunrise === null ? 0 : Math.max(0, sunrise - 30);
+    const to = sunset === null ? 1439 : Math.min(1439, sunset + 30);
+    const offset = state.minutes > from && state.minutes < to ? (state.minutes - from) / (to - from) : 0;
+    state.animation = { start: performance.now() - offset * dayDurationMs, from, to, raf: 0 };
+    const step = (now) => {
+      const anim = state.animation;
+      if (!anim) return;
+      const t = ((now - anim.start) % dayDurationMs) / dayDurationMs;
+      setMinutes(anim.from + (anim.to - anim.from) * t);
+      anim.raf = requestAnimationFrame(step);
+    };
+    state.animation.raf = requestAnimationFrame(step);
+    if (ui.play) {
+      ui.play.classList.add('active');
+      ui.play.textContent = 'Pause';
+    }
+  }
+
+  function stopAnimation() {
+    if (state.animation) cancelAnimationFrame(state.animation.raf);
+    state.animation = null;
+    if (ui.play) {
+      ui.play.classList.remove('active');
+      ui.play.textContent = 'Animate day';
+    }
+  }
+
+  function renderReadout(date, sun) {
+    if (!ui.readout) return;
+    const when = new Intl.DateTimeFormat(undefined, {
+      timeZone: site.timeZone, month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    }).format(date);
+    const where = sun.elevation > 0
+      ? `sun ${Math.round(sun.elevation)}° up, bearing ${Math.round(sun.azimuth)}°`
+      : 'sun below the horizon';
+    ui.readout.textContent = `${when} · ${where}`;
+  }
+
+  // --- UI ---
+  ui.panel = document.createElement('div');
+  ui.panel.className = 'sun-study-panel';
+  ui.panel.innerHTML = `
+    <div class="sun-study-row">
+      <input type="date" id="sunStudyDate" aria-label="Date">
+      <button type="button" id="sunStudyPlay">Animate day</button>
+      <button type="button" id="sunStudyClose" aria-label="Close sun study">✕</button>
+    </div>
+    <div class="sun-study-row">
+      <input type="range" id="sunStudyTime" min="0" max="1439" step="${STEP_MINUTES}" aria-label="Time of day">
+    </div>
+    <div class="sun-study-readout" id="sunStudyReadout"></div>
+  `;
+  document.body.appendChild(ui.panel);
+  ui.date = ui.panel.querySelector('#sunStudyDate');
+  ui.time = ui.panel.querySelector('#sunStudyTime');
+  ui.play = ui.panel.querySelector('#sunStudyPlay');
+  ui.readout = ui.panel.querySelector('#sunStudyReadout');
+  ui.date.value = state.day;
+  ui.time.value = String(state.minutes);
+  ui.date.addEventListener('change', () => setDay(ui.date.value));
+  ui.time.addEventListener('input', () => {
+    stopAnimation();
+    setMinutes(ui.time.value);
+  });
+  ui.play.addEventListener('click', () => (state.animation ? stopAnimation() : startAnimation()));
+  ui.panel.querySelector('#sunStudyClose').addEventListener('click', () => setEnabled(false));
+
+  if (menuContainer && typeof menuContainer.appendChild === 'function') {
+    ui.button = document.createElement('div');
+    ui.button.id = 'sunStudyButton';
+    ui.button.className = 'menu-button';
+    ui.button.setAttribute('role', 'button');
+    ui.button.setAttribute('title', 'Sun and shadows');
+    ui.button.setAttribute('aria-label', 'Sun and shadow study');
+    ui.button.setAttribute('aria-pressed', 'false');
+    ui.button.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="4"/><path d="M12 2v2M12 20v2M4.93 4.93l1.41 1.41M17.66 17.66l1.41 1.41M2 12h2M20 12h2M4.93 19.07l1.41-1.41M17.66 6.34l1.41-1.41"/></svg>';
+    ui.button.addEventListener('click', () => setEnabled(!state.enabled));
+    menuContainer.appendChild(ui.button);
+  }
+
+  return {
+    setEnabled,
+    refresh: update,
+    setDay,
+    setMinutes,
+    startAnimation,
+    stopAnimation,
+    getState: () => ({
+      enabled: state.enabled,
+      day: state.day,
+      minutes: state.minutes,
+      animating: !!state.animation,
+      sun: solarPosition(currentDate(), site.latitude, site.longitude)
+    })
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Checkpoint highlights for pages with tap dots: builds the `onHighlight`
+ * option of shared/path-animation.mjs. The target named on a checkpoint is
+ * matched against the page's tap dots ({ dot, iconMesh, scale, index, config }
+ * as the index pages keep them) and the matching dot is drawn brighter and
+ * larger in the scene, so it also shows in recordings. Works on anything
+ * shaped like the Three.js meshes, so tests run without Three.js.
+ */
+
+export const HIGHLIGHT_COLOR = 0xffffff;
+export const HIGHLIGHT_SCALE = 1.25;
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Whether `target` names `tapDot`: its config `id`, `caption` or `title`
+ * (case-insensitive), or its number as `3` / `#3`.
+ */
+export function matchesHighlightTarget(tapDot, target) {
+  if (!tapDot || target == null) return false;
+  const wanted = normalize(target);
+  if (!wanted) return false;
+  const config = tapDot.config || {};
+  if (['id', 'caption', 'title'].some((key) => config[key] != null && normalize(config[key]) === wanted)) return true;
+  return Number.isInteger(tapDot.index) && wanted.replace(/^#/, '') === String(tapDot.index);
+}
+
+export function findHighlightTarget(tapDots, target) {
+  return (tapDots || []).find((td) => matchesHighlightTarget(td, target)) || null;
+}
+
+/**
+ * `getTapDots()` returns the dots a target may name (e.g. the active hole's).
+ * By default the matched dot is shown, recoloured and scaled, and put back as
+ * it was when the highlight goes away. Pages that restyle their dots
+ * themselves pass `apply(tapDot)` instead, called with the new highlighted
+ * dot (or null) after `current` changes.
+ */
+export function createTapDotHighlighter(getTapDots, { apply, color = HIGHLIGHT_COLOR, scale = HIGHLIGHT_SCALE } = {}) {
+  let current = null;
+  let saved = null;
+
+  function restore() {
+    if (!current || !saved) return;
+    current.dot.visible = saved.visible;
+    current.dot.material.color.setHex(saved.color);
+    current.dot.scale.setScalar(saved.scale);
+    if (current.iconMesh) current.iconMesh.visible = saved.iconVisible;
+    saved = null;
+  }
+
+  function emphasize(tapDot) {
+    const { dot, iconMesh } = tapDot;
+    saved = { visible: dot.visible, color: dot.material.color.getHex(), scale: dot.scale.x, iconVisible: iconMesh ? iconMesh.visible : false };
+    dot.visible = true;
+    dot.material.color.setHex(color);
+    dot.scale.setScalar(saved.scale * scale);
+    if (iconMesh) iconMesh.visible = true;
+  }
+
+  return {
+    get current() { return current; },
+    onHighlight(target) {
+      const next = target ? findHighlightTarget(getTapDots(), target) : null;
+      if (next === current) return;
+      if (!apply) restore();
+      current = next;
+      if (apply) apply(current);
+      else if (current) emphasize(current);
+    }
+  };
+}
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  crossfadeOpacity,
+  fadeProgress,
+  isInVariant,
+  normalizeVariantNames
+} from '../home-variants.mjs';
+
+test('normalizeVariantNames trims, drops blanks and keeps the first of duplicates', () => {
+  assert.deepEqual(normalizeVariantNames([' Option A ', '', 'Option B', 'Option A', null]), ['Option A', 'Option B']);
+  assert.deepEqual(normalizeVariantNames(undefined), []);
+});
+
+test('isInVariant shows shared polygons everywhere and members only in their variants', () => {
+  assert.equal(isInVariant([], 'Option A'), true);
+  assert.equal(isInVariant(undefined, 'Option A'), true);
+  assert.equal(isInVariant(['Option A'], 'Option A'), true);
+  assert.equal(isInVariant(['Option A'], 'Option B'), false);
+  assert.equal(isInVariant(['Option A'], null), true);
+});
+
+test('crossfadeOpacity fades the outgoing design out and the incoming one in', () => {
+  const farmhouse = ['Option A'];
+  const modern = ['Option B'];
+  const garage = ['Option A', 'Option B'];
+  assert.equal(crossfadeOpacity(farmhouse, 'Option A', 'Option B', 0.25), 0.75);
+  assert.equal(crossfadeOpacity(modern, 'Option A', 'Option B', 0.25), 0.25);
+  assert.equal(crossfadeOpacity(garage, 'Option A', 'Option B', 0.25), 1);
+  assert.equal(crossfadeOpacity([], 'Option A', 'Option B', 0.5), 1);
+  assert.equal(crossfadeOpacity(modern, 'Option A', 'Option B', 1), 1);
+});
+
+test('fadeProgress eases from 0 to 1 over the duration', () => {
+  assert.equal(fadeProgress(0, 800), 0);
+  assert.equal(fadeProgress(400, 800), 0.5);
+  assert.equal(fadeProgress(1200, 800), 1);
+  assert.ok(fadeProgress(100, 800) < 100 / 800);
+  assert.equal(fadeProgress(10, 0), 1);
+});
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_MODEL_BUDGET,
+  budgetStatus,
+  combineLodCosts,
+  formatBytes,
+  formatCount,
+  measureModelCost,
+  normalizeLodLevels,
+  progressiveLoadOrder
+} from '../model-budget.mjs';
+
+function tree(meshes) {
+  return { traverse: (fn) => [{ isGroup: true }, ...meshes].forEach(fn) };
+}
+
+function geometry(vertexCount, indexCount) {
+  return {
+    attributes: {
+      position: { count: vertexCount, array: new Float32Array(vertexCount * 3) },
+      normal: { count: vertexCount, array: new Float32Array(vertexCount * 3) }
+    },
+    index: indexCount ? { count: indexCount, array: new Uint16Array(indexCount) } : null
+  };
+}
+
+test('normalizeLodLevels keeps valid levels nearest first', () => {
+  assert.deepEqual(normalizeLodLevels([
+    { url: '/assets/house-lod2.glb', distance: 8 },
+    { url: ' /assets/house-lod1.glb ', distance: '3' },
+    { url: '/assets/house-lod1.glb', distance: 5 },
+    { url: '', distance: 2 },
+    { url: '/assets/house-lod0.glb', distance: 0 },
+    null
+  ]), [
+    { url: '/assets/house-lod1.glb', distance: 3 },
+    { url: '/assets/house-lod2.glb', distance: 8 }
+  ]);
+  assert.deepEqual(normalizeLodLevels(undefined), []);
+});
+
+test('progressiveLoadOrder fetches the coarsest level first and full detail last', () => {
+  assert.deepEqual(progressiveLoadOrder('/assets/house.glb', [
+    { url: '/assets/house-lod1.glb', distance: 3 },
+    { url: '/assets/house-lod2.glb', distance: 8 }
+  ]).map((l) => l.url), ['/assets/house-lod2.glb', '/assets/house-lod1.glb', '/assets/house.glb']);
+  assert.deepEqual(progressiveLoadOrder('/assets/house.glb'), [{ url: '/assets/house.glb', distance: 0 }]);
+});
+
+test('measureModelCost counts shared geometry and textures once and instances per copy', () => {
+  const shared = geometry(300, 600);
+  const texture = { isTexture: true, image: { width: 1024, height: 1024 } };
+  const compressed = { isTexture: true, isCompressedTexture: true, mipmaps: [{ data: new Uint8Array(4096) }, { data: new Uint8Array(1024) }] };
+  const cost = measureModelCost(tree([
+    { isMesh: true, geometry: shared, material: { map: texture, color: {} } },
+    { isMesh: true, geometry: shared, material: [{ map: texture, normalMap: compressed }] },
+    {
+      isMesh: true, isInstancedMesh: true, count: 10, geometry: geometry(30),
+      instanceMatrix: { array: new Float32Array(160) }, material: null
+    }
+  ]));
+  assert.equal(cost.meshes, 3);
+  assert.equal(cost.triangles, 200 + 200 + 10 * 10);
+  assert.equal(cost.vertices, 300 + 300 + 300);
+  assert.equal(cost.geometryBytes, 300 * 12 * 2 + 600 * 2 + 30 * 12 * 2 + 160 * 4);
+  assert.equal(cost.textures, 2);
+  assert.equal(cost.textureBytes, Math.round(1024 * 1024 * 4 * 4 / 3) + 5120);
+});
+
+test('combineLodCosts keeps every level in memory but draws the full-detail triangles', () => {
+  const full = { meshes: 4, triangles: 90000, vertices: 50000, geometryBytes: 3000000, textureBytes: 8000000, textures: 3 };
+  const coarse = { meshes: 1, triangles: 9000, vertices: 5000, geometryBytes: 300000, textureBytes: 1000000, textures: 1 };
+  const cost = combineLodCosts([full, coarse]);
+  assert.equal(cost.levels, 2);
+  assert.equal(cost.triangles, 90000);
+  assert.equal(cost.geometryBytes, 3300000);
+  assert.equal(cost.textureBytes, 9000000);
+});
+
+test('budgetStatus and the formatters', () => {
+  const budget = { triangles: 1000, bytes: 1000 };
+  assert.equal(budgetStatus({ triangles: 500, geometryBytes: 100, textureBytes: 100 }, budget), 'ok');
+  assert.equal(budgetStatus({ triangles: 800, geometryBytes: 0, textureBytes: 0 }, budget), 'near');
+  assert.equal(budgetStatus({ triangles: 10, geometryBytes: 600, textureBytes: 600 }, budget), 'over');
+  assert.equal(budgetStatus({ triangles: 0, geometryBytes: 0, textureBytes: 0 }), 'ok');
+  assert.ok(DEFAULT_MODEL_BUDGET.triangles > 0 && DEFAULT_MODEL_BUDGET.bytes > 0);
+  assert.equal(formatBytes(512), '512 B');
+  assert.equal(formatBytes(2048), '2 KB');
+  assert.equal(formatBytes(5.5 * 1024 * 1024), '5.5 MB');
+  assert.equal(formatCount(950), '950');
+  assert.equal(formatCount(350400), '350k');
+  assert.equal(formatCount(1250000), '1.3M');
+});
@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// Just enough DOM for the editor UI to build; the tests only drive the camera.
+function fakeElement(tag = 'div') {
+  return {
+    tagName: String(tag).toUpperCase(),
+    style: {},
+    dataset: {},
+    attrs: {},
+    children: [],
+    value: '',
+    checked: false,
+    textContent: '',
+    innerHTML: '',
+    options: [],
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    appendChild(child) { this.children.push(child); return child; },
+    append(...nodes) { this.children.push(...nodes); },
+    prepend() {},
+    insertBefore(child) { return child; },
+    removeChild(child) { return child; },
+    remove() {},
+    replaceChildren() {},
+    setAttribute(key, value) { this.attrs[key] = value; },
+    getAttribute(key) { return this.attrs[key] ?? null; },
+    removeAttribute() {},
+    hasAttribute: () => false,
+    addEventListener() {},
+    removeEventListener() {},
+    querySelector: () => fakeElement(),
+    querySelectorAll: () => [],
+    closest: () => null,
+    contains: () => false,
+    getBoundingClientRect: () => ({ left: 0, top: 0, right: 100, bottom: 100, width: 100, height: 100 }),
+    focus() {},
+    getContext: () => null
+  };
+}
+
+const elementsById = {};
+globalThis.document = {
+  createElement: fakeElement,
+  createElementNS: (ns, tag) => fakeElement(tag),
+  getElementById: (id) => (elementsById[id] ||= fakeElement()),
+  querySelector: () => null,
+  querySelectorAll: () => [],
+  addEventListener() {},
+  removeEventListener() {},
+  body: fakeElement('body'),
+  head: fakeElement('head'),
+  documentElement: fakeElement('html')
+};
+globalThis.window = globalThis;
+globalThis.addEventListener = () => {};
+globalThis.removeEventListener = () => {};
+globalThis.localStorage = { getItem: () => null, setItem() {}, removeItem() {} };
+globalThis.requestAnimationFrame = () => 0;
+globalThis.cancelAnimationFrame = () => {};
+
+const { initPathAnimation } = await import('../path-animation.mjs');
+
+function vector(x, y, z) {
+  return { x, y, z, set(a, b, c) { this.x = a; this.y = b; this.z = c; return this; } };
+}
+
+function setup({ loop = false, highlight = '', onHighlight } = {}) {
+  const camera = { fov: 50, position: vector(0, 1, 3), up: vector(0, 1, 0), updateProjectionMatrix() {}, lookAt() {} };
+  const controls = { target: vector(0, 0, 0), update() {} };
+  const animation = initPathAnimation({
+    camera,
+    controls,
+    renderer: { domElement: fakeElement('canvas') },
+    onHighlight,
+    initialPath: {
+      loop,
+      checkpoints: [
+        { position: { x: 0, y: 1, z: 3 }, lookAt: { x: 0, y: 0, z: 0 }, duration: 2, fov: 30, roll: 20, highlight },
+        { position: { x: 3, y: 1, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, duration: 2, fov: 64, roll: -15 }
+      ]
+    }
+  });
+  return { camera, animation };
+}
+
+const assertBaseLens = (camera) => {
+  assert.equal(camera.fov, 50);
+  assert.deepEqual({ x: camera.up.x, y: camera.up.y, z: camera.up.z }, { x: 0, y: 1, z: 0 });
+};
+
+test('pausing puts the page lens and up-vector back', () => {
+  const { camera, animation } = setup({ loop: true });
+  animation.play();
+  animation.update(0.5);
+  assert.notEqual(camera.fov, 50);
+  assert.notEqual(camera.up.y, 1);
+  animation.pause();
+  assertBaseLens(camera);
+});
+
+test('reaching the end of a path puts the page lens and up-vector back', () => {
+  const { camera, animation } = setup();
+  const ended = [];
+  animation.on('end', () => ended.push(true));
+  animation.play();
+  animation.update(1);
+  assert.notEqual(camera.fov, 50);
+  for (let i = 0; i < 20 && !ended.length; i += 1) animation.update(0.5);
+  assert.equal(ended.length, 1);
+  assert.equal(animation.getPlayback().playing, false);
+  assertBaseLens(camera);
+});
+
+test('a checkpoint highlight is handed to the page while it plays and cleared on pause', () => {
+  const calls = [];
+  const { animation } = setup({ loop: true, highlight: 'Hole 18', onHighlight: (...args) => calls.push(args) });
+  animation.play();
+  animation.update(0.5);
+  animation.update(0.5);
+  assert.deepEqual(calls, [['Hole 18', 0]]);
+  animation.pause();
+  animation.update(0.5);
+  assert.deepEqual(calls, [['Hole 18', 0], [null, null]]);
+});
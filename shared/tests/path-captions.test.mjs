@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildCaptionCues,
+  cleanCueText,
+  cueAt,
+  cueOpacity,
+  drawCaptionOverlay,
+  wrapLines
+} from '../path-captions.mjs';
+import { buildTimeline } from '../path-timeline.mjs';
+
+const cp = (extra = {}) => ({ position: { x: 0, y: 0, z: 0 }, lookAt: { x: 0, y: 0, z: -1 }, title: '', caption: '', highlight: '', ...extra });
+
+test('cleanCueText trims, caps length and drops non-strings', () => {
+  assert.equal(cleanCueText('  Kitchen  ', 80), 'Kitchen');
+  assert.equal(cleanCueText('abcdef', 3), 'abc');
+  assert.equal(cleanCueText(42, 80), '');
+  assert.equal(cleanCueText(undefined, 80), '');
+});
+
+test('a checkpoint cue runs from arrival (including its stop) to the next arrival', () => {
+  const path = [
+    cp({ title: 'Welcome' }),
+    cp(),
+    cp({ caption: 'Pool deck', highlight: 'lot-12', pauseAt: true, pauseDuration: 2 }),
+    cp()
+  ];
+  const timeline = buildTimeline(path, [3, 3, 3]);
+  const cues = buildCaptionCues(timeline, path);
+  assert.deepEqual(
+    cues.map((c) => [c.checkpointIndex, c.start, c.end, c.fadeOut]),
+    [[0, 0, 3, true], [2, 6, 11, false]]
+  );
+  assert.equal(cues[1].highlight, 'lot-12');
+  assert.equal(cueAt(cues, 1).title, 'Welcome');
+  assert.equal(cueAt(cues, 4), null);
+  assert.equal(cueAt(cues, 7).caption, 'Pool deck');
+  assert.equal(cueAt(cues, 11).caption, 'Pool deck');
+});
+
+test('looping paths give checkpoint 0 a second cue for the closing stop', () => {
+  const path = [cp({ caption: 'Front gate', pauseAt: true, pauseDuration: 1 }), cp(), cp()];
+  const timeline = buildTimeline(path, [2, 2, 2], { loop: true });
+  const cues = buildCaptionCues(timeline, path);
+  assert.deepEqual(cues.map((c) => [c.start, c.end]), [[0, 2], [6, 7]]);
+});
+
+test('back-to-back checkpoints with the same text merge into one cue', () => {
+  const path = [cp({ caption: 'Same' }), cp({ caption: 'Same' }), cp({ caption: 'Other' }), cp()];
+  const cues = buildCaptionCues(buildTimeline(path, [1, 1, 1]), path);
+  assert.deepEqual(cues.map((c) => [c.caption, c.start, c.end]), [['Same', 0, 2], ['Other', 2, 3]]);
+});
+
+test('cueOpacity fades in and out, but holds the final cue to the last frame', () => {
+  const cue = { start: 2, end: 6, fadeOut: true };
+  assert.equal(cueOpacity(cue, 2, 0.4), 0);
+  assert.ok(Math.abs(cueOpacity(cue, 2.2, 0.4) - 0.5) < 1e-9);
+  assert.equal(cueOpacity(cue, 4, 0.4), 1);
+  assert.ok(Math.abs(cueOpacity(cue, 5.9, 0.4) - 0.25) < 1e-9);
+  assert.equal(cueOpacity({ ...cue, fadeOut: false }, 6, 0.4), 1);
+  assert.equal(cueOpacity(null, 3), 0);
+});
+
+test('wrapLines breaks on words, keeps newlines and never splits a long word', () => {
+  const measure = (t) => t.length;
+  assert.deepEqual(wrapLines('one two three four', 9, measure), ['one two', 'three', 'four']);
+  assert.deepEqual(wrapLines('first\nsecond line', 20, measure), ['first', 'second line']);
+  assert.deepEqual(wrapLines('supercalifragilistic', 5, measure), ['supercalifragilistic']);
+  assert.deepEqual(wrapLines('', 5, measure), []);
+});
+
+test('drawCaptionOverlay draws both blocks and leaves the context state as it found it', () => {
+  const calls = [];
+  const ctx = {
+    globalAlpha: 1,
+    measureText: (t) => ({ width: t.length * 10 }),
+    save: () => calls.push('save'),
+    restore: () => calls.push('restore'),
+    beginPath() {},
+    rect() {},
+    fill: () => calls.push('fill'),
+    fillRect: () => calls.push('bar'),
+    fillText: (text) => calls.push(`text:${text}`)
+  };
+  drawCaptionOverlay(ctx, { title: 'Lot 12', caption: 'Ready to build' }, { width: 1920, height: 1080, opacity: 0.5 });
+  assert.equal(calls[0], 'save');
+  assert.equal(calls[calls.length - 1], 'restore');
+  assert.ok(calls.includes('text:Lot 12'));
+  assert.ok(calls.includes('text:Ready to build'));
+  assert.ok(calls.includes('bar'));
+
+  calls.length = 0;
+  drawCaptionOverlay(ctx, { title: '', caption: '', highlight: 'lot-12' }, { width: 1920, height: 1080 });
+  assert.deepEqual(calls, []);
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildHeightField,
+  clearanceFloor,
+  GROUND_REBUILD_GROWTH,
+  collectSplatPoints,
+  countSplatPoints,
+  findClearanceIssues,
+  groundNeedsRebuild
+} from '../path-clearance.mjs';
+
+const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+// Half-float bits for the small, exactly representable values used below.
+function half(v) {
+  if (v === 0) return 0;
+  const e = Math.floor(Math.log2(Math.abs(v)));
+  return (v < 0 ? 0x8000 : 0) | ((e + 15) << 10) | Math.round((Math.abs(v) / 2 ** e - 1) * 1024);
+}
+
+function groundPoints(heightAt) {
+  const out = [];
+  for (let x = 0.25; x < 10; x += 0.5) {
+    for (let z = 0.25; z < 10; z += 0.5) out.push(x, heightAt(x, z), z);
+  }
+  return out;
+}
+
+test('buildHeightField follows the ground and a hill, ignoring a few floaters', () => {
+  const points = groundPoints((x, z) => (x > 4 && x < 6 && z > 4 && z < 6 ? 2 : 0));
+  for (let i = 0; i < 2; i++) points.push(1.1, 40, 1.1);
+  const field = buildHeightField(new Float32Array(points), { gridSize: 5 });
+  assert.ok(near(field.heightAt(1, 1), 0));
+  assert.ok(near(field.heightAt(5, 5), 2));
+  assert.ok(field.heightAt(4, 5) > 0 && field.heightAt(4, 5) < 2);
+  assert.equal(field.heightAt(-50, 5), null);
+  assert.equal(buildHeightField(new Float32Array(9)), null);
+});
+
+test('clearanceFloor takes the higher of minY and ground plus clearance', () => {
+  assert.equal(clearanceFloor(0, 0), -Infinity);
+  assert.equal(clearanceFloor(0, 0, { minY: 0.2 }), 0.2);
+  assert.equal(clearanceFloor(0, 0, { minY: 0.2, groundAt: () => 1, clearance: 0.5 }), 1.5);
+  assert.equal(clearanceFloor(0, 0, { minY: 0.2, groundAt: () => null, clearance: 0.5 }), 0.2);
+});
+
+test('findClearanceIssues flags the Catmull-Rom overshoot between two low checkpoints', () => {
+  const cp = (x, y) => ({ position: { x, y, z: 0 }, lookAt: { x: 0, y: 0, z: -1 }, duration: 2, easing: 'linear' });
+  const path = [cp(0, 1), cp(1, 0.2), cp(2, 0.2), cp(3, 1)];
+  const issues = findClearanceIssues(path, { floorAt: () => 0.15 });
+  assert.deepEqual(issues.map((i) => i.segmentIndex), [1]);
+  assert.ok(near(issues[0].depth, 0.05));
+  assert.equal(issues[0].t, 0.5);
+  assert.deepEqual(findClearanceIssues(path, { floorAt: () => 0 }), []);
+  assert.deepEqual(findClearanceIssues(path.slice(0, 1), { floorAt: () => 10 }), []);
+});
+
+test('collectSplatPoints reads visible splats into world space and skips unchanged counts', () => {
+  const cpuPoints = new Uint16Array([half(-1), half(-2), half(0.5), half(1), half(0), half(4)]);
+  const translate = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 10, 0, 0, 1];
+  const splat = { visible: true, matrixWorld: { elements: translate }, lumaSplatsWebGL: { loader: { cpuPoints, cpuPtsCount: 2 } } };
+  const hidden = { ...splat, visible: false };
+  const root = { traverse: (fn) => [root, splat, hidden].forEach(fn) };
+
+  const { positions, sourceCount } = collectSplatPoints(root);
+  assert.equal(sourceCount, 2);
+  assert.deepEqual([...positions], [11, 2, 0.5, 9, 0, 4]);
+  assert.equal(collectSplatPoints(root, { unchangedFrom: 2 }), null);
+  assert.equal(collectSplatPoints({ traverse() {} }).sourceCount, 0);
+  assert.equal(countSplatPoints(root), 2);
+});
+
+test('groundNeedsRebuild waits for streaming splats to grow or settle', () => {
+  assert.equal(groundNeedsRebuild(-1, -1, 0), true);
+  assert.equal(groundNeedsRebuild(0, 0, 5000), true);
+  assert.equal(groundNeedsRebuild(5000, 5000, 5000), false);
+  assert.equal(groundNeedsRebuild(5000, 5000, 6000), false);
+  assert.equal(groundNeedsRebuild(5000, 6000, 7000), false);
+  assert.equal(groundNeedsRebuild(5000, 6000, 5000 * GROUND_REBUILD_GROWTH), true);
+  assert.equal(groundNeedsRebuild(5000, 7000, 7000), true);
+});
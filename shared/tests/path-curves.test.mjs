@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyEasing,
+  arcLengthToT,
+  buildArcLengthTable,
+  buildPathTiming,
+  catmullRomVector,
+  evaluatePathPose,
+  normalizeEasing,
+  rollUpVector
+} from '../path-curves.mjs';
+
+const v = (x, y, z) => ({ x, y, z });
+const cp = (x, extra = {}) => ({ position: v(x, 0, 0), lookAt: v(x, 0, -1), duration: 2, ...extra });
+
+// Uneven spacing: segment 0 is short, segment 1 is long.
+const PATH = [cp(0), cp(1), cp(10), cp(11)];
+
+const close = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `${a} !== ${b}`);
+
+test('easing presets hit their endpoints and unknown names fall back to linear', () => {
+  for (const name of ['linear', 'ease-in', 'ease-out', 'ease-in-out']) {
+    close(applyEasing(name, 0), 0);
+    close(applyEasing(name, 1), 1);
+  }
+  assert.ok(applyEasing('ease-in', 0.5) < 0.5);
+  assert.ok(applyEasing('ease-out', 0.5) > 0.5);
+  assert.equal(applyEasing('hold', 0.99), 0);
+  assert.equal(applyEasing('hold', 1), 1);
+  assert.equal(normalizeEasing('bounce'), 'linear');
+  assert.equal(normalizeEasing(undefined), 'linear');
+});
+
+test('arc-length table is monotonic and maps distance back to curve t', () => {
+  const table = buildArcLengthTable(v(0, 0, 0), v(0, 0, 0), v(3, 0, 0), v(3, 0, 0));
+  for (let i = 1; i < table.cumulative.length; i++) assert.ok(table.cumulative[i] >= table.cumulative[i - 1]);
+  close(table.length, 3, 1e-3);
+  // Clamped end tangents make the middle fast, so half the distance is reached at t = 0.5 but a quarter needs more than t = 0.25.
+  close(arcLengthToT(table, 0.5), 0.5, 1e-3);
+  assert.ok(arcLengthToT(table, 0.25) > 0.25);
+});
+
+test('constant speed keeps the total time and spreads it by segment length', () => {
+  const plain = buildPathTiming(PATH);
+  assert.deepEqual(plain.durations, [2, 2, 2]);
+
+  const timing = buildPathTiming(PATH, { constantSpeed: true });
+  close(timing.durations.reduce((a, b) => a + b, 0), 6, 1e-9);
+  assert.ok(timing.durations[1] > timing.durations[0] * 5);
+  close(timing.durations[0], timing.durations[2], 1e-9);
+});
+
+test('linear checkpoints without fov / roll evaluate exactly like the original spline', () => {
+  const pose = evaluatePathPose(PATH, 1, 0.3);
+  const expected = catmullRomVector(PATH[0].position, PATH[1].position, PATH[2].position, PATH[3].position, 0.3, v(0, 0, 0));
+  assert.deepEqual(pose.position, expected);
+  assert.equal(pose.fov, null);
+  assert.equal(pose.roll, null);
+});
+
+test('easing and fov / roll keyframes shape the pose', () => {
+  const path = [cp(0, { easing: 'hold' }), cp(1, { fov: 30, roll: 20 }), cp(2)];
+  const held = evaluatePathPose(path, 0, 0.9, { baseFov: 60 });
+  assert.deepEqual(held.position, v(0, 0, 0));
+  close(held.fov, 60);
+  close(held.roll, 0);
+
+  const arrive = evaluatePathPose(path, 1, 0, { baseFov: 60 });
+  close(arrive.fov, 30);
+  close(arrive.roll, 20);
+  const leave = evaluatePathPose(path, 1, 1, { baseFov: 60 });
+  close(leave.fov, 60);
+  close(leave.roll, 0);
+});
+
+test('rollUpVector rolls counter-clockwise about the view direction', () => {
+  const level = rollUpVector(v(0, 0, -1), 0);
+  close(level.x, 0);
+  close(level.y, 1);
+  const rolled = rollUpVector(v(0, 0, -1), 90);
+  close(rolled.x, -1);
+  close(rolled.y, 0);
+  close(rolled.z, 0);
+  // Looking straight down still yields a usable up vector.
+  const down = rollUpVector(v(0, -1, 0), 0);
+  close(Math.hypot(down.x, down.y, down.z), 1);
+});
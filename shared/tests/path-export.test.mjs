@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_IN_MEMORY_ZIP_BYTES,
+  assertPngZipFits,
+  avcCodecCandidates,
+  estimatePngZipBytes,
+  evenSize,
+  pickAvcLevel,
+  planExportFrames
+} from '../path-export.mjs';
+import { createMp4Muxer } from '../mp4-muxer.mjs';
+import { crc32, createZipStore, createZipWriter } from '../zip-store.mjs';
+
+/** Top-level and nested MP4 boxes as { type, start, size }. */
+function readBoxes(buf, start = 0, end = buf.length) {
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const out = [];
+  for (let at = start; at < end;) {
+    const size = view.getUint32(at);
+    out.push({ type: String.fromCharCode(...buf.subarray(at + 4, at + 8)), start: at, size });
+    at += size;
+  }
+  return out;
+}
+
+function findBox(buf, path) {
+  let range = [0, buf.length];
+  let found = null;
+  for (const type of path) {
+    found = readBoxes(buf, range[0], range[1]).find((b) => b.type === type);
+    if (!found) return null;
+    // Skip the entry-count header of stsd so its sample entry can be found like a child box.
+    const headerSize = type === 'stsd' ? 16 : type === 'avc1' ? 86 : 8;
+    range = [found.start + headerSize, found.start + found.size];
+  }
+  return found;
+}
+
+test('export frames step at 1/fps through the path, ending on the final pose', () => {
+  const times = planExportFrames(2, { fps: 30 });
+  assert.equal(times.length, 61);
+  assert.equal(times[0], 0);
+  assert.equal(times[30], 1);
+  assert.equal(times.at(-1), 2);
+  // At 2× path speed the video is half as long but covers the same path.
+  const fast = planExportFrames(2, { fps: 30, speed: 2 });
+  assert.equal(fast.length, 31);
+  assert.equal(fast.at(-1), 2);
+  assert.deepEqual(planExportFrames(0), [0, 0]);
+});
+
+test('sizes are made even and the H.264 level follows size and frame rate', () => {
+  assert.deepEqual(evenSize(1081, 1351), { width: 1080, height: 1350 });
+  assert.equal(pickAvcLevel(1920, 1080, 30), 0x28);
+  assert.equal(pickAvcLevel(1920, 1080, 60), 0x2a);
+  assert.equal(pickAvcLevel(3840, 2160, 30), 0x33);
+  assert.equal(pickAvcLevel(3840, 2160, 60), 0x34);
+  assert.equal(pickAvcLevel(7680, 4320, 30), null);
+  assert.deepEqual(avcCodecCandidates(3840, 2160, 30), ['avc1.640033', 'avc1.4D0033', 'avc1.42E033']);
+});
+
+test('mp4 muxer writes ftyp, moov before mdat, and sample tables pointing at the frames', () => {
+  const muxer = createMp4Muxer({ width: 64, height: 48, fps: 30 });
+  const description = new Uint8Array([1, 0x64, 0, 0x1f, 0xff, 0xe0, 0]);
+  muxer.addChunk({ data: new Uint8Array([0, 0, 0, 2, 0x65, 0xaa]), key: true }, { decoderConfig: { description } });
+  muxer.addChunk({ data: new Uint8Array([0, 0, 0, 1, 0x41]), key: false });
+  muxer.addChunk({ data: new Uint8Array([0, 0, 0, 1, 0x41]), key: false });
+  assert.equal(muxer.frameCount, 3);
+  const file = muxer.finalize();
+
+  assert.deepEqual(readBoxes(file).map((b) => b.type), ['ftyp', 'moov', 'mdat']);
+  const view = new DataView(file.buffer);
+  const mdat = readBoxes(file).find((b) => b.type === 'mdat');
+  const stco = findBox(file, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stco']);
+  assert.equal(view.getUint32(stco.start + 16), mdat.start + 8);
+  assert.deepEqual([...file.subarray(mdat.start + 8, mdat.start + 14)], [0, 0, 0, 2, 0x65, 0xaa]);
+
+  const stsz = findBox(file, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stsz']);
+  assert.equal(view.getUint32(stsz.start + 16), 3);
+  assert.deepEqual([20, 24, 28].map((o) => view.getUint32(stsz.start + o)), [6, 5, 5]);
+  const stss = findBox(file, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stss']);
+  assert.deepEqual([view.getUint32(stss.start + 12), view.getUint32(stss.start + 16)], [1, 1]);
+  const mvhd = findBox(file, ['moov', 'mvhd']);
+  assert.equal(view.getUint32(mvhd.start + 20), 90000);
+  assert.equal(view.getUint32(mvhd.start + 24), 9000);
+  const avcC = findBox(file, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stsd', 'avc1', 'avcC']);
+  assert.deepEqual([...file.subarray(avcC.start + 8, avcC.start + avcC.size)], [...description]);
+});
+
+test('mp4 muxer refuses a stream without a leading key frame or decoder config', () => {
+  const muxer = createMp4Muxer({ width: 64, height: 48, fps: 30 });
+  assert.throws(() => muxer.addChunk({ data: new Uint8Array([1]), key: false }), /first video frame must be a key frame/);
+  assert.throws(() => muxer.finalize(), /No video frames/);
+  muxer.addChunk({ data: new Uint8Array([1]), key: true });
+  assert.throws(() => muxer.finalize(), /avcC/);
+});
+
+test('zip store writes stored entries with correct CRCs and a central directory', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+  const zip = createZipStore({ date: new Date(2026, 0, 2, 3, 4, 6) });
+  const a = new Uint8Array([1, 2, 3]);
+  zip.addFile('frame-00001.png', a);
+  zip.addFile('frame-00002.png', new Uint8Array([4, 5]));
+  const file = zip.finalize();
+  const view = new DataView(file.buffer);
+  assert.equal(view.getUint32(0, true), 0x04034b50);
+  assert.equal(view.getUint32(14, true), crc32(a));
+  assert.deepEqual([...file.subarray(30 + 15, 30 + 15 + 3)], [1, 2, 3]);
+  const end = file.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+  const centralStart = view.getUint32(end + 16, true);
+  assert.equal(view.getUint32(centralStart, true), 0x02014b50);
+  assert.equal(centralStart + view.getUint32(end + 12, true), end);
+});
+
+test('zip writer streams the same archive the in-memory store builds, holding no frame data', async () => {
+  const date = new Date(2026, 0, 2, 3, 4, 6);
+  const store = createZipStore({ date });
+  const chunks = [];
+  const writer = createZipWriter(async (chunk) => { chunks.push(chunk.slice()); }, { date });
+  const frames = [new Uint8Array([1, 2, 3]), new Uint8Array([4, 5])];
+  for (const [i, data] of frames.entries()) {
+    store.addFile(`frame-0000${i + 1}.png`, data);
+    await writer.addFile(`frame-0000${i + 1}.png`, data);
+  }
+  await writer.finish();
+  const streamed = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  chunks.reduce((at, c) => { streamed.set(c, at); return at + c.length; }, 0);
+  assert.deepEqual(streamed, store.finalize());
+  assert.equal(writer.fileCount, 2);
+});
+
+test('PNG-zip exports that cannot fit are refused before rendering', () => {
+  const frames4k = planExportFrames(60, { fps: 30 }).length;
+  assert.ok(estimatePngZipBytes(3840, 2160, frames4k) > 0xffffffff);
+  assert.throws(() => assertPngZipFits(3840, 2160, frames4k, { streaming: true }), /over the 4 GB ZIP limit/);
+  assert.throws(() => assertPngZipFits(3840, 2160, 120), /too much to hold in memory/);
+  assert.ok(assertPngZipFits(3840, 2160, 120, { streaming: true }) > MAX_IN_MEMORY_ZIP_BYTES);
+  assert.ok(assertPngZipFits(1280, 720, 60) < MAX_IN_MEMORY_ZIP_BYTES);
+});
@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  azimuthOf,
+  generateFlyover,
+  generateOrbit,
+  generateReveal,
+  orderBoundary,
+  simplifyLoop
+} from '../path-generators.mjs';
+
+const center = { x: 1, y: 0.5, z: -2 };
+const near = (a, b, eps = 1e-5) => Math.abs(a - b) < eps;
+
+test('azimuthOf measures from +x towards +z', () => {
+  assert.ok(near(azimuthOf({ x: 2, y: 0, z: -2 }, center), 0));
+  assert.ok(near(azimuthOf({ x: 1, y: 0, z: -1 }, center), 90));
+});
+
+test('a whole-lap orbit loops on an ellipse around the center, starting at startAngle', () => {
+  const { loop, checkpoints } = generateOrbit({ center, radiusX: 3, radiusZ: 2, height: 1.5, laps: 1, lapSeconds: 16, startAngle: 90 });
+  assert.equal(loop, true);
+  assert.equal(checkpoints.length, 8);
+  assert.deepEqual(checkpoints[0].position, { x: 1, y: 2, z: 0 });
+  checkpoints.forEach((cp) => {
+    const { x, z } = cp.position;
+    assert.ok(near(((x - center.x) / 3) ** 2 + ((z - center.z) / 2) ** 2, 1));
+    assert.deepEqual(cp.lookAt, center);
+    assert.equal(cp.duration, 2);
+  });
+});
+
+test('orbit direction and fractional laps', () => {
+  const ccw = generateOrbit({ center, radiusX: 1, laps: 1 }).checkpoints;
+  const cw = generateOrbit({ center, radiusX: 1, laps: 1, clockwise: true }).checkpoints;
+  assert.ok(ccw[1].position.z < center.z);
+  assert.ok(cw[1].position.z > center.z);
+
+  const half = generateOrbit({ center, radiusX: 1, laps: 0.5, lapSeconds: 20 });
+  assert.equal(half.loop, false);
+  assert.equal(half.checkpoints.length, 5);
+  assert.ok(near(half.checkpoints[4].position.x, center.x - 1));
+  assert.equal(half.checkpoints.reduce((s, cp) => s + cp.duration, 0) - half.checkpoints[4].duration, 10);
+
+  assert.equal(generateOrbit({ center, radiusX: 1, laps: 2 }).checkpoints.length, 16);
+  assert.throws(() => generateOrbit({ center, radiusX: 0 }), /radius/);
+});
+
+test('reveal climbs from ground level to the aerial height and ends looking at the center', () => {
+  const { loop, checkpoints } = generateReveal({ center, azimuth: 0, distance: 4, startHeight: 0.1, endHeight: 3, seconds: 12, steps: 4 });
+  assert.equal(loop, false);
+  assert.equal(checkpoints.length, 5);
+  assert.ok(near(checkpoints[0].position.y, center.y + 0.1));
+  assert.ok(near(checkpoints[0].lookAt.y, center.y + 0.1));
+  assert.ok(near(checkpoints[4].position.y, center.y + 3));
+  assert.deepEqual(checkpoints[4].lookAt, center);
+  const rises = checkpoints.slice(1).map((cp, i) => cp.position.y - checkpoints[i].position.y);
+  rises.slice(1).forEach((r, i) => assert.ok(r > rises[i]));
+  assert.throws(() => generateReveal({ center, distance: 4, startHeight: 2, endHeight: 1 }), /higher/);
+});
+
+test('orderBoundary follows lot line connections and falls back to angle order', () => {
+  const points = [
+    { name: 'Lot_V1', position: { x: 0, y: 0, z: 0 } },
+    { name: 'Lot_V3', position: { x: 1, y: 0, z: 1 } },
+    { name: 'Lot_V2', position: { x: 1, y: 0, z: 0 } },
+    { name: 'Lot_V4', position: { x: 0, y: 0, z: 1 } }
+  ];
+  const connections = [
+    { start: 'Lot_V1', end: 'Lot_V2' },
+    { start: 'Lot_V3', end: 'Lot_V2' },
+    { start: 'Lot_V3', end: 'Lot_V4' },
+    { start: 'Lot_V4', end: 'Lot_V1' }
+  ];
+  assert.deepEqual(orderBoundary(points, connections).map((p) => [p.x, p.z]), [[0, 0], [1, 0], [1, 1], [0, 1]]);
+
+  const open = orderBoundary(points, connections.slice(0, 3));
+  assert.deepEqual(open.map((p) => [p.x, p.z]), [[0, 0], [1, 0], [1, 1], [0, 1]]);
+
+  const byAngle = orderBoundary(points.map((p) => p.position));
+  assert.deepEqual(byAngle.map((p) => [p.x, p.z]), [[0, 0], [1, 0], [1, 1], [0, 1]]);
+});
+
+test('simplifyLoop merges close corners but keeps a triangle', () => {
+  const loop = [{ x: 0, y: 0, z: 0 }, { x: 0.01, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 1, y: 0, z: 1 }, { x: 0, y: 0, z: 1 }];
+  assert.equal(simplifyLoop(loop, 0.1).length, 4);
+  assert.equal(simplifyLoop(loop.slice(0, 3), 5).length, 3);
+});
+
+test('flyover loops above the boundary with time spread by edge length', () => {
+  const square = [{ x: 0, y: 0, z: 0 }, { x: 2, y: 0, z: 0 }, { x: 2, y: 0, z: 1 }, { x: 0, y: 0, z: 1 }];
+  const { loop, checkpoints } = generateFlyover({ boundary: square, height: 0.5, seconds: 30 });
+  assert.equal(loop, true);
+  assert.equal(checkpoints.length, 4);
+  checkpoints.forEach((cp) => {
+    assert.equal(cp.position.y, 0.5);
+    assert.deepEqual(cp.lookAt, { x: 1, y: 0, z: 0.5 });
+  });
+  assert.deepEqual(checkpoints.map((cp) => cp.duration), [10, 5, 10, 5]);
+
+  const pushed = generateFlyover({ boundary: square, height: 0.5, offset: 1, lookAt: 'ahead' }).checkpoints;
+  assert.ok(pushed[0].position.x < 0 && pushed[0].position.z < 0);
+  assert.deepEqual(pushed[0].lookAt, square[1]);
+  assert.throws(() => generateFlyover({ boundary: square.slice(0, 2), height: 1 }), /at least 3/);
+});
@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PATH_NAME,
+  PATH_LIBRARY_FORMAT,
+  PATH_LIBRARY_VERSION,
+  buildLibraryFile,
+  createLibraryEntry,
+  parseLibraryFile,
+  readPathsPayload,
+  restoreLibrary,
+  serializeLibrary,
+  uniquePathName
+} from '../path-library.mjs';
+
+const cp = (x) => ({ position: { x, y: 0, z: 0 }, lookAt: { x: 0, y: 0, z: 0 }, duration: 5 });
+const path = (...xs) => ({ enabled: true, loop: false, speed: 1, checkpoints: xs.map(cp) });
+
+test('uniquePathName numbers clashes and reuses the base of a numbered name', () => {
+  assert.equal(uniquePathName([], 'Orbit'), 'Orbit');
+  assert.equal(uniquePathName(['Orbit'], 'Orbit'), 'Orbit (2)');
+  assert.equal(uniquePathName(['Orbit', 'Orbit (2)'], 'Orbit (2)'), 'Orbit (3)');
+  assert.equal(uniquePathName(['Path'], '   '), 'Path (2)');
+});
+
+test('restoreLibrary starts from initialPath as "Main path"', () => {
+  const { entries, activeId } = restoreLibrary({ initialPath: path(1, 2) });
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].name, DEFAULT_PATH_NAME);
+  assert.equal(entries[0].published, false);
+  assert.equal(entries[0].path.checkpoints.length, 2);
+  assert.equal(activeId, entries[0].id);
+});
+
+test('restoreLibrary prefers stored, then the library option, and keeps the active id', () => {
+  const stored = serializeLibrary([
+    createLibraryEntry(path(1), { id: 'a', name: 'A' }),
+    createLibraryEntry(path(2, 3), { id: 'b', name: 'B', published: true })
+  ], 'b');
+  const libraryOption = JSON.parse(buildLibraryFile([createLibraryEntry(path(9), { name: 'Shipped' })]));
+
+  const fromStored = restoreLibrary({ stored, libraryOption, initialPath: path(7) });
+  assert.deepEqual(fromStored.entries.map((e) => [e.id, e.name, e.published]), [['a', 'A', false], ['b', 'B', true]]);
+  assert.equal(fromStored.activeId, 'b');
+
+  const fromOption = restoreLibrary({ libraryOption, initialPath: path(7) });
+  assert.deepEqual(fromOption.entries.map((e) => e.name), ['Shipped']);
+  assert.equal(fromOption.entries[0].path.checkpoints[0].position.x, 9);
+
+  const emptyStored = { format: PATH_LIBRARY_FORMAT, entries: [{ name: 'broken' }] };
+  assert.equal(restoreLibrary({ stored: emptyStored, initialPath: path(7) }).entries[0].name, DEFAULT_PATH_NAME);
+});
+
+test('restoreLibrary moves a legacy single-path draft into the first path', () => {
+  const legacy = { checkpoints: [cp(4), cp(5), cp(6)], speed: 2 };
+  const { entries } = restoreLibrary({ initialPath: path(1), legacy });
+  assert.equal(entries[0].path.checkpoints.length, 3);
+  assert.equal(entries[0].path.speed, 2);
+  assert.equal(entries[0].path.enabled, true);
+
+  const stored = serializeLibrary([createLibraryEntry(path(1), { id: 'a' })], 'a');
+  assert.equal(restoreLibrary({ stored, legacy }).entries[0].path.checkpoints.length, 1);
+});
+
+test('readPathsPayload accepts a library file, one path, or the multi-path array', () => {
+  const file = JSON.parse(buildLibraryFile([createLibraryEntry(path(1, 2), { name: 'Tour', published: true })]));
+  assert.deepEqual(readPathsPayload(file).paths.map((p) => [p.name, p.published]), [['Tour', true]]);
+
+  const single = readPathsPayload(path(1, 2));
+  assert.equal(single.paths.length, 1);
+  assert.equal(single.paths[0].name, 'Path 1');
+
+  const multi = readPathsPayload([{ label: 'Hole 1', ...path(1) }, { label: 'Hole 2' }, path(3)]);
+  assert.deepEqual(multi.paths.map((p) => p.name), ['Hole 1', 'Path 3']);
+  assert.equal(multi.skipped, 1);
+  assert.equal('label' in multi.paths[0].path, false);
+});
+
+test('readPathsPayload rejects files from a newer library version', () => {
+  assert.throws(
+    () => readPathsPayload({ format: PATH_LIBRARY_FORMAT, version: PATH_LIBRARY_VERSION + 1, paths: [] }),
+    /v2/
+  );
+});
+
+test('library files round-trip names, published flags and paths without local ids', () => {
+  const entries = [
+    createLibraryEntry(path(1, 2), { id: 'x', name: 'Exterior', published: true }),
+    createLibraryEntry({ ...path(3), constantSpeed: true }, { id: 'y', name: 'Kitchen' })
+  ];
+  const text = buildLibraryFile(entries, { property: 'Hart-Bench-Ranch', exportedAt: '2026-01-01T00:00:00.000Z' });
+  const json = JSON.parse(text);
+  assert.equal(json.format, PATH_LIBRARY_FORMAT);
+  assert.equal(json.property, 'Hart-Bench-Ranch');
+  assert.equal(text.includes('"id"'), false);
+
+  const { paths, skipped } = parseLibraryFile('\uFEFF' + text);
+  assert.equal(skipped, 0);
+  assert.deepEqual(paths.map((p) => [p.name, p.published]), [['Exterior', true], ['Kitchen', false]]);
+  assert.deepEqual(paths[1].path, entries[1].path);
+});
+
+test('parseLibraryFile explains unreadable files', () => {
+  assert.throws(() => parseLibraryFile('{nope'), /not valid JSON/);
+  assert.throws(() => parseLibraryFile('[{"name":"x"}]'), /No paths/);
+});
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePlayerParams, resolveParentOrigin, resolvePathIndex, runPlayerCommand } from '../path-player.mjs';
+
+function fakePlayer({ checkpoints = 3, names = ['Exterior', 'Kitchen'] } = {}) {
+  const calls = [];
+  const state = { playing: false, seconds: 0, duration: 10, speed: 1, pathIndex: 0, pathNames: names, checkpointCount: checkpoints };
+  return {
+    calls,
+    getPlayback: () => ({ ...state }),
+    play: () => {
+      calls.push('play');
+      state.playing = checkpoints >= 2;
+      return state.playing;
+    },
+    pause: () => {
+      calls.push('pause');
+      state.playing = false;
+    },
+    seek: (s, { keepPlaying = false } = {}) => {
+      calls.push(`seek:${s}`);
+      if (!keepPlaying) state.playing = false;
+      state.seconds = s;
+    },
+    setActivePath: (i) => {
+      calls.push(`path:${i}`);
+      state.pathIndex = i;
+    }
+  };
+}
+
+test('parsePlayerParams reads the embed flags', () => {
+  assert.deepEqual(parsePlayerParams('?autoplay=1&path=2&ui=minimal&loop=0'), { autoplay: true, path: '2', ui: 'minimal', loop: false });
+  assert.deepEqual(parsePlayerParams(''), { autoplay: false, path: null, ui: 'full', loop: null });
+  assert.deepEqual(parsePlayerParams('?autoplay&loop=yes&ui=NONE'), { autoplay: true, path: null, ui: 'none', loop: true });
+  assert.equal(parsePlayerParams('?autoplay=false&ui=tiny').ui, 'full');
+  assert.equal(parsePlayerParams('?autoplay=false').autoplay, false);
+});
+
+test('resolvePathIndex counts from 1 or matches a name', () => {
+  const names = ['Hole 1', 'Hole 2', 'Kitchen walkthrough'];
+  assert.equal(resolvePathIndex('2', names), 1);
+  assert.equal(resolvePathIndex('0', names), -1);
+  assert.equal(resolvePathIndex('4', names), -1);
+  assert.equal(resolvePathIndex('kitchen WALKTHROUGH', names), 2);
+  assert.equal(resolvePathIndex('Pool', names), -1);
+  assert.equal(resolvePathIndex(null, names), -1);
+});
+
+test('play, pause and seek drive the player and a seek keeps playing without a pause', () => {
+  const player = fakePlayer();
+  assert.equal(runPlayerCommand(player, { type: 'path-player:play' }), null);
+  assert.equal(runPlayerCommand(player, { type: 'path-player:seek', seconds: 4 }), null);
+  assert.equal(player.getPlayback().playing, true);
+  assert.equal(runPlayerCommand(player, { type: 'path-player:pause' }), null);
+  assert.equal(runPlayerCommand(player, { type: 'path-player:seek', seconds: -2 }), null);
+  assert.equal(player.getPlayback().playing, false);
+  assert.deepEqual(player.calls, ['play', 'seek:4', 'pause', 'seek:0']);
+  assert.equal(runPlayerCommand(player, { type: 'path-player:seek' }).type, 'error');
+  assert.match(runPlayerCommand(fakePlayer({ checkpoints: 1 }), { type: 'path-player:play' }).message, /2 checkpoints/);
+});
+
+test('resolveParentOrigin prefers the origin flag and falls back to the referrer', () => {
+  assert.equal(resolveParentOrigin('?origin=https://client.example/tours', 'https://other.example/page'), 'https://client.example');
+  assert.equal(resolveParentOrigin('?autoplay=1', 'https://client.example/listing?id=4'), 'https://client.example');
+  assert.equal(resolveParentOrigin('?origin=not a url', 'https://client.example/'), 'https://client.example');
+  assert.equal(resolveParentOrigin('', ''), null);
+  assert.equal(resolveParentOrigin('?origin=file:///tmp/x.html', ''), null);
+});
+
+test('setActivePath takes a 0-based index or a name and answers with the state', () => {
+  const player = fakePlayer();
+  const reply = runPlayerCommand(player, { type: 'path-player:setActivePath', index: 1 });
+  assert.equal(reply.type, 'state');
+  assert.equal(reply.pathIndex, 1);
+  runPlayerCommand(player, { type: 'path-player:setActivePath', name: 'exterior' });
+  assert.deepEqual(player.calls, ['path:1', 'path:0']);
+  assert.equal(runPlayerCommand(player, { type: 'path-player:setActivePath', index: 5 }).type, 'error');
+
+  const picked = [];
+  runPlayerCommand(player, { type: 'path-player:setActivePath', index: 1 }, (i) => picked.push(i));
+  assert.deepEqual(picked, [1]);
+});
+
+test('getState reports playback and unknown commands are refused', () => {
+  const player = fakePlayer();
+  assert.deepEqual(runPlayerCommand(player, { type: 'path-player:getState' }), { type: 'state', ...player.getPlayback() });
+  assert.match(runPlayerCommand(player, { type: 'path-player:explode' }).message, /Unknown command "explode"/);
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildTimeline,
+  locateTime,
+  moveItem,
+  movedIndex,
+  resizeSegmentBoundary,
+  timeAt
+} from '../path-timeline.mjs';
+
+const cp = (extra = {}) => ({ position: { x: 0, y: 0, z: 0 }, lookAt: { x: 0, y: 0, z: -1 }, ...extra });
+
+// Three segments (2s, 4s, 1s) with a 1.5s stop on arrival at checkpoint 2.
+const PATH = [cp(), cp(), cp({ pauseAt: true, pauseDuration: 1.5 }), cp()];
+const DURATIONS = [2, 4, 1];
+
+test('timeline lays segments and stops end to end', () => {
+  const timeline = buildTimeline(PATH, DURATIONS);
+  assert.equal(timeline.total, 8.5);
+  assert.deepEqual(
+    timeline.blocks.map((b) => [b.kind, b.segmentIndex, b.start, b.duration]),
+    [['segment', 0, 0, 2], ['segment', 1, 2, 4], ['pause', 1, 6, 1.5], ['segment', 2, 7.5, 1]]
+  );
+  assert.equal(buildTimeline([cp()], []).total, 0);
+});
+
+test('looping adds the closing segment and a stop on checkpoint 0', () => {
+  const path = [cp({ pauseAt: true, pauseDuration: 1 }), cp(), cp()];
+  const timeline = buildTimeline(path, [1, 1, 1], { loop: true });
+  assert.equal(timeline.total, 4);
+  assert.deepEqual(timeline.blocks.at(-1), { kind: 'pause', segmentIndex: 2, checkpointIndex: 0, start: 3, duration: 1 });
+});
+
+test('locateTime and timeAt map between seconds and playback state', () => {
+  const timeline = buildTimeline(PATH, DURATIONS);
+  assert.deepEqual(locateTime(timeline, 3), { segmentIndex: 1, progress: 0.25, pausedAtCheckpoint: null, pauseElapsed: 0 });
+  assert.deepEqual(locateTime(timeline, 6.5), { segmentIndex: 1, progress: 1, pausedAtCheckpoint: 2, pauseElapsed: 0.5 });
+  assert.deepEqual(locateTime(timeline, 99), { segmentIndex: 2, progress: 1, pausedAtCheckpoint: null, pauseElapsed: 0 });
+  assert.equal(timeAt(timeline, 1, 1), 3);
+  assert.equal(timeAt(timeline, 1, 4, 2, 0.5), 6.5);
+  assert.equal(timeAt(timeline, 2, 0.5), 8);
+  assert.equal(locateTime(buildTimeline([], []), 1), null);
+});
+
+test('resizing a boundary keeps the pair total and the minimum', () => {
+  assert.deepEqual(resizeSegmentBoundary(2, 4, 1), [3, 3]);
+  assert.deepEqual(resizeSegmentBoundary(2, 4, -5), [0.1, 5.9]);
+  const [l, r] = resizeSegmentBoundary(2, 4, 10);
+  assert.equal(l + r, 6);
+  assert.equal(r, 0.1);
+});
+
+test('moveItem reorders and movedIndex follows the selection', () => {
+  assert.deepEqual(moveItem(['a', 'b', 'c', 'd'], 0, 2), ['b', 'c', 'a', 'd']);
+  assert.deepEqual(moveItem(['a', 'b', 'c', 'd'], 3, 0), ['d', 'a', 'b', 'c']);
+  assert.deepEqual(moveItem(['a', 'b'], 5, 0), ['a', 'b']);
+  assert.equal(movedIndex(0, 0, 2, 4), 2);
+  assert.equal(movedIndex(2, 0, 2, 4), 1);
+  assert.equal(movedIndex(1, 3, 0, 4), 2);
+  assert.equal(movedIndex(3, 0, 2, 4), 3);
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applySimilarityTransform,
+  pickPointOnRay,
+  solveSimilarityTransform
+} from '../point-alignment.mjs';
+
+const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+const nearPoint = (p, q, eps = 1e-6) => near(p.x, q.x, eps) && near(p.y, q.y, eps) && near(p.z, q.z, eps);
+
+// Half-turn-ish rotation about a tilted axis, like a GLB exported upside down.
+const axis = { x: 0.3, y: -0.8, z: 0.52 };
+const axisLen = Math.hypot(axis.x, axis.y, axis.z);
+const half = 2.1 / 2;
+const known = {
+  scale: 0.008,
+  rotation: { x: (axis.x / axisLen) * Math.sin(half), y: (axis.y / axisLen) * Math.sin(half), z: (axis.z / axisLen) * Math.sin(half), w: Math.cos(half) },
+  translation: { x: -0.144, y: -0.53, z: -0.395 }
+};
+const model = [
+  { x: 0, y: 0, z: 0 },
+  { x: 40, y: 0, z: 2 },
+  { x: 38, y: 9, z: 30 },
+  { x: -5, y: 12, z: 25 },
+  { x: 10, y: 30, z: 10 }
+];
+
+test('solveSimilarityTransform recovers a known scale, rotation and offset', () => {
+  const scene = model.map((p) => applySimilarityTransform(known, p));
+  const solved = solveSimilarityTransform(model, scene);
+  assert.ok(near(solved.scale, known.scale, 1e-9));
+  assert.ok(nearPoint(solved.translation, known.translation));
+  model.forEach((p, i) => assert.ok(nearPoint(applySimilarityTransform(solved, p), scene[i])));
+  assert.ok(solved.rms < 1e-9);
+  assert.equal(solved.residuals.length, model.length);
+  assert.ok(near(Math.hypot(solved.rotation.x, solved.rotation.y, solved.rotation.z, solved.rotation.w), 1));
+});
+
+test('residuals single out the pair that was clicked wrong', () => {
+  const scene = model.map((p) => applySimilarityTransform(known, p));
+  scene[2] = { ...scene[2], y: scene[2].y + 0.05 };
+  const solved = solveSimilarityTransform(model, scene);
+  const worst = solved.residuals.indexOf(Math.max(...solved.residuals));
+  assert.equal(worst, 2);
+  assert.ok(solved.rms > 0.005);
+});
+
+test('solveSimilarityTransform refuses too few, collinear or mismatched points', () => {
+  const line = [{ x: 0, y: 0, z: 0 }, { x: 1, y: 1, z: 1 }, { x: 2, y: 2, z: 2 }];
+  assert.throws(() => solveSimilarityTransform(model.slice(0, 2), model.slice(0, 2)), /at least 3/);
+  assert.throws(() => solveSimilarityTransform(line, model.slice(0, 3)), /one line/);
+  assert.throws(() => solveSimilarityTransform(model, model.slice(1)), /pairs/);
+});
+
+test('pickPointOnRay takes the surface near the ray, not a lone floater in front', () => {
+  const positions = [0.02, 0, 5]; // floater
+  for (let i = 0; i < 10; i++) positions.push((i - 5) * 0.005, 0.001 * i, 10 + i * 0.01);
+  positions.push(3, 0, 8); // off the ray
+  const hit = pickPointOnRay(new Float32Array(positions), { x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 2 }, { maxAngle: 0.01 });
+  assert.ok(hit.z > 10 && hit.z < 10.1);
+  assert.equal(pickPointOnRay(new Float32Array(positions), { x: 0, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }), null);
+});
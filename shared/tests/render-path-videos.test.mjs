@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildJobs, labelForPage, pageUrl, parseArgs, parseViewport, resolveFormats } from '../scripts/render-path-videos.mjs';
+
+test('cli args are camelCased and bare flags become true', () => {
+  assert.deepEqual(
+    parseArgs(['--page', 'indexes/index(A).html', '--settle-ms', '500', '--help']),
+    { page: 'indexes/index(A).html', settleMs: '500', help: true }
+  );
+  assert.throws(() => parseArgs(['stray']), /Unexpected argument/);
+});
+
+test('format names map onto the recorder formats', () => {
+  assert.deepEqual(resolveFormats('desktop, Vertical,square').map((f) => [f.name, f.id, f.width, f.height]), [
+    ['desktop', 'desktop', 0, 0],
+    ['vertical', 'full-vertical', 1080, 1920],
+    ['square', 'square', 1080, 1080]
+  ]);
+  assert.throws(() => resolveFormats('cinema'), /Unknown format "cinema"/);
+  assert.deepEqual(parseViewport('1280x720'), { width: 1280, height: 720 });
+  assert.throws(() => parseViewport('big'), /1920x1080/);
+});
+
+test('a single --page job gets defaults and a label from the file name', () => {
+  const [job] = buildJobs({ page: '/indexes/index(Hart-Bench-Ranch-06-08-25).html', path: 'hart.json' });
+  assert.equal(job.page, 'indexes/index(Hart-Bench-Ranch-06-08-25).html');
+  assert.equal(job.label, 'Hart-Bench-Ranch-06-08-25');
+  assert.equal(job.path, 'hart.json');
+  assert.equal(job.fps, 30);
+  assert.equal(job.pathIndex, null);
+  assert.deepEqual(job.formats.map((f) => f.name), ['desktop', 'vertical', 'square']);
+  assert.equal(labelForPage('Copper-Rock/index.html'), 'index');
+});
+
+test('a jobs file can override formats and fps per job and bad input is refused', () => {
+  const files = {
+    'jobs.json': [
+      { page: 'indexes/index(A).html', formats: ['square'], fps: 60, pathIndex: 2 },
+      { page: 'indexes/index(B).html', label: 'b-tour' }
+    ]
+  };
+  const jobs = buildJobs({ jobs: 'jobs.json', fps: '24' }, (f) => files[f]);
+  assert.deepEqual(jobs.map((j) => [j.label, j.fps, j.pathIndex, j.formats.map((f) => f.name).join()]), [
+    ['A', 60, 2, 'square'],
+    ['b-tour', 24, null, 'desktop,vertical,square']
+  ]);
+  assert.throws(() => buildJobs({}), /--page/);
+  assert.throws(() => buildJobs({ page: 'a.html', fps: '25' }), /24, 30 or 60/);
+  assert.throws(() => buildJobs({ jobs: 'x' }, () => ({})), /non-empty JSON array/);
+  assert.throws(() => buildJobs({ jobs: 'x' }, () => [{ path: 'p.json' }]), /Job 1 needs a "page"/);
+  for (const fps of [0, -30, 'fast', 25]) {
+    assert.throws(
+      () => buildJobs({ jobs: 'x' }, () => [{ page: 'a.html' }, { page: 'b.html', label: 'B tour', fps }]),
+      /Job 2 \(B tour\): fps must be 24, 30 or 60/
+    );
+  }
+});
+
+test('page urls percent-encode each path segment', () => {
+  assert.equal(
+    pageUrl('http://127.0.0.1:4180', 'indexes/index(Hart Bench).html'),
+    'http://127.0.0.1:4180/indexes/index(Hart%20Bench).html'
+  );
+});
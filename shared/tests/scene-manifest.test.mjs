@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  SCENE_MANIFEST_VERSION,
+  buildSceneManifest,
+  loadSceneManifest,
+  parseSceneManifest,
+  putSceneManifest
+} from '../scene-manifest.mjs';
+
+const home = {
+  name: 'Polygon 1',
+  source: { url: '/assets/Terrain-Fixed-Comp.glb' },
+  transform: { position: { x: 1, y: 2, z: 3 }, rotationDeg: { x: 0, y: 90, z: 0 }, scale: 0.008 },
+  brightness: 1,
+  envMapIntensity: 0.55
+};
+
+function fakeFetch(responses) {
+  const calls = [];
+  const fetchImpl = async (url, init = {}) => {
+    calls.push({ url, ...init });
+    const { status = 200, body = '' } = responses.shift();
+    return {
+      status,
+      ok: status >= 200 && status < 300,
+      json: async () => JSON.parse(body),
+      text: async () => body
+    };
+  };
+  return { calls, fetchImpl };
+}
+
+test('buildSceneManifest fills in every part with the current version', () => {
+  const manifest = buildSceneManifest(
+    { homePolygons: [home], clipPolygons: [[{ x: '1', y: 2 }, { x: 3, y: 4 }, { x: 5, y: 6 }]] },
+    { property: 'PMD', savedAt: '2026-01-01T00:00:00.000Z' }
+  );
+  assert.deepEqual(manifest, {
+    version: SCENE_MANIFEST_VERSION,
+    property: 'PMD',
+    savedAt: '2026-01-01T00:00:00.000Z',
+    splatTransform: null,
+    clipPolygons: [[{ x: 1, y: 2 }, { x: 3, y: 4 }, { x: 5, y: 6 }]],
+    liftedRegion: null,
+    homePolygons: [home],
+    variants: []
+  });
+  const splat = buildSceneManifest({ splatTransform: { position: { y: 0.2 }, scale: -1 } }).splatTransform;
+  assert.deepEqual(splat, { position: { x: 0, y: 0.2, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: 1 });
+});
+
+test('parseSceneManifest reads pre-manifest Export All JSON as version 0', () => {
+  const manifest = parseSceneManifest(JSON.stringify({
+    exportedAt: '2025-12-01T10:00:00.000Z',
+    property: 'PMD',
+    splatTransform: null,
+    clipPolygons: [],
+    liftedRegion: { enabled: true, amount: -0.01, polygon: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }] },
+    homePolygons: [home]
+  }));
+  assert.equal(manifest.version, SCENE_MANIFEST_VERSION);
+  assert.equal(manifest.savedAt, '2025-12-01T10:00:00.000Z');
+  assert.equal(manifest.liftedRegion.amount, -0.01);
+  assert.equal('exportedAt' in manifest, false);
+});
+
+test('design variants and polygon membership survive a round trip', () => {
+  const modern = { ...home, name: 'Polygon 2', variants: ['Option B modern'] };
+  const manifest = parseSceneManifest(JSON.stringify(buildSceneManifest({
+    homePolygons: [home, modern],
+    variants: ['Option A farmhouse', ' Option B modern ', 'Option A farmhouse']
+  })));
+  assert.deepEqual(manifest.variants, ['Option A farmhouse', 'Option B modern']);
+  assert.deepEqual(manifest.homePolygons[1].variants, ['Option B modern']);
+  assert.deepEqual(parseSceneManifest({ version: 1 }).variants, []);
+});
+
+test('parseSceneManifest refuses newer versions and malformed parts', () => {
+  assert.throws(() => parseSceneManifest({ version: 2 }), /newer than this page supports/);
+  assert.throws(() => parseSceneManifest([]), /JSON object/);
+  assert.throws(() => parseSceneManifest({ version: 1, clipPolygons: [[{ x: 1 }]] }), /clipPolygons\[0\] point 1/);
+  assert.throws(() => parseSceneManifest({ version: 1, homePolygons: [{ name: 'x' }] }), /homePolygons\[0\] needs a transform/);
+});
+
+test('the PMD-Rendering-Revised manifest in scenes/ parses unchanged', () => {
+  const text = readFileSync(new URL('../../scenes/PMD-Rendering-Revised.json', import.meta.url), 'utf8');
+  const manifest = parseSceneManifest(text);
+  assert.deepEqual(manifest, JSON.parse(text));
+  assert.equal(manifest.homePolygons.length, 2);
+});
+
+test('loadSceneManifest treats a missing file as null and putSceneManifest reports server errors', async () => {
+  const { calls, fetchImpl } = fakeFetch([
+    { status: 404 },
+    { body: JSON.stringify({ version: 1, homePolygons: [home] }) },
+    { status: 200 },
+    { status: 403, body: 'Only scenes/*.json can be written.\n' }
+  ]);
+  assert.equal(await loadSceneManifest('/scenes/a.json', { fetchImpl }), null);
+  assert.deepEqual((await loadSceneManifest('/scenes/a.json', { fetchImpl })).homePolygons, [home]);
+
+  const manifest = buildSceneManifest({}, { property: 'PMD', savedAt: 'now' });
+  await putSceneManifest('/scenes/a.json', manifest, { fetchImpl });
+  assert.equal(calls[2].method, 'PUT');
+  assert.deepEqual(JSON.parse(calls[2].body), manifest);
+  await assert.rejects(putSceneManifest('/x.json', manifest, { fetchImpl }), /failed \(403\): Only scenes/);
+});
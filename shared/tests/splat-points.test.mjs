@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeScreenDistancePx,
+  decodeFloat16,
+  findClosestSampleToRay,
+  sampleCpuPointsForFocus
+} from '../splat-points.mjs';
+
+test('decodeFloat16 reads normal, subnormal and special half floats', () => {
+  assert.equal(decodeFloat16(0x3c00), 1);
+  assert.equal(decodeFloat16(0xc000), -2);
+  assert.equal(decodeFloat16(0x3800), 0.5);
+  assert.equal(decodeFloat16(0x0001), 2 ** -24);
+  assert.equal(decodeFloat16(0x7c00), Infinity);
+  assert.ok(Number.isNaN(decodeFloat16(0x7e00)));
+  assert.ok(Number.isNaN(decodeFloat16(undefined)));
+});
+
+test('sampleCpuPointsForFocus strides the streamed points and flips x and y', () => {
+  const one = 0x3c00;
+  const two = 0x4000;
+  const cpuPoints = new Uint16Array([one, two, one, two, one, two, one, one, one, 0x7e00, 0, 0]);
+  const sampled = sampleCpuPointsForFocus({ cpuPoints, pointCount: 3, targetSampleCount: 2 });
+  assert.equal(sampled.stride, 2);
+  assert.equal(sampled.sourcePointCount, 3);
+  assert.deepEqual([...sampled.samples], [-1, -2, 1, -1, -1, 1]);
+  assert.equal(sampleCpuPointsForFocus({ cpuPoints, pointCount: 0 }), null);
+  assert.equal(sampleCpuPointsForFocus({ cpuPoints: new Uint16Array([0x7e00, 0, 0]) }), null);
+});
+
+test('findClosestSampleToRay picks the sample nearest the ray, ahead of its origin', () => {
+  const samples = new Float32Array([
+    0, 0, -5,
+    0.05, 0, 2,
+    0.02, 0, 4,
+    3, 0, 1
+  ]);
+  const hit = findClosestSampleToRay({
+    samples,
+    rayOrigin: { x: 0, y: 0, z: 0 },
+    rayDirection: { x: 0, y: 0, z: 2 },
+    maxDistanceSq: 0.01
+  });
+  assert.equal(hit.sampleOffset, 6);
+  assert.equal(hit.rayDistance, 4);
+  assert.ok(Math.abs(hit.distanceSq - 0.0004) < 1e-9);
+  assert.equal(findClosestSampleToRay({
+    samples,
+    rayOrigin: { x: 0, y: 0, z: 0 },
+    rayDirection: { x: 1, y: 0, z: 0 },
+    maxDistanceSq: 2
+  }).sampleOffset, 9);
+  assert.equal(findClosestSampleToRay({
+    samples,
+    rayOrigin: { x: 0, y: 0, z: 0 },
+    rayDirection: { x: 0, y: 1, z: 0 },
+    maxDistanceSq: 0.01
+  }), null);
+  assert.equal(findClosestSampleToRay({ samples, rayOrigin: { x: 0, y: 0, z: 0 }, rayDirection: { x: 0, y: 0, z: 0 } }), null);
+});
+
+test('computeScreenDistancePx measures from the pointer in pixels', () => {
+  const viewport = { viewportWidth: 200, viewportHeight: 100 };
+  assert.equal(computeScreenDistancePx({ ndcX: 0, ndcY: 0, pointerX: 100, pointerY: 50, ...viewport }), 0);
+  assert.equal(computeScreenDistancePx({ ndcX: 1, ndcY: 1, pointerX: 197, pointerY: 4, ...viewport }), 5);
+  assert.equal(computeScreenDistancePx({ ndcX: NaN, ndcY: 0, pointerX: 0, pointerY: 0, ...viewport }), Infinity);
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  daylightMinutes,
+  solarPosition,
+  sunDirection,
+  timeZoneOffsetMinutes,
+  zonedTimeToDate
+} from '../sun-position.mjs';
+
+// Powder Mountain, Eden UT.
+const site = { latitude: 41.379, longitude: -111.781, timeZone: 'America/Denver' };
+
+const near = (actual, expected, tolerance, label) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('solar noon elevation follows the seasons', () => {
+  const summer = solarPosition(new Date('2025-06-21T19:25:00Z'), site.latitude, site.longitude);
+  near(summer.elevation, 90 - site.latitude + 23.44, 0.5, 'June elevation');
+  near(summer.azimuth, 180, 5, 'June azimuth');
+  const winter = solarPosition(new Date('2025-12-21T19:20:00Z'), site.latitude, site.longitude);
+  near(winter.elevation, 90 - site.latitude - 23.44, 0.5, 'December elevation');
+  near(winter.azimuth, 180, 3, 'December azimuth');
+});
+
+test('morning sun is in the east and afternoon sun in the west', () => {
+  const morning = solarPosition(zonedTimeToDate({ year: 2025, month: 3, day: 20, minutes: 9 * 60 }, site.timeZone), site.latitude, site.longitude);
+  const evening = solarPosition(zonedTimeToDate({ year: 2025, month: 3, day: 20, minutes: 17 * 60 }, site.timeZone), site.latitude, site.longitude);
+  assert.ok(morning.azimuth > 90 && morning.azimuth < 180, `morning azimuth ${morning.azimuth}`);
+  assert.ok(evening.azimuth > 180 && evening.azimuth < 270, `evening azimuth ${evening.azimuth}`);
+  assert.ok(morning.elevation > 0 && evening.elevation > 0);
+});
+
+test('zonedTimeToDate honours daylight saving time', () => {
+  assert.equal(zonedTimeToDate({ year: 2025, month: 12, day: 21, minutes: 17 * 60 }, site.timeZone).toISOString(), '2025-12-22T00:00:00.000Z');
+  assert.equal(zonedTimeToDate({ year: 2025, month: 7, day: 4, minutes: 17 * 60 + 30 }, site.timeZone).toISOString(), '2025-07-04T23:30:00.000Z');
+  assert.equal(timeZoneOffsetMinutes(new Date('2025-01-15T12:00:00Z'), site.timeZone), -420);
+  assert.equal(timeZoneOffsetMinutes(new Date('2025-07-15T12:00:00Z'), site.timeZone), -360);
+});
+
+test('daylightMinutes brackets the day and is null during polar night', () => {
+  const december = daylightMinutes({ year: 2025, month: 12, day: 21 }, site);
+  near(december.sunrise, 7 * 60 + 52, 5, 'December sunrise');
+  near(december.sunset, 17 * 60, 5, 'December sunset');
+  const june = daylightMinutes({ year: 2025, month: 6, day: 21 }, site);
+  near(june.sunrise, 5 * 60 + 56, 5, 'June sunrise');
+  near(june.sunset, 21 * 60 + 3, 5, 'June sunset');
+  const svalbard = daylightMinutes({ year: 2025, month: 12, day: 21 }, { latitude: 78.2, longitude: 15.6, timeZone: 'Arctic/Longyearbyen' });
+  assert.deepEqual(svalbard, { sunrise: null, sunset: null });
+});
+
+test('sunDirection maps compass bearings onto the scene axes', () => {
+  const close = (v, expected) => {
+    for (const k of ['x', 'y', 'z']) near(v[k], expected[k], 1e-9, k);
+  };
+  close(sunDirection({ azimuth: 0, elevation: 0 }), { x: 0, y: 0, z: 1 });
+  close(sunDirection({ azimuth: 90, elevation: 0 }), { x: -1, y: 0, z: 0 });
+  close(sunDirection({ azimuth: 0, elevation: 0 }, 90), { x: 1, y: 0, z: 0 });
+  close(sunDirection({ azimuth: 180, elevation: 90 }, 358), { x: 0, y: 1, z: 0 });
+  const d = sunDirection({ azimuth: 237, elevation: 12 }, 358);
+  near(Math.hypot(d.x, d.y, d.z), 1, 1e-12, 'length');
+});
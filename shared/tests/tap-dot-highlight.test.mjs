@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HIGHLIGHT_COLOR,
+  HIGHLIGHT_SCALE,
+  createTapDotHighlighter,
+  findHighlightTarget,
+  matchesHighlightTarget
+} from '../tap-dot-highlight.mjs';
+
+function mesh(visible, hex, scale = 1) {
+  return {
+    visible,
+    material: { color: { hex, getHex() { return this.hex; }, setHex(v) { this.hex = v; } } },
+    scale: { x: scale, setScalar(v) { this.x = v; } }
+  };
+}
+
+function tapDot(index, config, visible = true) {
+  return { dot: mesh(visible, 0x2c2c2e, 0.5), iconMesh: mesh(visible, 0xffffff, 0.5), scale: 0.5, index, config };
+}
+
+test('matchesHighlightTarget accepts the id, caption, title or number', () => {
+  const td = tapDot(3, { id: 'pond', caption: 'Driving Range', title: 'Range' });
+  assert.equal(matchesHighlightTarget(td, 'pond'), true);
+  assert.equal(matchesHighlightTarget(td, ' driving range '), true);
+  assert.equal(matchesHighlightTarget(td, 'RANGE'), true);
+  assert.equal(matchesHighlightTarget(td, '3'), true);
+  assert.equal(matchesHighlightTarget(td, '#3'), true);
+  assert.equal(matchesHighlightTarget(td, '4'), false);
+  assert.equal(matchesHighlightTarget(td, ''), false);
+  assert.equal(findHighlightTarget([tapDot(0, { caption: 'Hole 18' }), td], 'Driving Range'), td);
+  assert.equal(findHighlightTarget([td], 'Clubhouse'), null);
+});
+
+test('the highlighter shows the matched dot and puts it back afterwards', () => {
+  const hidden = tapDot(0, { caption: 'Hole 18' }, false);
+  const other = tapDot(1, { caption: 'Driving Range' });
+  const highlighter = createTapDotHighlighter(() => [hidden, other]);
+
+  highlighter.onHighlight('Hole 18');
+  assert.equal(highlighter.current, hidden);
+  assert.equal(hidden.dot.visible, true);
+  assert.equal(hidden.iconMesh.visible, true);
+  assert.equal(hidden.dot.material.color.hex, HIGHLIGHT_COLOR);
+  assert.equal(hidden.dot.scale.x, 0.5 * HIGHLIGHT_SCALE);
+
+  highlighter.onHighlight('Driving Range');
+  assert.equal(hidden.dot.visible, false);
+  assert.equal(hidden.iconMesh.visible, false);
+  assert.equal(hidden.dot.material.color.hex, 0x2c2c2e);
+  assert.equal(hidden.dot.scale.x, 0.5);
+  assert.equal(other.dot.material.color.hex, HIGHLIGHT_COLOR);
+
+  highlighter.onHighlight(null);
+  assert.equal(highlighter.current, null);
+  assert.equal(other.dot.material.color.hex, 0x2c2c2e);
+  assert.equal(other.dot.visible, true);
+});
+
+test('pages that restyle their own dots get apply() instead', () => {
+  const td = tapDot(0, { caption: 'Clubhouse' });
+  const applied = [];
+  const highlighter = createTapDotHighlighter(() => [td], { apply: (current) => applied.push(current) });
+  highlighter.onHighlight('Clubhouse');
+  highlighter.onHighlight('Clubhouse');
+  highlighter.onHighlight('Nowhere');
+  assert.deepEqual(applied, [td, null]);
+  assert.equal(td.dot.material.color.hex, 0x2c2c2e);
+});
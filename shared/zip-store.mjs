@@ -0,0 +1,153 @@
+/**
+ * Uncompressed ("stored") ZIP writer for bundling already-compressed files such
+ * as PNG frames, either in memory or streamed to a writable target; no DOM, so
+ * it can be tested in Node.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function header(size) {
+  const buf = new Uint8Array(size);
+  return { buf, view: new DataView(buf.buffer) };
+}
+
+/** DOS date/time fields for `date` (local time, 2-second resolution). */
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+export const ZIP_MAX_BYTES = 0xffffffff;
+export const ZIP_MAX_ENTRIES = 0xffff;
+
+const TOO_LARGE = 'Archive is too large for a plain ZIP; export fewer or smaller frames.';
+
+function localHeader(nameBytes, data, crc, time, day) {
+  const { buf, view } = header(30);
+  view.setUint32(0, 0x04034b50, true);
+  view.setUint16(4, 20, true);
+  view.setUint16(6, 0x0800, true); // UTF-8 names
+  view.setUint16(8, 0, true); // stored
+  view.setUint16(10, time, true);
+  view.setUint16(12, day, true);
+  view.setUint32(14, crc, true);
+  view.setUint32(18, data.length, true);
+  view.setUint32(22, data.length, true);
+  view.setUint16(26, nameBytes.length, true);
+  return buf;
+}
+
+// Central directory records and end record for `entries` ({ nameBytes, crc, size, offset }).
+function centralDirectory(entries, offset, time, day) {
+  const parts = [];
+  entries.forEach((e) => {
+    const { buf, view } = header(46);
+    view.setUint32(0, 0x02014b50, true);
+    view.setUint16(4, 20, true);
+    view.setUint16(6, 20, true);
+    view.setUint16(8, 0x0800, true);
+    view.setUint16(10, 0, true);
+    view.setUint16(12, time, true);
+    view.setUint16(14, day, true);
+    view.setUint32(16, e.crc, true);
+    view.setUint32(20, e.size, true);
+    view.setUint32(24, e.size, true);
+    view.setUint16(28, e.nameBytes.length, true);
+    view.setUint32(42, e.offset, true);
+    parts.push(buf, e.nameBytes);
+  });
+  const centralSize = parts.reduce((n, part) => n + part.length, 0);
+  const { buf: end, view } = header(22);
+  view.setUint32(0, 0x06054b50, true);
+  view.setUint16(8, entries.length, true);
+  view.setUint16(10, entries.length, true);
+  view.setUint32(12, centralSize, true);
+  view.setUint32(16, offset, true);
+  parts.push(end);
+  return parts;
+}
+
+/**
+ * Streaming variant: `await addFile(name, data)` hands the entry straight to
+ * `write(chunk)` (e.g. a FileSystemWritableFileStream) and keeps only its
+ * directory record; `await finish()` writes the central directory.
+ */
+export function createZipWriter(write, { date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const entries = [];
+  let offset = 0;
+
+  return {
+    async addFile(name, data) {
+      const nameBytes = encoder.encode(name);
+      const size = 30 + nameBytes.length + data.length;
+      if (offset + size > ZIP_MAX_BYTES || entries.length >= ZIP_MAX_ENTRIES) throw new Error(TOO_LARGE);
+      const crc = crc32(data);
+      entries.push({ nameBytes, crc, size: data.length, offset });
+      offset += size;
+      await write(localHeader(nameBytes, data, crc, time, day));
+      await write(nameBytes);
+      await write(data);
+    },
+    get fileCount() {
+      return entries.length;
+    },
+    async finish() {
+      for (const part of centralDirectory(entries, offset, time, day)) await write(part);
+    }
+  };
+}
+
+/**
+ * `addFile(name, data)` queues a file (UTF-8 name, Uint8Array data);
+ * `finalize()` returns the archive as a Uint8Array.
+ */
+export function createZipStore({ date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const entries = [];
+  let offset = 0;
+
+  return {
+    addFile(name, data) {
+      const nameBytes = encoder.encode(name);
+      const size = 30 + nameBytes.length + data.length;
+      if (offset + size > ZIP_MAX_BYTES || entries.length >= ZIP_MAX_ENTRIES) throw new Error(TOO_LARGE);
+      const crc = crc32(data);
+      entries.push({ nameBytes, data, crc, size: data.length, offset, local: localHeader(nameBytes, data, crc, time, day) });
+      offset += size;
+    },
+    get fileCount() {
+      return entries.length;
+    },
+    finalize() {
+      const central = centralDirectory(entries, offset, time, day);
+      const centralSize = central.reduce((n, part) => n + part.length, 0);
+      const out = new Uint8Array(offset + centralSize);
+      let at = 0;
+      const put = (part) => {
+        out.set(part, at);
+        at += part.length;
+      };
+      entries.forEach((e) => { put(e.local); put(e.nameBytes); put(e.data); });
+      central.forEach(put);
+      return out;
+    }
+  };
+}